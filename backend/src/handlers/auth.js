@@ -1,97 +1,108 @@
-const AWS = require('aws-sdk');
-const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
-const { v4: uuidv4 } = require('uuid');
-const Joi = require('joi');
-const { response, validateInput } = require('../utils/helpers');
-
-const dynamodb = new AWS.DynamoDB.DocumentClient();
-
-// Validation schemas
-const registerSchema = Joi.object({
-  firstName: Joi.string().min(1).max(50).required(),
-  lastName: Joi.string().min(1).max(50).required(),
-  email: Joi.string().email().required(),
-  password: Joi.string().min(6).required(),
-  confirmPassword: Joi.string().valid(Joi.ref('password')).required(),
-  preferredLanguage: Joi.string().valid('en', 'es', 'fr').default('en')
-});
-
-const loginSchema = Joi.object({
-  email: Joi.string().email().required(),
-  password: Joi.string().required()
-});
+const { response, tooManyRequests, getClientIp } = require('../utils/helpers');
+const {
+  registerSchema,
+  loginSchema,
+  updateProfileSchema,
+  refreshTokenSchema,
+  emailSchema,
+  verifyEmailQuerySchema,
+  resetPasswordSchema,
+  validate,
+  validationErrorBody
+} = require('../utils/validation');
+const {
+  signAccessToken,
+  verifyAccessToken,
+  signChallengeToken,
+  extractBearerToken
+} = require('../utils/tokens');
+const {
+  issueRefreshToken,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllRefreshTokens
+} = require('../utils/refreshTokens');
+const refreshTokenStore = require('../models/refreshTokenStore');
+const {
+  toPublicUser,
+  registerUser,
+  authenticateUser,
+  updateProfile: updateUserProfile,
+  setPassword,
+  markEmailVerified
+} = require('../utils/users');
+const { createDynamoRepositories } = require('../repositories/dynamodb');
+const { sendPasswordResetEmail, consumePasswordResetToken } = require('../utils/passwordReset');
+const {
+  getVerificationPolicy,
+  mustVerifyEmail,
+  sendVerificationEmail,
+  consumeVerificationToken
+} = require('../utils/emailVerification');
+const { createOneTimeTokenStore } = require('../models/oneTimeTokenStore');
+const { isTwoFactorEnabled } = require('../utils/twoFactor');
+const twoFactorStore = require('../models/twoFactorStore');
+const {
+  createMemoryStore,
+  checkRateLimit,
+  getLockout,
+  recordLoginFailure,
+  clearLoginFailures,
+  isAdmin
+} = require('../utils/rateLimiter');
+
+const { users } = createDynamoRepositories();
+const passwordResetStore = createOneTimeTokenStore('PASSWORD_RESETS_TABLE');
+const emailVerificationStore = createOneTimeTokenStore('EMAIL_VERIFICATIONS_TABLE');
+// Counters must be shared across Lambda containers; memory is only a fallback
+const rateLimitStore = process.env.RATE_LIMITS_TABLE
+  ? require('../models/rateLimitStore')
+  : createMemoryStore();
 
 /**
  * Register a new user
  */
 const register = async (event) => {
   try {
+    const rateLimit = await checkRateLimit(rateLimitStore, 'register', getClientIp(event));
+    if (!rateLimit.allowed) {
+      return tooManyRequests(rateLimit.retryAfter);
+    }
+
     // Parse and validate request body
     const body = JSON.parse(event.body);
-    const { error, value } = validateInput(body, registerSchema);
+    const { value, errors } = validate(body, registerSchema);
     
-    if (error) {
-      return response(400, { error: error.details[0].message });
+    if (errors) {
+      return response(400, validationErrorBody(errors));
     }
 
-    const { firstName, lastName, email, password, preferredLanguage } = value;
+    const user = await registerUser(users, value);
 
-    // Check if user already exists
-    const existingUser = await dynamodb.query({
-      TableName: process.env.USERS_TABLE,
-      IndexName: 'EmailIndex',
-      KeyConditionExpression: 'email = :email',
-      ExpressionAttributeValues: {
-        ':email': email
-      }
-    }).promise();
-
-    if (existingUser.Items.length > 0) {
-      return response(400, { error: 'User with this email already exists' });
+    try {
+      await sendVerificationEmail(emailVerificationStore, user);
+    } catch (mailError) {
+      // The account exists either way; the user can ask for a new link
+      console.error('Verification email error:', mailError);
     }
 
-    // Hash password
-    const hashedPassword = await bcrypt.hash(password, 12);
-
-    // Create user
-    const userId = uuidv4();
-    const timestamp = Date.now();
-    
-    const user = {
-      userId,
-      email,
-      passwordHash: hashedPassword,
-      firstName,
-      lastName,
-      preferredLanguage,
-      isVerified: false, // In production, you'd implement email verification
-      createdAt: timestamp,
-      updatedAt: timestamp
+    // Generate JWT token
+    // Under the 'block' policy no session is issued until the email is verified
+    const session = getVerificationPolicy() === 'block' ? {} : {
+      token: signAccessToken(user),
+      refreshToken: await issueRefreshToken(refreshTokenStore, user.id)
     };
 
-    await dynamodb.put({
-      TableName: process.env.USERS_TABLE,
-      Item: user
-    }).promise();
-
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId, email, firstName, lastName },
-      process.env.JWT_SECRET,
-      { expiresIn: '24h' }
-    );
-
-    // Return user data (without password hash)
-    const { passwordHash, ...userResponse } = user;
-    
     return response(201, {
       message: 'User registered successfully',
-      user: userResponse,
-      token
+      user: toPublicUser(user),
+      ...session
     });
 
   } catch (error) {
+    if (error.name === 'UserError') {
+      return response(400, { error: error.message });
+    }
     console.error('Registration error:', error);
     return response(500, { error: 'Internal server error' });
   }
@@ -102,57 +113,59 @@ const register = async (event) => {
  */
 const login = async (event) => {
   try {
+    const rateLimit = await checkRateLimit(rateLimitStore, 'login', getClientIp(event));
+    if (!rateLimit.allowed) {
+      return tooManyRequests(rateLimit.retryAfter);
+    }
+
     // Parse and validate request body
     const body = JSON.parse(event.body);
-    const { error, value } = validateInput(body, loginSchema);
+    const { value, errors } = validate(body, loginSchema);
     
-    if (error) {
-      return response(400, { error: error.details[0].message });
+    if (errors) {
+      return response(400, validationErrorBody(errors));
     }
 
     const { email, password } = value;
 
-    // Find user by email
-    const result = await dynamodb.query({
-      TableName: process.env.USERS_TABLE,
-      IndexName: 'EmailIndex',
-      KeyConditionExpression: 'email = :email',
-      ExpressionAttributeValues: {
-        ':email': email
-      }
-    }).promise();
+    const lockedFor = await getLockout(rateLimitStore, email);
+    if (lockedFor > 0) {
+      return tooManyRequests(lockedFor);
+    }
 
-    if (result.Items.length === 0) {
+    const user = await authenticateUser(users, email, password);
+    if (!user) {
+      const lockedNow = await recordLoginFailure(rateLimitStore, email);
+      if (lockedNow > 0) {
+        return tooManyRequests(lockedNow);
+      }
       return response(401, { error: 'Invalid email or password' });
     }
 
-    const user = result.Items[0];
+    await clearLoginFailures(rateLimitStore, email);
 
-    // Verify password
-    const isValidPassword = await bcrypt.compare(password, user.passwordHash);
-    if (!isValidPassword) {
-      return response(401, { error: 'Invalid email or password' });
+    if (!user.isVerified && getVerificationPolicy() === 'block') {
+      return response(403, { error: 'Please verify your email address before logging in' });
+    }
+
+    // With 2FA on, the session is only issued by /auth/2fa/verify
+    if (await isTwoFactorEnabled(twoFactorStore, user.id)) {
+      return response(200, {
+        message: 'Enter the code from your authenticator app',
+        twoFactorRequired: true,
+        challengeToken: signChallengeToken(user.id)
+      });
     }
 
     // Generate JWT token
-    const token = jwt.sign(
-      { 
-        userId: user.userId, 
-        email: user.email, 
-        firstName: user.firstName, 
-        lastName: user.lastName 
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: '24h' }
-    );
-
-    // Return user data (without password hash)
-    const { passwordHash, ...userResponse } = user;
-    
+    const token = signAccessToken(user);
+    const refreshToken = await issueRefreshToken(refreshTokenStore, user.id);
+
     return response(200, {
       message: 'Login successful',
-      user: userResponse,
-      token
+      user: toPublicUser(user),
+      token,
+      refreshToken
     });
 
   } catch (error) {
@@ -167,31 +180,23 @@ const login = async (event) => {
 const getProfile = async (event) => {
   try {
     // Extract user info from JWT (middleware would handle this in production)
-    const token = event.headers.Authorization?.replace('Bearer ', '');
+    const token = extractBearerToken(event.headers);
     if (!token) {
       return response(401, { error: 'Access token required' });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const decoded = verifyAccessToken(token);
     
-    // Get user from database
-    const result = await dynamodb.get({
-      TableName: process.env.USERS_TABLE,
-      Key: { userId: decoded.userId }
-    }).promise();
-
-    if (!result.Item) {
+    const user = await users.findById(decoded.userId);
+    if (!user) {
       return response(404, { error: 'User not found' });
     }
 
-    // Return user data (without password hash)
-    const { passwordHash, ...userResponse } = result.Item;
-    
-    return response(200, { user: userResponse });
+    return response(200, { user: toPublicUser(user) });
 
   } catch (error) {
     console.error('Get profile error:', error);
-    if (error.name === 'JsonWebTokenError') {
+    if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
       return response(401, { error: 'Invalid token' });
     }
     return response(500, { error: 'Internal server error' });
@@ -204,67 +209,259 @@ const getProfile = async (event) => {
 const updateProfile = async (event) => {
   try {
     // Extract user info from JWT
-    const token = event.headers.Authorization?.replace('Bearer ', '');
+    const token = extractBearerToken(event.headers);
     if (!token) {
       return response(401, { error: 'Access token required' });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const decoded = verifyAccessToken(token);
+
+    if (mustVerifyEmail(decoded)) {
+      return response(403, { error: 'Please verify your email address to update your profile' });
+    }
     
     // Parse request body
     const body = JSON.parse(event.body);
-    const { firstName, lastName, preferredLanguage } = body;
 
     // Validate input
-    const updateSchema = Joi.object({
-      firstName: Joi.string().min(1).max(50),
-      lastName: Joi.string().min(1).max(50),
-      preferredLanguage: Joi.string().valid('en', 'es', 'fr')
+    const { value, errors } = validate(body, updateProfileSchema);
+    if (errors) {
+      return response(400, validationErrorBody(errors));
+    }
+
+    const user = await updateUserProfile(users, decoded.userId, value);
+    if (!user) {
+      return response(404, { error: 'User not found' });
+    }
+
+    return response(200, { message: 'Profile updated successfully', user: toPublicUser(user) });
+
+  } catch (error) {
+    console.error('Update profile error:', error);
+    if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
+      return response(401, { error: 'Invalid token' });
+    }
+    return response(500, { error: 'Internal server error' });
+  }
+};
+
+/**
+ * Exchange a refresh token for a new access token and refresh token
+ */
+const refresh = async (event) => {
+  try {
+    const body = JSON.parse(event.body || '{}');
+    const { value, errors } = validate(body, refreshTokenSchema);
+    if (errors) {
+      return response(400, validationErrorBody(errors));
+    }
+
+    const { userId, refreshToken } = await rotateRefreshToken(refreshTokenStore, value.refreshToken);
+
+    const user = await users.findById(userId);
+    if (!user) {
+      await revokeAllRefreshTokens(refreshTokenStore, userId);
+      return response(401, { error: 'Invalid refresh token' });
+    }
+
+    return response(200, {
+      message: 'Token refreshed',
+      token: signAccessToken(user),
+      refreshToken
+    });
+
+  } catch (error) {
+    if (error.name === 'RefreshTokenError') {
+      return response(401, { error: error.message });
+    }
+    console.error('Refresh token error:', error);
+    return response(500, { error: 'Internal server error' });
+  }
+};
+
+/**
+ * Logout - revoke the session of the given refresh token
+ */
+const logout = async (event) => {
+  try {
+    const body = JSON.parse(event.body || '{}');
+    const { value, errors } = validate(body, refreshTokenSchema);
+    if (errors) {
+      return response(400, validationErrorBody(errors));
+    }
+
+    await revokeRefreshToken(refreshTokenStore, value.refreshToken);
+    return response(200, { message: 'Logged out successfully' });
+
+  } catch (error) {
+    console.error('Logout error:', error);
+    return response(500, { error: 'Internal server error' });
+  }
+};
+
+/**
+ * Logout everywhere - revoke every refresh token of the user (protected route)
+ */
+const logoutAll = async (event) => {
+  try {
+    const token = extractBearerToken(event.headers);
+    if (!token) {
+      return response(401, { error: 'Access token required' });
+    }
+
+    const decoded = verifyAccessToken(token);
+    await revokeAllRefreshTokens(refreshTokenStore, decoded.userId);
+
+    return response(200, { message: 'Logged out of all sessions' });
+
+  } catch (error) {
+    console.error('Logout all error:', error);
+    if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
+      return response(401, { error: 'Invalid token' });
+    }
+    return response(500, { error: 'Internal server error' });
+  }
+};
+
+/**
+ * Verify an email address with the token from the verification email
+ */
+const verifyEmail = async (event) => {
+  try {
+    const { value, errors } = validate(event.queryStringParameters, verifyEmailQuerySchema);
+    if (errors) {
+      return response(400, validationErrorBody(errors));
+    }
+
+    const userId = await consumeVerificationToken(emailVerificationStore, value.token);
+
+    await markEmailVerified(users, userId);
+
+    return response(200, { message: 'Email verified successfully' });
+
+  } catch (error) {
+    if (error.name === 'EmailVerificationError') {
+      return response(400, { error: error.message });
+    }
+    console.error('Verify email error:', error);
+    return response(500, { error: 'Internal server error' });
+  }
+};
+
+/**
+ * Send a new verification email
+ * Always responds the same way so it cannot be used to discover registered emails
+ */
+const resendVerification = async (event) => {
+  try {
+    const body = JSON.parse(event.body || '{}');
+    const { value, errors } = validate(body, emailSchema);
+
+    if (errors) {
+      return response(400, validationErrorBody(errors));
+    }
+
+    const user = await users.findByEmail(value.email);
+    if (user && !user.isVerified) {
+      await sendVerificationEmail(emailVerificationStore, user);
+    }
+
+    return response(200, {
+      message: 'If an unverified account exists for that email, a verification link has been sent'
+    });
+
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    return response(500, { error: 'Internal server error' });
+  }
+};
+
+/**
+ * Request a password reset email
+ * Always responds the same way so it cannot be used to discover registered emails
+ */
+const forgotPassword = async (event) => {
+  try {
+    const body = JSON.parse(event.body || '{}');
+    const { value, errors } = validate(body, emailSchema);
+
+    if (errors) {
+      return response(400, validationErrorBody(errors));
+    }
+
+    const user = await users.findByEmail(value.email);
+    if (user) {
+      await sendPasswordResetEmail(passwordResetStore, user);
+    }
+
+    return response(200, {
+      message: 'If an account exists for that email, a password reset link has been sent'
     });
 
-    const { error, value } = validateInput(body, updateSchema);
-    if (error) {
-      return response(400, { error: error.details[0].message });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    return response(500, { error: 'Internal server error' });
+  }
+};
+
+/**
+ * Reset password with a token from the reset email
+ * Revokes every existing session of the user
+ */
+const resetPassword = async (event) => {
+  try {
+    const body = JSON.parse(event.body || '{}');
+    const { value, errors } = validate(body, resetPasswordSchema);
+
+    if (errors) {
+      return response(400, validationErrorBody(errors));
     }
 
-    // Update user in database
-    const updateExpression = [];
-    const expressionAttributeValues = {};
-    const expressionAttributeNames = {};
+    const userId = await consumePasswordResetToken(passwordResetStore, value.token);
+    await setPassword(users, userId, value.password);
 
-    if (firstName) {
-      updateExpression.push('#firstName = :firstName');
-      expressionAttributeNames['#firstName'] = 'firstName';
-      expressionAttributeValues[':firstName'] = firstName;
+    await revokeAllRefreshTokens(refreshTokenStore, userId);
+
+    return response(200, { message: 'Password has been reset. Please log in with your new password.' });
+
+  } catch (error) {
+    if (error.name === 'PasswordResetError') {
+      return response(400, { error: error.message });
     }
+    console.error('Reset password error:', error);
+    return response(500, { error: 'Internal server error' });
+  }
+};
 
-    if (lastName) {
-      updateExpression.push('#lastName = :lastName');
-      expressionAttributeNames['#lastName'] = 'lastName';
-      expressionAttributeValues[':lastName'] = lastName;
+/**
+ * Unlock an account locked by failed logins (verified admins only, see ADMIN_EMAILS)
+ */
+const unlockAccount = async (event) => {
+  try {
+    const token = extractBearerToken(event.headers);
+    if (!token) {
+      return response(401, { error: 'Access token required' });
     }
 
-    if (preferredLanguage) {
-      updateExpression.push('preferredLanguage = :preferredLanguage');
-      expressionAttributeValues[':preferredLanguage'] = preferredLanguage;
+    const decoded = verifyAccessToken(token);
+    if (!isAdmin(decoded)) {
+      return response(403, { error: 'Admin access required' });
     }
 
-    updateExpression.push('updatedAt = :updatedAt');
-    expressionAttributeValues[':updatedAt'] = Date.now();
+    const body = JSON.parse(event.body || '{}');
+    const { value, errors } = validate(body, emailSchema);
+    if (errors) {
+      return response(400, validationErrorBody(errors));
+    }
 
-    await dynamodb.update({
-      TableName: process.env.USERS_TABLE,
-      Key: { userId: decoded.userId },
-      UpdateExpression: `SET ${updateExpression.join(', ')}`,
-      ExpressionAttributeValues: expressionAttributeValues,
-      ...(Object.keys(expressionAttributeNames).length > 0 && { ExpressionAttributeNames: expressionAttributeNames })
-    }).promise();
+    await clearLoginFailures(rateLimitStore, value.email);
+    console.log(`Account unlocked by ${decoded.email}:`, value.email);
 
-    return response(200, { message: 'Profile updated successfully' });
+    return response(200, { message: 'Account unlocked' });
 
   } catch (error) {
-    console.error('Update profile error:', error);
-    if (error.name === 'JsonWebTokenError') {
+    console.error('Unlock account error:', error);
+    if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
       return response(401, { error: 'Invalid token' });
     }
     return response(500, { error: 'Internal server error' });
@@ -275,5 +472,13 @@ module.exports = {
   register,
   login,
   getProfile,
-  updateProfile
+  updateProfile,
+  refresh,
+  logout,
+  logoutAll,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
+  unlockAccount
 };
\ No newline at end of file
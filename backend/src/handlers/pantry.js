@@ -0,0 +1,95 @@
+const { response, getUserIdFromToken, getVerifiedUserIdFromToken } = require('../utils/helpers');
+const { extractBearerToken } = require('../utils/tokens');
+const { pantrySchema, updatePantrySchema, validate, validationErrorBody } = require('../utils/validation');
+const { getPantry: findPantry, replacePantry: savePantry, updatePantry: changePantry } = require('../utils/pantry');
+const { createDynamoRepositories } = require('../repositories/dynamodb');
+
+const { pantries } = createDynamoRepositories();
+
+/**
+ * Map known errors to responses
+ */
+const handleError = (label, error) => {
+  if (error.message === 'Invalid token') {
+    return response(401, { error: 'Invalid token' });
+  }
+  if (error.message === 'Email not verified') {
+    return response(403, { error: 'Please verify your email address to make changes' });
+  }
+  console.error(`${label} error:`, error);
+  return response(500, { error: 'Internal server error' });
+};
+
+/**
+ * Get the caller's pantry (protected route)
+ */
+const getPantry = async (event) => {
+  try {
+    const token = extractBearerToken(event.headers);
+    if (!token) {
+      return response(401, { error: 'Access token required' });
+    }
+    const userId = getUserIdFromToken(token);
+
+    return response(200, { pantry: await findPantry(pantries, userId) });
+
+  } catch (error) {
+    return handleError('Get pantry', error);
+  }
+};
+
+/**
+ * Replace the caller's pantry with the given spices and ingredients (protected route)
+ */
+const replacePantry = async (event) => {
+  try {
+    const token = extractBearerToken(event.headers);
+    if (!token) {
+      return response(401, { error: 'Access token required' });
+    }
+    const userId = getVerifiedUserIdFromToken(token);
+
+    const body = JSON.parse(event.body || '{}');
+    const { value, errors } = validate(body, pantrySchema);
+    if (errors) {
+      return response(400, validationErrorBody(errors));
+    }
+
+    const pantry = await savePantry(pantries, userId, value);
+    return response(200, { message: 'Pantry saved', pantry });
+
+  } catch (error) {
+    return handleError('Replace pantry', error);
+  }
+};
+
+/**
+ * Add and remove spices and ingredients (protected route)
+ */
+const updatePantry = async (event) => {
+  try {
+    const token = extractBearerToken(event.headers);
+    if (!token) {
+      return response(401, { error: 'Access token required' });
+    }
+    const userId = getVerifiedUserIdFromToken(token);
+
+    const body = JSON.parse(event.body || '{}');
+    const { value, errors } = validate(body, updatePantrySchema);
+    if (errors) {
+      return response(400, validationErrorBody(errors));
+    }
+
+    const pantry = await changePantry(pantries, userId, value);
+    return response(200, { message: 'Pantry updated', pantry });
+
+  } catch (error) {
+    return handleError('Update pantry', error);
+  }
+};
+
+module.exports = {
+  getPantry,
+  replacePantry,
+  updatePantry
+};
@@ -0,0 +1,346 @@
+const { response, getUserIdFromToken, getVerifiedUserIdFromToken } = require('../utils/helpers');
+const { extractBearerToken } = require('../utils/tokens');
+const {
+  createRecipeSchema,
+  updateRecipeSchema,
+  recipeListSchema,
+  recipeSearchSchema,
+  rateRecipeSchema,
+  validate,
+  validationErrorBody
+} = require('../utils/validation');
+const {
+  listRecipes,
+  getRecipe: findVisibleRecipe,
+  createRecipe: insertRecipe,
+  updateRecipe: changeRecipe,
+  deleteRecipe: removeRecipe
+} = require('../utils/recipes');
+const { addFavorite, removeFavorite, listFavorites } = require('../utils/favorites');
+const { rateRecipe: saveRating, deleteRating: removeRating, listRatings } = require('../utils/ratings');
+const { searchRecipes: findRecipes } = require('../utils/recipeSearch');
+const { createDynamoRepositories } = require('../repositories/dynamodb');
+
+const { recipes, favorites, ratings, pantries } = createDynamoRepositories();
+
+/**
+ * User id of the caller, or null for anonymous requests
+ * @param {object} event - Lambda event
+ * @returns {string|null}
+ * @throws {Error} 'Invalid token' if a token is sent but is not valid
+ */
+const optionalUserId = (event) => {
+  const token = extractBearerToken(event.headers);
+  return token ? getUserIdFromToken(token) : null;
+};
+
+const recipeId = (event) => (event.pathParameters && event.pathParameters.id) || '';
+
+/**
+ * Map known errors to responses
+ */
+const handleError = (label, error) => {
+  if (error.message === 'Invalid token') {
+    return response(401, { error: 'Invalid token' });
+  }
+  if (error.message === 'Email not verified') {
+    return response(403, { error: 'Please verify your email address to make changes' });
+  }
+  if (error.name === 'RecipeError') {
+    return response(403, { error: error.message });
+  }
+  if (error.name === 'RecipeCursorError') {
+    return response(400, validationErrorBody([{ field: 'cursor', message: error.message }]));
+  }
+  console.error(`${label} error:`, error);
+  return response(500, { error: 'Internal server error' });
+};
+
+/**
+ * List recipes - public ones by default, the caller's own with ?scope=mine
+ * Pages with ?limit= and the nextCursor of the previous page as ?cursor=
+ */
+const getRecipes = async (event) => {
+  try {
+    const { value, errors } = validate(event.queryStringParameters, recipeListSchema);
+    if (errors) {
+      return response(400, validationErrorBody(errors));
+    }
+
+    const userId = optionalUserId(event);
+    if (value.scope === 'mine' && !userId) {
+      return response(401, { error: 'Access token required' });
+    }
+
+    const page = await listRecipes(recipes, userId, value);
+    return response(200, page);
+
+  } catch (error) {
+    return handleError('Get recipes', error);
+  }
+};
+
+/**
+ * Search recipes by ?q= (title words), ?tag= and ?ingredient= (comma-separated lists)
+ * With ?mode=match ranks public recipes by the spices in the caller's pantry (protected for match)
+ */
+const searchRecipes = async (event) => {
+  try {
+    const { value, errors } = validate(event.queryStringParameters, recipeSearchSchema);
+    if (errors) {
+      return response(400, validationErrorBody(errors));
+    }
+
+    const userId = optionalUserId(event);
+    if (value.mode === 'match' && !userId) {
+      return response(401, { error: 'Access token required' });
+    }
+
+    const results = await findRecipes(recipes, pantries, userId, value);
+    return response(200, results);
+
+  } catch (error) {
+    return handleError('Search recipes', error);
+  }
+};
+
+/**
+ * Create a recipe (protected route)
+ */
+const createRecipe = async (event) => {
+  try {
+    const token = extractBearerToken(event.headers);
+    if (!token) {
+      return response(401, { error: 'Access token required' });
+    }
+    const userId = getVerifiedUserIdFromToken(token);
+
+    const body = JSON.parse(event.body || '{}');
+    const { value, errors } = validate(body, createRecipeSchema);
+    if (errors) {
+      return response(400, validationErrorBody(errors));
+    }
+
+    const recipe = await insertRecipe(recipes, userId, value);
+    return response(201, { message: 'Recipe created successfully', recipe });
+
+  } catch (error) {
+    return handleError('Create recipe', error);
+  }
+};
+
+/**
+ * Get one recipe - public recipes for anyone, private ones for their owner
+ */
+const getRecipe = async (event) => {
+  try {
+    const recipe = await findVisibleRecipe(recipes, optionalUserId(event), recipeId(event));
+    if (!recipe) {
+      return response(404, { error: 'Recipe not found' });
+    }
+
+    return response(200, { recipe });
+
+  } catch (error) {
+    return handleError('Get recipe', error);
+  }
+};
+
+/**
+ * Update a recipe (protected route, owner only)
+ */
+const updateRecipe = async (event) => {
+  try {
+    const token = extractBearerToken(event.headers);
+    if (!token) {
+      return response(401, { error: 'Access token required' });
+    }
+    const userId = getVerifiedUserIdFromToken(token);
+
+    const body = JSON.parse(event.body || '{}');
+    const { value, errors } = validate(body, updateRecipeSchema);
+    if (errors) {
+      return response(400, validationErrorBody(errors));
+    }
+
+    const recipe = await changeRecipe(recipes, userId, recipeId(event), value);
+    if (!recipe) {
+      return response(404, { error: 'Recipe not found' });
+    }
+
+    return response(200, { message: 'Recipe updated successfully', recipe });
+
+  } catch (error) {
+    return handleError('Update recipe', error);
+  }
+};
+
+/**
+ * Delete a recipe (protected route, owner only)
+ */
+const deleteRecipe = async (event) => {
+  try {
+    const token = extractBearerToken(event.headers);
+    if (!token) {
+      return response(401, { error: 'Access token required' });
+    }
+    const userId = getVerifiedUserIdFromToken(token);
+
+    const deleted = await removeRecipe(recipes, userId, recipeId(event));
+    if (!deleted) {
+      return response(404, { error: 'Recipe not found' });
+    }
+
+    return response(200, { message: 'Recipe deleted successfully' });
+
+  } catch (error) {
+    return handleError('Delete recipe', error);
+  }
+};
+
+/**
+ * Add a recipe to the caller's favorites (protected route)
+ */
+const favoriteRecipe = async (event) => {
+  try {
+    const token = extractBearerToken(event.headers);
+    if (!token) {
+      return response(401, { error: 'Access token required' });
+    }
+    const userId = getVerifiedUserIdFromToken(token);
+
+    const favorite = await addFavorite(recipes, favorites, userId, recipeId(event));
+    if (!favorite) {
+      return response(404, { error: 'Recipe not found' });
+    }
+
+    return response(200, { message: 'Recipe added to favorites', favorite });
+
+  } catch (error) {
+    return handleError('Favorite recipe', error);
+  }
+};
+
+/**
+ * Remove a recipe from the caller's favorites (protected route)
+ */
+const unfavoriteRecipe = async (event) => {
+  try {
+    const token = extractBearerToken(event.headers);
+    if (!token) {
+      return response(401, { error: 'Access token required' });
+    }
+    const userId = getVerifiedUserIdFromToken(token);
+
+    if (!await removeFavorite(favorites, userId, recipeId(event))) {
+      return response(404, { error: 'Recipe is not a favorite' });
+    }
+
+    return response(200, { message: 'Recipe removed from favorites' });
+
+  } catch (error) {
+    return handleError('Unfavorite recipe', error);
+  }
+};
+
+/**
+ * List the caller's favorite recipes (protected route)
+ */
+const getFavorites = async (event) => {
+  try {
+    const token = extractBearerToken(event.headers);
+    if (!token) {
+      return response(401, { error: 'Access token required' });
+    }
+    const userId = getUserIdFromToken(token);
+
+    return response(200, { recipes: await listFavorites(recipes, favorites, userId) });
+
+  } catch (error) {
+    return handleError('Get favorites', error);
+  }
+};
+
+/**
+ * Rate a recipe 1-5 with an optional review, replacing the caller's previous rating (protected route)
+ */
+const rateRecipe = async (event) => {
+  try {
+    const token = extractBearerToken(event.headers);
+    if (!token) {
+      return response(401, { error: 'Access token required' });
+    }
+    const userId = getVerifiedUserIdFromToken(token);
+
+    const body = JSON.parse(event.body || '{}');
+    const { value, errors } = validate(body, rateRecipeSchema);
+    if (errors) {
+      return response(400, validationErrorBody(errors));
+    }
+
+    const result = await saveRating(recipes, ratings, userId, recipeId(event), value);
+    if (!result) {
+      return response(404, { error: 'Recipe not found' });
+    }
+
+    return response(200, { message: 'Rating saved', ...result });
+
+  } catch (error) {
+    return handleError('Rate recipe', error);
+  }
+};
+
+/**
+ * Remove the caller's rating of a recipe (protected route)
+ */
+const deleteRating = async (event) => {
+  try {
+    const token = extractBearerToken(event.headers);
+    if (!token) {
+      return response(401, { error: 'Access token required' });
+    }
+    const userId = getVerifiedUserIdFromToken(token);
+
+    const recipe = await removeRating(recipes, ratings, userId, recipeId(event));
+    if (!recipe) {
+      return response(404, { error: 'Rating not found' });
+    }
+
+    return response(200, { message: 'Rating removed', recipe });
+
+  } catch (error) {
+    return handleError('Delete rating', error);
+  }
+};
+
+/**
+ * List the ratings and reviews of a recipe
+ */
+const getRatings = async (event) => {
+  try {
+    const found = await listRatings(recipes, ratings, optionalUserId(event), recipeId(event));
+    if (!found) {
+      return response(404, { error: 'Recipe not found' });
+    }
+
+    return response(200, { ratings: found });
+
+  } catch (error) {
+    return handleError('Get ratings', error);
+  }
+};
+
+module.exports = {
+  getRecipes,
+  searchRecipes,
+  createRecipe,
+  getRecipe,
+  updateRecipe,
+  deleteRecipe,
+  favoriteRecipe,
+  unfavoriteRecipe,
+  getFavorites,
+  rateRecipe,
+  deleteRating,
+  getRatings
+};
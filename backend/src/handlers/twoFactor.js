@@ -0,0 +1,201 @@
+const { response, tooManyRequests } = require('../utils/helpers');
+const {
+  twoFactorCodeSchema,
+  twoFactorFactorSchema,
+  twoFactorVerifySchema,
+  validate,
+  validationErrorBody
+} = require('../utils/validation');
+const {
+  signAccessToken,
+  verifyAccessToken,
+  verifyChallengeToken,
+  extractBearerToken
+} = require('../utils/tokens');
+const { issueRefreshToken } = require('../utils/refreshTokens');
+const {
+  startEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
+} = require('../utils/twoFactor');
+const { createMemoryStore, checkRateLimit } = require('../utils/rateLimiter');
+const refreshTokenStore = require('../models/refreshTokenStore');
+const twoFactorStore = require('../models/twoFactorStore');
+const { toPublicUser } = require('../utils/users');
+const { createDynamoRepositories } = require('../repositories/dynamodb');
+
+const { users } = createDynamoRepositories();
+// Counters must be shared across Lambda containers; memory is only a fallback
+const rateLimitStore = process.env.RATE_LIMITS_TABLE
+  ? require('../models/rateLimitStore')
+  : createMemoryStore();
+
+/**
+ * Decode the access token of a request
+ * @param {object} event - Lambda event
+ * @returns {object|null} Token payload, or null if there is no token
+ */
+const authenticate = (event) => {
+  const token = extractBearerToken(event.headers);
+  return token ? verifyAccessToken(token) : null;
+};
+
+/**
+ * Map known errors to responses
+ */
+const handleError = (label, error) => {
+  if (error.name === 'TwoFactorError') {
+    return response(400, { error: error.message });
+  }
+  if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
+    return response(401, { error: 'Invalid token' });
+  }
+  console.error(`${label} error:`, error);
+  return response(500, { error: 'Internal server error' });
+};
+
+/**
+ * Start 2FA enrollment - returns the secret and otpauth:// URI (protected route)
+ */
+const setup = async (event) => {
+  try {
+    const decoded = authenticate(event);
+    if (!decoded) {
+      return response(401, { error: 'Access token required' });
+    }
+
+    const enrollment = await startEnrollment(twoFactorStore, decoded);
+    return response(200, {
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      ...enrollment
+    });
+
+  } catch (error) {
+    return handleError('2FA setup', error);
+  }
+};
+
+/**
+ * Confirm 2FA enrollment with a first code - returns recovery codes (protected route)
+ */
+const confirm = async (event) => {
+  try {
+    const decoded = authenticate(event);
+    if (!decoded) {
+      return response(401, { error: 'Access token required' });
+    }
+
+    const body = JSON.parse(event.body || '{}');
+    const { value, errors } = validate(body, twoFactorCodeSchema);
+    if (errors) {
+      return response(400, validationErrorBody(errors));
+    }
+
+    const recoveryCodes = await confirmEnrollment(twoFactorStore, decoded.userId, value.code);
+    return response(200, {
+      message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe.',
+      recoveryCodes
+    });
+
+  } catch (error) {
+    return handleError('2FA confirm', error);
+  }
+};
+
+/**
+ * Complete a two-step login with the challenge token from /auth/login
+ */
+const verify = async (event) => {
+  try {
+    const body = JSON.parse(event.body || '{}');
+    const { value, errors } = validate(body, twoFactorVerifySchema);
+    if (errors) {
+      return response(400, validationErrorBody(errors));
+    }
+
+    const { userId } = verifyChallengeToken(value.challengeToken);
+
+    const rateLimit = await checkRateLimit(rateLimitStore, 'twoFactor', userId);
+    if (!rateLimit.allowed) {
+      return tooManyRequests(rateLimit.retryAfter);
+    }
+
+    await verifySecondFactor(twoFactorStore, userId, value);
+
+    const user = await users.findById(userId);
+    if (!user) {
+      return response(401, { error: 'Invalid token' });
+    }
+
+    return response(200, {
+      message: 'Login successful',
+      user: toPublicUser(user),
+      token: signAccessToken(user),
+      refreshToken: await issueRefreshToken(refreshTokenStore, userId)
+    });
+
+  } catch (error) {
+    return handleError('2FA verify', error);
+  }
+};
+
+/**
+ * Turn 2FA off - needs a current code or a recovery code (protected route)
+ */
+const disable = async (event) => {
+  try {
+    const decoded = authenticate(event);
+    if (!decoded) {
+      return response(401, { error: 'Access token required' });
+    }
+
+    const body = JSON.parse(event.body || '{}');
+    const { value, errors } = validate(body, twoFactorFactorSchema);
+    if (errors) {
+      return response(400, validationErrorBody(errors));
+    }
+
+    await disableTwoFactor(twoFactorStore, decoded.userId, value);
+    return response(200, { message: 'Two-factor authentication disabled' });
+
+  } catch (error) {
+    return handleError('2FA disable', error);
+  }
+};
+
+/**
+ * Replace the recovery codes - needs a current code (protected route)
+ */
+const recoveryCodes = async (event) => {
+  try {
+    const decoded = authenticate(event);
+    if (!decoded) {
+      return response(401, { error: 'Access token required' });
+    }
+
+    const body = JSON.parse(event.body || '{}');
+    const { value, errors } = validate(body, twoFactorCodeSchema);
+    if (errors) {
+      return response(400, validationErrorBody(errors));
+    }
+
+    const codes = await regenerateRecoveryCodes(twoFactorStore, decoded.userId, value.code);
+    return response(200, {
+      message: 'New recovery codes generated. Your old codes no longer work.',
+      recoveryCodes: codes
+    });
+
+  } catch (error) {
+    return handleError('2FA recovery codes', error);
+  }
+};
+
+module.exports = {
+  setup,
+  confirm,
+  verify,
+  disable,
+  recoveryCodes
+};
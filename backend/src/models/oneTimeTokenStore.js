@@ -0,0 +1,77 @@
+/**
+ * DynamoDB store for single-use tokens (password resets, email verification)
+ * See utils/passwordReset.js and utils/emailVerification.js
+ */
+const AWS = require('aws-sdk');
+
+const dynamodb = new AWS.DynamoDB.DocumentClient();
+
+/**
+ * Create a store backed by the table named in an environment variable
+ * @param {string} tableEnvName - e.g. 'PASSWORD_RESETS_TABLE'
+ * @returns {object} Store with save, findByHash, markUsed and invalidateForUser
+ */
+const createOneTimeTokenStore = (tableEnvName) => {
+  const tableName = () => process.env[tableEnvName];
+
+  const save = async (record) => {
+    await dynamodb.put({
+      TableName: tableName(),
+      Item: {
+        ...record,
+        ttl: Math.floor(record.expiresAt / 1000) // DynamoDB TTL expects epoch seconds
+      }
+    }).promise();
+  };
+
+  const findByHash = async (tokenHash) => {
+    const result = await dynamodb.get({
+      TableName: tableName(),
+      Key: { tokenHash }
+    }).promise();
+
+    return result.Item || null;
+  };
+
+  const markUsed = async (tokenHash) => {
+    try {
+      await dynamodb.update({
+        TableName: tableName(),
+        Key: { tokenHash },
+        UpdateExpression: 'SET usedAt = :now',
+        ConditionExpression: 'attribute_exists(tokenHash) AND attribute_not_exists(usedAt)',
+        ExpressionAttributeValues: { ':now': Date.now() }
+      }).promise();
+      return true;
+    } catch (error) {
+      if (error.code === 'ConditionalCheckFailedException') {
+        return false;
+      }
+      throw error;
+    }
+  };
+
+  const invalidateForUser = async (userId) => {
+    const result = await dynamodb.query({
+      TableName: tableName(),
+      IndexName: 'UserIndex',
+      KeyConditionExpression: 'userId = :userId',
+      ExpressionAttributeValues: { ':userId': userId }
+    }).promise();
+
+    await Promise.all(result.Items
+      .filter((item) => !item.usedAt)
+      .map((item) => markUsed(item.tokenHash)));
+  };
+
+  return {
+    save,
+    findByHash,
+    markUsed,
+    invalidateForUser
+  };
+};
+
+module.exports = {
+  createOneTimeTokenStore
+};
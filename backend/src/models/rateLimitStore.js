@@ -0,0 +1,71 @@
+/**
+ * DynamoDB store for rate limit counters and lockouts (see utils/rateLimiter.js)
+ * Shared by every Lambda container, unlike the in-memory store.
+ */
+const AWS = require('aws-sdk');
+
+const dynamodb = new AWS.DynamoDB.DocumentClient();
+
+const increment = async (key, windowMs) => {
+  const now = Date.now();
+
+  try {
+    // Count within the current window
+    const result = await dynamodb.update({
+      TableName: process.env.RATE_LIMITS_TABLE,
+      Key: { key },
+      UpdateExpression: 'ADD #count :one',
+      ConditionExpression: 'expiresAt > :now',
+      ExpressionAttributeNames: { '#count': 'count' },
+      ExpressionAttributeValues: { ':one': 1, ':now': now },
+      ReturnValues: 'ALL_NEW'
+    }).promise();
+    return { count: result.Attributes.count, expiresAt: result.Attributes.expiresAt };
+  } catch (error) {
+    if (error.code !== 'ConditionalCheckFailedException') {
+      throw error;
+    }
+  }
+
+  // No counter yet, or the window has passed - start a new one
+  const expiresAt = now + windowMs;
+  await dynamodb.put({
+    TableName: process.env.RATE_LIMITS_TABLE,
+    Item: { key, count: 1, expiresAt, ttl: Math.ceil(expiresAt / 1000) }
+  }).promise();
+  return { count: 1, expiresAt };
+};
+
+const get = async (key) => {
+  const result = await dynamodb.get({
+    TableName: process.env.RATE_LIMITS_TABLE,
+    Key: { key }
+  }).promise();
+
+  if (!result.Item || result.Item.expiresAt <= Date.now()) {
+    return null;
+  }
+  return result.Item.value;
+};
+
+const set = async (key, value, ttlMs) => {
+  const expiresAt = Date.now() + ttlMs;
+  await dynamodb.put({
+    TableName: process.env.RATE_LIMITS_TABLE,
+    Item: { key, value, expiresAt, ttl: Math.ceil(expiresAt / 1000) }
+  }).promise();
+};
+
+const remove = async (key) => {
+  await dynamodb.delete({
+    TableName: process.env.RATE_LIMITS_TABLE,
+    Key: { key }
+  }).promise();
+};
+
+module.exports = {
+  increment,
+  get,
+  set,
+  delete: remove
+};
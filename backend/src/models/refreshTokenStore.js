@@ -0,0 +1,90 @@
+/**
+ * DynamoDB store for refresh tokens (see utils/refreshTokens.js)
+ */
+const AWS = require('aws-sdk');
+
+const dynamodb = new AWS.DynamoDB.DocumentClient();
+
+/**
+ * Revoke every active token returned by a GSI query
+ * @param {string} indexName - GSI to query
+ * @param {string} keyName - Partition key of the index
+ * @param {string} keyValue - Partition key value
+ */
+const revokeByIndex = async (indexName, keyName, keyValue) => {
+  const now = Date.now();
+  let lastEvaluatedKey;
+
+  do {
+    const result = await dynamodb.query({
+      TableName: process.env.REFRESH_TOKENS_TABLE,
+      IndexName: indexName,
+      KeyConditionExpression: '#key = :value',
+      ExpressionAttributeNames: { '#key': keyName },
+      ExpressionAttributeValues: { ':value': keyValue },
+      ExclusiveStartKey: lastEvaluatedKey
+    }).promise();
+
+    const active = result.Items.filter((item) => !item.revokedAt);
+    await Promise.all(active.map((item) => dynamodb.update({
+      TableName: process.env.REFRESH_TOKENS_TABLE,
+      Key: { tokenHash: item.tokenHash },
+      UpdateExpression: 'SET revokedAt = if_not_exists(revokedAt, :now)',
+      ExpressionAttributeValues: { ':now': now }
+    }).promise()));
+
+    lastEvaluatedKey = result.LastEvaluatedKey;
+  } while (lastEvaluatedKey);
+};
+
+const save = async (record) => {
+  await dynamodb.put({
+    TableName: process.env.REFRESH_TOKENS_TABLE,
+    Item: {
+      ...record,
+      ttl: Math.floor(record.expiresAt / 1000) // DynamoDB TTL expects epoch seconds
+    }
+  }).promise();
+};
+
+const findByHash = async (tokenHash) => {
+  const result = await dynamodb.get({
+    TableName: process.env.REFRESH_TOKENS_TABLE,
+    Key: { tokenHash }
+  }).promise();
+
+  return result.Item || null;
+};
+
+const revoke = async (tokenHash, replacedBy) => {
+  try {
+    await dynamodb.update({
+      TableName: process.env.REFRESH_TOKENS_TABLE,
+      Key: { tokenHash },
+      UpdateExpression: 'SET revokedAt = :now, replacedBy = :replacedBy',
+      ConditionExpression: 'attribute_exists(tokenHash) AND attribute_not_exists(revokedAt)',
+      ExpressionAttributeValues: {
+        ':now': Date.now(),
+        ':replacedBy': replacedBy
+      }
+    }).promise();
+    return true;
+  } catch (error) {
+    if (error.code === 'ConditionalCheckFailedException') {
+      return false;
+    }
+    throw error;
+  }
+};
+
+const revokeFamily = (familyId) => revokeByIndex('FamilyIndex', 'familyId', familyId);
+
+const revokeAllForUser = (userId) => revokeByIndex('UserTokensIndex', 'userId', userId);
+
+module.exports = {
+  save,
+  findByHash,
+  revoke,
+  revokeFamily,
+  revokeAllForUser
+};
@@ -0,0 +1,104 @@
+/**
+ * DynamoDB store for TOTP two-factor settings (see utils/twoFactor.js)
+ * Kept out of the users table so secrets never end up in user responses.
+ */
+const AWS = require('aws-sdk');
+
+const dynamodb = new AWS.DynamoDB.DocumentClient();
+
+const get = async (userId) => {
+  const result = await dynamodb.get({
+    TableName: process.env.TWO_FACTOR_TABLE,
+    Key: { userId }
+  }).promise();
+
+  return result.Item || null;
+};
+
+const savePending = async (userId, secret) => {
+  await dynamodb.update({
+    TableName: process.env.TWO_FACTOR_TABLE,
+    Key: { userId },
+    UpdateExpression: 'SET pendingSecret = :secret',
+    ExpressionAttributeValues: { ':secret': secret }
+  }).promise();
+};
+
+const enable = async (userId, secret, lastUsedStep, recoveryCodeHashes) => {
+  await dynamodb.update({
+    TableName: process.env.TWO_FACTOR_TABLE,
+    Key: { userId },
+    UpdateExpression: 'SET enabled = :true, secret = :secret, lastUsedStep = :step, recoveryCodes = :codes REMOVE pendingSecret',
+    ExpressionAttributeValues: {
+      ':true': true,
+      ':secret': secret,
+      ':step': lastUsedStep,
+      ':codes': dynamodb.createSet(recoveryCodeHashes)
+    }
+  }).promise();
+};
+
+const setLastUsedStep = async (userId, step) => {
+  try {
+    await dynamodb.update({
+      TableName: process.env.TWO_FACTOR_TABLE,
+      Key: { userId },
+      UpdateExpression: 'SET lastUsedStep = :step',
+      ConditionExpression: 'attribute_not_exists(lastUsedStep) OR lastUsedStep < :step',
+      ExpressionAttributeValues: { ':step': step }
+    }).promise();
+    return true;
+  } catch (error) {
+    if (error.code === 'ConditionalCheckFailedException') {
+      return false;
+    }
+    throw error;
+  }
+};
+
+const useRecoveryCode = async (userId, codeHash) => {
+  try {
+    await dynamodb.update({
+      TableName: process.env.TWO_FACTOR_TABLE,
+      Key: { userId },
+      UpdateExpression: 'DELETE recoveryCodes :code',
+      ConditionExpression: 'contains(recoveryCodes, :hash)',
+      ExpressionAttributeValues: {
+        ':code': dynamodb.createSet([codeHash]),
+        ':hash': codeHash
+      }
+    }).promise();
+    return true;
+  } catch (error) {
+    if (error.code === 'ConditionalCheckFailedException') {
+      return false;
+    }
+    throw error;
+  }
+};
+
+const replaceRecoveryCodes = async (userId, recoveryCodeHashes) => {
+  await dynamodb.update({
+    TableName: process.env.TWO_FACTOR_TABLE,
+    Key: { userId },
+    UpdateExpression: 'SET recoveryCodes = :codes',
+    ExpressionAttributeValues: { ':codes': dynamodb.createSet(recoveryCodeHashes) }
+  }).promise();
+};
+
+const disable = async (userId) => {
+  await dynamodb.delete({
+    TableName: process.env.TWO_FACTOR_TABLE,
+    Key: { userId }
+  }).promise();
+};
+
+module.exports = {
+  get,
+  savePending,
+  enable,
+  setLastUsedStep,
+  useRecoveryCode,
+  replaceRecoveryCodes,
+  disable
+};
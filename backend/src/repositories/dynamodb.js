@@ -0,0 +1,774 @@
+/**
+ * DynamoDB user, task, list, tag, share, recipe, favorite, rating and pantry repositories, used by the
+ * Lambda handlers.
+ *
+ * Items keep their existing layout (userId/taskId/recipeId keys, epoch ms timestamps)
+ * and are converted to the shared shape on the way out.
+ *   USERS_TABLE   - key userId, EmailIndex GSI on email
+ *   TASKS_TABLE   - key userId + taskId, subtasks kept in a list on the task and
+ *                   its tags as tagIds; deleted tasks carry deletedAt and a ttl,
+ *                   so DynamoDB purges them after the trash retention period;
+ *                   version counts the changes to a task
+ *   TASK_LISTS_TABLE - key userId + listId
+ *   TASK_TAGS_TABLE  - key userId + tagId
+ *   LIST_SHARES_TABLE - key listId + userId, UserSharesIndex GSI on userId
+ *   RECIPES_TABLE - key recipeId, UserRecipesIndex (userId + createdAt) and
+ *                   PublicRecipesIndex (isPublic as 'true'/'false' + createdAt);
+ *                   ratingTotal and ratingCount summarise its ratings
+ *   FAVORITES_TABLE - key userId + recipeId
+ *   RATINGS_TABLE   - key recipeId + userId
+ *   PANTRY_TABLE    - key userId
+ */
+const AWS = require('aws-sdk');
+const { v4: uuidv4 } = require('uuid');
+const { filterTasks, taskMatcher, dueAt } = require('../utils/taskQuery');
+const { getTrashRetentionDays } = require('../utils/tasks');
+const { encodeCursor, decodeCursor, averageRating, RecipeCursorError } = require('../utils/recipes');
+
+const toIsoString = (value) => (value === undefined || value === null ? value : new Date(value).toISOString());
+
+const toUser = (item) => {
+  if (!item) return null;
+  const { userId, ...user } = item;
+  return {
+    id: userId,
+    ...user,
+    isVerified: Boolean(item.isVerified),
+    createdAt: toIsoString(item.createdAt),
+    updatedAt: toIsoString(item.updatedAt)
+  };
+};
+
+const toTask = (item) => {
+  if (!item) return null;
+  const { taskId, ttl, ...task } = item;
+  return {
+    id: taskId,
+    ...task,
+    completed: Boolean(item.completed),
+    dueDate: item.dueDate || null,
+    autoComplete: Boolean(item.autoComplete),
+    recurrence: item.recurrence || null,
+    reminders: item.reminders || [],
+    seriesId: item.seriesId || null,
+    occurrence: item.occurrence || null,
+    listId: item.listId || null,
+    completedBy: item.completedBy || null,
+    completedAt: item.completedAt ? toIsoString(item.completedAt) : null,
+    version: item.version || 1,
+    deletedAt: item.deletedAt ? toIsoString(item.deletedAt) : null,
+    tagIds: item.tagIds || [],
+    subtasks: (item.subtasks || []).slice().sort((a, b) => a.position - b.position),
+    createdAt: toIsoString(item.createdAt),
+    updatedAt: toIsoString(item.updatedAt)
+  };
+};
+
+// DynamoDB removes expired items some time after their ttl, so the trash checks it too
+const isPurged = (item) => Boolean(item.ttl) && item.ttl * 1000 <= Date.now();
+
+// Lists and tags keep their id under listId / tagId
+const toLabel = (item, idKey) => {
+  if (!item) return null;
+  const { [idKey]: id, ...label } = item;
+  return {
+    id,
+    ...label,
+    color: item.color || null,
+    createdAt: toIsoString(item.createdAt),
+    updatedAt: toIsoString(item.updatedAt)
+  };
+};
+
+const toList = (item) => toLabel(item, 'listId');
+
+const toTag = (item) => toLabel(item, 'tagId');
+
+const byPosition = (a, b) => a.position - b.position || a.createdAt.localeCompare(b.createdAt);
+
+const byName = (a, b) => a.name.toLowerCase().localeCompare(b.name.toLowerCase()) || a.id.localeCompare(b.id);
+
+const sameName = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+// isPublic is a GSI key, so it is stored as a string
+const toRecipeItem = (fields) => {
+  const item = { ...fields };
+  if (fields.isPublic !== undefined) {
+    item.isPublic = String(Boolean(fields.isPublic));
+  }
+  return item;
+};
+
+const toRecipe = (item) => {
+  if (!item) return null;
+  const { recipeId, ratingTotal = 0, ratingCount = 0, ...recipe } = item;
+  return {
+    id: recipeId,
+    ...recipe,
+    isPublic: item.isPublic === 'true',
+    ratingCount,
+    averageRating: averageRating(ratingTotal, ratingCount),
+    createdAt: toIsoString(item.createdAt),
+    updatedAt: toIsoString(item.updatedAt)
+  };
+};
+
+const withIsoTimestamps = (item) => item && {
+  ...item,
+  createdAt: toIsoString(item.createdAt),
+  ...(item.updatedAt !== undefined && { updatedAt: toIsoString(item.updatedAt) })
+};
+
+const newestFirst = (a, b) => b.createdAt - a.createdAt;
+
+const countCompleted = (items) => {
+  const completed = items.filter((item) => item.completed).length;
+  return { total: items.length, completed, remaining: items.length - completed };
+};
+
+// A rating and its recipe's summary are written in one transaction guarded by the
+// rating read beforehand; a concurrent change cancels it and it is retried
+const RATING_WRITE_ATTEMPTS = 3;
+
+// LastEvaluatedKey of an index query holds exactly these attributes
+const RECIPE_CURSOR_KEYS = {
+  UserRecipesIndex: ['recipeId', 'userId', 'createdAt'],
+  PublicRecipesIndex: ['recipeId', 'isPublic', 'createdAt']
+};
+
+/**
+ * Create the repositories
+ * @param {object} [dynamodb] - DocumentClient, a new one by default
+ * @returns {{users: object, tasks: object, lists: object, tags: object, shares: object, recipes: object,
+ *   favorites: object, ratings: object, pantries: object}}
+ */
+const createDynamoRepositories = (dynamodb = new AWS.DynamoDB.DocumentClient()) => {
+  // SET for every key of `fields` plus updatedAt, and counting up version when
+  // `versioned`; resolves to null if the item does not exist, or has none of
+  // `versions` when they are given
+  const updateItem = async (TableName, Key, fields, versioned = false, versions) => {
+    const keys = Object.keys(fields);
+    const names = {};
+    const values = { ':updatedAt': Date.now(), ...(versioned && { ':one': 1 }) };
+    const conditions = [`attribute_exists(${Object.keys(Key)[0]})`];
+    if (versions) {
+      if (versions.length === 0) return null;
+      const allowed = versions.map((version, index) => {
+        values[`:v${index}`] = version;
+        return `:v${index}`;
+      });
+      conditions.push(`version IN (${allowed.join(', ')})`);
+    }
+    const touched = ['updatedAt = :updatedAt', ...(versioned ? ['version = if_not_exists(version, :one) + :one'] : [])];
+    keys.forEach((key, index) => {
+      names[`#f${index}`] = key;
+      values[`:f${index}`] = fields[key];
+    });
+
+    try {
+      const result = await dynamodb.update({
+        TableName,
+        Key,
+        UpdateExpression: `SET ${keys.map((key, index) => `#f${index} = :f${index}`).concat(touched).join(', ')}`,
+        ConditionExpression: conditions.join(' AND '),
+        ...(keys.length > 0 && { ExpressionAttributeNames: names }),
+        ExpressionAttributeValues: values,
+        ReturnValues: 'ALL_NEW'
+      }).promise();
+      return result.Attributes;
+    } catch (error) {
+      if (error.code === 'ConditionalCheckFailedException') {
+        return null;
+      }
+      throw error;
+    }
+  };
+
+  // Tasks count their changes in version (their ETag)
+  const updateTaskItem = (Key, fields, versions) => updateItem(process.env.TASKS_TABLE, Key, fields, true, versions);
+
+  // Every item under a partition key of a table or index, following pagination
+  const queryAll = async (TableName, keyName, keyValue, IndexName) => {
+    const items = [];
+    let ExclusiveStartKey;
+    do {
+      const result = await dynamodb.query({
+        TableName,
+        IndexName,
+        KeyConditionExpression: '#key = :value',
+        ExpressionAttributeNames: { '#key': keyName },
+        ExpressionAttributeValues: { ':value': keyValue },
+        ExclusiveStartKey
+      }).promise();
+      items.push(...result.Items);
+      ExclusiveStartKey = result.LastEvaluatedKey;
+    } while (ExclusiveStartKey);
+    return items;
+  };
+
+  // Write a task's whole subtask list; false if the task is gone
+  const saveSubtasks = async (userId, taskId, subtasks) => {
+    return Boolean(await updateTaskItem({ userId, taskId }, { subtasks }));
+  };
+
+  // Tasks keep the ids of their tags; they leave with the tags themselves, by name
+  const withTags = async (userId, taskList) => {
+    const tagged = taskList.some((task) => task && task.tagIds.length > 0);
+    const userTags = tagged ? await tags.list(userId) : [];
+    return taskList.map((task) => {
+      if (!task) return null;
+      const { tagIds, ...rest } = task;
+      return {
+        ...rest,
+        tags: userTags.filter((tag) => tagIds.includes(tag.id)).map(({ id, name, color }) => ({ id, name, color }))
+      };
+    });
+  };
+
+  const withTaskTags = async (userId, task) => (await withTags(userId, [task]))[0];
+
+  const queryTasks = async (userId) => withTags(userId, (await queryAll(process.env.TASKS_TABLE, 'userId', userId)).map(toTask));
+
+  const users = {
+    findById: async (id) => {
+      const result = await dynamodb.get({
+        TableName: process.env.USERS_TABLE,
+        Key: { userId: id }
+      }).promise();
+      return toUser(result.Item);
+    },
+    findByEmail: async (email) => {
+      const result = await dynamodb.query({
+        TableName: process.env.USERS_TABLE,
+        IndexName: 'EmailIndex',
+        KeyConditionExpression: 'email = :email',
+        ExpressionAttributeValues: { ':email': email }
+      }).promise();
+      return toUser(result.Items[0]);
+    },
+    create: async ({ firstName, lastName, email, passwordHash, preferredLanguage = 'en', isVerified = false }) => {
+      const timestamp = Date.now();
+      const item = {
+        userId: uuidv4(),
+        email,
+        passwordHash,
+        firstName,
+        lastName,
+        preferredLanguage,
+        isVerified,
+        createdAt: timestamp,
+        updatedAt: timestamp
+      };
+
+      await dynamodb.put({
+        TableName: process.env.USERS_TABLE,
+        Item: item,
+        ConditionExpression: 'attribute_not_exists(userId)'
+      }).promise();
+
+      return toUser(item);
+    },
+    update: async (id, fields) => {
+      return toUser(await updateItem(process.env.USERS_TABLE, { userId: id }, fields));
+    }
+  };
+
+  const tasks = {
+    list: async (userId, options) => filterTasks(await queryTasks(userId), options),
+    findById: async (userId, id) => {
+      const result = await dynamodb.get({
+        TableName: process.env.TASKS_TABLE,
+        Key: { userId, taskId: id }
+      }).promise();
+      if (!result.Item || result.Item.deletedAt) return null;
+      return withTaskTags(userId, toTask(result.Item));
+    },
+    create: async (userId, fields) => {
+      const { text, priority = 'medium', dueDate = null, autoComplete = false } = fields;
+      const { recurrence = null, reminders = [], seriesId = null, occurrence = null, listId = null } = fields;
+      const timestamp = Date.now();
+      const item = {
+        userId,
+        taskId: uuidv4(),
+        text,
+        completed: false,
+        priority,
+        dueDate,
+        autoComplete,
+        recurrence,
+        reminders,
+        seriesId,
+        occurrence,
+        listId,
+        completedBy: null,
+        completedAt: null,
+        subtasks: [],
+        tagIds: [],
+        version: 1,
+        createdAt: timestamp,
+        updatedAt: timestamp
+      };
+
+      await dynamodb.put({
+        TableName: process.env.TASKS_TABLE,
+        Item: item
+      }).promise();
+
+      return withTaskTags(userId, toTask(item));
+    },
+    // completedAt is set when a task is completed and cleared when it is reopened
+    update: async (userId, id, fields, { versions } = {}) => {
+      const changes = { ...fields };
+      if (fields.completed !== undefined) {
+        const before = await tasks.findById(userId, id);
+        if (!before) return null;
+        const completedAt = before.completedAt ? Date.parse(before.completedAt) : Date.now();
+        changes.completedAt = fields.completed ? completedAt : null;
+      }
+      return withTaskTags(userId, toTask(await updateTaskItem({ userId, taskId: id }, changes, versions)));
+    },
+    delete: async (userId, id, { versions } = {}) => {
+      if (!await tasks.findById(userId, id)) return false;
+      const deletedAt = Date.now();
+      const ttl = Math.floor((deletedAt + getTrashRetentionDays() * 24 * 60 * 60 * 1000) / 1000);
+      return Boolean(await updateTaskItem({ userId, taskId: id }, { deletedAt, ttl }, versions));
+    },
+    restore: async (userId, id) => {
+      const result = await dynamodb.get({
+        TableName: process.env.TASKS_TABLE,
+        Key: { userId, taskId: id }
+      }).promise();
+      if (!result.Item || !result.Item.deletedAt || isPurged(result.Item)) return null;
+      const item = await updateTaskItem({ userId, taskId: id }, { deletedAt: null, ttl: null });
+      return withTaskTags(userId, toTask(item));
+    },
+    listDeleted: async (userId) => {
+      const items = (await queryAll(process.env.TASKS_TABLE, 'userId', userId))
+        .filter((item) => item.deletedAt && !isPurged(item))
+        .sort((a, b) => b.deletedAt - a.deletedAt);
+      return withTags(userId, items.map(toTask));
+    },
+    // The ttl set by delete does this in DynamoDB
+    purgeDeleted: async () => [],
+    // Without a sequence across items, changes are ordered by updatedAt (ms). Tasks
+    // changed in the millisecond of `since` come again, as a later change may share it.
+    changedSince: async (userId, since) => {
+      const items = (await queryAll(process.env.TASKS_TABLE, 'userId', userId))
+        .filter((item) => item.updatedAt >= since && !isPurged(item))
+        .sort((a, b) => a.updatedAt - b.updatedAt);
+      return {
+        tasks: await withTags(userId, items.map(toTask)),
+        last: Math.max(since, ...items.map((item) => item.updatedAt))
+      };
+    },
+    // Across users, so the whole table is scanned
+    dueBetween: async (from, to) => {
+      const items = [];
+      let ExclusiveStartKey;
+      do {
+        const result = await dynamodb.scan({
+          TableName: process.env.TASKS_TABLE,
+          FilterExpression: 'completed = :false AND attribute_type(dueDate, :string)',
+          ExpressionAttributeValues: { ':false': false, ':string': 'S' },
+          ExclusiveStartKey
+        }).promise();
+        items.push(...result.Items);
+        ExclusiveStartKey = result.LastEvaluatedKey;
+      } while (ExclusiveStartKey);
+
+      const due = items
+        .map(toTask)
+        .filter((task) => !task.deletedAt && dueAt(task) >= from.getTime() && dueAt(task) <= to.getTime());
+      const byUser = new Map();
+      due.forEach((task) => byUser.set(task.userId, [...(byUser.get(task.userId) || []), task]));
+      const tagged = await Promise.all([...byUser].map(([userId, taskList]) => withTags(userId, taskList)));
+      return tagged.flat().sort((a, b) => dueAt(a) - dueAt(b) || a.id.localeCompare(b.id));
+    },
+    stats: async (userId, options = {}) => {
+      const owned = (await queryTasks(userId)).filter(taskMatcher(options));
+      return { ...countCompleted(owned), subtasks: countCompleted(owned.flatMap((task) => task.subtasks)) };
+    },
+    setTags: async (userId, taskId, tagIds) => {
+      return Boolean(await updateTaskItem({ userId, taskId }, { tagIds }));
+    },
+    addSubtask: async (userId, taskId, text) => {
+      const task = await tasks.findById(userId, taskId);
+      if (!task) return null;
+      const position = Math.max(-1, ...task.subtasks.map((subtask) => subtask.position)) + 1;
+      const subtask = { id: uuidv4(), text, completed: false, position };
+      return (await saveSubtasks(userId, taskId, [...task.subtasks, subtask])) && subtask;
+    },
+    updateSubtask: async (userId, taskId, subtaskId, fields) => {
+      const task = await tasks.findById(userId, taskId);
+      const subtask = task && task.subtasks.find((row) => row.id === subtaskId);
+      if (!subtask) return null;
+      Object.assign(subtask, fields);
+      return (await saveSubtasks(userId, taskId, task.subtasks)) && subtask;
+    },
+    deleteSubtask: async (userId, taskId, subtaskId) => {
+      const task = await tasks.findById(userId, taskId);
+      if (!task || !task.subtasks.some((row) => row.id === subtaskId)) return false;
+      return saveSubtasks(userId, taskId, task.subtasks.filter((row) => row.id !== subtaskId));
+    },
+    reorderSubtasks: async (userId, taskId, ids) => {
+      const task = await tasks.findById(userId, taskId);
+      if (!task) return false;
+      return saveSubtasks(userId, taskId, task.subtasks.map((subtask) => ({ ...subtask, position: ids.indexOf(subtask.id) })));
+    }
+  };
+
+  // Change some fields of every task of the user that `matches`
+  const updateTasksWhere = async (userId, matches, fieldsOf) => {
+    const items = await queryAll(process.env.TASKS_TABLE, 'userId', userId);
+    await Promise.all(items
+      .filter(matches)
+      .map((item) => updateTaskItem({ userId, taskId: item.taskId }, fieldsOf(item))));
+  };
+
+  const lists = {
+    list: async (userId) => (await queryAll(process.env.TASK_LISTS_TABLE, 'userId', userId)).map(toList).sort(byPosition),
+    findById: async (userId, id) => {
+      const result = await dynamodb.get({
+        TableName: process.env.TASK_LISTS_TABLE,
+        Key: { userId, listId: id }
+      }).promise();
+      return toList(result.Item);
+    },
+    findByName: async (userId, name) => (await lists.list(userId)).find((list) => sameName(list.name, name)) || null,
+    create: async (userId, { name, color = null }) => {
+      const existing = await lists.list(userId);
+      const timestamp = Date.now();
+      const item = {
+        userId,
+        listId: uuidv4(),
+        name,
+        color,
+        position: Math.max(-1, ...existing.map((list) => list.position)) + 1,
+        createdAt: timestamp,
+        updatedAt: timestamp
+      };
+
+      await dynamodb.put({
+        TableName: process.env.TASK_LISTS_TABLE,
+        Item: item
+      }).promise();
+
+      return toList(item);
+    },
+    update: async (userId, id, fields) => {
+      return toList(await updateItem(process.env.TASK_LISTS_TABLE, { userId, listId: id }, fields));
+    },
+    reorder: async (userId, ids) => {
+      await Promise.all(ids.map((id, position) => updateItem(process.env.TASK_LISTS_TABLE, { userId, listId: id }, { position })));
+    },
+    delete: async (userId, id) => {
+      const result = await dynamodb.delete({
+        TableName: process.env.TASK_LISTS_TABLE,
+        Key: { userId, listId: id },
+        ReturnValues: 'ALL_OLD'
+      }).promise();
+      if (!result.Attributes) return false;
+      await updateTasksWhere(userId, (item) => item.listId === id, () => ({ listId: null }));
+      const listShares = await queryAll(process.env.LIST_SHARES_TABLE, 'listId', id);
+      await Promise.all(listShares.map((share) => shares.delete(id, share.userId)));
+      return true;
+    }
+  };
+
+  const tags = {
+    list: async (userId) => (await queryAll(process.env.TASK_TAGS_TABLE, 'userId', userId)).map(toTag).sort(byName),
+    findById: async (userId, id) => {
+      const result = await dynamodb.get({
+        TableName: process.env.TASK_TAGS_TABLE,
+        Key: { userId, tagId: id }
+      }).promise();
+      return toTag(result.Item);
+    },
+    findByName: async (userId, name) => (await tags.list(userId)).find((tag) => sameName(tag.name, name)) || null,
+    create: async (userId, { name, color = null }) => {
+      const timestamp = Date.now();
+      const item = { userId, tagId: uuidv4(), name, color, createdAt: timestamp, updatedAt: timestamp };
+
+      await dynamodb.put({
+        TableName: process.env.TASK_TAGS_TABLE,
+        Item: item
+      }).promise();
+
+      return toTag(item);
+    },
+    update: async (userId, id, fields) => {
+      return toTag(await updateItem(process.env.TASK_TAGS_TABLE, { userId, tagId: id }, fields));
+    },
+    delete: async (userId, id) => {
+      const result = await dynamodb.delete({
+        TableName: process.env.TASK_TAGS_TABLE,
+        Key: { userId, tagId: id },
+        ReturnValues: 'ALL_OLD'
+      }).promise();
+      if (!result.Attributes) return false;
+      await updateTasksWhere(
+        userId,
+        (item) => (item.tagIds || []).includes(id),
+        (item) => ({ tagIds: item.tagIds.filter((tagId) => tagId !== id) })
+      );
+      return true;
+    }
+  };
+
+  const byCreation = (a, b) => a.createdAt - b.createdAt;
+
+  const shares = {
+    find: async (listId, userId) => {
+      const result = await dynamodb.get({
+        TableName: process.env.LIST_SHARES_TABLE,
+        Key: { listId, userId }
+      }).promise();
+      return withIsoTimestamps(result.Item);
+    },
+    listByList: async (listId) => {
+      const items = await queryAll(process.env.LIST_SHARES_TABLE, 'listId', listId);
+      return items.sort(byCreation).map(withIsoTimestamps);
+    },
+    listByUser: async (userId) => {
+      const items = await queryAll(process.env.LIST_SHARES_TABLE, 'userId', userId, 'UserSharesIndex');
+      return items.sort(byCreation).map(withIsoTimestamps);
+    },
+    save: async (listId, userId, { ownerId, role, status }) => {
+      const timestamp = Date.now();
+      const result = await dynamodb.update({
+        TableName: process.env.LIST_SHARES_TABLE,
+        Key: { listId, userId },
+        UpdateExpression: 'SET ownerId = :ownerId, #role = :role, #status = :status, '
+          + 'createdAt = if_not_exists(createdAt, :now), updatedAt = :now',
+        ExpressionAttributeNames: { '#role': 'role', '#status': 'status' },
+        ExpressionAttributeValues: { ':ownerId': ownerId, ':role': role, ':status': status, ':now': timestamp },
+        ReturnValues: 'ALL_NEW'
+      }).promise();
+      return withIsoTimestamps(result.Attributes);
+    },
+    delete: async (listId, userId) => {
+      const result = await dynamodb.delete({
+        TableName: process.env.LIST_SHARES_TABLE,
+        Key: { listId, userId },
+        ReturnValues: 'ALL_OLD'
+      }).promise();
+      return Boolean(result.Attributes);
+    }
+  };
+
+  // One page of an index, newest first
+  const queryRecipes = async (IndexName, keyName, keyValue, { limit, cursor }) => {
+    let ExclusiveStartKey;
+    if (cursor) {
+      ExclusiveStartKey = decodeCursor(cursor);
+      const keys = Object.keys(ExclusiveStartKey).sort();
+      if (keys.join() !== RECIPE_CURSOR_KEYS[IndexName].slice().sort().join() || ExclusiveStartKey[keyName] !== keyValue) {
+        throw new RecipeCursorError();
+      }
+    }
+
+    const result = await dynamodb.query({
+      TableName: process.env.RECIPES_TABLE,
+      IndexName,
+      KeyConditionExpression: '#key = :value',
+      ExpressionAttributeNames: { '#key': keyName },
+      ExpressionAttributeValues: { ':value': keyValue },
+      ScanIndexForward: false,
+      Limit: limit,
+      ExclusiveStartKey
+    }).promise();
+
+    return {
+      recipes: result.Items.map(toRecipe),
+      nextCursor: result.LastEvaluatedKey ? encodeCursor(result.LastEvaluatedKey) : null
+    };
+  };
+
+  const recipes = {
+    findById: async (id) => {
+      const result = await dynamodb.get({
+        TableName: process.env.RECIPES_TABLE,
+        Key: { recipeId: id }
+      }).promise();
+      return toRecipe(result.Item);
+    },
+    listByUser: (userId, page) => queryRecipes('UserRecipesIndex', 'userId', userId, page),
+    listPublic: (page) => queryRecipes('PublicRecipesIndex', 'isPublic', 'true', page),
+    listVisible: async (userId) => {
+      const [shared, own] = await Promise.all([
+        queryAll(process.env.RECIPES_TABLE, 'isPublic', 'true', 'PublicRecipesIndex'),
+        userId ? queryAll(process.env.RECIPES_TABLE, 'userId', userId, 'UserRecipesIndex') : []
+      ]);
+      const items = own.filter((item) => item.isPublic !== 'true').concat(shared);
+      return items.sort((a, b) => newestFirst(a, b) || b.recipeId.localeCompare(a.recipeId)).map(toRecipe);
+    },
+    create: async (userId, fields) => {
+      const timestamp = Date.now();
+      const item = {
+        ...toRecipeItem(fields),
+        recipeId: uuidv4(),
+        userId,
+        ratingTotal: 0,
+        ratingCount: 0,
+        createdAt: timestamp,
+        updatedAt: timestamp
+      };
+
+      await dynamodb.put({
+        TableName: process.env.RECIPES_TABLE,
+        Item: item
+      }).promise();
+
+      return toRecipe(item);
+    },
+    update: async (id, fields) => {
+      return toRecipe(await updateItem(process.env.RECIPES_TABLE, { recipeId: id }, toRecipeItem(fields)));
+    },
+    delete: async (id) => {
+      const result = await dynamodb.delete({
+        TableName: process.env.RECIPES_TABLE,
+        Key: { recipeId: id },
+        ReturnValues: 'ALL_OLD'
+      }).promise();
+      return Boolean(result.Attributes);
+    }
+  };
+
+  const favorites = {
+    add: async (userId, recipeId) => {
+      const item = { userId, recipeId, createdAt: Date.now() };
+      try {
+        await dynamodb.put({
+          TableName: process.env.FAVORITES_TABLE,
+          Item: item,
+          ConditionExpression: 'attribute_not_exists(userId)'
+        }).promise();
+        return withIsoTimestamps(item);
+      } catch (error) {
+        if (error.code !== 'ConditionalCheckFailedException') {
+          throw error;
+        }
+      }
+
+      const result = await dynamodb.get({
+        TableName: process.env.FAVORITES_TABLE,
+        Key: { userId, recipeId }
+      }).promise();
+      return withIsoTimestamps(result.Item);
+    },
+    remove: async (userId, recipeId) => {
+      const result = await dynamodb.delete({
+        TableName: process.env.FAVORITES_TABLE,
+        Key: { userId, recipeId },
+        ReturnValues: 'ALL_OLD'
+      }).promise();
+      return Boolean(result.Attributes);
+    },
+    listByUser: async (userId) => {
+      const items = await queryAll(process.env.FAVORITES_TABLE, 'userId', userId);
+      return items.sort(newestFirst).map(withIsoTimestamps);
+    }
+  };
+
+  const getRatingItem = async (recipeId, userId) => {
+    const result = await dynamodb.get({
+      TableName: process.env.RATINGS_TABLE,
+      Key: { recipeId, userId },
+      ConsistentRead: true
+    }).promise();
+    return result.Item;
+  };
+
+  // Write a rating change and adjust the recipe's summary, unless the rating changed since it was read
+  const writeRating = async (operation, request, recipeId, previous, total, count) => {
+    const guard = previous
+      ? { ConditionExpression: 'rating = :previous', ExpressionAttributeValues: { ':previous': previous.rating } }
+      : { ConditionExpression: 'attribute_not_exists(userId)' };
+
+    try {
+      await dynamodb.transactWrite({
+        TransactItems: [
+          { [operation]: { TableName: process.env.RATINGS_TABLE, ...request, ...guard } },
+          {
+            Update: {
+              TableName: process.env.RECIPES_TABLE,
+              Key: { recipeId },
+              UpdateExpression: 'ADD ratingTotal :total, ratingCount :count',
+              ConditionExpression: 'attribute_exists(recipeId)',
+              ExpressionAttributeValues: { ':total': total, ':count': count }
+            }
+          }
+        ]
+      }).promise();
+      return true;
+    } catch (error) {
+      if (error.code === 'TransactionCanceledException') {
+        return false;
+      }
+      throw error;
+    }
+  };
+
+  const ratings = {
+    find: async (recipeId, userId) => withIsoTimestamps(await getRatingItem(recipeId, userId)),
+    listByRecipe: async (recipeId) => {
+      const items = await queryAll(process.env.RATINGS_TABLE, 'recipeId', recipeId);
+      return items.sort(newestFirst).map(withIsoTimestamps);
+    },
+    save: async (recipeId, userId, { rating, review = '' }) => {
+      for (let attempt = 0; attempt < RATING_WRITE_ATTEMPTS; attempt++) {
+        const previous = await getRatingItem(recipeId, userId);
+        const timestamp = Date.now();
+        const item = {
+          recipeId,
+          userId,
+          rating,
+          review,
+          createdAt: previous ? previous.createdAt : timestamp,
+          updatedAt: timestamp
+        };
+
+        const change = previous ? rating - previous.rating : rating;
+        if (await writeRating('Put', { Item: item }, recipeId, previous, change, previous ? 0 : 1)) {
+          return withIsoTimestamps(item);
+        }
+      }
+      throw new Error('Rating was changed concurrently');
+    },
+    delete: async (recipeId, userId) => {
+      for (let attempt = 0; attempt < RATING_WRITE_ATTEMPTS; attempt++) {
+        const previous = await getRatingItem(recipeId, userId);
+        if (!previous) return false;
+
+        if (await writeRating('Delete', { Key: { recipeId, userId } }, recipeId, previous, -previous.rating, -1)) {
+          return true;
+        }
+      }
+      throw new Error('Rating was changed concurrently');
+    }
+  };
+
+  const toPantry = (item) => item && { spices: [], ingredients: [], ...item, updatedAt: toIsoString(item.updatedAt) };
+
+  const pantries = {
+    find: async (userId) => {
+      const result = await dynamodb.get({
+        TableName: process.env.PANTRY_TABLE,
+        Key: { userId }
+      }).promise();
+      return toPantry(result.Item);
+    },
+    save: async (userId, { spices, ingredients }) => {
+      const item = { userId, spices, ingredients, updatedAt: Date.now() };
+      await dynamodb.put({
+        TableName: process.env.PANTRY_TABLE,
+        Item: item
+      }).promise();
+      return toPantry(item);
+    }
+  };
+
+  return { users, tasks, lists, tags, shares, recipes, favorites, ratings, pantries };
+};
+
+module.exports = { createDynamoRepositories };
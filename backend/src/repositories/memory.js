@@ -0,0 +1,633 @@
+/**
+ * In-memory user, task, list, tag, share, reminder, recipe, favorite, rating and
+ * pantry repositories, and refresh token, password reset, email verification and
+ * two-factor stores, for tests. User, task, list and tag ids are integers, as in
+ * SQLite; recipe ids are UUIDs, as in DynamoDB. Nothing is shared between
+ * instances.
+ */
+const crypto = require('crypto');
+const { filterTasks, taskMatcher, dueAt } = require('../utils/taskQuery');
+const { encodeCursor, decodeCursor, averageRating } = require('../utils/recipes');
+
+const copy = (item) => item && { ...item };
+
+const copyRule = (rule) => rule && { ...rule, ...(rule.byWeekday && { byWeekday: [...rule.byWeekday] }) };
+
+const copyTask = (task) => task && {
+  ...task,
+  recurrence: copyRule(task.recurrence),
+  reminders: [...task.reminders],
+  subtasks: task.subtasks.map(copy)
+};
+
+// Deep enough for recipes, whose lists hold plain objects and strings
+const copyRecipe = (recipe) => recipe && {
+  ...recipe,
+  ingredients: recipe.ingredients.map(copy),
+  steps: [...recipe.steps],
+  spices: [...recipe.spices],
+  tags: [...recipe.tags]
+};
+
+// Rows keep the sum of their ratings; recipes leave with the average instead
+const toRecipe = (row) => {
+  if (!row) return null;
+  const { ratingTotal, ...recipe } = copyRecipe(row);
+  return { ...recipe, averageRating: averageRating(ratingTotal, row.ratingCount) };
+};
+
+const newestFirst = (a, b) => b.createdAt.localeCompare(a.createdAt);
+
+// The id breaks ties, so recipes have a stable order for paging
+const newestRecipeFirst = (a, b) => newestFirst(a, b) || b.id.localeCompare(a.id);
+
+// By name ignoring case, then id, like the NOCASE column in SQLite
+const byName = (a, b) => a.name.toLowerCase().localeCompare(b.name.toLowerCase()) || a.id - b.id;
+
+// Ids arrive as numbers from tokens and as strings from URLs
+const sameId = (a, b) => String(a) === String(b);
+
+/**
+ * Create an empty set of repositories
+ * @param {object} [options]
+ * @param {Function} [options.now] - Clock for createdAt/updatedAt, defaults to () => new Date()
+ * @returns {{users: object, tasks: object, lists: object, tags: object, shares: object,
+ *   reminders: object, recipes: object, favorites: object, ratings: object, pantries: object,
+ *   refreshTokens: object, passwordResets: object, emailVerifications: object, twoFactor: object}}
+ */
+const createMemoryRepositories = ({ now = () => new Date() } = {}) => {
+  const userRows = [];
+  const taskRows = [];
+  const listRows = [];
+  const tagRows = [];
+  const shareRows = [];
+  const reminderSettingRows = [];
+  const sentReminders = new Map();
+  const recipeRows = [];
+  const favoriteRows = [];
+  const ratingRows = [];
+  const pantryRows = [];
+  const refreshTokenRows = [];
+  const twoFactorRows = [];
+  const recoveryCodeRows = [];
+  let nextUserId = 1;
+  let nextTaskId = 1;
+  let nextSubtaskId = 1;
+  let nextListId = 1;
+  let nextTagId = 1;
+
+  const timestamp = () => now().toISOString();
+
+  const users = {
+    findById: async (id) => copy(userRows.find((user) => sameId(user.id, id))),
+    findByEmail: async (email) => copy(userRows.find((user) => user.email === email)),
+    create: async ({ firstName, lastName, email, passwordHash, preferredLanguage = 'en', isVerified = false }) => {
+      if (userRows.some((user) => user.email === email)) {
+        throw new Error('UNIQUE constraint failed: users.email');
+      }
+      const createdAt = timestamp();
+      const user = {
+        id: nextUserId++,
+        firstName,
+        lastName,
+        email,
+        passwordHash,
+        preferredLanguage,
+        isVerified,
+        createdAt,
+        updatedAt: createdAt
+      };
+      userRows.push(user);
+      return copy(user);
+    },
+    update: async (id, fields) => {
+      const user = userRows.find((row) => sameId(row.id, id));
+      if (!user) return null;
+      Object.assign(user, fields, { updatedAt: timestamp() });
+      return copy(user);
+    }
+  };
+
+  // Rows keep the ids of their tags; tasks leave with the tags themselves
+  const toTask = (row) => {
+    if (!row) return null;
+    const { tagIds, changeSeq, ...task } = copyTask(row);
+    return {
+      ...task,
+      tags: tagRows
+        .filter((tag) => tagIds.some((id) => sameId(id, tag.id)))
+        .sort(byName)
+        .map(({ id, name, color }) => ({ id, name, color }))
+    };
+  };
+
+  const tasksOf = (userId) => taskRows.filter((task) => sameId(task.userId, userId));
+
+  // Tasks in the trash are left out, except by restore and listDeleted
+  const ownedTask = (userId, id) => tasksOf(userId).find((task) => sameId(task.id, id) && !task.deletedAt);
+
+  const trashedTask = (userId, id) => tasksOf(userId).find((task) => sameId(task.id, id) && task.deletedAt);
+
+  // Every change to a task counts up its version and takes the next change number
+  let lastChange = 0;
+  const changed = (task, fields = {}) => Object.assign(task, fields, {
+    updatedAt: timestamp(),
+    version: task.version + 1,
+    changeSeq: ++lastChange
+  });
+
+  // A change limited to some versions (If-Match) only applies to a task with one of them
+  const hasVersion = (task, versions) => !versions || versions.includes(task.version);
+
+  const countCompleted = (items) => {
+    const completed = items.filter((item) => item.completed).length;
+    return { total: items.length, completed, remaining: items.length - completed };
+  };
+
+  const tasks = {
+    list: async (userId, options) => filterTasks(tasksOf(userId).map(toTask), options, now()),
+    findById: async (userId, id) => toTask(ownedTask(userId, id)),
+    create: async (userId, fields) => {
+      const { text, priority = 'medium', dueDate = null, autoComplete = false } = fields;
+      const { recurrence = null, reminders = [], seriesId = null, occurrence = null, listId = null } = fields;
+      const createdAt = timestamp();
+      const task = {
+        id: nextTaskId++,
+        userId,
+        text,
+        completed: false,
+        priority,
+        dueDate,
+        autoComplete,
+        recurrence: copyRule(recurrence),
+        reminders: [...reminders],
+        seriesId,
+        occurrence,
+        listId,
+        completedBy: null,
+        completedAt: null,
+        deletedAt: null,
+        subtasks: [],
+        tagIds: [],
+        version: 1,
+        changeSeq: ++lastChange,
+        createdAt,
+        updatedAt: createdAt
+      };
+      taskRows.push(task);
+      return toTask(task);
+    },
+    update: async (userId, id, fields, { versions } = {}) => {
+      const task = ownedTask(userId, id);
+      if (!task || !hasVersion(task, versions)) return null;
+      const { completedAt } = task;
+      changed(task, fields);
+      task.recurrence = copyRule(task.recurrence);
+      task.reminders = [...task.reminders];
+      // Set when the task is completed, cleared when it is reopened
+      if (fields.completed !== undefined) {
+        task.completedAt = fields.completed ? completedAt || task.updatedAt : null;
+      }
+      return toTask(task);
+    },
+    delete: async (userId, id, { versions } = {}) => {
+      const task = ownedTask(userId, id);
+      if (!task || !hasVersion(task, versions)) return false;
+      changed(task);
+      task.deletedAt = task.updatedAt;
+      return true;
+    },
+    restore: async (userId, id) => {
+      const task = trashedTask(userId, id);
+      if (!task) return null;
+      changed(task, { deletedAt: null });
+      return toTask(task);
+    },
+    listDeleted: async (userId) => tasksOf(userId)
+      .filter((task) => task.deletedAt)
+      .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt) || b.id - a.id)
+      .map(toTask),
+    purgeDeleted: async (before) => {
+      const expired = taskRows.filter((task) => task.deletedAt && task.deletedAt < before.toISOString());
+      expired.forEach((task) => taskRows.splice(taskRows.indexOf(task), 1));
+      return expired.map(({ id, userId, listId }) => ({ id, userId, listId }));
+    },
+    changedSince: async (userId, since) => {
+      const rows = tasksOf(userId)
+        .filter((task) => task.changeSeq > since)
+        .sort((a, b) => a.changeSeq - b.changeSeq);
+      return { tasks: rows.map(toTask), last: Math.max(since, ...rows.map((task) => task.changeSeq)) };
+    },
+    dueBetween: async (from, to) => taskRows
+      .filter((task) => !task.completed && !task.deletedAt && task.dueDate)
+      .filter((task) => dueAt(task) >= from.getTime() && dueAt(task) <= to.getTime())
+      .sort((a, b) => dueAt(a) - dueAt(b) || a.id - b.id)
+      .map(toTask),
+    stats: async (userId, options = {}) => {
+      const owned = tasksOf(userId).map(toTask).filter(taskMatcher(options, now()));
+      return { ...countCompleted(owned), subtasks: countCompleted(owned.flatMap((task) => task.subtasks)) };
+    },
+    setTags: async (userId, taskId, tagIds) => {
+      const task = ownedTask(userId, taskId);
+      if (!task) return false;
+      changed(task, { tagIds: [...tagIds] });
+      return true;
+    },
+    addSubtask: async (userId, taskId, text) => {
+      const task = ownedTask(userId, taskId);
+      if (!task) return null;
+      const position = Math.max(-1, ...task.subtasks.map((row) => row.position)) + 1;
+      const subtask = { id: nextSubtaskId++, text, completed: false, position };
+      task.subtasks.push(subtask);
+      changed(task);
+      return copy(subtask);
+    },
+    updateSubtask: async (userId, taskId, subtaskId, fields) => {
+      const task = ownedTask(userId, taskId);
+      const subtask = task && task.subtasks.find((row) => sameId(row.id, subtaskId));
+      if (!subtask) return null;
+      Object.assign(subtask, fields);
+      changed(task);
+      return copy(subtask);
+    },
+    deleteSubtask: async (userId, taskId, subtaskId) => {
+      const task = ownedTask(userId, taskId);
+      const index = task ? task.subtasks.findIndex((row) => sameId(row.id, subtaskId)) : -1;
+      if (index === -1) return false;
+      task.subtasks.splice(index, 1);
+      changed(task);
+      return true;
+    },
+    reorderSubtasks: async (userId, taskId, ids) => {
+      const task = ownedTask(userId, taskId);
+      if (!task) return false;
+      task.subtasks.forEach((subtask) => {
+        subtask.position = ids.findIndex((id) => sameId(id, subtask.id));
+      });
+      task.subtasks.sort((a, b) => a.position - b.position);
+      changed(task);
+      return true;
+    }
+  };
+
+  const listsOf = (userId) => listRows.filter((list) => sameId(list.userId, userId));
+
+  const lists = {
+    list: async (userId) => listsOf(userId).sort((a, b) => a.position - b.position || a.id - b.id).map(copy),
+    findById: async (userId, id) => copy(listsOf(userId).find((list) => sameId(list.id, id))),
+    findByName: async (userId, name) => copy(listsOf(userId)
+      .find((list) => list.name.toLowerCase() === name.toLowerCase())),
+    create: async (userId, { name, color = null }) => {
+      const createdAt = timestamp();
+      const position = Math.max(-1, ...listsOf(userId).map((list) => list.position)) + 1;
+      const list = { id: nextListId++, userId, name, color, position, createdAt, updatedAt: createdAt };
+      listRows.push(list);
+      return copy(list);
+    },
+    update: async (userId, id, fields) => {
+      const list = listsOf(userId).find((row) => sameId(row.id, id));
+      if (!list) return null;
+      Object.assign(list, fields, { updatedAt: timestamp() });
+      return copy(list);
+    },
+    reorder: async (userId, ids) => {
+      const updatedAt = timestamp();
+      listsOf(userId).forEach((list) => {
+        const position = ids.findIndex((id) => sameId(id, list.id));
+        if (position !== -1) Object.assign(list, { position, updatedAt });
+      });
+    },
+    delete: async (userId, id) => {
+      const list = listsOf(userId).find((row) => sameId(row.id, id));
+      if (!list) return false;
+      listRows.splice(listRows.indexOf(list), 1);
+      tasksOf(userId)
+        .filter((task) => sameId(task.listId, list.id))
+        .forEach((task) => changed(task, { listId: null }));
+      shareRows
+        .filter((share) => sameId(share.listId, list.id))
+        .forEach((share) => shareRows.splice(shareRows.indexOf(share), 1));
+      return true;
+    }
+  };
+
+  const tagsOf = (userId) => tagRows.filter((tag) => sameId(tag.userId, userId));
+
+  const tags = {
+    list: async (userId) => tagsOf(userId).sort(byName).map(copy),
+    findById: async (userId, id) => copy(tagsOf(userId).find((tag) => sameId(tag.id, id))),
+    findByName: async (userId, name) => copy(tagsOf(userId)
+      .find((tag) => tag.name.toLowerCase() === name.toLowerCase())),
+    create: async (userId, { name, color = null }) => {
+      const createdAt = timestamp();
+      const tag = { id: nextTagId++, userId, name, color, createdAt, updatedAt: createdAt };
+      tagRows.push(tag);
+      return copy(tag);
+    },
+    update: async (userId, id, fields) => {
+      const tag = tagsOf(userId).find((row) => sameId(row.id, id));
+      if (!tag) return null;
+      Object.assign(tag, fields, { updatedAt: timestamp() });
+      return copy(tag);
+    },
+    delete: async (userId, id) => {
+      const tag = tagsOf(userId).find((row) => sameId(row.id, id));
+      if (!tag) return false;
+      tagRows.splice(tagRows.indexOf(tag), 1);
+      taskRows
+        .filter((task) => task.tagIds.some((tagId) => sameId(tagId, tag.id)))
+        .forEach((task) => changed(task, { tagIds: task.tagIds.filter((tagId) => !sameId(tagId, tag.id)) }));
+      return true;
+    }
+  };
+
+  const shareOf = (listId, userId) => shareRows.find((share) => sameId(share.listId, listId)
+    && sameId(share.userId, userId));
+
+  const shares = {
+    find: async (listId, userId) => copy(shareOf(listId, userId)),
+    listByList: async (listId) => shareRows.filter((share) => sameId(share.listId, listId)).map(copy),
+    listByUser: async (userId) => shareRows.filter((share) => sameId(share.userId, userId)).map(copy),
+    save: async (listId, userId, { ownerId, role, status }) => {
+      const updatedAt = timestamp();
+      let share = shareOf(listId, userId);
+      if (!share) {
+        share = { listId, userId, createdAt: updatedAt };
+        shareRows.push(share);
+      }
+      Object.assign(share, { ownerId, role, status, updatedAt });
+      return copy(share);
+    },
+    delete: async (listId, userId) => {
+      const share = shareOf(listId, userId);
+      if (!share) return false;
+      shareRows.splice(shareRows.indexOf(share), 1);
+      return true;
+    }
+  };
+
+  const reminderSettingsOf = (userId) => reminderSettingRows.find((settings) => sameId(settings.userId, userId));
+
+  const copySettings = (settings) => (settings ? { ...settings, channels: [...settings.channels] } : null);
+
+  const reminders = {
+    findSettings: async (userId) => copySettings(reminderSettingsOf(userId)),
+    saveSettings: async (userId, fields) => {
+      let settings = reminderSettingsOf(userId);
+      if (!settings) {
+        settings = { userId, channels: ['email'], webhookUrl: null, overdue: false, digestHour: null };
+        reminderSettingRows.push(settings);
+      }
+      Object.assign(settings, copySettings({ channels: settings.channels, ...fields }), { updatedAt: timestamp() });
+      return copySettings(settings);
+    },
+    listDigests: async (hour) => reminderSettingRows
+      .filter((settings) => settings.digestHour !== null && settings.digestHour <= hour)
+      .sort((a, b) => a.userId - b.userId)
+      .map(copySettings),
+    claim: async (key, { userId, taskId = null }, sentAt) => {
+      if (sentReminders.has(key)) return false;
+      sentReminders.set(key, { key, userId, taskId, sentAt: sentAt.toISOString() });
+      return true;
+    },
+    release: async (key) => {
+      sentReminders.delete(key);
+    },
+    forgetSent: async (before) => {
+      const expired = [...sentReminders.values()].filter((sent) => sent.sentAt < before.toISOString());
+      expired.forEach((sent) => sentReminders.delete(sent.key));
+      return expired.length;
+    }
+  };
+
+  // Newest first; the cursor is the last recipe's position
+  const pageOf = (rows, { limit, cursor }) => {
+    const after = cursor && decodeCursor(cursor);
+    const sorted = rows
+      .slice()
+      .sort(newestRecipeFirst)
+      .filter((recipe) => !after || recipe.createdAt < after.createdAt
+        || (recipe.createdAt === after.createdAt && recipe.id < after.id));
+    const page = sorted.slice(0, limit);
+    const last = page[page.length - 1];
+
+    return {
+      recipes: page.map(toRecipe),
+      nextCursor: sorted.length > limit ? encodeCursor({ createdAt: last.createdAt, id: last.id }) : null
+    };
+  };
+
+  const recipes = {
+    findById: async (id) => toRecipe(recipeRows.find((recipe) => recipe.id === id)),
+    listByUser: async (userId, page) => pageOf(recipeRows.filter((recipe) => sameId(recipe.userId, userId)), page),
+    listPublic: async (page) => pageOf(recipeRows.filter((recipe) => recipe.isPublic), page),
+    listVisible: async (userId) => recipeRows
+      .filter((recipe) => recipe.isPublic || (userId !== null && sameId(recipe.userId, userId)))
+      .sort(newestRecipeFirst)
+      .map(toRecipe),
+    create: async (userId, fields) => {
+      const createdAt = timestamp();
+      const recipe = copyRecipe({
+        ...fields,
+        id: crypto.randomUUID(),
+        userId,
+        ratingCount: 0,
+        ratingTotal: 0,
+        createdAt,
+        updatedAt: createdAt
+      });
+      recipeRows.push(recipe);
+      return toRecipe(recipe);
+    },
+    update: async (id, fields) => {
+      const recipe = recipeRows.find((row) => row.id === id);
+      if (!recipe) return null;
+      Object.assign(recipe, copyRecipe({ ...recipe, ...fields }), { updatedAt: timestamp() });
+      return toRecipe(recipe);
+    },
+    delete: async (id) => {
+      const index = recipeRows.findIndex((recipe) => recipe.id === id);
+      if (index === -1) return false;
+      recipeRows.splice(index, 1);
+      return true;
+    }
+  };
+
+  const favoriteOf = (userId, recipeId) => favoriteRows.find((favorite) => sameId(favorite.userId, userId)
+    && favorite.recipeId === recipeId);
+
+  const favorites = {
+    add: async (userId, recipeId) => {
+      let favorite = favoriteOf(userId, recipeId);
+      if (!favorite) {
+        favorite = { userId, recipeId, createdAt: timestamp() };
+        favoriteRows.push(favorite);
+      }
+      return copy(favorite);
+    },
+    remove: async (userId, recipeId) => {
+      const index = favoriteRows.indexOf(favoriteOf(userId, recipeId));
+      if (index === -1) return false;
+      favoriteRows.splice(index, 1);
+      return true;
+    },
+    listByUser: async (userId) => favoriteRows
+      .filter((favorite) => sameId(favorite.userId, userId))
+      .sort(newestFirst)
+      .map(copy)
+  };
+
+  const ratingOf = (recipeId, userId) => ratingRows.find((rating) => rating.recipeId === recipeId
+    && sameId(rating.userId, userId));
+
+  // Apply a change to the rating sum and count of a recipe
+  const adjustRecipeRating = (recipeId, total, count) => {
+    const recipe = recipeRows.find((row) => row.id === recipeId);
+    if (recipe) {
+      recipe.ratingTotal += total;
+      recipe.ratingCount += count;
+    }
+  };
+
+  const ratings = {
+    find: async (recipeId, userId) => copy(ratingOf(recipeId, userId)),
+    listByRecipe: async (recipeId) => ratingRows
+      .filter((rating) => rating.recipeId === recipeId)
+      .sort(newestFirst)
+      .map(copy),
+    save: async (recipeId, userId, { rating, review = '' }) => {
+      const updatedAt = timestamp();
+      let row = ratingOf(recipeId, userId);
+      if (row) {
+        adjustRecipeRating(recipeId, rating - row.rating, 0);
+        Object.assign(row, { rating, review, updatedAt });
+      } else {
+        row = { recipeId, userId, rating, review, createdAt: updatedAt, updatedAt };
+        ratingRows.push(row);
+        adjustRecipeRating(recipeId, rating, 1);
+      }
+      return copy(row);
+    },
+    delete: async (recipeId, userId) => {
+      const row = ratingOf(recipeId, userId);
+      if (!row) return false;
+      ratingRows.splice(ratingRows.indexOf(row), 1);
+      adjustRecipeRating(recipeId, -row.rating, -1);
+      return true;
+    }
+  };
+
+  const copyPantry = (pantry) => pantry && { ...pantry, spices: [...pantry.spices], ingredients: [...pantry.ingredients] };
+
+  const pantries = {
+    find: async (userId) => copyPantry(pantryRows.find((pantry) => sameId(pantry.userId, userId))),
+    save: async (userId, { spices, ingredients }) => {
+      let pantry = pantryRows.find((row) => sameId(row.userId, userId));
+      if (!pantry) {
+        pantry = { userId };
+        pantryRows.push(pantry);
+      }
+      Object.assign(pantry, copyPantry({ spices, ingredients }), { updatedAt: timestamp() });
+      return copyPantry(pantry);
+    }
+  };
+
+  // Refresh tokens (see utils/refreshTokens.js for the store methods)
+  const revokeTokens = (rows) => rows
+    .filter((row) => !row.revokedAt)
+    .forEach((row) => { row.revokedAt = now().getTime(); });
+
+  const refreshTokens = {
+    save: async (record) => {
+      refreshTokenRows.push({ ...record, revokedAt: null, replacedBy: null });
+    },
+    findByHash: async (tokenHash) => copy(refreshTokenRows.find((row) => row.tokenHash === tokenHash)) || null,
+    revoke: async (tokenHash, replacedBy) => {
+      const row = refreshTokenRows.find((token) => token.tokenHash === tokenHash && !token.revokedAt);
+      if (!row) return false;
+      Object.assign(row, { revokedAt: now().getTime(), replacedBy });
+      return true;
+    },
+    revokeFamily: async (familyId) => revokeTokens(refreshTokenRows.filter((row) => row.familyId === familyId)),
+    revokeAllForUser: async (userId) => revokeTokens(refreshTokenRows.filter((row) => sameId(row.userId, userId)))
+  };
+
+  // Single-use tokens: password resets and email verifications (see
+  // utils/passwordReset.js for the store methods)
+  const createOneTimeTokenStore = () => {
+    const rows = [];
+    return {
+      save: async (record) => {
+        rows.push({ ...record, usedAt: null });
+      },
+      findByHash: async (tokenHash) => copy(rows.find((row) => row.tokenHash === tokenHash)) || null,
+      markUsed: async (tokenHash) => {
+        const row = rows.find((token) => token.tokenHash === tokenHash && !token.usedAt);
+        if (!row) return false;
+        row.usedAt = now().getTime();
+        return true;
+      },
+      invalidateForUser: async (userId) => {
+        rows
+          .filter((row) => sameId(row.userId, userId) && !row.usedAt)
+          .forEach((row) => { row.usedAt = now().getTime(); });
+      }
+    };
+  };
+
+  const passwordResets = createOneTimeTokenStore();
+  const emailVerifications = createOneTimeTokenStore();
+
+  // Two-factor settings and recovery codes (see utils/twoFactor.js for the store methods)
+  const twoFactorOf = (userId) => twoFactorRows.find((row) => sameId(row.userId, userId));
+
+  const setRecoveryCodes = (userId, codeHashes) => {
+    recoveryCodeRows
+      .filter((code) => sameId(code.userId, userId))
+      .forEach((code) => recoveryCodeRows.splice(recoveryCodeRows.indexOf(code), 1));
+    codeHashes.forEach((codeHash) => recoveryCodeRows.push({ userId, codeHash, usedAt: null }));
+  };
+
+  const twoFactor = {
+    get: async (userId) => copy(twoFactorOf(userId)) || null,
+    savePending: async (userId, secret) => {
+      let row = twoFactorOf(userId);
+      if (!row) {
+        row = { userId, enabled: false, secret: null, lastUsedStep: null };
+        twoFactorRows.push(row);
+      }
+      row.pendingSecret = secret;
+    },
+    enable: async (userId, secret, lastUsedStep, codeHashes) => {
+      Object.assign(twoFactorOf(userId), { enabled: true, secret, lastUsedStep, pendingSecret: null });
+      setRecoveryCodes(userId, codeHashes);
+    },
+    setLastUsedStep: async (userId, step) => {
+      const row = twoFactorOf(userId);
+      if (!row || (row.lastUsedStep !== null && row.lastUsedStep >= step)) return false;
+      row.lastUsedStep = step;
+      return true;
+    },
+    useRecoveryCode: async (userId, codeHash) => {
+      const code = recoveryCodeRows.find((row) => sameId(row.userId, userId) && row.codeHash === codeHash && !row.usedAt);
+      if (!code) return false;
+      code.usedAt = now().getTime();
+      return true;
+    },
+    replaceRecoveryCodes: async (userId, codeHashes) => {
+      setRecoveryCodes(userId, codeHashes);
+    },
+    disable: async (userId) => {
+      setRecoveryCodes(userId, []);
+      const row = twoFactorOf(userId);
+      if (row) twoFactorRows.splice(twoFactorRows.indexOf(row), 1);
+    }
+  };
+
+  return {
+    users, tasks, lists, tags, shares, reminders, recipes, favorites, ratings, pantries,
+    refreshTokens, passwordResets, emailVerifications, twoFactor
+  };
+};
+
+module.exports = { createMemoryRepositories };
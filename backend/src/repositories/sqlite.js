@@ -0,0 +1,441 @@
+/**
+ * SQLite user, task, list, tag, share and reminder repositories, used by the Express server.
+ * The tables are created by the migrations in /migrations.
+ */
+const { sharedConnection } = require('./sqliteConnection');
+const { DUE_AT, buildTaskFilter, buildTaskListQuery, paginateTaskRows } = require('../utils/taskQuery');
+
+const USER_FIELDS = ['firstName', 'lastName', 'email', 'passwordHash', 'preferredLanguage', 'isVerified'];
+const TASK_FIELDS = [
+  'text', 'completed', 'priority', 'dueDate', 'autoComplete', 'recurrence', 'reminders', 'seriesId', 'occurrence', 'listId',
+  'completedBy'
+];
+const SUBTASK_FIELDS = ['text', 'completed'];
+const LABEL_FIELDS = ['name', 'color'];
+const REMINDER_SETTING_FIELDS = ['channels', 'webhookUrl', 'overdue', 'digestHour'];
+
+// SQLite CURRENT_TIMESTAMP ("2025-11-20 14:03:00", UTC) to ISO 8601
+const toIsoString = (value) => (value ? new Date(`${value.replace(' ', 'T')}Z`).toISOString() : value);
+
+// ...and a Date back to that format
+const toSqlDateTime = (date) => date.toISOString().slice(0, 19).replace('T', ' ');
+
+// Every change to a task takes the next number of one sequence, which GET /sync
+// compares (see migrations/010_add_task_versions.js). Being part of the statement
+// that changes the task, the numbers follow the order of the changes.
+const NEXT_CHANGE_SEQ = `(SELECT MAX(seq) + 1 FROM (
+  SELECT MAX(changeSeq) AS seq FROM tasks UNION ALL SELECT seq FROM task_change_floor))`;
+const TASK_CHANGED = `updatedAt = CURRENT_TIMESTAMP, version = version + 1, changeSeq = ${NEXT_CHANGE_SEQ}`;
+
+// completedAt is set when a task is completed and cleared when it is reopened
+const completedAtFor = (completed) => `completedAt = ${completed ? 'COALESCE(completedAt, CURRENT_TIMESTAMP)' : 'NULL'}`;
+
+// " AND version IN (?, ?)" for the versions a change is limited to (If-Match), if any
+const versionCondition = (versions) => (versions
+  ? { sql: ` AND version IN (${versions.map(() => '?').join(', ')})`, values: versions }
+  : { sql: '', values: [] });
+
+const toUser = (row) => row && {
+  ...row,
+  isVerified: Boolean(row.isVerified),
+  createdAt: toIsoString(row.createdAt),
+  updatedAt: toIsoString(row.updatedAt)
+};
+
+// changeSeq is only for changedSince
+const withoutChangeSeq = ({ changeSeq, ...row }) => row;
+
+const toTask = (row) => row && {
+  ...withoutChangeSeq(row),
+  completed: Boolean(row.completed), // Convert 0/1 to boolean
+  autoComplete: Boolean(row.autoComplete),
+  recurrence: row.recurrence ? JSON.parse(row.recurrence) : null,
+  reminders: row.reminders ? JSON.parse(row.reminders) : [],
+  completedAt: toIsoString(row.completedAt),
+  deletedAt: toIsoString(row.deletedAt),
+  createdAt: toIsoString(row.createdAt),
+  updatedAt: toIsoString(row.updatedAt)
+};
+
+const toSubtask = (row) => row && {
+  id: row.id,
+  text: row.text,
+  completed: Boolean(row.completed),
+  position: row.position
+};
+
+// Lists, tags and list shares
+const toLabel = (row) => row && {
+  ...row,
+  createdAt: toIsoString(row.createdAt),
+  updatedAt: toIsoString(row.updatedAt)
+};
+
+const toTaskTag = (row) => ({ id: row.id, name: row.name, color: row.color });
+
+const toReminderSettings = (row) => row && {
+  ...row,
+  channels: JSON.parse(row.channels),
+  overdue: Boolean(row.overdue),
+  updatedAt: toIsoString(row.updatedAt)
+};
+
+// Booleans are stored as 0/1 and objects as JSON
+const toColumnValue = (value) => {
+  if (typeof value === 'boolean') return Number(value);
+  if (value && typeof value === 'object') return JSON.stringify(value);
+  return value;
+};
+
+/**
+ * Create the repositories for an open database
+ * @param {object} db - sqlite3 Database
+ * @returns {{users: object, tasks: object, lists: object, tags: object, shares: object, reminders: object,
+ *   transaction: Function}}
+ */
+const createSqliteRepositories = (db) => {
+  const { run, get, all, transaction } = sharedConnection(db);
+
+  // "a = ?, b = ?" and its values for the allowed keys of `fields`
+  const assignments = (fields, allowed, touched = 'updatedAt = CURRENT_TIMESTAMP') => {
+    const keys = Object.keys(fields).filter((key) => allowed.includes(key));
+    return {
+      sql: keys.map((key) => `${key} = ?`).concat(touched).join(', '),
+      values: keys.map((key) => toColumnValue(fields[key]))
+    };
+  };
+
+  const users = {
+    findById: async (id) => toUser(await get('SELECT * FROM users WHERE id = ?', [id])),
+    findByEmail: async (email) => toUser(await get('SELECT * FROM users WHERE email = ?', [email])),
+    create: async (fields) => {
+      const { lastID } = await run(
+        `INSERT INTO users (firstName, lastName, email, passwordHash, preferredLanguage, isVerified)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        USER_FIELDS.map((key) => toColumnValue(fields[key]))
+      );
+      return users.findById(lastID);
+    },
+    update: async (id, fields) => {
+      const { sql, values } = assignments(fields, USER_FIELDS);
+      const { changes } = await run(`UPDATE users SET ${sql} WHERE id = ?`, [...values, id]);
+      return changes > 0 ? users.findById(id) : null;
+    }
+  };
+
+  // Attach the subtasks of each task, in order, and its tags, by name
+  const withDetails = async (rows) => {
+    const taskList = rows.map(toTask);
+    if (taskList.length === 0) return taskList;
+
+    const ids = taskList.map((task) => task.id);
+    const placeholders = ids.map(() => '?').join(', ');
+    const subtaskRows = await all(
+      `SELECT * FROM subtasks WHERE taskId IN (${placeholders}) ORDER BY position, id`,
+      ids
+    );
+    const tagRows = await all(
+      `SELECT task_tags.taskId, tags.id, tags.name, tags.color
+       FROM task_tags JOIN tags ON tags.id = task_tags.tagId
+       WHERE task_tags.taskId IN (${placeholders}) ORDER BY tags.name, tags.id`,
+      ids
+    );
+    return taskList.map((task) => ({
+      ...task,
+      subtasks: subtaskRows.filter((row) => row.taskId === task.id).map(toSubtask),
+      tags: tagRows.filter((row) => row.taskId === task.id).map(toTaskTag)
+    }));
+  };
+
+  const ownedTask = (userId, taskId) => get(
+    'SELECT id FROM tasks WHERE id = ? AND userId = ? AND deletedAt IS NULL',
+    [taskId, userId]
+  );
+
+  const touchTask = (taskId) => run(`UPDATE tasks SET ${TASK_CHANGED} WHERE id = ?`, [taskId]);
+
+  const tasks = {
+    list: async (userId, options) => {
+      const { sql, params } = buildTaskListQuery(userId, options);
+      const page = paginateTaskRows(await all(sql, params), options);
+      return { tasks: await withDetails(page.rows), nextCursor: page.nextCursor };
+    },
+    findById: async (userId, id) => {
+      const row = await get('SELECT * FROM tasks WHERE id = ? AND userId = ? AND deletedAt IS NULL', [id, userId]);
+      return row && (await withDetails([row]))[0];
+    },
+    create: async (userId, fields) => {
+      const { text, priority, dueDate, autoComplete = false, recurrence = null, reminders = [] } = fields;
+      const { seriesId = null, occurrence = null, listId = null } = fields;
+      const { lastID } = await run(
+        `INSERT INTO tasks (userId, text, priority, dueDate, autoComplete, recurrence, reminders, seriesId, occurrence,
+           listId, changeSeq)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ${NEXT_CHANGE_SEQ})`,
+        [
+          userId, text, priority, dueDate,
+          ...[autoComplete, recurrence, reminders, seriesId, occurrence, listId].map(toColumnValue)
+        ]
+      );
+      return tasks.findById(userId, lastID);
+    },
+    update: async (userId, id, fields, { versions } = {}) => {
+      const touched = fields.completed === undefined ? TASK_CHANGED : `${TASK_CHANGED}, ${completedAtFor(fields.completed)}`;
+      const { sql, values } = assignments(fields, TASK_FIELDS, touched);
+      const version = versionCondition(versions);
+      const { changes } = await run(
+        `UPDATE tasks SET ${sql} WHERE id = ? AND userId = ? AND deletedAt IS NULL${version.sql}`,
+        [...values, id, userId, ...version.values]
+      );
+      return changes > 0 ? tasks.findById(userId, id) : null;
+    },
+    delete: async (userId, id, { versions } = {}) => {
+      const version = versionCondition(versions);
+      const { changes } = await run(
+        `UPDATE tasks SET deletedAt = CURRENT_TIMESTAMP, ${TASK_CHANGED}
+         WHERE id = ? AND userId = ? AND deletedAt IS NULL${version.sql}`,
+        [id, userId, ...version.values]
+      );
+      return changes > 0;
+    },
+    restore: async (userId, id) => {
+      const { changes } = await run(
+        `UPDATE tasks SET deletedAt = NULL, ${TASK_CHANGED}
+         WHERE id = ? AND userId = ? AND deletedAt IS NOT NULL`,
+        [id, userId]
+      );
+      return changes > 0 ? tasks.findById(userId, id) : null;
+    },
+    listDeleted: async (userId) => withDetails(await all(
+      'SELECT * FROM tasks WHERE userId = ? AND deletedAt IS NOT NULL ORDER BY deletedAt DESC, id DESC',
+      [userId]
+    )),
+    purgeDeleted: (before) => transaction(async () => {
+      const rows = await all('SELECT id, userId, listId FROM tasks WHERE deletedAt < ?', [toSqlDateTime(before)]);
+      if (rows.length === 0) return [];
+
+      const ids = rows.map((row) => row.id);
+      const placeholders = ids.map(() => '?').join(', ');
+      await run('UPDATE task_change_floor SET seq = MAX(seq, (SELECT COALESCE(MAX(changeSeq), 0) FROM tasks))');
+      await run(`DELETE FROM tasks WHERE id IN (${placeholders})`, ids);
+      // Foreign keys are not enforced, so the cascade is done here
+      await run(`DELETE FROM subtasks WHERE taskId IN (${placeholders})`, ids);
+      await run(`DELETE FROM task_tags WHERE taskId IN (${placeholders})`, ids);
+      return rows.map(({ id, userId, listId }) => ({ id, userId, listId }));
+    }),
+    changedSince: async (userId, since) => {
+      const rows = await all(
+        'SELECT * FROM tasks WHERE userId = ? AND changeSeq > ? ORDER BY changeSeq, id',
+        [userId, since]
+      );
+      return {
+        tasks: await withDetails(rows),
+        last: Math.max(since, ...rows.map((row) => row.changeSeq))
+      };
+    },
+    dueBetween: async (from, to) => withDetails(await all(
+      `SELECT * FROM tasks
+       WHERE completed = 0 AND deletedAt IS NULL AND dueDate IS NOT NULL AND ${DUE_AT} BETWEEN ? AND ?
+       ORDER BY ${DUE_AT}, id`,
+      [toSqlDateTime(from), toSqlDateTime(to)]
+    )),
+    stats: async (userId, options = {}) => {
+      const { where, params } = buildTaskFilter(userId, options);
+      const row = await get(
+        `SELECT
+           COUNT(*) as total,
+           COALESCE(SUM(CASE WHEN completed = 1 THEN 1 ELSE 0 END), 0) as completed,
+           COALESCE(SUM(CASE WHEN completed = 0 THEN 1 ELSE 0 END), 0) as remaining
+         FROM tasks WHERE ${where}`,
+        params
+      );
+      const subtasks = await get(
+        `SELECT
+           COUNT(*) as total,
+           COALESCE(SUM(CASE WHEN completed = 1 THEN 1 ELSE 0 END), 0) as completed,
+           COALESCE(SUM(CASE WHEN completed = 0 THEN 1 ELSE 0 END), 0) as remaining
+         FROM subtasks WHERE taskId IN (SELECT id FROM tasks WHERE ${where})`,
+        params
+      );
+      return { ...row, subtasks };
+    },
+    setTags: async (userId, taskId, tagIds) => {
+      if (!await ownedTask(userId, taskId)) return false;
+      await run('DELETE FROM task_tags WHERE taskId = ?', [taskId]);
+      if (tagIds.length > 0) {
+        await run(
+          `INSERT INTO task_tags (taskId, tagId) VALUES ${tagIds.map(() => '(?, ?)').join(', ')}`,
+          tagIds.flatMap((tagId) => [taskId, tagId])
+        );
+      }
+      await touchTask(taskId);
+      return true;
+    },
+    addSubtask: async (userId, taskId, text) => {
+      if (!await ownedTask(userId, taskId)) return null;
+      const { lastID } = await run(
+        `INSERT INTO subtasks (taskId, text, position)
+         VALUES (?, ?, (SELECT COALESCE(MAX(position) + 1, 0) FROM subtasks WHERE taskId = ?))`,
+        [taskId, text, taskId]
+      );
+      await touchTask(taskId);
+      return toSubtask(await get('SELECT * FROM subtasks WHERE id = ?', [lastID]));
+    },
+    updateSubtask: async (userId, taskId, subtaskId, fields) => {
+      if (!await ownedTask(userId, taskId)) return null;
+      const { sql, values } = assignments(fields, SUBTASK_FIELDS);
+      const { changes } = await run(
+        `UPDATE subtasks SET ${sql} WHERE id = ? AND taskId = ?`,
+        [...values, subtaskId, taskId]
+      );
+      if (changes === 0) return null;
+      await touchTask(taskId);
+      return toSubtask(await get('SELECT * FROM subtasks WHERE id = ?', [subtaskId]));
+    },
+    deleteSubtask: async (userId, taskId, subtaskId) => {
+      if (!await ownedTask(userId, taskId)) return false;
+      const { changes } = await run('DELETE FROM subtasks WHERE id = ? AND taskId = ?', [subtaskId, taskId]);
+      if (changes > 0) await touchTask(taskId);
+      return changes > 0;
+    },
+    reorderSubtasks: async (userId, taskId, ids) => {
+      if (!await ownedTask(userId, taskId)) return false;
+      if (ids.length > 0) {
+        // One statement, so the order changes all at once
+        await run(
+          `UPDATE subtasks SET position = CASE id ${ids.map(() => 'WHEN ? THEN ?').join(' ')} END,
+             updatedAt = CURRENT_TIMESTAMP
+           WHERE taskId = ? AND id IN (${ids.map(() => '?').join(', ')})`,
+          [...ids.flatMap((id, position) => [id, position]), taskId, ...ids]
+        );
+      }
+      await touchTask(taskId);
+      return true;
+    }
+  };
+
+  const lists = {
+    list: async (userId) => (await all('SELECT * FROM lists WHERE userId = ? ORDER BY position, id', [userId])).map(toLabel),
+    findById: async (userId, id) => toLabel(await get('SELECT * FROM lists WHERE id = ? AND userId = ?', [id, userId])),
+    // name is COLLATE NOCASE, so this ignores case
+    findByName: async (userId, name) => toLabel(await get('SELECT * FROM lists WHERE userId = ? AND name = ?', [userId, name])),
+    create: async (userId, { name, color = null }) => {
+      const { lastID } = await run(
+        `INSERT INTO lists (userId, name, color, position)
+         VALUES (?, ?, ?, (SELECT COALESCE(MAX(position) + 1, 0) FROM lists WHERE userId = ?))`,
+        [userId, name, color, userId]
+      );
+      return lists.findById(userId, lastID);
+    },
+    update: async (userId, id, fields) => {
+      const { sql, values } = assignments(fields, LABEL_FIELDS);
+      const { changes } = await run(`UPDATE lists SET ${sql} WHERE id = ? AND userId = ?`, [...values, id, userId]);
+      return changes > 0 ? lists.findById(userId, id) : null;
+    },
+    reorder: async (userId, ids) => {
+      if (ids.length === 0) return;
+      await run(
+        `UPDATE lists SET position = CASE id ${ids.map(() => 'WHEN ? THEN ?').join(' ')} END,
+           updatedAt = CURRENT_TIMESTAMP
+         WHERE userId = ? AND id IN (${ids.map(() => '?').join(', ')})`,
+        [...ids.flatMap((id, position) => [id, position]), userId, ...ids]
+      );
+    },
+    delete: (userId, id) => transaction(async () => {
+      const { changes } = await run('DELETE FROM lists WHERE id = ? AND userId = ?', [id, userId]);
+      if (changes > 0) {
+        await run(
+          `UPDATE tasks SET listId = NULL, ${TASK_CHANGED} WHERE listId = ? AND userId = ?`,
+          [id, userId]
+        );
+        await run('DELETE FROM list_shares WHERE listId = ?', [id]);
+      }
+      return changes > 0;
+    })
+  };
+
+  const tags = {
+    list: async (userId) => (await all('SELECT * FROM tags WHERE userId = ? ORDER BY name, id', [userId])).map(toLabel),
+    findById: async (userId, id) => toLabel(await get('SELECT * FROM tags WHERE id = ? AND userId = ?', [id, userId])),
+    findByName: async (userId, name) => toLabel(await get('SELECT * FROM tags WHERE userId = ? AND name = ?', [userId, name])),
+    create: async (userId, { name, color = null }) => {
+      const { lastID } = await run('INSERT INTO tags (userId, name, color) VALUES (?, ?, ?)', [userId, name, color]);
+      return tags.findById(userId, lastID);
+    },
+    update: async (userId, id, fields) => {
+      const { sql, values } = assignments(fields, LABEL_FIELDS);
+      const { changes } = await run(`UPDATE tags SET ${sql} WHERE id = ? AND userId = ?`, [...values, id, userId]);
+      return changes > 0 ? tags.findById(userId, id) : null;
+    },
+    delete: (userId, id) => transaction(async () => {
+      const { changes } = await run('DELETE FROM tags WHERE id = ? AND userId = ?', [id, userId]);
+      if (changes > 0) {
+        await run(`UPDATE tasks SET ${TASK_CHANGED} WHERE id IN (SELECT taskId FROM task_tags WHERE tagId = ?)`, [id]);
+        await run('DELETE FROM task_tags WHERE tagId = ?', [id]);
+      }
+      return changes > 0;
+    })
+  };
+
+  const shares = {
+    find: async (listId, userId) => toLabel(await get(
+      'SELECT * FROM list_shares WHERE listId = ? AND userId = ?',
+      [listId, userId]
+    )),
+    listByList: async (listId) => (await all(
+      'SELECT * FROM list_shares WHERE listId = ? ORDER BY createdAt, userId',
+      [listId]
+    )).map(toLabel),
+    listByUser: async (userId) => (await all(
+      'SELECT * FROM list_shares WHERE userId = ? ORDER BY createdAt, listId',
+      [userId]
+    )).map(toLabel),
+    save: async (listId, userId, { ownerId, role, status }) => {
+      await run(
+        `INSERT INTO list_shares (listId, userId, ownerId, role, status) VALUES (?, ?, ?, ?, ?)
+         ON CONFLICT (listId, userId) DO UPDATE SET
+           ownerId = excluded.ownerId, role = excluded.role, status = excluded.status, updatedAt = CURRENT_TIMESTAMP`,
+        [listId, userId, ownerId, role, status]
+      );
+      return shares.find(listId, userId);
+    },
+    delete: async (listId, userId) => {
+      const { changes } = await run('DELETE FROM list_shares WHERE listId = ? AND userId = ?', [listId, userId]);
+      return changes > 0;
+    }
+  };
+
+  const reminders = {
+    findSettings: async (userId) => toReminderSettings(await get(
+      'SELECT * FROM reminder_settings WHERE userId = ?',
+      [userId]
+    )),
+    saveSettings: async (userId, fields) => {
+      await run('INSERT OR IGNORE INTO reminder_settings (userId) VALUES (?)', [userId]);
+      const { sql, values } = assignments(fields, REMINDER_SETTING_FIELDS);
+      await run(`UPDATE reminder_settings SET ${sql} WHERE userId = ?`, [...values, userId]);
+      return reminders.findSettings(userId);
+    },
+    listDigests: async (hour) => (await all(
+      'SELECT * FROM reminder_settings WHERE digestHour <= ? ORDER BY userId',
+      [hour]
+    )).map(toReminderSettings),
+    claim: async (key, { userId, taskId = null }, sentAt) => {
+      const { changes } = await run(
+        'INSERT OR IGNORE INTO sent_reminders (key, userId, taskId, sentAt) VALUES (?, ?, ?, ?)',
+        [key, userId, taskId, toSqlDateTime(sentAt)]
+      );
+      return changes > 0;
+    },
+    release: async (key) => {
+      await run('DELETE FROM sent_reminders WHERE key = ?', [key]);
+    },
+    forgetSent: async (before) => {
+      const { changes } = await run('DELETE FROM sent_reminders WHERE sentAt < ?', [toSqlDateTime(before)]);
+      return changes;
+    }
+  };
+
+  return { users, tasks, lists, tags, shares, reminders, transaction };
+};
+
+module.exports = { createSqliteRepositories };
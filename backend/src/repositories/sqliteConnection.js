@@ -0,0 +1,113 @@
+/**
+ * The one sqlite3 connection the server shares between requests, with
+ * transactions that have it to themselves.
+ *
+ * A SQLite transaction belongs to the connection, not to the code that began
+ * it: any statement run on the connection while it is open becomes part of it,
+ * and is rolled back with it. So while a transaction is open, statements from
+ * outside it wait until it ends, and a transaction begins only once the
+ * statements already running have finished. Transactions wait for one another.
+ * The statements of a transaction are told apart with AsyncLocalStorage, so the
+ * work inside one uses the same run, get and all as any other code.
+ *
+ * Everything that uses the database goes through sharedConnection(db); calling
+ * the sqlite3 Database directly skips the wait.
+ */
+const { AsyncLocalStorage } = require('async_hooks');
+
+const openTransaction = new AsyncLocalStorage();
+const connections = new WeakMap();
+
+const createConnection = (db) => {
+  let running = 0; // statements from outside a transaction that have not finished
+  let drained = null; // resolves once `running` is back to 0
+  let exclusive = null; // settles when the transaction that has (or waits for) the connection ends
+  let queue = Promise.resolve();
+
+  const execute = (method, sql, params) => new Promise((resolve, reject) => {
+    db[method](sql, params, function (err, result) {
+      if (err) reject(err);
+      else if (method === 'run') resolve({ lastID: this.lastID, changes: this.changes });
+      else if (method === 'get') resolve(result || null);
+      else resolve(result);
+    });
+  });
+
+  const inTransaction = () => Boolean(openTransaction.getStore()?.open);
+
+  const statement = (method) => async (sql, params = []) => {
+    if (inTransaction()) {
+      return execute(method, sql, params);
+    }
+    while (exclusive) {
+      await exclusive;
+    }
+    running += 1;
+    try {
+      return await execute(method, sql, params);
+    } finally {
+      running -= 1;
+      if (running === 0 && drained) drained();
+    }
+  };
+
+  // Run `work` between BEGIN and COMMIT, rolling back if it throws. A transaction
+  // started from inside another is part of it.
+  const transaction = (work) => {
+    if (inTransaction()) {
+      return work();
+    }
+    const result = queue.then(async () => {
+      let release;
+      exclusive = new Promise((resolve) => { release = resolve; });
+      if (running > 0) {
+        await new Promise((resolve) => { drained = resolve; });
+        drained = null;
+      }
+
+      const scope = { open: true };
+      try {
+        return await openTransaction.run(scope, async () => {
+          await execute('run', 'BEGIN IMMEDIATE TRANSACTION', []);
+          try {
+            const value = await work();
+            await execute('run', 'COMMIT', []);
+            return value;
+          } catch (error) {
+            await execute('run', 'ROLLBACK', []);
+            throw error;
+          }
+        });
+      } finally {
+        // Anything `work` left running is on its own from here
+        scope.open = false;
+        exclusive = null;
+        release();
+      }
+    });
+    queue = result.catch(() => {});
+    return result;
+  };
+
+  return {
+    run: statement('run'),
+    get: statement('get'),
+    all: statement('all'),
+    transaction
+  };
+};
+
+/**
+ * Promise versions of run, get and all, and transaction(work), for a database
+ * @param {object} db - sqlite3 Database
+ * @returns {{run: Function, get: Function, all: Function, transaction: Function}}
+ *   run resolves to { lastID, changes }, get to a row or null, all to the rows
+ */
+const sharedConnection = (db) => {
+  if (!connections.has(db)) {
+    connections.set(db, createConnection(db));
+  }
+  return connections.get(db);
+};
+
+module.exports = { sharedConnection };
@@ -0,0 +1,106 @@
+/**
+ * Email verification shared by the Lambda handlers and the Express server.
+ *
+ * A verification token is emailed on registration (and on request). Tokens are
+ * single-use, expire after 24 hours and are stored hashed, using the same store
+ * interface as password reset tokens (see utils/passwordReset.js).
+ *
+ * EMAIL_VERIFICATION_POLICY decides what unverified accounts may do:
+ *   allow   - everything (default)
+ *   limited - log in and read, but not create or change data
+ *   block   - cannot log in until verified
+ */
+const { generateOpaqueToken, hashToken } = require('./tokens');
+const { sendMail, appLink } = require('./mailer');
+
+const EMAIL_VERIFICATION_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+const VERIFICATION_POLICIES = ['allow', 'limited', 'block'];
+
+class EmailVerificationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'EmailVerificationError';
+  }
+}
+
+/**
+ * Get the configured policy for unverified accounts
+ * @returns {string} 'allow', 'limited' or 'block'
+ */
+const getVerificationPolicy = () => {
+  const policy = process.env.EMAIL_VERIFICATION_POLICY || 'allow';
+  if (!VERIFICATION_POLICIES.includes(policy)) {
+    throw new Error(`Invalid EMAIL_VERIFICATION_POLICY: ${policy}`);
+  }
+  return policy;
+};
+
+/**
+ * Whether the policy keeps a caller from creating or changing data
+ * @param {object} claims - Access token claims (or req.user) with isVerified
+ * @returns {boolean} True for unverified accounts unless the policy is 'allow'
+ */
+const mustVerifyEmail = (claims) => claims.isVerified === false && getVerificationPolicy() !== 'allow';
+
+/**
+ * Create a verification token for a user and email it to them
+ * @param {object} store - One-time token store
+ * @param {object} user - { id|userId, email, firstName }
+ * @returns {Promise<void>}
+ */
+const sendVerificationEmail = async (store, user) => {
+  const userId = user.userId !== undefined ? user.userId : user.id;
+  const token = generateOpaqueToken();
+  const now = Date.now();
+
+  await store.invalidateForUser(userId);
+  await store.save({
+    tokenHash: hashToken(token),
+    userId,
+    createdAt: now,
+    expiresAt: now + EMAIL_VERIFICATION_TTL_MS
+  });
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: [
+      `Hi ${user.firstName},`,
+      '',
+      'Please confirm your email address by opening the link below within 24 hours:',
+      appLink('/verify-email', { token }),
+      '',
+      'If you did not create an account, you can ignore this email.'
+    ].join('\n')
+  });
+};
+
+/**
+ * Consume a verification token
+ * @param {object} store - One-time token store
+ * @param {string} token - Raw token from the verification link
+ * @returns {Promise<string|number>} Id of the user to mark as verified
+ * @throws {EmailVerificationError} If the token is unknown, expired or already used
+ */
+const consumeVerificationToken = async (store, token) => {
+  const record = token ? await store.findByHash(hashToken(token)) : null;
+  if (!record || record.usedAt || record.expiresAt <= Date.now()) {
+    throw new EmailVerificationError('Invalid or expired verification token');
+  }
+
+  const claimed = await store.markUsed(record.tokenHash);
+  if (!claimed) {
+    throw new EmailVerificationError('Invalid or expired verification token');
+  }
+
+  return record.userId;
+};
+
+module.exports = {
+  EMAIL_VERIFICATION_TTL_MS,
+  EmailVerificationError,
+  getVerificationPolicy,
+  mustVerifyEmail,
+  sendVerificationEmail,
+  consumeVerificationToken
+};
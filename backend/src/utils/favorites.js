@@ -0,0 +1,61 @@
+/**
+ * Favorite recipes, independent of where they are stored.
+ *
+ * Favorites are read and written through a `favorites` repository with these async methods:
+ *   add(userId, recipeId)      - favorite a recipe, return the favorite (the existing one if
+ *                                it was already a favorite)
+ *   remove(userId, recipeId)   - unfavorite, return true if it was a favorite
+ *   listByUser(userId)         - every favorite of a user, newest first
+ *
+ * Favorite shape: { userId, recipeId, createdAt }
+ *
+ * Users can favorite recipes they can see: public ones and their own. A favorite whose
+ * recipe was deleted or made private is left out of the list.
+ */
+const { getRecipe } = require('./recipes');
+
+/**
+ * Add a recipe to the caller's favorites
+ * @param {object} recipes - Recipe repository
+ * @param {object} favorites - Favorite repository
+ * @param {string} userId - Caller
+ * @param {string} recipeId - Recipe id
+ * @returns {Promise<object|null>} The favorite, or null if the caller cannot see the recipe
+ */
+const addFavorite = async (recipes, favorites, userId, recipeId) => {
+  if (!await getRecipe(recipes, userId, recipeId)) {
+    return null;
+  }
+  return favorites.add(userId, recipeId);
+};
+
+/**
+ * Remove a recipe from the caller's favorites
+ * @param {object} favorites - Favorite repository
+ * @param {string} userId - Caller
+ * @param {string} recipeId - Recipe id
+ * @returns {Promise<boolean>} False if it was not a favorite
+ */
+const removeFavorite = (favorites, userId, recipeId) => favorites.remove(userId, recipeId);
+
+/**
+ * List the caller's favorite recipes
+ * @param {object} recipes - Recipe repository
+ * @param {object} favorites - Favorite repository
+ * @param {string} userId - Caller
+ * @returns {Promise<Array>} Recipes with a favoritedAt timestamp, most recently favorited first
+ */
+const listFavorites = async (recipes, favorites, userId) => {
+  const favorited = await favorites.listByUser(userId);
+  const found = await Promise.all(favorited.map((favorite) => getRecipe(recipes, userId, favorite.recipeId)));
+
+  return found
+    .map((recipe, index) => recipe && { ...recipe, favoritedAt: favorited[index].createdAt })
+    .filter(Boolean);
+};
+
+module.exports = {
+  addFavorite,
+  removeFavorite,
+  listFavorites
+};
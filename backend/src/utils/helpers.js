@@ -6,16 +6,18 @@
  * Create standardized API response
  * @param {number} statusCode - HTTP status code
  * @param {object} body - Response body
+ * @param {object} [headers] - Extra response headers
  * @returns {object} Lambda response object
  */
-const response = (statusCode, body) => {
+const response = (statusCode, body, headers = {}) => {
   return {
     statusCode,
     headers: {
       'Content-Type': 'application/json',
       'Access-Control-Allow-Origin': '*',
       'Access-Control-Allow-Headers': 'Content-Type, Authorization',
-      'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS'
+      'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+      ...headers
     },
     body: JSON.stringify(body)
   };
@@ -37,15 +39,59 @@ const validateInput = (data, schema) => {
  * @returns {string} User ID
  */
 const getUserIdFromToken = (token) => {
-  const jwt = require('jsonwebtoken');
+  const { verifyAccessToken } = require('./tokens');
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const decoded = verifyAccessToken(token);
     return decoded.userId;
   } catch (error) {
     throw new Error('Invalid token');
   }
 };
 
+/**
+ * Extract user ID from JWT token, for routes that create or change data
+ * @param {string} token - JWT token
+ * @returns {string} User ID
+ * @throws {Error} 'Invalid token', or 'Email not verified' if EMAIL_VERIFICATION_POLICY
+ *   keeps unverified accounts from making changes
+ */
+const getVerifiedUserIdFromToken = (token) => {
+  const { verifyAccessToken } = require('./tokens');
+  const { mustVerifyEmail } = require('./emailVerification');
+  let decoded;
+  try {
+    decoded = verifyAccessToken(token);
+  } catch (error) {
+    throw new Error('Invalid token');
+  }
+  if (mustVerifyEmail(decoded)) {
+    throw new Error('Email not verified');
+  }
+  return decoded.userId;
+};
+
+/**
+ * Create a 429 response with a Retry-After header
+ * @param {number} retryAfter - Seconds until the client may retry
+ * @returns {object} Lambda response object
+ */
+const tooManyRequests = (retryAfter) => {
+  return response(
+    429,
+    { error: 'Too many attempts. Please try again later.', retryAfter },
+    { 'Retry-After': String(retryAfter) }
+  );
+};
+
+/**
+ * Get the client IP of an API Gateway event
+ * @param {object} event - Lambda event
+ * @returns {string} Source IP
+ */
+const getClientIp = (event) => {
+  return event.requestContext?.identity?.sourceIp || 'unknown';
+};
+
 /**
  * Create standardized error response
  * @param {number} statusCode - HTTP status code
@@ -70,6 +116,9 @@ module.exports = {
   response,
   validateInput,
   getUserIdFromToken,
+  getVerifiedUserIdFromToken,
+  tooManyRequests,
+  getClientIp,
   errorResponse,
   successResponse
 };
\ No newline at end of file
@@ -0,0 +1,116 @@
+/**
+ * Task lists (projects) shared by the Lambda handlers and the Express server.
+ *
+ * Lists are read and written through a `lists` repository (see src/repositories)
+ * with these async methods, all scoped to the owner:
+ *   list(userId)                - the user's lists, in order
+ *   findById(userId, id)        - list or null
+ *   findByName(userId, name)    - list with that name, ignoring case, or null
+ *   create(userId, fields)      - append { name, color } after the other lists and return it
+ *   update(userId, id, fields)  - change { name, color }, return the updated list or null
+ *   reorder(userId, ids)        - set the order of every list
+ *   delete(userId, id)          - remove a list and take its tasks out of it, return true if it existed
+ *
+ * Every repository returns the same list shape:
+ *   { id, userId, name, color (#rrggbb or null), position, createdAt, updatedAt }
+ *
+ * A task belongs to at most one list (its listId); moving it is a task update.
+ */
+const { TaskError } = require('./tasks');
+
+class ListError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ListError';
+  }
+}
+
+const sameId = (a, b) => String(a) === String(b);
+
+// Names are unique per user, ignoring case
+const assertNameFree = async (lists, userId, name, id = null) => {
+  const existing = await lists.findByName(userId, name);
+  if (existing && !sameId(existing.id, id)) {
+    throw new ListError(`A list named "${existing.name}" already exists`);
+  }
+};
+
+/**
+ * List a user's lists
+ * @param {object} lists - List repository
+ * @param {string|number} userId - Owner
+ * @returns {Promise<Array>} In order
+ */
+const listLists = (lists, userId) => lists.list(userId);
+
+/**
+ * Create a list at the end of the user's lists
+ * @param {object} lists - List repository
+ * @param {string|number} userId - Owner
+ * @param {object} fields - Validated createListSchema value
+ * @returns {Promise<object>} The new list
+ * @throws {ListError} If the user already has a list with that name
+ */
+const createList = async (lists, userId, { name, color = null }) => {
+  await assertNameFree(lists, userId, name);
+  return lists.create(userId, { name, color });
+};
+
+/**
+ * Rename or recolor a list
+ * @param {object} lists - List repository
+ * @param {string|number} userId - Owner
+ * @param {string|number} id - List id
+ * @param {object} fields - Validated updateListSchema value
+ * @returns {Promise<object|null>} The updated list, or null if the user has no such list
+ * @throws {ListError} If another list of the user has the new name
+ */
+const updateList = async (lists, userId, id, { name, color }) => {
+  if (!await lists.findById(userId, id)) return null;
+  if (name !== undefined) {
+    await assertNameFree(lists, userId, name, id);
+  }
+
+  const fields = { name, color };
+  Object.keys(fields).forEach((key) => fields[key] === undefined && delete fields[key]);
+  return lists.update(userId, id, fields);
+};
+
+/**
+ * Put a user's lists in a new order
+ * @param {object} lists - List repository
+ * @param {string|number} userId - Owner
+ * @param {object} fields - Validated reorderListsSchema value { order }
+ * @returns {Promise<Array>} The lists, in the new order
+ * @throws {TaskError} If order is not exactly the user's list ids
+ */
+const reorderLists = async (lists, userId, { order }) => {
+  const current = await lists.list(userId);
+
+  const complete = order.length === current.length
+    && current.every((list) => order.some((id) => sameId(id, list.id)));
+  if (!complete) {
+    throw new TaskError('order must list every list exactly once');
+  }
+
+  await lists.reorder(userId, order.map((id) => current.find((list) => sameId(list.id, id)).id));
+  return lists.list(userId);
+};
+
+/**
+ * Delete a list; its tasks are kept, outside any list
+ * @param {object} lists - List repository
+ * @param {string|number} userId - Owner
+ * @param {string|number} id - List id
+ * @returns {Promise<boolean>} False if the user has no such list
+ */
+const deleteList = (lists, userId, id) => lists.delete(userId, id);
+
+module.exports = {
+  ListError,
+  listLists,
+  createList,
+  updateList,
+  reorderLists,
+  deleteList
+};
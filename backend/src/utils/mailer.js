@@ -0,0 +1,98 @@
+/**
+ * Pluggable mailer shared by the Lambda handlers and the Express server
+ *
+ * The transport is picked with MAIL_TRANSPORT:
+ *   console - log the message (default, for local development). Refused when
+ *             NODE_ENV=production, where it would put reset links in the logs
+ *   file    - append the message as a JSON line to MAIL_OUTBOX_FILE (for tests)
+ *   ses     - send through Amazon SES
+ * A custom transport can be plugged in with setTransport().
+ */
+const fs = require('fs');
+const path = require('path');
+
+const transports = {
+  console: async (message) => {
+    console.log(`📧 Email to ${message.to}: ${message.subject}\n${message.text}`);
+  },
+
+  file: async (message) => {
+    const outboxFile = process.env.MAIL_OUTBOX_FILE || path.join(process.cwd(), 'mail-outbox.jsonl');
+    await fs.promises.appendFile(outboxFile, `${JSON.stringify(message)}\n`);
+  },
+
+  ses: async (message) => {
+    const AWS = require('aws-sdk');
+    const ses = new AWS.SES();
+    await ses.sendEmail({
+      Source: message.from,
+      Destination: { ToAddresses: [message.to] },
+      Message: {
+        Subject: { Data: message.subject },
+        Body: { Text: { Data: message.text } }
+      }
+    }).promise();
+  }
+};
+
+let customTransport = null;
+
+/**
+ * Replace the configured transport (pass null to restore it)
+ * @param {function|null} transport - async (message) => void
+ */
+const setTransport = (transport) => {
+  customTransport = transport;
+};
+
+/**
+ * Get the name of the configured transport
+ * @returns {string} A key of transports
+ * @throws {Error} If MAIL_TRANSPORT is unknown, or is console in production
+ */
+const getTransportName = () => {
+  const name = process.env.MAIL_TRANSPORT || 'console';
+  if (!transports[name]) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+  if (name === 'console' && process.env.NODE_ENV === 'production') {
+    throw new Error('Set MAIL_TRANSPORT in production; the console transport would log the links it sends');
+  }
+  return name;
+};
+
+/**
+ * Send an email
+ * @param {object} message - { to, subject, text }
+ * @returns {Promise<void>}
+ */
+const sendMail = async ({ to, subject, text }) => {
+  const transport = customTransport || transports[getTransportName()];
+
+  await transport({
+    from: process.env.MAIL_FROM || 'no-reply@spicerack.local',
+    to,
+    subject,
+    text,
+    sentAt: new Date().toISOString()
+  });
+};
+
+/**
+ * Build a link into the frontend
+ * @param {string} pathname - Path on the frontend, e.g. '/reset-password'
+ * @param {object} params - Query string parameters
+ * @returns {string} Absolute URL
+ */
+const appLink = (pathname, params = {}) => {
+  const url = new URL(pathname, process.env.APP_URL || 'http://localhost:5173');
+  Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+  return url.toString();
+};
+
+module.exports = {
+  getTransportName,
+  setTransport,
+  sendMail,
+  appLink
+};
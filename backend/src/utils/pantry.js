@@ -0,0 +1,57 @@
+/**
+ * A user's pantry: the spices and other ingredients they have at home.
+ *
+ * Pantries are read and written through a `pantries` repository with these async methods:
+ *   find(userId)             - pantry or null if the user never saved one
+ *   save(userId, fields)     - store { spices, ingredients } and return the pantry
+ *
+ * Pantry shape: { userId, spices: [string], ingredients: [string], updatedAt }
+ * Names are lower case (see validation.js) and kept in alphabetical order.
+ */
+
+const sorted = (names) => [...new Set(names)].sort();
+
+/**
+ * Get a user's pantry
+ * @param {object} pantries - Pantry repository
+ * @param {string} userId - Owner
+ * @returns {Promise<object>} Empty lists if nothing was saved yet
+ */
+const getPantry = async (pantries, userId) => {
+  const pantry = await pantries.find(userId);
+  return pantry || { userId, spices: [], ingredients: [], updatedAt: null };
+};
+
+/**
+ * Replace a user's pantry
+ * @param {object} pantries - Pantry repository
+ * @param {string} userId - Owner
+ * @param {object} fields - Validated pantrySchema value { spices, ingredients }
+ * @returns {Promise<object>} The saved pantry
+ */
+const replacePantry = (pantries, userId, { spices, ingredients }) => {
+  return pantries.save(userId, { spices: sorted(spices), ingredients: sorted(ingredients) });
+};
+
+/**
+ * Add and remove items; removals win when a name is in both
+ * @param {object} pantries - Pantry repository
+ * @param {string} userId - Owner
+ * @param {object} changes - Validated updatePantrySchema value { add, remove }
+ * @returns {Promise<object>} The saved pantry
+ */
+const updatePantry = async (pantries, userId, { add = {}, remove = {} }) => {
+  const pantry = await getPantry(pantries, userId);
+  const change = (list) => {
+    const removed = new Set(remove[list] || []);
+    return sorted([...pantry[list], ...(add[list] || [])].filter((name) => !removed.has(name)));
+  };
+
+  return pantries.save(userId, { spices: change('spices'), ingredients: change('ingredients') });
+};
+
+module.exports = {
+  getPantry,
+  replacePantry,
+  updatePantry
+};
@@ -0,0 +1,84 @@
+/**
+ * Password reset tokens shared by the Lambda handlers and the Express server.
+ *
+ * Reset tokens are single-use, expire after an hour and are stored hashed.
+ * Requesting a new token invalidates the user's older outstanding ones.
+ *
+ * The storage backend is passed in as a `store` with these async methods:
+ *   save(record)                 - persist a new token record
+ *   findByHash(tokenHash)        - return the record or null
+ *   markUsed(tokenHash)          - mark as used if still unused, return true if it was
+ *   invalidateForUser(userId)    - mark every unused token of a user as used
+ */
+const { generateOpaqueToken, hashToken } = require('./tokens');
+const { sendMail, appLink } = require('./mailer');
+
+const PASSWORD_RESET_TTL_MS = 60 * 60 * 1000; // 1 hour
+
+class PasswordResetError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PasswordResetError';
+  }
+}
+
+/**
+ * Create a reset token for a user and email it to them
+ * @param {object} store - Password reset store
+ * @param {object} user - { id|userId, email, firstName }
+ * @returns {Promise<void>}
+ */
+const sendPasswordResetEmail = async (store, user) => {
+  const userId = user.userId !== undefined ? user.userId : user.id;
+  const token = generateOpaqueToken();
+  const now = Date.now();
+
+  await store.invalidateForUser(userId);
+  await store.save({
+    tokenHash: hashToken(token),
+    userId,
+    createdAt: now,
+    expiresAt: now + PASSWORD_RESET_TTL_MS
+  });
+
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: [
+      `Hi ${user.firstName},`,
+      '',
+      'We received a request to reset your password. Use the link below within the next hour:',
+      appLink('/reset-password', { token }),
+      '',
+      'If you did not request this, you can ignore this email.'
+    ].join('\n')
+  });
+};
+
+/**
+ * Consume a reset token
+ * @param {object} store - Password reset store
+ * @param {string} token - Raw token from the reset link
+ * @returns {Promise<string|number>} Id of the user whose password may be reset
+ * @throws {PasswordResetError} If the token is unknown, expired or already used
+ */
+const consumePasswordResetToken = async (store, token) => {
+  const record = token ? await store.findByHash(hashToken(token)) : null;
+  if (!record || record.usedAt || record.expiresAt <= Date.now()) {
+    throw new PasswordResetError('Invalid or expired reset token');
+  }
+
+  const claimed = await store.markUsed(record.tokenHash);
+  if (!claimed) {
+    throw new PasswordResetError('Invalid or expired reset token');
+  }
+
+  return record.userId;
+};
+
+module.exports = {
+  PASSWORD_RESET_TTL_MS,
+  PasswordResetError,
+  sendPasswordResetEmail,
+  consumePasswordResetToken
+};
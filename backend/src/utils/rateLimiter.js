@@ -0,0 +1,183 @@
+/**
+ * Brute-force protection shared by the Lambda handlers and the Express server.
+ *
+ * Two mechanisms:
+ *   - Fixed-window request counters per key (e.g. per IP on login/register)
+ *   - Per-account lockout after repeated failed logins. Each lockout doubles
+ *     the previous one, up to LOCKOUT_MAX_MS. A successful login resets it.
+ *
+ * Counters live in a `store` with these async methods:
+ *   increment(key, windowMs)   - add 1 to a counter, return { count, expiresAt }
+ *   get(key)                   - return the stored value or null
+ *   set(key, value, ttlMs)     - store a value that expires after ttlMs
+ *   delete(key)                - remove a key
+ * createMemoryStore() is the default; a shared store (e.g. DynamoDB) is
+ * needed when several processes serve the same users.
+ */
+
+const RATE_LIMITS = {
+  login: { limit: 20, windowMs: 15 * 60 * 1000 }, // 20 attempts per IP per 15 minutes
+  register: { limit: 5, windowMs: 60 * 60 * 1000 }, // 5 sign-ups per IP per hour
+  twoFactor: { limit: 5, windowMs: 5 * 60 * 1000 } // 5 code attempts per user per 5 minutes
+};
+
+const MAX_FAILED_LOGINS = 5;
+const LOCKOUT_BASE_MS = 60 * 1000; // 1 minute, doubled on each lockout
+const LOCKOUT_MAX_MS = 60 * 60 * 1000; // 1 hour
+const LOCKOUT_MEMORY_MS = 24 * 60 * 60 * 1000; // Forget failures after a quiet day
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Create an in-memory store (per process). An expired entry is dropped when it
+ * is read, and writes sweep out every expired entry at most once a minute, so
+ * keys that are never seen again (one-off IPs and emails) do not pile up.
+ * @returns {object} Rate limit store, plus size() - the number of entries kept
+ */
+const createMemoryStore = () => {
+  const entries = new Map();
+  let lastSweep = Date.now();
+
+  const sweep = () => {
+    const now = Date.now();
+    if (now - lastSweep < SWEEP_INTERVAL_MS) return;
+    lastSweep = now;
+    entries.forEach((entry, key) => {
+      if (entry.expiresAt <= now) entries.delete(key);
+    });
+  };
+
+  const read = (key) => {
+    const entry = entries.get(key);
+    if (entry && entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  };
+
+  return {
+    increment: async (key, windowMs) => {
+      sweep();
+      const entry = read(key) || { value: 0, expiresAt: Date.now() + windowMs };
+      entry.value += 1;
+      entries.set(key, entry);
+      return { count: entry.value, expiresAt: entry.expiresAt };
+    },
+    get: async (key) => {
+      const entry = read(key);
+      return entry ? entry.value : null;
+    },
+    set: async (key, value, ttlMs) => {
+      sweep();
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+    },
+    delete: async (key) => {
+      entries.delete(key);
+    },
+    size: () => entries.size
+  };
+};
+
+const secondsUntil = (timestamp) => Math.max(1, Math.ceil((timestamp - Date.now()) / 1000));
+
+const lockoutKey = (email) => `lockout:${String(email).trim().toLowerCase()}`;
+
+/**
+ * Count a request against a fixed-window limit
+ * @param {object} store - Rate limit store
+ * @param {string} action - Key of RATE_LIMITS, e.g. 'login'
+ * @param {string} identifier - Who is limited, e.g. the client IP
+ * @returns {Promise<{allowed: boolean, retryAfter: number}>} retryAfter in seconds when not allowed
+ */
+const checkRateLimit = async (store, action, identifier) => {
+  const { limit, windowMs } = RATE_LIMITS[action];
+  const { count, expiresAt } = await store.increment(`${action}:${identifier}`, windowMs);
+
+  if (count > limit) {
+    return { allowed: false, retryAfter: secondsUntil(expiresAt) };
+  }
+  return { allowed: true, retryAfter: 0 };
+};
+
+/**
+ * Check whether an account is locked
+ * @param {object} store - Rate limit store
+ * @param {string} email - Account email
+ * @returns {Promise<number>} Seconds until the lock ends, 0 if not locked
+ */
+const getLockout = async (store, email) => {
+  const state = await store.get(lockoutKey(email));
+  if (state && state.lockedUntil > Date.now()) {
+    return secondsUntil(state.lockedUntil);
+  }
+  return 0;
+};
+
+/**
+ * Record a failed login, locking the account when the limit is reached
+ * @param {object} store - Rate limit store
+ * @param {string} email - Account email (recorded even if no such account exists)
+ * @returns {Promise<number>} Seconds until the lock ends if this failure locked the account, else 0
+ */
+const recordLoginFailure = async (store, email) => {
+  const key = lockoutKey(email);
+  const state = (await store.get(key)) || { failures: 0, lockouts: 0, lockedUntil: 0 };
+
+  state.failures += 1;
+  let retryAfter = 0;
+
+  if (state.failures >= MAX_FAILED_LOGINS) {
+    const duration = Math.min(LOCKOUT_BASE_MS * 2 ** state.lockouts, LOCKOUT_MAX_MS);
+    state.lockouts += 1;
+    state.failures = 0;
+    state.lockedUntil = Date.now() + duration;
+    retryAfter = secondsUntil(state.lockedUntil);
+    console.warn(`Account locked for ${retryAfter}s after repeated failed logins:`, email);
+  }
+
+  await store.set(key, state, LOCKOUT_MEMORY_MS);
+  return retryAfter;
+};
+
+/**
+ * Clear failed logins and any lock of an account (successful login or admin unlock)
+ * @param {object} store - Rate limit store
+ * @param {string} email - Account email
+ * @returns {Promise<void>}
+ */
+const clearLoginFailures = async (store, email) => {
+  await store.delete(lockoutKey(email));
+};
+
+/**
+ * Check whether an authenticated user is an admin (listed in ADMIN_EMAILS)
+ * @param {string} email - Email from the access token
+ * @returns {boolean}
+ */
+const isAdminEmail = (email) => {
+  const admins = (process.env.ADMIN_EMAILS || '')
+    .split(',')
+    .map((entry) => entry.trim().toLowerCase())
+    .filter(Boolean);
+  return Boolean(email) && admins.includes(String(email).toLowerCase());
+};
+
+/**
+ * Check whether an authenticated user is an admin: listed in ADMIN_EMAILS and
+ * verified, so nobody can claim an admin address by registering it first
+ * @param {object} claims - Access token claims (or req.user) with email and isVerified
+ * @returns {boolean}
+ */
+const isAdmin = (claims) => claims.isVerified === true && isAdminEmail(claims.email);
+
+module.exports = {
+  RATE_LIMITS,
+  MAX_FAILED_LOGINS,
+  createMemoryStore,
+  checkRateLimit,
+  getLockout,
+  recordLoginFailure,
+  clearLoginFailures,
+  isAdminEmail,
+  isAdmin
+};
@@ -0,0 +1,71 @@
+/**
+ * Recipe ratings, independent of where they are stored.
+ *
+ * A user has at most one rating per recipe: rating again replaces it. Ratings are
+ * read and written through a `ratings` repository with these async methods:
+ *   find(recipeId, userId)             - rating or null
+ *   listByRecipe(recipeId)             - every rating of a recipe, newest first
+ *   save(recipeId, userId, fields)     - insert or replace the rating, return it
+ *   delete(recipeId, userId)           - remove the rating, return true if it existed
+ * save and delete keep the recipe's ratingCount and averageRating in step.
+ *
+ * Rating shape: { recipeId, userId, rating (1-5), review, createdAt, updatedAt }
+ *
+ * Only recipes the caller can see may be rated (see utils/recipes.js).
+ */
+const { getRecipe } = require('./recipes');
+
+/**
+ * Rate a recipe, replacing the caller's previous rating
+ * @param {object} recipes - Recipe repository
+ * @param {object} ratings - Rating repository
+ * @param {string} userId - Caller
+ * @param {string} recipeId - Recipe id
+ * @param {object} fields - Validated rateRecipeSchema value { rating, review }
+ * @returns {Promise<{rating: object, recipe: object}|null>} The rating and the recipe with
+ *   its new average, or null if the caller cannot see the recipe
+ */
+const rateRecipe = async (recipes, ratings, userId, recipeId, fields) => {
+  if (!await getRecipe(recipes, userId, recipeId)) {
+    return null;
+  }
+  const rating = await ratings.save(recipeId, userId, fields);
+  return { rating, recipe: await recipes.findById(recipeId) };
+};
+
+/**
+ * Remove the caller's rating of a recipe
+ * @param {object} recipes - Recipe repository
+ * @param {object} ratings - Rating repository
+ * @param {string} userId - Caller
+ * @param {string} recipeId - Recipe id
+ * @returns {Promise<object|null>} The recipe with its new average, or null if the caller
+ *   cannot see it or had not rated it
+ */
+const deleteRating = async (recipes, ratings, userId, recipeId) => {
+  if (!await getRecipe(recipes, userId, recipeId) || !await ratings.delete(recipeId, userId)) {
+    return null;
+  }
+  return recipes.findById(recipeId);
+};
+
+/**
+ * List the ratings and reviews of a recipe
+ * @param {object} recipes - Recipe repository
+ * @param {object} ratings - Rating repository
+ * @param {string|null} userId - Caller, null when anonymous
+ * @param {string} recipeId - Recipe id
+ * @returns {Promise<Array|null>} Newest first, or null if the caller cannot see the recipe
+ */
+const listRatings = async (recipes, ratings, userId, recipeId) => {
+  if (!await getRecipe(recipes, userId, recipeId)) {
+    return null;
+  }
+  return ratings.listByRecipe(recipeId);
+};
+
+module.exports = {
+  rateRecipe,
+  deleteRating,
+  listRatings
+};
@@ -0,0 +1,110 @@
+/**
+ * Recipe search and pantry matching.
+ *
+ * DynamoDB cannot search inside titles or ingredient lists, so the recipes a caller can
+ * see are loaded with `recipes.listVisible(userId)` and filtered here; the memory
+ * repository uses the same code.
+ *
+ * search mode - public recipes and the caller's own whose title contains every word of
+ *               `q`, that have every `tag` and an ingredient matching every `ingredient`,
+ *               newest first
+ * match mode  - public recipes matching the same filters, ranked by how many of their
+ *               spices are in the caller's pantry; each recipe gets
+ *               match: { have: [spice], missing: [spice] }
+ */
+const { RecipeError, RecipeCursorError, encodeCursor, decodeCursor } = require('./recipes');
+const { getPantry } = require('./pantry');
+
+// "Cumin, Smoked paprika" -> ['cumin', 'smoked paprika']
+const splitList = (value) => (value || '')
+  .split(',')
+  .map((item) => item.trim().toLowerCase())
+  .filter(Boolean);
+
+/**
+ * Build a predicate for the q, tag and ingredient filters
+ * @param {object} options - Validated recipeSearchSchema value
+ * @returns {Function} recipe => boolean
+ */
+const recipeFilter = ({ q, tag, ingredient }) => {
+  const words = (q || '').toLowerCase().split(/\s+/).filter(Boolean);
+  const tags = splitList(tag);
+  const ingredients = splitList(ingredient);
+
+  return (recipe) => {
+    const title = recipe.title.toLowerCase();
+    const names = recipe.ingredients.map((item) => item.name.toLowerCase());
+    return words.every((word) => title.includes(word))
+      && tags.every((wanted) => recipe.tags.includes(wanted))
+      && ingredients.every((wanted) => names.some((name) => name.includes(wanted)));
+  };
+};
+
+/**
+ * Compare a recipe's spices with a pantry
+ * @param {object} recipe - Recipe
+ * @param {Array<string>} spices - Spices the user has
+ * @returns {{have: Array<string>, missing: Array<string>}}
+ */
+const matchSpices = (recipe, spices) => {
+  const owned = new Set(spices);
+  return {
+    have: recipe.spices.filter((spice) => owned.has(spice)),
+    missing: recipe.spices.filter((spice) => !owned.has(spice))
+  };
+};
+
+// Most spices on hand first, then fewest missing; ties stay newest first
+const byMatch = (a, b) => (b.match.have.length - a.match.have.length)
+  || (a.match.missing.length - b.match.missing.length);
+
+// Search results are ranked in memory, so the cursor is an offset
+const readOffset = (cursor) => {
+  if (!cursor) return 0;
+  const { offset } = decodeCursor(cursor);
+  if (!Number.isInteger(offset) || offset < 0) {
+    throw new RecipeCursorError();
+  }
+  return offset;
+};
+
+/**
+ * Search recipes, or rank them against the caller's pantry
+ * @param {object} recipes - Recipe repository
+ * @param {object} pantries - Pantry repository
+ * @param {string|null} userId - Caller, null when anonymous
+ * @param {object} options - Validated recipeSearchSchema value
+ * @returns {Promise<{recipes: Array, nextCursor: (string|null)}>}
+ * @throws {RecipeError} If an anonymous caller asks for match mode
+ * @throws {RecipeCursorError} If the cursor is not one of ours
+ */
+const searchRecipes = async (recipes, pantries, userId, options) => {
+  const offset = readOffset(options.cursor);
+  const filter = recipeFilter(options);
+  let results;
+
+  if (options.mode === 'match') {
+    if (!userId) {
+      throw new RecipeError('Log in to match recipes against your pantry');
+    }
+    const [{ spices }, visible] = await Promise.all([getPantry(pantries, userId), recipes.listVisible(null)]);
+    results = visible
+      .filter(filter)
+      .map((recipe) => ({ ...recipe, match: matchSpices(recipe, spices) }))
+      .sort(byMatch);
+  } else {
+    results = (await recipes.listVisible(userId)).filter(filter);
+  }
+
+  const end = offset + options.limit;
+  return {
+    recipes: results.slice(offset, end),
+    nextCursor: end < results.length ? encodeCursor({ offset: end }) : null
+  };
+};
+
+module.exports = {
+  recipeFilter,
+  matchSpices,
+  searchRecipes
+};
@@ -0,0 +1,159 @@
+/**
+ * Recipes, independent of where they are stored.
+ *
+ * Recipes are read and written through a `recipes` repository (see src/repositories)
+ * with these async methods:
+ *   findById(id)                     - recipe or null
+ *   listByUser(userId, page)         - { recipes, nextCursor }, newest first
+ *   listPublic(page)                 - { recipes, nextCursor }, newest first
+ *   listVisible(userId)              - every public recipe plus userId's own (none if null),
+ *                                      newest first; used by search (utils/recipeSearch.js)
+ *   create(userId, fields)           - insert and return the recipe
+ *   update(id, fields)               - change some fields, return the updated recipe or null
+ *   delete(id)                       - remove a recipe, return true if it existed
+ * `page` is { limit, cursor } where cursor is the nextCursor of the previous page.
+ * A cursor the repository cannot read throws a RecipeCursorError.
+ *
+ * Every repository returns the same recipe shape:
+ *   { id, userId, title, description, servings, prepMinutes, cookMinutes,
+ *     ingredients: [{ name, quantity, unit, note }], steps: [string] (in order),
+ *     spices: [string], tags: [string], isPublic (boolean),
+ *     ratingCount, averageRating (null until rated, see utils/ratings.js), createdAt, updatedAt }
+ *
+ * Private recipes are only visible to their owner, and only the owner may change them.
+ * Other users get "not found" for a private recipe, so its existence is not revealed.
+ */
+
+class RecipeError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RecipeError';
+  }
+}
+
+class RecipeCursorError extends Error {
+  constructor() {
+    super('cursor is invalid');
+    this.name = 'RecipeCursorError';
+  }
+}
+
+const encodeCursor = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+/**
+ * Read a cursor made by encodeCursor
+ * @param {string} cursor - Cursor from a previous page
+ * @returns {object}
+ * @throws {RecipeCursorError} If it is not one of ours
+ */
+const decodeCursor = (cursor) => {
+  try {
+    const value = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (value && typeof value === 'object') {
+      return value;
+    }
+  } catch (error) {
+    // Fall through to the error below
+  }
+  throw new RecipeCursorError();
+};
+
+/**
+ * Average of a recipe's ratings, to one decimal place
+ * @param {number} total - Sum of the ratings
+ * @param {number} count - Number of ratings
+ * @returns {number|null} Null when there are none
+ */
+const averageRating = (total, count) => (count > 0 ? Math.round((total / count) * 10) / 10 : null);
+
+const isOwner = (recipe, userId) => userId !== undefined && userId !== null && String(recipe.userId) === String(userId);
+
+const canView = (recipe, userId) => recipe.isPublic || isOwner(recipe, userId);
+
+/**
+ * List public recipes, or the caller's own
+ * @param {object} recipes - Recipe repository
+ * @param {string|null} userId - Caller, null when anonymous
+ * @param {object} options - Validated recipeListSchema value { scope, limit, cursor }
+ * @returns {Promise<{recipes: Array, nextCursor: (string|null)}>}
+ * @throws {RecipeError} If an anonymous caller asks for their own recipes
+ */
+const listRecipes = (recipes, userId, { scope, limit, cursor }) => {
+  if (scope === 'mine') {
+    if (!userId) {
+      throw new RecipeError('Log in to list your own recipes');
+    }
+    return recipes.listByUser(userId, { limit, cursor });
+  }
+  return recipes.listPublic({ limit, cursor });
+};
+
+/**
+ * Get a recipe the caller may see
+ * @param {object} recipes - Recipe repository
+ * @param {string|null} userId - Caller, null when anonymous
+ * @param {string} id - Recipe id
+ * @returns {Promise<object|null>} Null if it does not exist or is someone else's private recipe
+ */
+const getRecipe = async (recipes, userId, id) => {
+  const recipe = await recipes.findById(id);
+  return recipe && canView(recipe, userId) ? recipe : null;
+};
+
+/**
+ * Create a recipe
+ * @param {object} recipes - Recipe repository
+ * @param {string} userId - Owner
+ * @param {object} fields - Validated createRecipeSchema value
+ * @returns {Promise<object>} The new recipe
+ */
+const createRecipe = (recipes, userId, fields) => recipes.create(userId, fields);
+
+// The recipe if the caller owns it, null if they cannot see it
+const findOwnedRecipe = async (recipes, userId, id, action) => {
+  const recipe = await getRecipe(recipes, userId, id);
+  if (recipe && !isOwner(recipe, userId)) {
+    throw new RecipeError(`You can only ${action} your own recipes`);
+  }
+  return recipe;
+};
+
+/**
+ * Update one of the caller's recipes
+ * @param {object} recipes - Recipe repository
+ * @param {string} userId - Caller
+ * @param {string} id - Recipe id
+ * @param {object} fields - Validated updateRecipeSchema value
+ * @returns {Promise<object|null>} The updated recipe, or null if the caller cannot see it
+ * @throws {RecipeError} If the recipe is someone else's
+ */
+const updateRecipe = async (recipes, userId, id, fields) => {
+  const recipe = await findOwnedRecipe(recipes, userId, id, 'edit');
+  return recipe && recipes.update(id, fields);
+};
+
+/**
+ * Delete one of the caller's recipes
+ * @param {object} recipes - Recipe repository
+ * @param {string} userId - Caller
+ * @param {string} id - Recipe id
+ * @returns {Promise<boolean>} False if the caller cannot see it
+ * @throws {RecipeError} If the recipe is someone else's
+ */
+const deleteRecipe = async (recipes, userId, id) => {
+  const recipe = await findOwnedRecipe(recipes, userId, id, 'delete');
+  return Boolean(recipe) && recipes.delete(id);
+};
+
+module.exports = {
+  RecipeError,
+  RecipeCursorError,
+  encodeCursor,
+  decodeCursor,
+  averageRating,
+  listRecipes,
+  getRecipe,
+  createRecipe,
+  updateRecipe,
+  deleteRecipe
+};
@@ -0,0 +1,106 @@
+/**
+ * Recurrence rules for repeating tasks, modelled on iCalendar RRULEs:
+ *   { frequency: 'daily' | 'weekly' | 'monthly' | 'yearly',
+ *     interval,        - every n days/weeks/months/years (default 1)
+ *     byWeekday,       - weekly only: ['MO', 'TH'], days of the week to repeat on
+ *     dayOfMonth,      - monthly and yearly: day to repeat on, taken from the first
+ *                        due date; shorter months use their last day
+ *     until,           - optional last date (inclusive)
+ *     count }          - optional number of occurrences, the first one included
+ *
+ * Dates are computed in UTC. A date-only dueDate ("2025-11-20") gives date-only
+ * occurrences; a date-time keeps its time of day.
+ */
+const WEEKDAYS = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+const FREQUENCIES = ['daily', 'weekly', 'monthly', 'yearly'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const isDateOnly = (value) => value.length === 10;
+
+const parseDate = (value) => new Date(isDateOnly(value) ? `${value}T00:00:00Z` : value);
+
+const formatLike = (date, original) => (isDateOnly(original) ? date.toISOString().slice(0, 10) : date.toISOString());
+
+// Same rule as the task list's due filters: a date-only value lasts until the end of its day
+const endOf = (value) => (isDateOnly(value) ? Date.parse(`${value}T23:59:59Z`) : Date.parse(value));
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+// Monday = 0 ... Sunday = 6
+const weekdayIndex = (date) => (date.getUTCDay() + 6) % 7;
+
+/**
+ * Fill in the defaults that depend on the first due date
+ * @param {object} rule - Validated recurrence rule
+ * @param {string} dueDate - Due date of the first occurrence
+ * @returns {object} The rule with dayOfMonth set for monthly and yearly rules
+ */
+const normalizeRule = (rule, dueDate) => {
+  if ((rule.frequency === 'monthly' || rule.frequency === 'yearly') && !rule.dayOfMonth) {
+    return { ...rule, dayOfMonth: parseDate(dueDate).getUTCDate() };
+  }
+  return { ...rule };
+};
+
+// Same day (clamped) and time, `months` months later
+const addMonths = (date, months, dayOfMonth) => {
+  const next = new Date(date.getTime());
+  const target = date.getUTCMonth() + months;
+  const year = date.getUTCFullYear() + Math.floor(target / 12);
+  const month = ((target % 12) + 12) % 12;
+  next.setUTCFullYear(year, month, Math.min(dayOfMonth, daysInMonth(year, month)));
+  return next;
+};
+
+const nextWeekly = (date, { interval, byWeekday }) => {
+  if (!byWeekday || byWeekday.length === 0) {
+    return new Date(date.getTime() + 7 * interval * DAY_MS);
+  }
+  const days = byWeekday.map((day) => WEEKDAYS.indexOf(day)).sort((a, b) => a - b);
+  const today = weekdayIndex(date);
+  const laterThisWeek = days.find((day) => day > today);
+  const offset = laterThisWeek !== undefined
+    ? laterThisWeek - today
+    : 7 * interval - today + days[0];
+  return new Date(date.getTime() + offset * DAY_MS);
+};
+
+/**
+ * Due date of the occurrence after `dueDate`
+ * @param {string} dueDate - Due date of the current occurrence
+ * @param {object} rule - Normalized recurrence rule
+ * @param {number} [occurrence] - Number of the current occurrence, 1 for the first
+ * @returns {string|null} Null when the rule has ended
+ */
+const nextDueDate = (dueDate, rule, occurrence = 1) => {
+  if (rule.count && occurrence >= rule.count) {
+    return null;
+  }
+
+  const date = parseDate(dueDate);
+  const interval = rule.interval || 1;
+  const dayOfMonth = rule.dayOfMonth || date.getUTCDate();
+  let next;
+
+  if (rule.frequency === 'daily') {
+    next = new Date(date.getTime() + interval * DAY_MS);
+  } else if (rule.frequency === 'weekly') {
+    next = nextWeekly(date, { ...rule, interval });
+  } else if (rule.frequency === 'monthly') {
+    next = addMonths(date, interval, dayOfMonth);
+  } else {
+    next = addMonths(date, 12 * interval, dayOfMonth);
+  }
+
+  if (rule.until && next.getTime() > endOf(rule.until)) {
+    return null;
+  }
+  return formatLike(next, dueDate);
+};
+
+module.exports = {
+  WEEKDAYS,
+  FREQUENCIES,
+  normalizeRule,
+  nextDueDate
+};
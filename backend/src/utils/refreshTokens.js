@@ -0,0 +1,128 @@
+/**
+ * Refresh token rotation shared by the Lambda handlers and the Express server.
+ *
+ * Refresh tokens are opaque random strings; only their SHA-256 hash is stored.
+ * Every token belongs to a family (one login session). Refreshing revokes the
+ * presented token and issues its successor in the same family. Presenting a
+ * token that was already revoked means it leaked, so the whole family is revoked.
+ *
+ * The storage backend is passed in as a `store` with these async methods:
+ *   save(record)                     - persist a new token record
+ *   findByHash(tokenHash)            - return the record or null
+ *   revoke(tokenHash, replacedBy)    - revoke if still active, return true if it was
+ *   revokeFamily(familyId)           - revoke every token in a family
+ *   revokeAllForUser(userId)         - revoke every token of a user
+ */
+const crypto = require('crypto');
+const { generateOpaqueToken, hashToken } = require('./tokens');
+
+const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+class RefreshTokenError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RefreshTokenError';
+  }
+}
+
+const saveToken = async (store, token, userId, familyId) => {
+  const now = Date.now();
+  await store.save({
+    tokenHash: hashToken(token),
+    userId,
+    familyId,
+    createdAt: now,
+    expiresAt: now + REFRESH_TOKEN_TTL_MS
+  });
+};
+
+/**
+ * Create and store a new refresh token
+ * @param {object} store - Refresh token store
+ * @param {string|number} userId - Owner of the token
+ * @param {string} [familyId] - Session family, a new one is started if omitted
+ * @returns {Promise<string>} Raw refresh token to hand to the client
+ */
+const issueRefreshToken = async (store, userId, familyId = crypto.randomUUID()) => {
+  const token = generateOpaqueToken();
+  await saveToken(store, token, userId, familyId);
+  return token;
+};
+
+/**
+ * Exchange a refresh token for its successor
+ * @param {object} store - Refresh token store
+ * @param {string} token - Raw refresh token presented by the client
+ * @returns {Promise<{userId: (string|number), refreshToken: string}>} Owner and new token
+ * @throws {RefreshTokenError} If the token is unknown, expired, or was already used
+ */
+const rotateRefreshToken = async (store, token) => {
+  if (!token) {
+    throw new RefreshTokenError('Refresh token required');
+  }
+
+  const record = await store.findByHash(hashToken(token));
+  if (!record) {
+    throw new RefreshTokenError('Invalid refresh token');
+  }
+
+  if (record.revokedAt) {
+    console.warn('Refresh token reuse detected, revoking family:', record.familyId);
+    await store.revokeFamily(record.familyId);
+    throw new RefreshTokenError('Refresh token has been revoked');
+  }
+
+  if (record.expiresAt <= Date.now()) {
+    throw new RefreshTokenError('Refresh token has expired');
+  }
+
+  const refreshToken = generateOpaqueToken();
+  const revoked = await store.revoke(record.tokenHash, hashToken(refreshToken));
+  if (!revoked) {
+    // Another request rotated this token first - treat it as reuse
+    await store.revokeFamily(record.familyId);
+    throw new RefreshTokenError('Refresh token has been revoked');
+  }
+
+  await saveToken(store, refreshToken, record.userId, record.familyId);
+  return { userId: record.userId, refreshToken };
+};
+
+/**
+ * Revoke the session a refresh token belongs to (logout)
+ * @param {object} store - Refresh token store
+ * @param {string} token - Raw refresh token
+ * @returns {Promise<boolean>} True if the token was known
+ */
+const revokeRefreshToken = async (store, token) => {
+  if (!token) {
+    return false;
+  }
+
+  const record = await store.findByHash(hashToken(token));
+  if (!record) {
+    return false;
+  }
+
+  await store.revokeFamily(record.familyId);
+  return true;
+};
+
+/**
+ * Revoke every session of a user (log out everywhere)
+ * @param {object} store - Refresh token store
+ * @param {string|number} userId - User whose tokens are revoked
+ * @returns {Promise<void>}
+ */
+const revokeAllRefreshTokens = async (store, userId) => {
+  await store.revokeAllForUser(userId);
+};
+
+module.exports = {
+  REFRESH_TOKEN_TTL_MS,
+  RefreshTokenError,
+  issueRefreshToken,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllRefreshTokens
+};
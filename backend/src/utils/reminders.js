@@ -0,0 +1,311 @@
+/**
+ * Reminders of due and overdue tasks, sent by a scheduler in the Express server.
+ *
+ * A task's reminders are minutes before its dueDate (a date-only dueDate is due
+ * at the end of that day, UTC, as in taskQuery.js). Each run of sendReminders()
+ * sends the reminders whose time has come, and a notice when a task becomes
+ * overdue, through the owner's channels:
+ *   email   - through the mailer (see mailer.js; by default it logs the message)
+ *   webhook - a POST of { type, key, userId, tasks, sentAt } as JSON to the user's
+ *             webhookUrl; any status other than 2xx counts as a failure
+ * The webhookUrl must be https and its host must resolve to public addresses
+ * only, both when it is set and before every POST, so the server cannot be made
+ * to call itself, its network or a cloud metadata service. The POST connects to
+ * the addresses just checked rather than resolving the host again, which a host
+ * could answer differently (DNS rebinding). Redirects fail.
+ * setChannel() plugs in another delivery for a channel.
+ *
+ * Users with a digestHour also get a daily digest of their open tasks that are
+ * overdue or due today, at that hour (UTC) or the first run after it. Without
+ * settings of their own, users get reminders by email; overdue notices are
+ * opt-in.
+ *
+ * Every reminder is recorded, per channel, before it is sent, and the record is
+ * dropped again if sending fails so the next run retries; none is sent twice,
+ * even across restarts. A reminder more than REMINDER_LOOKBACK_HOURS late (the
+ * server was down) is skipped, and when several of a task's reminders are due at
+ * once only the latest is sent. Changing the dueDate sets the reminders again.
+ *
+ * Settings and the record of sent reminders are kept in a `reminders` repository
+ * (see src/repositories):
+ *   findSettings(userId)                    - the user's settings, or null
+ *   saveSettings(userId, fields)            - change some settings, return them all
+ *   listDigests(hour)                       - the settings with a digestHour up to `hour`
+ *   claim(key, { userId, taskId }, sentAt)  - record a reminder, false if it already was
+ *   release(key)                            - drop the record of a reminder
+ *   forgetSent(before)                      - drop the records from before a Date, return how many
+ */
+const dns = require('dns');
+const https = require('https');
+const net = require('net');
+const { REMINDER_MAX_OFFSET_MINUTES } = require('./validation');
+const { parseTaskListQuery, dueAt } = require('./taskQuery');
+const { sendMail, appLink } = require('./mailer');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const REMINDER_LOOKBACK_HOURS = 24;
+// Records are kept long enough to cover every reminder still within the lookback
+const SENT_REMINDER_RETENTION_DAYS = 7;
+const WEBHOOK_TIMEOUT_MS = 10 * 1000;
+
+const DEFAULT_REMINDER_SETTINGS = {
+  channels: ['email'],
+  webhookUrl: null,
+  overdue: false,
+  digestHour: null
+};
+
+// Addresses a webhook may not reach: this host, private networks, link-local
+// (cloud metadata services), shared, multicast and reserved ranges. The IPv4
+// ranges also cover their IPv4-mapped IPv6 addresses.
+const BLOCKED_WEBHOOK_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([network, prefix]) => BLOCKED_WEBHOOK_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => BLOCKED_WEBHOOK_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+class ReminderError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ReminderError';
+  }
+}
+
+/**
+ * Check that a webhookUrl is https and resolves to public addresses only
+ * @param {string} webhookUrl
+ * @returns {Promise<Array<{address: string, family: number}>>} The addresses it resolves to
+ * @throws {ReminderError} If it is not, or its host does not resolve
+ */
+const checkWebhookUrl = async (webhookUrl) => {
+  const url = new URL(webhookUrl);
+  if (url.protocol !== 'https:') {
+    throw new ReminderError('The webhookUrl must use https');
+  }
+  const host = url.hostname.replace(/^\[(.*)\]$/, '$1');
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(host, { all: true, verbatim: true });
+  } catch (error) {
+    throw new ReminderError('The webhookUrl host could not be resolved');
+  }
+  if (addresses.some(({ address, family }) => BLOCKED_WEBHOOK_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4'))) {
+    throw new ReminderError('The webhookUrl must point to a public address');
+  }
+  return addresses;
+};
+
+// POST a JSON body to a webhookUrl through one of `addresses`; resolves with the status
+const postWebhook = (webhookUrl, addresses, body) => new Promise((resolve, reject) => {
+  const req = https.request(new URL(webhookUrl), {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) },
+    lookup: (hostname, options, callback) => {
+      if (options.all) callback(null, addresses);
+      else callback(null, addresses[0].address, addresses[0].family);
+    },
+    signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+  }, (res) => {
+    res.resume();
+    resolve(res.statusCode);
+  });
+  req.on('error', reject);
+  req.end(body);
+});
+
+const deliveries = {
+  email: async (notice, { user }) => {
+    await sendMail({
+      to: user.email,
+      subject: notice.subject,
+      text: `Hi ${user.firstName},\n\n${notice.text}\n\nOpen your tasks: ${appLink('/tasks')}`
+    });
+  },
+
+  webhook: async (notice, { user, settings, sentAt }) => {
+    const addresses = await checkWebhookUrl(settings.webhookUrl);
+    const status = await postWebhook(settings.webhookUrl, addresses, JSON.stringify({
+      type: notice.type,
+      key: notice.key,
+      userId: user.id,
+      tasks: notice.tasks,
+      sentAt: sentAt.toISOString()
+    }));
+    if (status < 200 || status >= 300) {
+      throw new Error(`Webhook responded with ${status}`);
+    }
+  }
+};
+
+const customDeliveries = {};
+
+/**
+ * Replace how a channel is delivered (pass null to restore it)
+ * @param {string} channel - One of REMINDER_CHANNELS
+ * @param {function|null} deliver - async (notice, { user, settings, sentAt }) => void;
+ *   notice is { type, key, subject, text, tasks }
+ */
+const setChannel = (channel, deliver) => {
+  if (deliver) customDeliveries[channel] = deliver;
+  else delete customDeliveries[channel];
+};
+
+const publicSettings = ({ channels, webhookUrl, overdue, digestHour }) => ({ channels, webhookUrl, overdue, digestHour });
+
+/**
+ * A user's reminder settings
+ * @param {object} reminders - Reminder repository
+ * @param {string|number} userId
+ * @returns {Promise<{channels: Array<string>, webhookUrl: (string|null), overdue: boolean, digestHour: (number|null)}>}
+ */
+const getReminderSettings = async (reminders, userId) => publicSettings({
+  ...DEFAULT_REMINDER_SETTINGS,
+  ...await reminders.findSettings(userId)
+});
+
+/**
+ * Change a user's reminder settings
+ * @param {object} reminders - Reminder repository
+ * @param {string|number} userId
+ * @param {object} changes - Validated reminderSettingsSchema value
+ * @returns {Promise<object>} The settings, as getReminderSettings returns them
+ * @throws {ReminderError} If the webhook channel is on without a webhookUrl, or
+ *   the webhookUrl is not https to a public address
+ */
+const updateReminderSettings = async (reminders, userId, changes) => {
+  const settings = { ...await getReminderSettings(reminders, userId), ...changes };
+  if (settings.channels.includes('webhook') && !settings.webhookUrl) {
+    throw new ReminderError('Set a webhookUrl to use the webhook channel');
+  }
+  if (changes.webhookUrl) {
+    await checkWebhookUrl(changes.webhookUrl);
+  }
+  return publicSettings(await reminders.saveSettings(userId, settings));
+};
+
+const reminderFor = (task, minutes) => ({
+  type: 'task.reminder',
+  key: `reminder:${task.id}:${task.dueDate}:${minutes}`,
+  taskId: task.id,
+  subject: `Reminder: ${task.text}`,
+  text: `"${task.text}" is due ${task.dueDate}.`,
+  tasks: [task]
+});
+
+const overdueNoticeFor = (task) => ({
+  type: 'task.overdue',
+  key: `overdue:${task.id}:${task.dueDate}`,
+  taskId: task.id,
+  subject: `Overdue: ${task.text}`,
+  text: `"${task.text}" was due ${task.dueDate} and is not done yet.`,
+  tasks: [task]
+});
+
+const digestFor = (userId, day, overdue, dueToday) => {
+  const lines = (title, taskList) => (taskList.length === 0
+    ? []
+    : [`${title}:`, ...taskList.map((task) => `- ${task.text} (due ${task.dueDate})`), '']);
+  return {
+    type: 'digest',
+    key: `digest:${userId}:${day}`,
+    taskId: null,
+    subject: `Your tasks for ${day}`,
+    text: [...lines('Overdue', overdue), ...lines('Due today', dueToday)].join('\n').trim(),
+    tasks: [...overdue, ...dueToday]
+  };
+};
+
+// The latest of a task's reminders whose time has come, in minutes before the due time
+const dueReminder = (task, now, lookbackMs) => {
+  const due = dueAt(task);
+  const ready = task.reminders.filter((minutes) => {
+    const at = due - minutes * MINUTE_MS;
+    return at <= now.getTime() && at > now.getTime() - lookbackMs;
+  });
+  return ready.length > 0 ? Math.min(...ready) : null;
+};
+
+/**
+ * Send every reminder, overdue notice and digest whose time has come
+ * @param {object} repositories - { users, tasks, reminders }
+ * @param {Date} [now] - Reference time
+ * @returns {Promise<{sent: number, failed: number}>} Deliveries, counted per channel
+ */
+const sendReminders = async ({ users, tasks, reminders }, now = new Date()) => {
+  const lookbackMs = REMINDER_LOOKBACK_HOURS * HOUR_MS;
+  const outcome = { sent: 0, failed: 0 };
+
+  const recipients = new Map();
+  const recipient = async (userId) => {
+    if (!recipients.has(String(userId))) {
+      recipients.set(String(userId), {
+        user: await users.findById(userId),
+        settings: await getReminderSettings(reminders, userId)
+      });
+    }
+    return recipients.get(String(userId));
+  };
+
+  const deliver = async (userId, notice) => {
+    const { user, settings } = await recipient(userId);
+    if (!user) return;
+    for (const channel of settings.channels) {
+      const key = `${notice.key}:${channel}`;
+      if (!await reminders.claim(key, { userId, taskId: notice.taskId }, now)) continue;
+      try {
+        await (customDeliveries[channel] || deliveries[channel])(notice, { user, settings, sentAt: now });
+        outcome.sent += 1;
+      } catch (error) {
+        await reminders.release(key);
+        outcome.failed += 1;
+        console.warn(`Sending ${notice.key} by ${channel} failed:`, error.message);
+      }
+    }
+  };
+
+  const due = await tasks.dueBetween(
+    new Date(now.getTime() - lookbackMs),
+    new Date(now.getTime() + REMINDER_MAX_OFFSET_MINUTES * MINUTE_MS)
+  );
+  for (const task of due) {
+    if (dueAt(task) <= now.getTime()) {
+      if ((await recipient(task.userId)).settings.overdue) {
+        await deliver(task.userId, overdueNoticeFor(task));
+      }
+      continue;
+    }
+    const minutes = dueReminder(task, now, lookbackMs);
+    if (minutes !== null) {
+      await deliver(task.userId, reminderFor(task, minutes));
+    }
+  }
+
+  const day = now.toISOString().slice(0, 10);
+  const tomorrow = new Date(Date.parse(day) + 24 * HOUR_MS).toISOString().slice(0, 10);
+  const untilTomorrow = parseTaskListQuery({ completed: 'false', dueBefore: tomorrow, sort: 'dueDate' });
+  for (const settings of await reminders.listDigests(now.getUTCHours())) {
+    const open = (await tasks.list(settings.userId, untilTomorrow)).tasks;
+    const overdue = open.filter((task) => dueAt(task) <= now.getTime());
+    const dueToday = open.filter((task) => dueAt(task) > now.getTime());
+    if (open.length > 0) {
+      await deliver(settings.userId, digestFor(settings.userId, day, overdue, dueToday));
+    }
+  }
+
+  await reminders.forgetSent(new Date(now.getTime() - SENT_REMINDER_RETENTION_DAYS * 24 * HOUR_MS));
+  return outcome;
+};
+
+module.exports = {
+  REMINDER_LOOKBACK_HOURS,
+  DEFAULT_REMINDER_SETTINGS,
+  ReminderError,
+  setChannel,
+  getReminderSettings,
+  updateReminderSettings,
+  sendReminders
+};
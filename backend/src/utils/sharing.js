@@ -0,0 +1,266 @@
+/**
+ * Sharing task lists with other registered users.
+ *
+ * The owner invites a user by email as a `viewer` or an `editor`; the share stays
+ * `pending` until the invited user accepts or declines it. Once accepted, members
+ * see the list and its tasks, and editors may also add, change, complete and
+ * delete them, and restore them from the trash. Tasks in a shared list always
+ * belong to the list's owner, so the owner's list, tags, stats and trash cover
+ * everything in it; only the owner moves them to another list or tags them.
+ *
+ * Shares are read and written through a `shares` repository (see src/repositories):
+ *   find(listId, userId)          - share or null
+ *   listByList(listId)            - every share of a list
+ *   listByUser(userId)            - every share addressed to a user
+ *   save(listId, userId, fields)  - insert or change { ownerId, role, status }, return the share
+ *   delete(listId, userId)        - return true if it existed
+ * Deleting a list (lists.delete) removes its shares as well.
+ *
+ * Every repository returns the same share shape:
+ *   { listId, userId, ownerId, role, status, createdAt, updatedAt }
+ */
+class ShareError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ShareError';
+  }
+}
+
+const sameId = (a, b) => String(a) === String(b);
+
+const canEdit = (role) => role === 'owner' || role === 'editor';
+
+const toMember = (share, user) => ({
+  userId: share.userId,
+  email: user ? user.email : null,
+  firstName: user ? user.firstName : null,
+  lastName: user ? user.lastName : null,
+  role: share.role,
+  status: share.status
+});
+
+/**
+ * What a user may do with a list
+ * @param {object} lists - List repository
+ * @param {object} shares - Share repository
+ * @param {string|number} userId - User asking
+ * @param {string|number} listId - List id
+ * @returns {Promise<{list: object, ownerId: (string|number), role: string}|null>} role is
+ *   owner, editor or viewer; null if the list is neither the user's nor shared with them
+ */
+const getListAccess = async (lists, shares, userId, listId) => {
+  const own = await lists.findById(userId, listId);
+  if (own) {
+    return { list: own, ownerId: userId, role: 'owner' };
+  }
+  const share = await shares.find(listId, userId);
+  if (!share || share.status !== 'accepted') return null;
+  const list = await lists.findById(share.ownerId, listId);
+  return list && { list, ownerId: share.ownerId, role: share.role };
+};
+
+// The task find(ownerId) gives among the user's own tasks or, failing that, the
+// tasks of an owner who shared the task's list with them
+const findTaskAccess = async (shares, userId, find) => {
+  const own = await find(userId);
+  if (own) {
+    return { task: own, ownerId: userId, role: 'owner' };
+  }
+  const accepted = (await shares.listByUser(userId)).filter((share) => share.status === 'accepted');
+  for (const share of accepted) {
+    const task = await find(share.ownerId);
+    if (task && sameId(task.listId, share.listId)) {
+      return { task, ownerId: share.ownerId, role: share.role };
+    }
+  }
+  return null;
+};
+
+/**
+ * What a user may do with a task: their own, or one in a list shared with them
+ * @param {object} tasks - Task repository
+ * @param {object} shares - Share repository
+ * @param {string|number} userId - User asking
+ * @param {string|number} taskId - Task id
+ * @returns {Promise<{task: object, ownerId: (string|number), role: string}|null>}
+ */
+const getTaskAccess = (tasks, shares, userId, taskId) => {
+  return findTaskAccess(shares, userId, (ownerId) => tasks.findById(ownerId, taskId));
+};
+
+/**
+ * What a user may do with a task in the trash: their own, or one deleted from a
+ * list shared with them (it is in the list owner's trash)
+ * @param {object} tasks - Task repository
+ * @param {object} shares - Share repository
+ * @param {string|number} userId - User asking
+ * @param {string|number} taskId - Task id
+ * @returns {Promise<{task: object, ownerId: (string|number), role: string}|null>}
+ */
+const getTrashedTaskAccess = (tasks, shares, userId, taskId) => {
+  return findTaskAccess(shares, userId, async (ownerId) => {
+    return (await tasks.listDeleted(ownerId)).find((task) => sameId(task.id, taskId));
+  });
+};
+
+/**
+ * Lists shared with a user, with the role they were given
+ * @param {object} lists - List repository
+ * @param {object} shares - Share repository
+ * @param {string|number} userId - Member
+ * @returns {Promise<Array>} Lists with a role, in the order they were shared
+ */
+const listSharedLists = async (lists, shares, userId) => {
+  const accepted = (await shares.listByUser(userId)).filter((share) => share.status === 'accepted');
+  const shared = [];
+  for (const share of accepted) {
+    const list = await lists.findById(share.ownerId, share.listId);
+    if (list) shared.push({ ...list, role: share.role });
+  }
+  return shared;
+};
+
+/**
+ * Invite a registered user to a list, or change the role of an existing member.
+ * Inviting someone who declined asks them again. An email nobody is registered
+ * with is not an error, so callers can answer the same either way.
+ * @param {object} repositories - { lists, shares, users }
+ * @param {string|number} ownerId - Owner of the list
+ * @param {string|number} listId - List id
+ * @param {object} fields - Validated shareListSchema value { email, role }
+ * @returns {Promise<{member: (object|null)}|null>} The share as a member (null if nobody has
+ *   the email), or null if the owner has no such list
+ * @throws {ShareError} If the email is the owner's
+ */
+const shareList = async ({ lists, shares, users }, ownerId, listId, { email, role }) => {
+  const list = await lists.findById(ownerId, listId);
+  if (!list) return null;
+
+  const user = await users.findByEmail(email);
+  if (!user) {
+    return { member: null };
+  }
+  if (sameId(user.id, ownerId)) {
+    throw new ShareError('You cannot share a list with yourself');
+  }
+
+  const existing = await shares.find(list.id, user.id);
+  const status = existing && existing.status === 'accepted' ? 'accepted' : 'pending';
+  return { member: toMember(await shares.save(list.id, user.id, { ownerId, role, status }), user) };
+};
+
+/**
+ * The owner and accepted members of a list, for its owner or an accepted member.
+ * Pending and declined invitations stay out of it, even for the owner, since
+ * only registered users can be invited and listing them would tell the owner
+ * which of the emails they invited are registered.
+ * @param {object} repositories - { lists, shares, users }
+ * @param {string|number} userId - User asking
+ * @param {string|number} listId - List id
+ * @returns {Promise<{owner: object, members: Array}|null>} Null if the user has no access
+ */
+const listMembers = async ({ lists, shares, users }, userId, listId) => {
+  const access = await getListAccess(lists, shares, userId, listId);
+  if (!access) return null;
+
+  const owner = await users.findById(access.ownerId);
+  const members = [];
+  for (const share of await shares.listByList(access.list.id)) {
+    if (share.status === 'accepted') {
+      members.push(toMember(share, await users.findById(share.userId)));
+    }
+  }
+  return {
+    owner: owner && { userId: owner.id, email: owner.email, firstName: owner.firstName, lastName: owner.lastName },
+    members
+  };
+};
+
+/**
+ * Change a member's role
+ * @param {object} repositories - { lists, shares, users }
+ * @param {string|number} ownerId - Owner of the list
+ * @param {string|number} listId - List id
+ * @param {string|number} memberId - User id of the member
+ * @param {object} fields - Validated updateShareSchema value { role }
+ * @returns {Promise<object|null>} The member, or null if the owner's list has no such member
+ */
+const updateMember = async ({ lists, shares, users }, ownerId, listId, memberId, { role }) => {
+  const list = await lists.findById(ownerId, listId);
+  const share = list && await shares.find(list.id, memberId);
+  if (!share) return null;
+  const saved = await shares.save(list.id, share.userId, { ownerId, role, status: share.status });
+  return toMember(saved, await users.findById(share.userId));
+};
+
+/**
+ * Remove a member from a list: the owner may remove anyone, a member only themselves
+ * @param {object} repositories - { lists, shares }
+ * @param {string|number} userId - User asking
+ * @param {string|number} listId - List id
+ * @param {string|number} memberId - User id of the member
+ * @returns {Promise<boolean>} False if there is no such member the user may remove
+ */
+const removeMember = async ({ lists, shares }, userId, listId, memberId) => {
+  const own = await lists.findById(userId, listId);
+  if (!own && !sameId(userId, memberId)) return false;
+  return shares.delete(own ? own.id : listId, memberId);
+};
+
+/**
+ * A user's pending invitations, with the list and who sent them
+ * @param {object} repositories - { lists, shares, users }
+ * @param {string|number} userId - Invited user
+ * @returns {Promise<Array>} { listId, role, status, list: { id, name, color }, owner: { userId, email, firstName, lastName } }
+ */
+const listInvitations = async ({ lists, shares, users }, userId) => {
+  const pending = (await shares.listByUser(userId)).filter((share) => share.status === 'pending');
+  const invitations = [];
+  for (const share of pending) {
+    const list = await lists.findById(share.ownerId, share.listId);
+    const owner = await users.findById(share.ownerId);
+    if (!list || !owner) continue;
+    invitations.push({
+      listId: share.listId,
+      role: share.role,
+      status: share.status,
+      createdAt: share.createdAt,
+      list: { id: list.id, name: list.name, color: list.color },
+      owner: { userId: owner.id, email: owner.email, firstName: owner.firstName, lastName: owner.lastName }
+    });
+  }
+  return invitations;
+};
+
+/**
+ * Accept or decline a pending invitation
+ * @param {object} shares - Share repository
+ * @param {string|number} userId - Invited user
+ * @param {string|number} listId - List id
+ * @param {boolean} accept - True to join the list
+ * @returns {Promise<object|null>} The share, or null if there is no pending invitation
+ */
+const respondToInvitation = async (shares, userId, listId, accept) => {
+  const share = await shares.find(listId, userId);
+  if (!share || share.status !== 'pending') return null;
+  return shares.save(share.listId, share.userId, {
+    ownerId: share.ownerId,
+    role: share.role,
+    status: accept ? 'accepted' : 'declined'
+  });
+};
+
+module.exports = {
+  ShareError,
+  canEdit,
+  getListAccess,
+  getTaskAccess,
+  getTrashedTaskAccess,
+  listSharedLists,
+  shareList,
+  listMembers,
+  updateMember,
+  removeMember,
+  listInvitations,
+  respondToInvitation
+};
@@ -0,0 +1,95 @@
+/**
+ * Offline sync: fetching what changed since the last sync, and refusing changes
+ * made to an outdated copy of a task.
+ *
+ * GET /sync returns a sync token with the tasks. Passed back as `since`, it gets
+ * the tasks changed since then and the ids of those deleted (moved to the trash)
+ * since. Without a token, or with one older than the trash retention period
+ * (deleted tasks may have been purged since), it gets every task instead, with
+ * full: true, and the client replaces what it has. Only the user's own tasks are
+ * synced; a token only works with the backend that issued it.
+ *
+ * Every change to a task counts up its version, and its ETag is the version in
+ * quotes. A change sent with If-Match is made only while the task has one of
+ * its versions (the repositories check it in the same write); otherwise it is
+ * refused and the client gets the server's copy to merge.
+ */
+const { getTrashRetentionDays } = require('./tasks');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class SyncError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SyncError';
+  }
+}
+
+const encodeSyncToken = (position, issuedAt) => Buffer
+  .from(JSON.stringify({ position, issuedAt: issuedAt.getTime() }))
+  .toString('base64url');
+
+const decodeSyncToken = (value) => {
+  try {
+    if (typeof value !== 'string') throw new TypeError('since is not a string');
+    const token = JSON.parse(Buffer.from(value, 'base64url').toString('utf8'));
+    if (token && Number.isFinite(token.position) && Number.isFinite(token.issuedAt)) {
+      return token;
+    }
+  } catch (error) {
+    // Fall through to the error below
+  }
+  throw new SyncError('since is not a valid sync token');
+};
+
+/**
+ * The changes to a user's tasks since a sync token
+ * @param {object} tasks - Task repository
+ * @param {string|number} userId - Owner
+ * @param {string} [since] - Token from the previous sync
+ * @param {Date} [now] - Reference time
+ * @returns {Promise<{full: boolean, token: string, tasks: Array, deleted: Array}>} tasks are the
+ *   ones changed (all of them when full), deleted the ids of those moved to the trash
+ * @throws {SyncError} If since is not a token
+ */
+const syncTasks = async (tasks, userId, since, now = new Date()) => {
+  const previous = since === undefined ? null : decodeSyncToken(since);
+  const full = !previous || now.getTime() - previous.issuedAt > getTrashRetentionDays() * DAY_MS;
+
+  const { tasks: changed, last } = await tasks.changedSince(userId, full ? 0 : previous.position);
+  return {
+    full,
+    token: encodeSyncToken(last, now),
+    tasks: changed.filter((task) => !task.deletedAt),
+    deleted: full ? [] : changed.filter((task) => task.deletedAt).map((task) => task.id)
+  };
+};
+
+/**
+ * ETag of a task
+ * @param {object} task
+ * @returns {string} Its version in quotes
+ */
+const taskEtag = (task) => `"${task.version}"`;
+
+/**
+ * The task versions an If-Match header allows a change to
+ * @param {string} [header] - If-Match
+ * @returns {Array<number>|null} The versions of its ETags (the quotes may be left
+ *   out, and weak ETags from proxies that compress responses count as strong ones),
+ *   or null without a header or for *, when any version will do
+ */
+const ifMatchVersions = (header) => {
+  if (header === undefined || header.trim() === '*') return null;
+  return header
+    .split(',')
+    .map((etag) => Number(etag.trim().replace(/^W\//, '').replace(/^"(.*)"$/, '$1')))
+    .filter(Number.isInteger);
+};
+
+module.exports = {
+  SyncError,
+  syncTasks,
+  taskEtag,
+  ifMatchVersions
+};
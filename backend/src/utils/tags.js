@@ -0,0 +1,90 @@
+/**
+ * Task tags shared by the Lambda handlers and the Express server.
+ *
+ * Tags are read and written through a `tags` repository (see src/repositories)
+ * with these async methods, all scoped to the owner:
+ *   list(userId)                - the user's tags, by name
+ *   findById(userId, id)        - tag or null
+ *   findByName(userId, name)    - tag with that name, ignoring case, or null
+ *   create(userId, fields)      - insert { name, color } and return the tag
+ *   update(userId, id, fields)  - change { name, color }, return the updated tag or null
+ *   delete(userId, id)          - remove a tag from the user and all of their tasks, return true if it existed
+ *
+ * Every repository returns the same tag shape:
+ *   { id, userId, name, color (#rrggbb or null), createdAt, updatedAt }
+ *
+ * A task has any number of tags, set with a task update ({ tagIds }); tasks
+ * carry them as { id, name, color }, sorted by name.
+ */
+class TagError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TagError';
+  }
+}
+
+// Names are unique per user, ignoring case
+const assertNameFree = async (tags, userId, name, id = null) => {
+  const existing = await tags.findByName(userId, name);
+  if (existing && String(existing.id) !== String(id)) {
+    throw new TagError(`A tag named "${existing.name}" already exists`);
+  }
+};
+
+/**
+ * List a user's tags
+ * @param {object} tags - Tag repository
+ * @param {string|number} userId - Owner
+ * @returns {Promise<Array>} Sorted by name
+ */
+const listTags = (tags, userId) => tags.list(userId);
+
+/**
+ * Create a tag
+ * @param {object} tags - Tag repository
+ * @param {string|number} userId - Owner
+ * @param {object} fields - Validated createTagSchema value
+ * @returns {Promise<object>} The new tag
+ * @throws {TagError} If the user already has a tag with that name
+ */
+const createTag = async (tags, userId, { name, color = null }) => {
+  await assertNameFree(tags, userId, name);
+  return tags.create(userId, { name, color });
+};
+
+/**
+ * Rename or recolor a tag
+ * @param {object} tags - Tag repository
+ * @param {string|number} userId - Owner
+ * @param {string|number} id - Tag id
+ * @param {object} fields - Validated updateTagSchema value
+ * @returns {Promise<object|null>} The updated tag, or null if the user has no such tag
+ * @throws {TagError} If another tag of the user has the new name
+ */
+const updateTag = async (tags, userId, id, { name, color }) => {
+  if (!await tags.findById(userId, id)) return null;
+  if (name !== undefined) {
+    await assertNameFree(tags, userId, name, id);
+  }
+
+  const fields = { name, color };
+  Object.keys(fields).forEach((key) => fields[key] === undefined && delete fields[key]);
+  return tags.update(userId, id, fields);
+};
+
+/**
+ * Delete a tag, removing it from every task that has it
+ * @param {object} tags - Tag repository
+ * @param {string|number} userId - Owner
+ * @param {string|number} id - Tag id
+ * @returns {Promise<boolean>} False if the user has no such tag
+ */
+const deleteTag = (tags, userId, id) => tags.delete(userId, id);
+
+module.exports = {
+  TagError,
+  listTags,
+  createTag,
+  updateTag,
+  deleteTag
+};
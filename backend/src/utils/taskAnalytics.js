@@ -0,0 +1,92 @@
+/**
+ * Productivity analytics of a user's own tasks (GET /tasks/:userId/analytics).
+ *
+ * Completions are counted by the day of their completedAt in the requested time
+ * zone, per day or per week (Monday to Sunday) from `from` to `to`; every period
+ * is listed, with 0 when nothing was completed. The average time to complete is
+ * from createdAt to completedAt, over the tasks completed in the range. The
+ * streak is the number of days in a row, up to today, with a completion; it is
+ * kept until today ends without one. Overdue tasks and the breakdown by priority
+ * describe the tasks as they are now (tasks in the trash are left out).
+ */
+const { TASK_PRIORITIES } = require('./validation');
+const { parseTaskListQuery, localDate, addDays, dueAt } = require('./taskQuery');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Monday of the week of a day
+const weekOf = (day) => addDays(day, -((new Date(day).getUTCDay() + 6) % 7));
+
+const countBy = (items, key) => items.reduce((counts, item) => {
+  counts.set(key(item), (counts.get(key(item)) || 0) + 1);
+  return counts;
+}, new Map());
+
+const isOverdue = (task, now) => !task.completed && task.dueDate !== null && dueAt(task) < now.getTime();
+
+const currentStreak = (completionDays, today) => {
+  let day = completionDays.has(today) ? today : addDays(today, -1);
+  let streak = 0;
+  while (completionDays.has(day)) {
+    streak += 1;
+    day = addDays(day, -1);
+  }
+  return streak;
+};
+
+/**
+ * Analytics of a user's tasks
+ * @param {object} tasks - Task repository
+ * @param {string|number} userId - Owner
+ * @param {object} options - Result of parseTaskAnalyticsQuery
+ * @param {Date} [now] - Reference time
+ * @returns {Promise<object>} { from, to, groupBy, timezone, completions: [{ period, count }],
+ *   completedInRange, averageHoursToComplete (null without completions), overdue,
+ *   byPriority: { [priority]: { total, completed, remaining, overdue } }, currentStreak }
+ */
+const getTaskAnalytics = async (tasks, userId, { from, to, groupBy, timezone }, now = new Date()) => {
+  const { tasks: owned } = await tasks.list(userId, parseTaskListQuery());
+  const completed = owned
+    .filter((task) => task.completed && task.completedAt)
+    .map((task) => ({ ...task, completedOn: localDate(new Date(task.completedAt), timezone) }));
+  const inRange = completed.filter((task) => task.completedOn >= from && task.completedOn <= to);
+
+  const periodOf = groupBy === 'week' ? weekOf : (day) => day;
+  const counts = countBy(inRange, (task) => periodOf(task.completedOn));
+  const completions = [];
+  const step = groupBy === 'week' ? 7 : 1;
+  for (let period = periodOf(from); period <= to; period = addDays(period, step)) {
+    completions.push({ period, count: counts.get(period) || 0 });
+  }
+
+  const hoursToComplete = inRange.map((task) => (Date.parse(task.completedAt) - Date.parse(task.createdAt)) / HOUR_MS);
+  const averageHoursToComplete = hoursToComplete.length === 0
+    ? null
+    : Math.round((hoursToComplete.reduce((sum, hours) => sum + hours, 0) / hoursToComplete.length) * 100) / 100;
+
+  const byPriority = Object.fromEntries(TASK_PRIORITIES.map((priority) => {
+    const withPriority = owned.filter((task) => task.priority === priority);
+    const done = withPriority.filter((task) => task.completed).length;
+    return [priority, {
+      total: withPriority.length,
+      completed: done,
+      remaining: withPriority.length - done,
+      overdue: withPriority.filter((task) => isOverdue(task, now)).length
+    }];
+  }));
+
+  return {
+    from,
+    to,
+    groupBy,
+    timezone,
+    completions,
+    completedInRange: inRange.length,
+    averageHoursToComplete,
+    overdue: owned.filter((task) => isOverdue(task, now)).length,
+    byPriority,
+    currentStreak: currentStreak(new Set(completed.map((task) => task.completedOn)), localDate(now, timezone))
+  };
+};
+
+module.exports = { getTaskAnalytics };
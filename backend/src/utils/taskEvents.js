@@ -0,0 +1,98 @@
+/**
+ * Task change events for the Server-Sent Events stream (GET /tasks/stream).
+ *
+ * Every route that creates, changes or deletes tasks (bulk operations, imports,
+ * restores from the trash and subtask changes included), and the trash purge,
+ * publishes an event for everyone who can see the task: its owner and the
+ * accepted members of its list. Events are numbered in order; the most recent
+ * ones are kept so a client that reconnects with Last-Event-ID gets what it
+ * missed. When they are no longer kept (or the server restarted) it gets a
+ * `resync` event instead and should fetch its tasks again.
+ *
+ * Browsers' EventSource cannot send headers, so the stream is opened with a
+ * ticket from POST /tasks/stream/ticket in the URL (see tokens.js).
+ *
+ * Events:
+ *   task.created - { task } (a restored task is created again)
+ *   task.updated - { task }
+ *   task.deleted - { id, listId } (when moved to the trash, and again when purged)
+ *
+ * The hub lives in one process; run a single instance or replace it with a shared
+ * pub/sub (e.g. Redis) when running several.
+ */
+const DEFAULT_HISTORY_SIZE = 1000;
+
+const TASK_EVENTS = ['task.created', 'task.updated', 'task.deleted'];
+
+/**
+ * Create an event hub
+ * @param {object} [options]
+ * @param {number} [options.historySize] - How many recent events are kept for resuming
+ * @returns {{publish: Function, subscribe: Function}}
+ */
+const createTaskEventHub = ({ historySize = DEFAULT_HISTORY_SIZE } = {}) => {
+  let lastId = 0;
+  const history = [];
+  const subscribers = new Set();
+
+  const isFor = (event, userId) => event.userIds.includes(String(userId));
+
+  return {
+    /**
+     * Send an event to every subscriber among `userIds`
+     * @param {Array<string|number>} userIds - Users who may see the task
+     * @param {string} type - One of TASK_EVENTS
+     * @param {object} data - Event payload
+     * @returns {object} The event { id, type, data }
+     */
+    publish: (userIds, type, data) => {
+      lastId += 1;
+      const event = { id: lastId, type, data, userIds: [...new Set(userIds.map(String))] };
+      history.push(event);
+      if (history.length > historySize) history.shift();
+
+      subscribers.forEach((subscriber) => {
+        if (isFor(event, subscriber.userId)) subscriber.listener(event);
+      });
+      return { id: event.id, type, data };
+    },
+
+    /**
+     * Receive a user's events, first replaying those after lastEventId
+     * @param {string|number} userId - Subscriber
+     * @param {Function} listener - Called with { id, type, data }
+     * @param {string|number} [lastEventId] - Id of the last event the client received
+     * @returns {Function} Call to unsubscribe
+     */
+    subscribe: (userId, listener, lastEventId) => {
+      if (lastEventId !== undefined && lastEventId !== null && lastEventId !== '') {
+        const after = Number(lastEventId);
+        const oldest = history.length > 0 ? history[0].id : lastId + 1;
+        if (!Number.isInteger(after) || after > lastId || after < oldest - 1) {
+          listener({ id: lastId, type: 'resync', data: {} });
+        } else {
+          history
+            .filter((event) => event.id > after && isFor(event, userId))
+            .forEach((event) => listener(event));
+        }
+      }
+
+      const subscriber = { userId, listener };
+      subscribers.add(subscriber);
+      return () => subscribers.delete(subscriber);
+    }
+  };
+};
+
+/**
+ * Format an event for a text/event-stream response
+ * @param {{id: number, type: string, data: object}} event
+ * @returns {string}
+ */
+const formatTaskEvent = ({ id, type, data }) => `id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+
+module.exports = {
+  TASK_EVENTS,
+  createTaskEventHub,
+  formatTaskEvent
+};
@@ -0,0 +1,439 @@
+/**
+ * Filtering, sorting and cursor pagination for the task list
+ *
+ * Query parameters:
+ *   completed  - true | false
+ *   priority   - low | medium | high (comma-separated or repeated for several)
+ *   due        - overdue | today | week (due dates are compared in UTC)
+ *   dueAfter   - ISO date, inclusive
+ *   dueBefore  - ISO date, exclusive
+ *   q          - case-insensitive match on text
+ *   seriesId   - occurrences of one recurring task, past and current
+ *   listId     - tasks in one list, or `none` for tasks outside every list
+ *   tagId      - tasks with any of these tags (comma-separated or repeated)
+ *   sort       - createdAt (default) | updatedAt | dueDate | priority
+ *   order      - asc | desc (defaults to desc, or asc for dueDate)
+ *   limit      - page size, 1-100 (all tasks when omitted)
+ *   cursor     - nextCursor from the previous page
+ *
+ * buildTaskListQuery() turns the options into SQL for SQLite; filterTasks()
+ * applies the same rules to an array for the DynamoDB and in-memory repositories.
+ * A cursor only works with the backend that issued it.
+ *
+ * The stats route takes the same filters, without sorting and paging
+ * (parseTaskStatsQuery, buildTaskFilter and taskMatcher). Tasks in the trash
+ * never match.
+ *
+ * The analytics route (parseTaskAnalyticsQuery, see taskAnalytics.js) takes
+ *   from, to   - first and last day, YYYY-MM-DD (the last 30 days by default)
+ *   groupBy    - day (default) | week (Monday to Sunday)
+ *   timezone   - IANA time zone the days are counted in, e.g. Europe/Paris (UTC by default)
+ */
+const Joi = require('joi');
+const { TASK_PRIORITIES, VALIDATION_OPTIONS, toFieldErrors } = require('./validation');
+
+const PRIORITIES = TASK_PRIORITIES;
+const MAX_PAGE_SIZE = 100;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ANALYTICS_DEFAULT_DAYS = 30;
+const ANALYTICS_MAX_DAYS = 366;
+
+// A date-only dueDate ("2025-11-20") counts as due at the end of that day
+const DUE_AT = "(CASE WHEN length(dueDate) = 10 THEN dueDate || ' 23:59:59' ELSE datetime(dueDate) END)";
+
+const SORT_EXPRESSIONS = {
+  createdAt: () => 'createdAt',
+  updatedAt: () => 'updatedAt',
+  // Tasks without a due date always come last
+  dueDate: (order) => `COALESCE(${DUE_AT}, '${order === 'asc' ? '9999-12-31 23:59:59' : '0000-01-01 00:00:00'}')`,
+  priority: () => "(CASE priority WHEN 'high' THEN 3 WHEN 'medium' THEN 2 WHEN 'low' THEN 1 ELSE 0 END)"
+};
+
+const DEFAULT_ORDER = {
+  createdAt: 'desc',
+  updatedAt: 'desc',
+  dueDate: 'asc',
+  priority: 'desc'
+};
+
+const PRIORITY_RANK = { high: 3, medium: 2, low: 1 };
+
+const recordId = Joi.alternatives().try(Joi.number().integer(), Joi.string().min(1));
+
+const taskFilterKeys = {
+  completed: Joi.boolean(),
+  priority: Joi.array().items(Joi.string().valid(...PRIORITIES)).min(1),
+  due: Joi.string().valid('overdue', 'today', 'week'),
+  dueAfter: Joi.date().iso(),
+  dueBefore: Joi.date().iso(),
+  q: Joi.string().trim().min(1).max(200),
+  seriesId: recordId,
+  listId: Joi.alternatives().try(Joi.string().valid('none'), recordId),
+  tagId: Joi.array().items(recordId).min(1)
+};
+
+const taskListQuerySchema = Joi.object({
+  ...taskFilterKeys,
+  sort: Joi.string().valid(...Object.keys(SORT_EXPRESSIONS)).default('createdAt'),
+  order: Joi.string().valid('asc', 'desc'),
+  limit: Joi.number().integer().min(1).max(MAX_PAGE_SIZE),
+  cursor: Joi.string()
+});
+
+const taskStatsQuerySchema = Joi.object(taskFilterKeys);
+
+const calendarDate = Joi.string()
+  .custom((value, helpers) => (/^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value))
+    && new Date(value).toISOString().startsWith(value) ? value : helpers.error('any.invalid')))
+  .messages({ 'any.invalid': '{#label} must be a date as YYYY-MM-DD' });
+
+const timeZone = Joi.string()
+  .custom((value, helpers) => {
+    try {
+      return new Intl.DateTimeFormat('en-US', { timeZone: value }).resolvedOptions().timeZone;
+    } catch (error) {
+      return helpers.error('any.invalid');
+    }
+  })
+  .messages({ 'any.invalid': '{#label} must be an IANA time zone, e.g. Europe/Paris' });
+
+const taskAnalyticsQuerySchema = Joi.object({
+  from: calendarDate,
+  to: calendarDate,
+  groupBy: Joi.string().valid('day', 'week').default('day'),
+  timezone: timeZone.default('UTC')
+});
+
+class TaskQueryError extends Error {
+  constructor(details) {
+    super('Invalid query parameters');
+    this.name = 'TaskQueryError';
+    this.details = details;
+  }
+}
+
+// SQLite datetime() format, in UTC
+const toSqlDateTime = (date) => date.toISOString().slice(0, 19).replace('T', ' ');
+
+const encodeCursor = (cursor) => Buffer.from(JSON.stringify(cursor)).toString('base64url');
+
+const decodeCursor = (value) => {
+  try {
+    const cursor = JSON.parse(Buffer.from(value, 'base64url').toString('utf8'));
+    if (cursor && typeof cursor === 'object' && ['number', 'string'].includes(typeof cursor.id)) {
+      return cursor;
+    }
+  } catch (error) {
+    // Fall through to the error below
+  }
+  throw new TaskQueryError([{ field: 'cursor', message: 'cursor is invalid' }]);
+};
+
+// Parameters that take several values, comma-separated or repeated
+const LIST_PARAMS = ['priority', 'tagId'];
+
+const validateQuery = (query, schema) => {
+  const input = { ...query };
+  LIST_PARAMS.forEach((key) => {
+    if (input[key] !== undefined) {
+      input[key] = [].concat(input[key]).flatMap((value) => String(value).split(','));
+    }
+  });
+
+  const { error, value } = schema.validate(input, { ...VALIDATION_OPTIONS, stripUnknown: false });
+  if (error) {
+    throw new TaskQueryError(toFieldErrors(error.details));
+  }
+  return value;
+};
+
+/**
+ * Validate and normalize the query string of the task list route
+ * @param {object} query - req.query or event.queryStringParameters
+ * @returns {object} Options for the task repository's list()
+ * @throws {TaskQueryError} With every problem as { field, message } in `details`
+ */
+const parseTaskListQuery = (query = {}) => {
+  const value = validateQuery(query, taskListQuerySchema);
+  const options = { ...value, order: value.order || DEFAULT_ORDER[value.sort] };
+
+  if (value.cursor) {
+    const cursor = decodeCursor(value.cursor);
+    if (cursor.sort !== options.sort || cursor.order !== options.order) {
+      throw new TaskQueryError([
+        { field: 'cursor', message: 'cursor does not match the requested sort and order' }
+      ]);
+    }
+    options.cursor = cursor;
+  }
+
+  return options;
+};
+
+/**
+ * Validate and normalize the query string of the stats route
+ * @param {object} query - req.query or event.queryStringParameters
+ * @returns {object} Filter options for the task repository's stats()
+ * @throws {TaskQueryError} With every problem as { field, message } in `details`
+ */
+const parseTaskStatsQuery = (query = {}) => validateQuery(query, taskStatsQuerySchema);
+
+// The day (YYYY-MM-DD) an instant falls on in a time zone
+const localDate = (date, timezone) => new Intl.DateTimeFormat('en-CA', {
+  timeZone: timezone,
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit'
+}).format(date);
+
+// Calendar arithmetic on YYYY-MM-DD days
+const addDays = (day, days) => new Date(Date.parse(day) + days * DAY_MS).toISOString().slice(0, 10);
+
+/**
+ * Validate and normalize the query string of the analytics route
+ * @param {object} query - req.query or event.queryStringParameters
+ * @param {Date} [now] - Reference time for the default range
+ * @returns {{from: string, to: string, groupBy: string, timezone: string}}
+ * @throws {TaskQueryError} With every problem as { field, message } in `details`
+ */
+const parseTaskAnalyticsQuery = (query = {}, now = new Date()) => {
+  const value = validateQuery(query, taskAnalyticsQuerySchema);
+  const to = value.to || localDate(now, value.timezone);
+  const from = value.from || addDays(to, 1 - ANALYTICS_DEFAULT_DAYS);
+
+  if (from > to) {
+    throw new TaskQueryError([{ field: 'from', message: 'from must not be after to' }]);
+  }
+  if (addDays(from, ANALYTICS_MAX_DAYS) <= to) {
+    throw new TaskQueryError([{ field: 'to', message: `The range can span at most ${ANALYTICS_MAX_DAYS} days` }]);
+  }
+  return { ...value, from, to };
+};
+
+// Start of the UTC day and of the UTC calendar week (Monday) containing `now`
+const dueWindows = (now) => {
+  const todayStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  const weekStart = new Date(todayStart.getTime() - ((todayStart.getUTCDay() + 6) % 7) * DAY_MS);
+  return { todayStart, weekStart };
+};
+
+/**
+ * Build the WHERE clause selecting a user's tasks that pass the filters
+ * @param {number} userId - Owner of the tasks
+ * @param {object} options - Result of parseTaskListQuery or parseTaskStatsQuery
+ * @param {Date} [now] - Reference time for the due filters
+ * @returns {{where: string, params: Array}} Conditions on unqualified tasks columns
+ */
+const buildTaskFilter = (userId, options, now = new Date()) => {
+  const where = ['userId = ?', 'deletedAt IS NULL'];
+  const params = [userId];
+
+  if (options.completed !== undefined) {
+    where.push('completed = ?');
+    params.push(options.completed ? 1 : 0);
+  }
+
+  if (options.priority) {
+    where.push(`priority IN (${options.priority.map(() => '?').join(', ')})`);
+    params.push(...options.priority);
+  }
+
+  if (options.due) {
+    const { todayStart, weekStart } = dueWindows(now);
+
+    if (options.due === 'overdue') {
+      where.push(`completed = 0 AND ${DUE_AT} < ?`);
+      params.push(toSqlDateTime(now));
+    } else if (options.due === 'today') {
+      where.push(`${DUE_AT} >= ? AND ${DUE_AT} < ?`);
+      params.push(toSqlDateTime(todayStart), toSqlDateTime(new Date(todayStart.getTime() + DAY_MS)));
+    } else {
+      // Calendar week, Monday to Sunday
+      where.push(`${DUE_AT} >= ? AND ${DUE_AT} < ?`);
+      params.push(toSqlDateTime(weekStart), toSqlDateTime(new Date(weekStart.getTime() + 7 * DAY_MS)));
+    }
+  }
+
+  if (options.dueAfter) {
+    where.push(`${DUE_AT} >= ?`);
+    params.push(toSqlDateTime(options.dueAfter));
+  }
+
+  if (options.dueBefore) {
+    where.push(`${DUE_AT} < ?`);
+    params.push(toSqlDateTime(options.dueBefore));
+  }
+
+  if (options.q) {
+    where.push("text LIKE ? ESCAPE '\\'");
+    params.push(`%${options.q.replace(/[\\%_]/g, (char) => `\\${char}`)}%`);
+  }
+
+  if (options.seriesId !== undefined) {
+    where.push('seriesId = ?');
+    params.push(options.seriesId);
+  }
+
+  if (options.listId === 'none') {
+    where.push('listId IS NULL');
+  } else if (options.listId !== undefined) {
+    where.push('listId = ?');
+    params.push(options.listId);
+  }
+
+  if (options.tagId) {
+    where.push(`id IN (SELECT taskId FROM task_tags WHERE tagId IN (${options.tagId.map(() => '?').join(', ')}))`);
+    params.push(...options.tagId);
+  }
+
+  return { where: where.join(' AND '), params };
+};
+
+/**
+ * Build the SELECT for one page of a user's tasks
+ * @param {number} userId - Owner of the tasks
+ * @param {object} options - Result of parseTaskListQuery
+ * @param {Date} [now] - Reference time for the due filters
+ * @returns {{sql: string, params: Array}} Query selecting up to limit + 1 rows, each with a sortKey column
+ */
+const buildTaskListQuery = (userId, options, now = new Date()) => {
+  const filter = buildTaskFilter(userId, options, now);
+  const where = [filter.where];
+  const params = [...filter.params];
+
+  const sortKey = SORT_EXPRESSIONS[options.sort](options.order);
+  const comparison = options.order === 'asc' ? '>' : '<';
+
+  if (options.cursor) {
+    where.push(`(${sortKey} ${comparison} ? OR (${sortKey} = ? AND id ${comparison} ?))`);
+    params.push(options.cursor.value, options.cursor.value, options.cursor.id);
+  }
+
+  let sql = `SELECT *, ${sortKey} AS sortKey FROM tasks
+    WHERE ${where.join(' AND ')}
+    ORDER BY sortKey ${options.order.toUpperCase()}, id ${options.order.toUpperCase()}`;
+
+  if (options.limit) {
+    sql += ' LIMIT ?';
+    params.push(options.limit + 1);
+  }
+
+  return { sql, params };
+};
+
+/**
+ * Split the fetched rows into the page and the cursor for the next one
+ * @param {Array} rows - Rows with a sortKey, sorted and filtered (at most limit + 1 of them)
+ * @param {object} options - Result of parseTaskListQuery
+ * @returns {{rows: Array, nextCursor: (string|null)}} Rows without their sortKey column
+ */
+const paginateTaskRows = (rows, options) => {
+  const hasMore = Boolean(options.limit) && rows.length > options.limit;
+  const page = hasMore ? rows.slice(0, options.limit) : rows;
+  const last = page[page.length - 1];
+
+  return {
+    rows: page.map(({ sortKey, ...task }) => task),
+    nextCursor: hasMore
+      ? encodeCursor({ sort: options.sort, order: options.order, value: last.sortKey, id: last.id })
+      : null
+  };
+};
+
+// Due time of a task in epoch ms, or null (same rule as DUE_AT)
+const dueAt = (task) => {
+  if (!task.dueDate) return null;
+  const time = task.dueDate.length === 10
+    ? Date.parse(`${task.dueDate}T23:59:59Z`)
+    : Date.parse(task.dueDate);
+  return Number.isNaN(time) ? null : time;
+};
+
+// Comparable sort key of a task, mirroring SORT_EXPRESSIONS
+const sortKeyOf = (task, options) => {
+  if (options.sort === 'priority') return PRIORITY_RANK[task.priority] || 0;
+  if (options.sort === 'dueDate') {
+    const time = dueAt(task);
+    if (time === null) return options.order === 'asc' ? '9999-12-31T23:59:59.000Z' : '0000-01-01T00:00:00.000Z';
+    return new Date(time).toISOString();
+  }
+  return task[options.sort];
+};
+
+const compare = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+
+// Ids arrive as numbers or strings; a missing id matches nothing
+const sameId = (a, b) => a !== null && a !== undefined && String(a) === String(b);
+
+/**
+ * Predicate for the tasks that pass the filters, mirroring buildTaskFilter
+ * @param {object} options - Result of parseTaskListQuery or parseTaskStatsQuery
+ * @param {Date} [now] - Reference time for the due filters
+ * @returns {Function} (task) => boolean, for tasks in repository shape
+ */
+const taskMatcher = (options, now = new Date()) => {
+  const { todayStart, weekStart } = dueWindows(now);
+  const ranges = {
+    today: [todayStart.getTime(), todayStart.getTime() + DAY_MS],
+    week: [weekStart.getTime(), weekStart.getTime() + 7 * DAY_MS]
+  };
+  const needle = options.q && options.q.toLowerCase();
+
+  return (task) => {
+    const due = dueAt(task);
+    if (task.deletedAt) return false;
+    if (options.completed !== undefined && task.completed !== options.completed) return false;
+    if (options.priority && !options.priority.includes(task.priority)) return false;
+    if (options.due === 'overdue' && (task.completed || due === null || due >= now.getTime())) return false;
+    if (ranges[options.due] && (due === null || due < ranges[options.due][0] || due >= ranges[options.due][1])) return false;
+    if (options.dueAfter && (due === null || due < options.dueAfter.getTime())) return false;
+    if (options.dueBefore && (due === null || due >= options.dueBefore.getTime())) return false;
+    if (needle && !task.text.toLowerCase().includes(needle)) return false;
+    if (options.seriesId !== undefined && !sameId(task.seriesId, options.seriesId)) return false;
+    if (options.listId === 'none' && task.listId !== null) return false;
+    if (options.listId !== undefined && options.listId !== 'none' && !sameId(task.listId, options.listId)) return false;
+    if (options.tagId && !task.tags.some((tag) => options.tagId.some((id) => sameId(tag.id, id)))) return false;
+    return true;
+  };
+};
+
+/**
+ * Apply list options to a user's tasks held in memory
+ * @param {Array} tasks - All tasks of one user, in repository shape
+ * @param {object} options - Result of parseTaskListQuery
+ * @param {Date} [now] - Reference time for the due filters
+ * @returns {{tasks: Array, nextCursor: (string|null)}}
+ */
+const filterTasks = (tasks, options, now = new Date()) => {
+  const direction = options.order === 'asc' ? 1 : -1;
+
+  const rows = tasks
+    .filter(taskMatcher(options, now))
+    .map((task) => ({ ...task, sortKey: sortKeyOf(task, options) }))
+    .filter((task) => {
+      if (!options.cursor) return true;
+      const order = compare(task.sortKey, options.cursor.value) || compare(task.id, options.cursor.id);
+      return order * direction > 0;
+    })
+    .sort((a, b) => (compare(a.sortKey, b.sortKey) || compare(a.id, b.id)) * direction);
+
+  const page = paginateTaskRows(options.limit ? rows.slice(0, options.limit + 1) : rows, options);
+  return { tasks: page.rows, nextCursor: page.nextCursor };
+};
+
+module.exports = {
+  PRIORITIES,
+  DUE_AT,
+  TaskQueryError,
+  parseTaskListQuery,
+  parseTaskStatsQuery,
+  parseTaskAnalyticsQuery,
+  localDate,
+  addDays,
+  buildTaskFilter,
+  buildTaskListQuery,
+  paginateTaskRows,
+  taskMatcher,
+  filterTasks,
+  dueAt
+};
@@ -0,0 +1,415 @@
+/**
+ * Exporting a user's tasks as JSON, CSV or iCalendar, and importing them back.
+ *
+ * json - { exportedAt, tasks: [task] }; the import also takes a bare array
+ * csv  - a header row, then one row per task with the columns text, completed,
+ *        priority, dueDate, list, tags (separated by ";") and createdAt.
+ *        Subtasks, recurrence and reminders are left out. Cells a spreadsheet
+ *        would take for a formula start with ', which the import removes.
+ * ics  - VTODO entries with SUMMARY, DUE (a date, or a date-time in UTC),
+ *        PRIORITY (1 high, 5 medium, 9 low), STATUS (COMPLETED or NEEDS-ACTION)
+ *        and the tags as CATEGORIES. Lists, subtasks, recurrence and reminders are left out.
+ *
+ * An exported task is
+ *   { text, completed, priority, dueDate, list (name or null), tags: [name],
+ *     subtasks: [{ text, completed }], recurrence, reminders, createdAt }
+ *
+ * Every task read from an import is checked against importedTaskSchema. Invalid
+ * rows and duplicates are skipped and reported: a task is a duplicate when the
+ * user already has one, or an earlier row is one, with the same text (ignoring
+ * case) and dueDate. Lists and tags are matched by name and created when missing.
+ * A dry run reports the same without changing anything.
+ */
+const { importedTaskSchema, validate } = require('./validation');
+const { createTask } = require('./tasks');
+
+const IMPORT_MAX_TASKS = 1000;
+const CSV_COLUMNS = ['text', 'completed', 'priority', 'dueDate', 'list', 'tags', 'createdAt'];
+const ICS_PRIORITIES = { high: 1, medium: 5, low: 9 };
+const ICS_LINE_OCTETS = 75;
+
+const CONTENT_TYPES = {
+  json: 'application/json; charset=utf-8',
+  csv: 'text/csv; charset=utf-8',
+  ics: 'text/calendar; charset=utf-8'
+};
+
+class TaskImportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TaskImportError';
+  }
+}
+
+const toExportedTask = (task, listNames) => ({
+  text: task.text,
+  completed: task.completed,
+  priority: task.priority,
+  dueDate: task.dueDate,
+  list: task.listId === null ? null : listNames.get(String(task.listId)) || null,
+  tags: task.tags.map((tag) => tag.name),
+  subtasks: task.subtasks.map(({ text, completed }) => ({ text, completed })),
+  recurrence: task.recurrence,
+  reminders: task.reminders,
+  createdAt: task.createdAt
+});
+
+// CSV (RFC 4180). A spreadsheet would run a cell starting with =, +, -, @, a tab
+// or a carriage return as a formula, so such cells get a leading ' (as do cells
+// that already start with ' before one of them, so the import can take it off).
+const FORMULA_START = /^'*[=+\-@\t\r]/;
+
+const toCsvCell = (value) => {
+  const raw = value === null || value === undefined ? '' : String(value);
+  const text = FORMULA_START.test(raw) ? `'${raw}` : raw;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const fromCsvCell = (text) => (text.startsWith("'") && FORMULA_START.test(text) ? text.slice(1) : text);
+
+const toCsv = (tasks) => {
+  const rows = tasks.map((task) => CSV_COLUMNS.map((column) => (column === 'tags' ? task.tags.join(';') : task[column])));
+  return [CSV_COLUMNS, ...rows].map((row) => row.map(toCsvCell).join(',')).join('\r\n') + '\r\n';
+};
+
+// Rows of cells, leaving out blank lines
+const parseCsv = (content) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < content.length; i += 1) {
+    const char = content[i];
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i += 1;
+      rows.push([...row, cell]);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (quoted) {
+    throw new TaskImportError('The CSV file has a quoted value that is never closed');
+  }
+  rows.push([...row, cell]);
+  return rows.filter((cells) => cells.some((value) => value.trim() !== ''));
+};
+
+const readCsv = (content) => {
+  const [header = [], ...rows] = parseCsv(content);
+  const columns = header.map((name) => CSV_COLUMNS.find((column) => column.toLowerCase() === name.trim().toLowerCase()));
+  if (!columns.includes('text')) {
+    throw new TaskImportError('The CSV file needs a header row with a text column');
+  }
+
+  return rows.map((cells) => {
+    const entry = {};
+    columns.forEach((column, index) => {
+      const value = fromCsvCell((cells[index] || '').trim());
+      if (!column || column === 'createdAt' || value === '') return;
+      entry[column] = column === 'tags' ? value.split(';').map((tag) => tag.trim()).filter(Boolean) : value;
+    });
+    return entry;
+  });
+};
+
+// iCalendar (RFC 5545)
+const escapeIcsText = (value) => value
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+const unescapeIcsText = (value) => value.replace(/\\([\\;,nN])/g, (match, char) => (char.toLowerCase() === 'n' ? '\n' : char));
+
+// Lines longer than 75 octets continue on lines starting with a space
+const foldIcsLine = (line) => {
+  const parts = [''];
+  let octets = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    if (octets + size > (parts.length === 1 ? ICS_LINE_OCTETS : ICS_LINE_OCTETS - 1)) {
+      parts.push('');
+      octets = 0;
+    }
+    parts[parts.length - 1] += char;
+    octets += size;
+  }
+  return parts.join('\r\n ');
+};
+
+// 2025-11-20T14:03:00.000Z -> 20251120T140300Z
+const toIcsDateTime = (value) => new Date(value).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const toIcsTodo = (task, now) => {
+  const lines = [
+    'BEGIN:VTODO',
+    `UID:task-${task.id}@cdsback`,
+    `DTSTAMP:${toIcsDateTime(now)}`,
+    `CREATED:${toIcsDateTime(task.createdAt)}`,
+    `LAST-MODIFIED:${toIcsDateTime(task.updatedAt)}`,
+    `SUMMARY:${escapeIcsText(task.text)}`
+  ];
+  if (task.dueDate) {
+    // A date-only dueDate ("2025-11-20") stays a date
+    lines.push(task.dueDate.length === 10
+      ? `DUE;VALUE=DATE:${task.dueDate.replace(/-/g, '')}`
+      : `DUE:${toIcsDateTime(task.dueDate)}`);
+  }
+  lines.push(`PRIORITY:${ICS_PRIORITIES[task.priority]}`);
+  lines.push(`STATUS:${task.completed ? 'COMPLETED' : 'NEEDS-ACTION'}`);
+  if (task.tags.length > 0) {
+    lines.push(`CATEGORIES:${task.tags.map((tag) => escapeIcsText(tag.name)).join(',')}`);
+  }
+  lines.push('END:VTODO');
+  return lines;
+};
+
+const toIcs = (tasks, now) => [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  'PRODID:-//CDSBack//Tasks//EN',
+  ...tasks.flatMap((task) => toIcsTodo(task, now)),
+  'END:VCALENDAR'
+].map(foldIcsLine).join('\r\n') + '\r\n';
+
+// 20251120 -> 2025-11-20, 20251120T140300Z -> 2025-11-20T14:03:00Z.
+// Anything else is passed on for validation to reject.
+const fromIcsDate = (value) => {
+  const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z?))?$/);
+  if (!match) return value;
+  const [, year, month, day, hours, minutes, seconds, utc] = match;
+  const date = `${year}-${month}-${day}`;
+  return hours === undefined ? date : `${date}T${hours}:${minutes}:${seconds}${utc}`;
+};
+
+// 1-4 is high, 5 medium and 6-9 low; 0 means none
+const fromIcsPriority = (value) => {
+  const priority = Number(value);
+  if (!Number.isInteger(priority) || priority < 0 || priority > 9) return value;
+  if (priority === 0) return undefined;
+  if (priority < 5) return 'high';
+  return priority === 5 ? 'medium' : 'low';
+};
+
+const readIcs = (content) => {
+  const lines = content.replace(/\r?\n[ \t]/g, '').split(/\r?\n/).filter((line) => line.trim() !== '');
+  if (!/^BEGIN:VCALENDAR$/i.test((lines[0] || '').trim())) {
+    throw new TaskImportError('The file is not an iCalendar file');
+  }
+
+  const todos = [];
+  let todo = null;
+  for (const line of lines) {
+    if (/^BEGIN:VTODO$/i.test(line.trim())) {
+      todo = { categories: [] };
+    } else if (/^END:VTODO$/i.test(line.trim())) {
+      if (todo) todos.push(todo);
+      todo = null;
+    } else if (todo) {
+      const match = line.match(/^([A-Za-z0-9-]+)(?:;[^:]*)?:(.*)$/);
+      if (!match) continue;
+      const name = match[1].toUpperCase();
+      if (name === 'CATEGORIES') {
+        todo.categories.push(...match[2].split(/(?<!\\),/).map(unescapeIcsText));
+      } else {
+        todo[name] = match[2];
+      }
+    }
+  }
+
+  return todos.map((entry) => ({
+    text: entry.SUMMARY === undefined ? undefined : unescapeIcsText(entry.SUMMARY),
+    completed: (entry.STATUS || '').toUpperCase() === 'COMPLETED',
+    priority: entry.PRIORITY === undefined ? undefined : fromIcsPriority(entry.PRIORITY.trim()),
+    dueDate: entry.DUE === undefined ? undefined : fromIcsDate(entry.DUE.trim()),
+    tags: entry.categories.map((tag) => tag.trim()).filter(Boolean)
+  }));
+};
+
+const readJson = (content) => {
+  let data;
+  try {
+    data = JSON.parse(content);
+  } catch (error) {
+    throw new TaskImportError('The file is not valid JSON');
+  }
+  const entries = Array.isArray(data) ? data : data && data.tasks;
+  if (!Array.isArray(entries)) {
+    throw new TaskImportError('The JSON file needs a list of tasks, or an object with one as tasks');
+  }
+  // Subtasks may also be given as plain text
+  return entries.map((entry) => (entry && Array.isArray(entry.subtasks)
+    ? { ...entry, subtasks: entry.subtasks.map((subtask) => (typeof subtask === 'string' ? { text: subtask } : subtask)) }
+    : entry));
+};
+
+const READERS = { json: readJson, csv: readCsv, ics: readIcs };
+
+// Same text, ignoring case, and the same due date or moment
+const duplicateKey = ({ text, dueDate }) => {
+  const due = dueDate && dueDate.length !== 10 ? new Date(dueDate).toISOString() : dueDate || '';
+  return `${text.trim().toLowerCase()}\n${due}`;
+};
+
+// The id of the user's list or tag with this name, created when missing
+// (only remembered, with a null id, on a dry run)
+const resolveLabelId = async (repository, known, userId, name, dryRun) => {
+  const key = name.toLowerCase();
+  if (!known.has(key)) {
+    const existing = await repository.findByName(userId, name);
+    if (existing) {
+      known.set(key, { id: existing.id, created: false });
+    } else {
+      const created = dryRun ? null : await repository.create(userId, { name, color: null });
+      known.set(key, { id: created && created.id, name, created: true });
+    }
+  }
+  return known.get(key).id;
+};
+
+const createdNames = (known) => [...known.values()].filter((label) => label.created).map((label) => label.name);
+
+const createImportedTask = async ({ tasks, lists, tags }, userId, fields, listId, tagIds) => {
+  const { text, priority, dueDate, autoComplete, recurrence, reminders, subtasks, completed } = fields;
+  const task = await createTask(tasks, userId, {
+    text,
+    priority,
+    dueDate,
+    autoComplete,
+    recurrence,
+    reminders,
+    subtasks: subtasks.map((subtask) => subtask.text),
+    listId,
+    tagIds
+  }, { lists, tags });
+
+  for (const [index, subtask] of subtasks.entries()) {
+    if (subtask.completed) {
+      await tasks.updateSubtask(userId, task.id, task.subtasks[index].id, { completed: true });
+    }
+  }
+  if (completed) {
+    await tasks.update(userId, task.id, { completed: true, completedBy: userId });
+  }
+  return tasks.findById(userId, task.id);
+};
+
+/**
+ * Export all of a user's tasks, oldest first
+ * @param {object} repositories - { tasks, lists }
+ * @param {string|number} userId - Owner
+ * @param {string} format - json, csv or ics
+ * @param {Date} [now] - Export time
+ * @returns {Promise<{contentType: string, body: string}>}
+ */
+const exportTasks = async ({ tasks, lists }, userId, format, now = new Date()) => {
+  const { tasks: all } = await tasks.list(userId, { sort: 'createdAt', order: 'asc' });
+  const listNames = new Map((await lists.list(userId)).map((list) => [String(list.id), list.name]));
+  const exported = all.map((task) => toExportedTask(task, listNames));
+
+  const bodies = {
+    json: () => JSON.stringify({ exportedAt: now.toISOString(), tasks: exported }, null, 2),
+    csv: () => toCsv(exported),
+    ics: () => toIcs(all, now)
+  };
+  return { contentType: CONTENT_TYPES[format], body: bodies[format]() };
+};
+
+/**
+ * Import tasks from an exported file. The tasks, lists and tags are written one
+ * at a time, so making the import all or nothing is up to the caller; the Express
+ * server runs it in one SQLite transaction unless it is a dry run.
+ * @param {object} repositories - { tasks, lists, tags }
+ * @param {string|number} userId - Owner of the imported tasks
+ * @param {object} fields - Validated importTasksSchema value { format, content, dryRun }
+ * @returns {Promise<object>} { dryRun, summary: { total, imported, duplicates, invalid },
+ *   newLists, newTags, rows }. Each row is { row (from 1), status, ... }: created with the
+ *   task (valid on a dry run), duplicate with its text, or invalid with errors as { field, message }.
+ * @throws {TaskImportError} If the file cannot be read, has no tasks or too many
+ */
+const importTasks = async (repositories, userId, { format, content, dryRun }) => {
+  const entries = READERS[format](content.replace(/^\uFEFF/, ''));
+  if (entries.length === 0) {
+    throw new TaskImportError('The file has no tasks');
+  }
+  if (entries.length > IMPORT_MAX_TASKS) {
+    throw new TaskImportError(`At most ${IMPORT_MAX_TASKS} tasks can be imported at once`);
+  }
+
+  const { tasks: existing } = await repositories.tasks.list(userId, { sort: 'createdAt', order: 'asc' });
+  const seen = new Set(existing.map(duplicateKey));
+  const knownLists = new Map();
+  const knownTags = new Map();
+  const rows = [];
+
+  for (const [index, entry] of entries.entries()) {
+    const row = index + 1;
+    const { value, errors } = validate(entry, importedTaskSchema);
+    if (!errors && value.recurrence && !value.dueDate) {
+      rows.push({ row, status: 'invalid', errors: [{ field: 'recurrence', message: 'A recurring task needs a dueDate' }] });
+      continue;
+    }
+    if (errors) {
+      rows.push({ row, status: 'invalid', errors });
+      continue;
+    }
+
+    const key = duplicateKey(value);
+    if (seen.has(key)) {
+      rows.push({ row, status: 'duplicate', text: value.text });
+      continue;
+    }
+    seen.add(key);
+
+    const listId = value.list && await resolveLabelId(repositories.lists, knownLists, userId, value.list, dryRun);
+    const tagIds = [];
+    for (const name of value.tags) {
+      tagIds.push(await resolveLabelId(repositories.tags, knownTags, userId, name, dryRun));
+    }
+
+    if (dryRun) {
+      rows.push({ row, status: 'valid', text: value.text });
+    } else {
+      const task = await createImportedTask(repositories, userId, value, listId, tagIds);
+      rows.push({ row, status: 'created', task });
+    }
+  }
+
+  const count = (...statuses) => rows.filter((result) => statuses.includes(result.status)).length;
+  return {
+    dryRun,
+    summary: {
+      total: rows.length,
+      imported: count('created', 'valid'),
+      duplicates: count('duplicate'),
+      invalid: count('invalid')
+    },
+    newLists: createdNames(knownLists),
+    newTags: createdNames(knownTags),
+    rows
+  };
+};
+
+module.exports = {
+  IMPORT_MAX_TASKS,
+  TaskImportError,
+  exportTasks,
+  importTasks
+};
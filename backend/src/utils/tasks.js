@@ -0,0 +1,478 @@
+/**
+ * To-do tasks shared by the Lambda handlers and the Express server.
+ *
+ * Tasks are read and written through a `tasks` repository (see src/repositories)
+ * with these async methods, all scoped to the owner so one user can never reach
+ * another user's tasks:
+ *   list(userId, options)          - { tasks, nextCursor } for parseTaskListQuery options
+ *   findById(userId, id)           - task or null (tasks in the trash are left out, as in list and stats)
+ *   create(userId, fields)         - insert { text, priority, dueDate, autoComplete, recurrence,
+ *                                    reminders, seriesId, occurrence, listId } and return the task
+ *   update(userId, id, fields, { versions }) - change some fields, return the updated task or null
+ *   delete(userId, id, { versions })         - move a task to the trash, return true if it was there to delete
+ *                                    (with `versions`, only while the task has one of them: see sync.js)
+ *   restore(userId, id)            - take a task out of the trash, return it or null
+ *   listDeleted(userId)            - the tasks in the trash, most recently deleted first
+ *   purgeDeleted(before)           - permanently remove every task deleted before `before` (a Date),
+ *                                    with its subtasks and tags; return them as [{ id, userId, listId }]
+ *   changedSince(userId, since)    - { tasks, last }: the tasks changed after position `since` of the
+ *                                    repository's change order, trash included, and the position of
+ *                                    the last of them (see sync.js)
+ *   dueBetween(from, to)           - every user's tasks that are not completed nor in the trash and are
+ *                                    due between two Dates, inclusive, soonest first (see reminders.js)
+ *   stats(userId, options)         - { total, completed, remaining, subtasks: { total, completed, remaining } }
+ *                                    of the tasks passing parseTaskStatsQuery filters
+ *   setTags(userId, taskId, tagIds)                  - replace the task's tags, false if no task
+ *   addSubtask(userId, taskId, text)                 - append a subtask, return it or null
+ *   updateSubtask(userId, taskId, subtaskId, fields) - change { text, completed }, return it or null
+ *   deleteSubtask(userId, taskId, subtaskId)         - return true if it existed
+ *   reorderSubtasks(userId, taskId, ids)             - set the order of every subtask, false if no task
+ *
+ * Every repository returns the same task shape:
+ *   { id, userId, text, completed (boolean), priority, dueDate (string or null),
+ *     autoComplete (boolean), subtasks: [{ id, text, completed, position }] (in order),
+ *     recurrence (rule or null), reminders (minutes before the dueDate, see reminders.js),
+ *     seriesId, occurrence, listId (or null),
+ *     tags: [{ id, name, color }] (by name), completedBy (user id or null),
+ *     completedAt (set by the repository when the task is completed, null while it is open),
+ *     deletedAt (null unless in the trash), version (counts the changes to the task),
+ *     createdAt, updatedAt (ISO 8601 strings) }
+ *
+ * Deleted tasks stay in the trash for TASK_TRASH_RETENTION_DAYS (30 by default)
+ * and can be restored until purgeTrash removes them.
+ *
+ * With autoComplete on, a task is completed when all of its subtasks are and
+ * reopened when one is not; a task without subtasks is left as it is.
+ *
+ * A recurring task has a recurrence rule (see recurrence.js) and a dueDate. Completing
+ * it creates the next occurrence, with the same text, priority, reminders, list, tags
+ * and (unchecked) subtasks, and moves the rule there; the completed task stays as history. All
+ * occurrences share the seriesId of the first one and are numbered by occurrence.
+ *
+ * A task's list and tags must belong to its owner, so creating or updating a task
+ * with a listId or tagIds also needs the `lists` and `tags` repositories
+ * (see lists.js and tags.js), passed as `labels`.
+ *
+ * The functions that change a task take the id of its owner. When someone else
+ * makes the change (an editor of a shared list, see sharing.js) their id is passed
+ * as `actorId`, so completedBy names whoever completed the task.
+ */
+const { normalizeRule, nextDueDate } = require('./recurrence');
+
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class TaskError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TaskError';
+  }
+}
+
+// A bulk operation that could not be applied; index is its position in the request
+class BulkOperationError extends Error {
+  constructor(index, message) {
+    super(`Operation ${index + 1} failed: ${message}`);
+    this.name = 'BulkOperationError';
+    this.index = index;
+    this.reason = message;
+  }
+}
+
+const sameId = (a, b) => String(a) === String(b);
+
+/**
+ * Days a deleted task stays in the trash before it is purged
+ * @returns {number} TASK_TRASH_RETENTION_DAYS, or 30 when it is not set
+ */
+const getTrashRetentionDays = () => {
+  const value = process.env.TASK_TRASH_RETENTION_DAYS;
+  if (value === undefined || value === '') {
+    return DEFAULT_TRASH_RETENTION_DAYS;
+  }
+  const days = Number(value);
+  if (!Number.isInteger(days) || days < 1) {
+    throw new Error(`Invalid TASK_TRASH_RETENTION_DAYS: ${value}`);
+  }
+  return days;
+};
+
+// A rule checked against the due date it repeats from
+const recurrenceFor = (rule, dueDate) => {
+  if (!rule) return null;
+  if (!dueDate) {
+    throw new TaskError('A recurring task needs a dueDate');
+  }
+  return normalizeRule(rule, dueDate);
+};
+
+// The list and tags of a task checked against its owner's, with their stored ids.
+// Only the keys given in `fields` are returned.
+const resolveLabels = async (labels, userId, { listId, tagIds }) => {
+  const resolved = {};
+  if (listId !== undefined) {
+    const list = listId === null ? null : await labels.lists.findById(userId, listId);
+    if (listId !== null && !list) {
+      throw new TaskError('List not found');
+    }
+    resolved.listId = list ? list.id : null;
+  }
+  if (tagIds !== undefined) {
+    resolved.tagIds = [];
+    for (const tagId of tagIds) {
+      const tag = await labels.tags.findById(userId, tagId);
+      if (!tag) {
+        throw new TaskError('Tag not found');
+      }
+      resolved.tagIds.push(tag.id);
+    }
+  }
+  return resolved;
+};
+
+// When `task` has just been completed and repeats, create its next occurrence.
+// The returned task then carries that occurrence as nextOccurrence.
+const advanceRecurrence = async (tasks, userId, before, task) => {
+  if (!task || before.completed || !task.completed || !task.recurrence) {
+    return task;
+  }
+
+  const { recurrence, seriesId, occurrence } = task;
+  const dueDate = nextDueDate(task.dueDate, recurrence, occurrence);
+  const done = await tasks.update(userId, task.id, { recurrence: null });
+  if (!dueDate) {
+    return done;
+  }
+
+  const next = await tasks.create(userId, {
+    text: task.text,
+    priority: task.priority,
+    dueDate,
+    autoComplete: task.autoComplete,
+    recurrence,
+    reminders: task.reminders,
+    seriesId,
+    occurrence: occurrence + 1,
+    listId: task.listId
+  });
+  if (task.tags.length > 0) {
+    await tasks.setTags(userId, next.id, task.tags.map((tag) => tag.id));
+  }
+  for (const subtask of task.subtasks) {
+    await tasks.addSubtask(userId, next.id, subtask.text);
+  }
+  return { ...done, nextOccurrence: await tasks.findById(userId, next.id) };
+};
+
+// Who completed a task after a change of its completed flag
+const completedByFor = (before, completed, actorId) => {
+  if (!completed) return null;
+  return before.completed ? before.completedBy : actorId;
+};
+
+// Bring an autoComplete task's completed flag in line with its subtasks
+const syncCompletion = async (tasks, userId, task, actorId = userId) => {
+  if (!task || !task.autoComplete || task.subtasks.length === 0) {
+    return task;
+  }
+  const done = task.subtasks.every((subtask) => subtask.completed);
+  if (done === task.completed) {
+    return task;
+  }
+  const completedBy = completedByFor(task, done, actorId);
+  return advanceRecurrence(tasks, userId, task, await tasks.update(userId, task.id, { completed: done, completedBy }));
+};
+
+/**
+ * List a user's tasks
+ * @param {object} tasks - Task repository
+ * @param {string|number} userId - Owner
+ * @param {object} options - Result of parseTaskListQuery
+ * @returns {Promise<{tasks: Array, nextCursor: (string|null)}>}
+ */
+const listTasks = (tasks, userId, options) => tasks.list(userId, options);
+
+/**
+ * Create a task
+ * @param {object} tasks - Task repository
+ * @param {string|number} userId - Owner
+ * @param {object} fields - Validated createTaskSchema value
+ * @param {object} [labels] - { lists, tags } repositories, needed for a listId or tagIds
+ * @returns {Promise<object>} The new task
+ * @throws {TaskError} If it recurs without a dueDate, or the list or a tag is not the user's
+ */
+const createTask = async (tasks, userId, fields, labels) => {
+  const { text, priority = 'medium', dueDate = null, autoComplete = false, reminders = [], subtasks = [] } = fields;
+  const recurrence = recurrenceFor(fields.recurrence, dueDate);
+  const { listId = null, tagIds = [] } = await resolveLabels(labels, userId, {
+    listId: fields.listId || null,
+    tagIds: fields.tagIds || []
+  });
+
+  let task = await tasks.create(userId, { text, priority, dueDate, autoComplete, recurrence, reminders, listId });
+  if (recurrence) {
+    task = await tasks.update(userId, task.id, { seriesId: task.id, occurrence: 1 });
+  }
+  if (tagIds.length > 0) {
+    await tasks.setTags(userId, task.id, tagIds);
+    task = await tasks.findById(userId, task.id);
+  }
+  if (subtasks.length === 0) {
+    return task;
+  }
+  for (const subtaskText of subtasks) {
+    await tasks.addSubtask(userId, task.id, subtaskText);
+  }
+  return syncCompletion(tasks, userId, await tasks.findById(userId, task.id));
+};
+
+/**
+ * Update a task
+ * @param {object} tasks - Task repository
+ * @param {string|number} userId - Owner
+ * @param {string|number} id - Task id
+ * @param {object} fields - Validated updateTaskSchema value
+ * @param {object} [labels] - { lists, tags } repositories, needed for a listId or tagIds
+ * @param {string|number} [actorId] - User making the change, the owner by default
+ * @param {Array<number>} [versions] - Only change the task while it has one of these versions (If-Match)
+ * @returns {Promise<object|null>} The updated task, or null if the user has no such task (with
+ *   `versions`, in one of them). Completing a recurring task adds the occurrence it created as nextOccurrence.
+ * @throws {TaskError} If the task would recur without a dueDate, or the list or a tag is not the user's
+ */
+const updateTask = async (tasks, userId, id, changes, labels, actorId = userId, versions) => {
+  const { text, completed, priority, dueDate, autoComplete, recurrence, reminders } = changes;
+  const before = await tasks.findById(userId, id);
+  if (!before) return null;
+
+  const { tagIds, ...moved } = await resolveLabels(labels, userId, changes);
+  const fields = { text, completed, priority, dueDate, autoComplete, reminders, ...moved };
+  Object.keys(fields).forEach((key) => fields[key] === undefined && delete fields[key]);
+  if (completed !== undefined) {
+    fields.completedBy = completedByFor(before, completed, actorId);
+  }
+
+  if (recurrence !== undefined || (dueDate !== undefined && before.recurrence)) {
+    fields.recurrence = recurrenceFor(
+      recurrence !== undefined ? recurrence : before.recurrence,
+      dueDate !== undefined ? dueDate : before.dueDate
+    );
+    if (fields.recurrence && !before.seriesId) {
+      Object.assign(fields, { seriesId: before.id, occurrence: 1 });
+    }
+  }
+
+  // The version is checked by the first write, so the tags are set after it
+  const updated = await tasks.update(userId, id, fields, { versions });
+  if (!updated) return null;
+  if (tagIds) {
+    await tasks.setTags(userId, id, tagIds);
+  }
+  const task = tagIds ? await tasks.findById(userId, id) : updated;
+  // An explicit completed wins over the subtasks until one of them changes
+  return completed === undefined
+    ? syncCompletion(tasks, userId, task, actorId)
+    : advanceRecurrence(tasks, userId, before, task);
+};
+
+/**
+ * Move a task to the trash
+ * @param {object} tasks - Task repository
+ * @param {string|number} userId - Owner
+ * @param {string|number} id - Task id
+ * @param {Array<number>} [versions] - Only delete the task while it has one of these versions (If-Match)
+ * @returns {Promise<boolean>} False if the user has no such task outside the trash (with `versions`, in one of them)
+ */
+const deleteTask = (tasks, userId, id, versions) => tasks.delete(userId, id, { versions });
+
+/**
+ * List the tasks in a user's trash
+ * @param {object} tasks - Task repository
+ * @param {string|number} userId - Owner
+ * @returns {Promise<Array>} Most recently deleted first
+ */
+const listTrash = (tasks, userId) => tasks.listDeleted(userId);
+
+/**
+ * Take a task out of the trash
+ * @param {object} tasks - Task repository
+ * @param {string|number} userId - Owner
+ * @param {string|number} id - Task id
+ * @returns {Promise<object|null>} The restored task, or null if the user has no such task in the trash
+ */
+const restoreTask = (tasks, userId, id) => tasks.restore(userId, id);
+
+/**
+ * Permanently remove the tasks that have been in the trash longer than the retention period
+ * @param {object} tasks - Task repository
+ * @param {Date} [now] - Reference time
+ * @returns {Promise<Array<{id: (string|number), userId: (string|number), listId: (string|number|null)}>>}
+ *   The tasks removed
+ */
+const purgeTrash = (tasks, now = new Date()) => {
+  return tasks.purgeDeleted(new Date(now.getTime() - getTrashRetentionDays() * DAY_MS));
+};
+
+// One operation of applyBulkOperations
+const applyOperation = async (tasks, userId, { op, id, fields, listId }, labels) => {
+  if (op === 'create') {
+    const task = await createTask(tasks, userId, fields, labels);
+    return { op, id: task.id, task };
+  }
+  if (op === 'update') {
+    const updated = await updateTask(tasks, userId, id, fields, labels);
+    if (!updated) {
+      throw new TaskError('Task not found');
+    }
+    const { nextOccurrence, ...task } = updated;
+    return { op, id: task.id, task, ...(nextOccurrence && { nextOccurrence }) };
+  }
+  if (op === 'delete') {
+    if (!await deleteTask(tasks, userId, id)) {
+      throw new TaskError('Task not found');
+    }
+    return { op, id };
+  }
+
+  // complete-all and delete-completed, optionally limited to one list
+  const filter = { completed: op === 'delete-completed', sort: 'createdAt', order: 'asc' };
+  if (listId !== undefined) {
+    filter.listId = listId === 'none' ? listId : (await resolveLabels(labels, userId, { listId })).listId;
+  }
+  const { tasks: matching } = await tasks.list(userId, filter);
+  for (const task of matching) {
+    if (op === 'complete-all') {
+      await updateTask(tasks, userId, task.id, { completed: true }, labels);
+    } else {
+      await tasks.delete(userId, task.id);
+    }
+  }
+  return { op, ids: matching.map((task) => task.id) };
+};
+
+/**
+ * Apply several changes to a user's tasks in order, stopping at the first that
+ * fails. Making them all or nothing is up to the caller; the Express server runs
+ * them in one SQLite transaction.
+ * @param {object} tasks - Task repository
+ * @param {string|number} userId - Owner
+ * @param {Array} operations - Validated bulkTasksSchema value's operations
+ * @param {object} labels - { lists, tags } repositories
+ * @returns {Promise<Array>} One result per operation: { op, id, task } for create and update
+ *   (with nextOccurrence when a recurring task was completed), { op, id } for delete,
+ *   and { op, ids } with the tasks completed or deleted for the shortcuts
+ * @throws {BulkOperationError} If an operation names a task, list or tag the user does not
+ *   have, or breaks a rule of createTask or updateTask
+ */
+const applyBulkOperations = async (tasks, userId, operations, labels) => {
+  const results = [];
+  for (const [index, operation] of operations.entries()) {
+    try {
+      results.push(await applyOperation(tasks, userId, operation, labels));
+    } catch (error) {
+      if (error.name === 'TaskError') {
+        throw new BulkOperationError(index, error.message);
+      }
+      throw error;
+    }
+  }
+  return results;
+};
+
+/**
+ * Count a user's tasks, and separately their subtasks
+ * @param {object} tasks - Task repository
+ * @param {string|number} userId - Owner
+ * @param {object} [options] - Result of parseTaskStatsQuery, to count only some tasks
+ * @returns {Promise<{total: number, completed: number, remaining: number, subtasks: object}>}
+ */
+const getTaskStats = (tasks, userId, options = {}) => tasks.stats(userId, options);
+
+/**
+ * Append a subtask to a task
+ * @param {object} tasks - Task repository
+ * @param {string|number} userId - Owner
+ * @param {string|number} taskId - Parent task id
+ * @param {object} fields - Validated createSubtaskSchema value
+ * @param {string|number} [actorId] - User making the change, the owner by default
+ * @returns {Promise<{task: object, subtask: object}|null>} Null if the user has no such task
+ */
+const addSubtask = async (tasks, userId, taskId, { text }, actorId = userId) => {
+  const subtask = await tasks.addSubtask(userId, taskId, text);
+  if (!subtask) return null;
+  return { task: await syncCompletion(tasks, userId, await tasks.findById(userId, taskId), actorId), subtask };
+};
+
+/**
+ * Edit or complete a subtask
+ * @param {object} tasks - Task repository
+ * @param {string|number} userId - Owner
+ * @param {string|number} taskId - Parent task id
+ * @param {string|number} subtaskId - Subtask id
+ * @param {object} fields - Validated updateSubtaskSchema value
+ * @param {string|number} [actorId] - User making the change, the owner by default
+ * @returns {Promise<{task: object, subtask: object}|null>} Null if the user has no such subtask
+ */
+const updateSubtask = async (tasks, userId, taskId, subtaskId, { text, completed }, actorId = userId) => {
+  const fields = { text, completed };
+  Object.keys(fields).forEach((key) => fields[key] === undefined && delete fields[key]);
+  const subtask = await tasks.updateSubtask(userId, taskId, subtaskId, fields);
+  if (!subtask) return null;
+  return { task: await syncCompletion(tasks, userId, await tasks.findById(userId, taskId), actorId), subtask };
+};
+
+/**
+ * Delete a subtask
+ * @param {object} tasks - Task repository
+ * @param {string|number} userId - Owner
+ * @param {string|number} taskId - Parent task id
+ * @param {string|number} subtaskId - Subtask id
+ * @param {string|number} [actorId] - User making the change, the owner by default
+ * @returns {Promise<object|null>} The parent task, or null if the user has no such subtask
+ */
+const deleteSubtask = async (tasks, userId, taskId, subtaskId, actorId = userId) => {
+  if (!await tasks.deleteSubtask(userId, taskId, subtaskId)) return null;
+  return syncCompletion(tasks, userId, await tasks.findById(userId, taskId), actorId);
+};
+
+/**
+ * Put a task's subtasks in a new order
+ * @param {object} tasks - Task repository
+ * @param {string|number} userId - Owner
+ * @param {string|number} taskId - Parent task id
+ * @param {object} fields - Validated reorderSubtasksSchema value { order }
+ * @returns {Promise<object|null>} The parent task, or null if the user has no such task
+ * @throws {TaskError} If order is not exactly the task's subtask ids
+ */
+const reorderSubtasks = async (tasks, userId, taskId, { order }) => {
+  const task = await tasks.findById(userId, taskId);
+  if (!task) return null;
+
+  const complete = order.length === task.subtasks.length
+    && task.subtasks.every((subtask) => order.some((id) => sameId(id, subtask.id)));
+  if (!complete) {
+    throw new TaskError('order must list every subtask of the task exactly once');
+  }
+
+  const ids = order.map((id) => task.subtasks.find((subtask) => sameId(subtask.id, id)).id);
+  await tasks.reorderSubtasks(userId, taskId, ids);
+  return tasks.findById(userId, taskId);
+};
+
+module.exports = {
+  TaskError,
+  BulkOperationError,
+  getTrashRetentionDays,
+  listTasks,
+  createTask,
+  updateTask,
+  deleteTask,
+  listTrash,
+  restoreTask,
+  purgeTrash,
+  applyBulkOperations,
+  getTaskStats,
+  addSubtask,
+  updateSubtask,
+  deleteSubtask,
+  reorderSubtasks
+};
@@ -0,0 +1,145 @@
+/**
+ * Token helpers shared by the Lambda handlers and the Express server
+ */
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const ACCESS_TOKEN_EXPIRES_IN = '15m'; // Short-lived; clients renew with a refresh token
+const CHALLENGE_TOKEN_EXPIRES_IN = '5m';
+const CHALLENGE_PURPOSE = '2fa';
+const STREAM_TICKET_EXPIRES_IN = '1m';
+const STREAM_TICKET_PURPOSE = 'stream';
+
+/**
+ * Sign an access token for a user
+ * @param {object} user - User record (DynamoDB `userId` or SQLite `id`)
+ * @returns {string} Signed JWT
+ */
+const signAccessToken = (user) => {
+  return jwt.sign(
+    {
+      userId: user.userId !== undefined ? user.userId : user.id,
+      email: user.email,
+      firstName: user.firstName,
+      lastName: user.lastName,
+      isVerified: Boolean(user.isVerified)
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+  );
+};
+
+/**
+ * Verify an access token
+ * @param {string} token - JWT token
+ * @returns {object} Decoded token payload
+ * @throws {JsonWebTokenError|TokenExpiredError} If the token is invalid or expired
+ */
+const verifyAccessToken = (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  if (decoded.purpose) {
+    // Challenge tokens and stream tickets are signed with the same secret but grant no access
+    throw new jwt.JsonWebTokenError('Invalid token type');
+  }
+  return decoded;
+};
+
+/**
+ * Sign the short-lived token that links the password step of a
+ * two-factor login to the code step
+ * @param {string|number} userId - User who passed the password step
+ * @returns {string} Signed JWT
+ */
+const signChallengeToken = (userId) => {
+  return jwt.sign(
+    { userId, purpose: CHALLENGE_PURPOSE },
+    process.env.JWT_SECRET,
+    { expiresIn: CHALLENGE_TOKEN_EXPIRES_IN }
+  );
+};
+
+/**
+ * Verify a two-factor challenge token
+ * @param {string} token - JWT token
+ * @returns {object} Decoded token payload
+ * @throws {JsonWebTokenError|TokenExpiredError} If the token is invalid, expired or not a challenge
+ */
+const verifyChallengeToken = (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  if (decoded.purpose !== CHALLENGE_PURPOSE) {
+    throw new jwt.JsonWebTokenError('Invalid token type');
+  }
+  return decoded;
+};
+
+/**
+ * Sign the ticket that opens a user's task event stream. EventSource cannot send
+ * an Authorization header, so it goes in the URL; it expires within a minute and
+ * is good for nothing else, so URLs kept in access logs are of no use.
+ * @param {string|number} userId - User opening the stream
+ * @returns {string} Signed JWT
+ */
+const signStreamTicket = (userId) => {
+  return jwt.sign(
+    { userId, purpose: STREAM_TICKET_PURPOSE },
+    process.env.JWT_SECRET,
+    { expiresIn: STREAM_TICKET_EXPIRES_IN }
+  );
+};
+
+/**
+ * Verify a task event stream ticket
+ * @param {string} token - JWT token
+ * @returns {object} Decoded token payload
+ * @throws {JsonWebTokenError|TokenExpiredError} If the ticket is invalid, expired or not a stream ticket
+ */
+const verifyStreamTicket = (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  if (decoded.purpose !== STREAM_TICKET_PURPOSE) {
+    throw new jwt.JsonWebTokenError('Invalid token type');
+  }
+  return decoded;
+};
+
+/**
+ * Extract the Bearer token from request headers
+ * @param {object} headers - Request headers (API Gateway or Express)
+ * @returns {string|null} Token, or null if the header is missing
+ */
+const extractBearerToken = (headers = {}) => {
+  const header = headers.Authorization || headers.authorization;
+  if (!header || !header.startsWith('Bearer ')) {
+    return null;
+  }
+  return header.slice('Bearer '.length).trim() || null;
+};
+
+/**
+ * Generate an opaque random token (refresh, reset and verification tokens)
+ * @returns {string} URL-safe random token
+ */
+const generateOpaqueToken = () => {
+  return crypto.randomBytes(48).toString('base64url');
+};
+
+/**
+ * Hash an opaque token for storage and lookup
+ * @param {string} token - Raw token
+ * @returns {string} Hex SHA-256 digest
+ */
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+module.exports = {
+  ACCESS_TOKEN_EXPIRES_IN,
+  signAccessToken,
+  verifyAccessToken,
+  signChallengeToken,
+  verifyChallengeToken,
+  signStreamTicket,
+  verifyStreamTicket,
+  extractBearerToken,
+  generateOpaqueToken,
+  hashToken
+};
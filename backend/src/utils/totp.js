@@ -0,0 +1,162 @@
+/**
+ * RFC 6238 time-based one-time passwords (HMAC-SHA1, 6 digits, 30 second steps),
+ * compatible with Google Authenticator, Authy, 1Password, etc.
+ *
+ * Every function takes an optional `time` (epoch ms) so codes can be
+ * generated and checked against a fixed clock.
+ */
+const crypto = require('crypto');
+
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Encode bytes as RFC 4648 base32 (no padding)
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} Base32 string
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+/**
+ * Decode an RFC 4648 base32 string (case-insensitive, padding and spaces ignored)
+ * @param {string} input - Base32 string
+ * @returns {Buffer} Decoded bytes
+ */
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a new random secret
+ * @returns {string} Base32 secret (160 bits)
+ */
+const generateSecret = () => {
+  return base32Encode(crypto.randomBytes(20));
+};
+
+/**
+ * Get the time step a timestamp falls in
+ * @param {number} [time] - Epoch ms
+ * @returns {number} Step counter
+ */
+const getTimeStep = (time = Date.now()) => {
+  return Math.floor(time / 1000 / STEP_SECONDS);
+};
+
+/**
+ * Compute the code for a time step (RFC 4226 HOTP)
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Step counter
+ * @returns {string} Zero-padded code
+ */
+const generateCodeForStep = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = ((hmac[offset] & 0x7f) << 24)
+    | (hmac[offset + 1] << 16)
+    | (hmac[offset + 2] << 8)
+    | hmac[offset + 3];
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+/**
+ * Generate the current code
+ * @param {string} secret - Base32 secret
+ * @param {number} [time] - Epoch ms
+ * @returns {string} Code
+ */
+const generateTotp = (secret, time = Date.now()) => {
+  return generateCodeForStep(secret, getTimeStep(time));
+};
+
+/**
+ * Check a code, allowing for clock drift of `window` steps either way
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {object} [options] - { time, window }
+ * @returns {number|null} The matching time step, or null if the code is wrong
+ */
+const verifyTotp = (secret, code, { time = Date.now(), window = 1 } = {}) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d+$/.test(normalized) || normalized.length !== DIGITS) {
+    return null;
+  }
+
+  const currentStep = getTimeStep(time);
+  for (let offset = -window; offset <= window; offset += 1) {
+    const step = currentStep + offset;
+    const expected = generateCodeForStep(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+  return null;
+};
+
+/**
+ * Build the otpauth:// URI authenticator apps read from a QR code
+ * @param {object} params - { secret, accountName, issuer }
+ * @returns {string} otpauth URI
+ */
+const buildOtpauthUri = ({ secret, accountName, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const query = [
+    `secret=${secret}`,
+    `issuer=${encodeURIComponent(issuer)}`, // %20, not '+', for spaces - some apps don't decode '+'
+    'algorithm=SHA1',
+    `digits=${DIGITS}`,
+    `period=${STEP_SECONDS}`
+  ].join('&');
+  return `otpauth://totp/${label}?${query}`;
+};
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  getTimeStep,
+  generateTotp,
+  verifyTotp,
+  buildOtpauthUri
+};
@@ -0,0 +1,176 @@
+/**
+ * Opt-in TOTP two-factor authentication shared by the Lambda handlers and the Express server.
+ *
+ * Enrollment is two steps: startEnrollment() stores a pending secret and returns the
+ * otpauth:// URI, confirmEnrollment() checks a first code, enables 2FA and returns
+ * one-time recovery codes (stored hashed, shown once). Each TOTP time step can only
+ * be used once, so an intercepted code cannot be replayed.
+ *
+ * The storage backend is passed in as a `store` with these async methods:
+ *   get(userId)                                  - { enabled, secret, pendingSecret, lastUsedStep } or null
+ *   savePending(userId, secret)                  - store a secret awaiting confirmation
+ *   enable(userId, secret, lastUsedStep, hashes) - turn 2FA on with fresh recovery codes
+ *   setLastUsedStep(userId, step)                - record a used step if newer, return true if it was
+ *   useRecoveryCode(userId, codeHash)            - consume an unused code, return true if it was
+ *   replaceRecoveryCodes(userId, hashes)         - swap in a new set of recovery codes
+ *   disable(userId)                              - turn 2FA off and drop secret and codes
+ *
+ * Functions that check codes take an optional `time` (epoch ms) for a fixed clock.
+ */
+const crypto = require('crypto');
+const { hashToken } = require('./tokens');
+const { generateSecret, verifyTotp, buildOtpauthUri } = require('./totp');
+
+const RECOVERY_CODE_COUNT = 10;
+
+class TwoFactorError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TwoFactorError';
+  }
+}
+
+const normalizeRecoveryCode = (code) => String(code).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const hashRecoveryCode = (code) => hashToken(normalizeRecoveryCode(code));
+
+// Codes look like "3f9a2-c81d0" - 40 random bits each
+const generateRecoveryCodes = () => {
+  return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+};
+
+/**
+ * Check whether a user has 2FA turned on
+ * @param {object} store - Two-factor store
+ * @param {string|number} userId - User id
+ * @returns {Promise<boolean>}
+ */
+const isTwoFactorEnabled = async (store, userId) => {
+  const state = await store.get(userId);
+  return Boolean(state && state.enabled);
+};
+
+/**
+ * Start enrollment with a new secret
+ * @param {object} store - Two-factor store
+ * @param {object} user - { id|userId, email }
+ * @returns {Promise<{secret: string, otpauthUri: string}>}
+ * @throws {TwoFactorError} If 2FA is already enabled
+ */
+const startEnrollment = async (store, user) => {
+  const userId = user.userId !== undefined ? user.userId : user.id;
+  if (await isTwoFactorEnabled(store, userId)) {
+    throw new TwoFactorError('Two-factor authentication is already enabled');
+  }
+
+  const secret = generateSecret();
+  await store.savePending(userId, secret);
+
+  return {
+    secret,
+    otpauthUri: buildOtpauthUri({
+      secret,
+      accountName: user.email,
+      issuer: process.env.TWO_FACTOR_ISSUER || 'The Spice Rack'
+    })
+  };
+};
+
+/**
+ * Confirm enrollment with the first code from the authenticator app
+ * @param {object} store - Two-factor store
+ * @param {string|number} userId - User id
+ * @param {string} code - TOTP code
+ * @param {number} [time] - Epoch ms, defaults to now
+ * @returns {Promise<string[]>} Recovery codes to show the user once
+ * @throws {TwoFactorError} If there is no pending secret or the code is wrong
+ */
+const confirmEnrollment = async (store, userId, code, time = Date.now()) => {
+  const state = await store.get(userId);
+  if (!state || !state.pendingSecret) {
+    throw new TwoFactorError('Start two-factor setup first');
+  }
+
+  const step = verifyTotp(state.pendingSecret, code, { time });
+  if (step === null) {
+    throw new TwoFactorError('Invalid verification code');
+  }
+
+  const recoveryCodes = generateRecoveryCodes();
+  await store.enable(userId, state.pendingSecret, step, recoveryCodes.map(hashRecoveryCode));
+  return recoveryCodes;
+};
+
+/**
+ * Check a second factor: a TOTP code, or a recovery code (which is then used up)
+ * @param {object} store - Two-factor store
+ * @param {string|number} userId - User id
+ * @param {object} factor - { code } or { recoveryCode }
+ * @param {number} [time] - Epoch ms, defaults to now
+ * @returns {Promise<string>} 'totp' or 'recovery'
+ * @throws {TwoFactorError} If 2FA is not enabled or the code is wrong or already used
+ */
+const verifySecondFactor = async (store, userId, { code, recoveryCode } = {}, time = Date.now()) => {
+  const state = await store.get(userId);
+  if (!state || !state.enabled) {
+    throw new TwoFactorError('Two-factor authentication is not enabled');
+  }
+
+  if (recoveryCode) {
+    const used = await store.useRecoveryCode(userId, hashRecoveryCode(recoveryCode));
+    if (!used) {
+      throw new TwoFactorError('Invalid recovery code');
+    }
+    return 'recovery';
+  }
+
+  const step = verifyTotp(state.secret, code, { time });
+  const lastUsedStep = state.lastUsedStep === null || state.lastUsedStep === undefined ? -1 : state.lastUsedStep;
+  if (step === null || step <= lastUsedStep || !(await store.setLastUsedStep(userId, step))) {
+    throw new TwoFactorError('Invalid verification code');
+  }
+  return 'totp';
+};
+
+/**
+ * Turn 2FA off after checking a second factor
+ * @param {object} store - Two-factor store
+ * @param {string|number} userId - User id
+ * @param {object} factor - { code } or { recoveryCode }
+ * @param {number} [time] - Epoch ms, defaults to now
+ * @returns {Promise<void>}
+ */
+const disableTwoFactor = async (store, userId, factor, time = Date.now()) => {
+  await verifySecondFactor(store, userId, factor, time);
+  await store.disable(userId);
+};
+
+/**
+ * Replace the recovery codes after checking a TOTP code
+ * @param {object} store - Two-factor store
+ * @param {string|number} userId - User id
+ * @param {string} code - TOTP code
+ * @param {number} [time] - Epoch ms, defaults to now
+ * @returns {Promise<string[]>} New recovery codes to show the user once
+ */
+const regenerateRecoveryCodes = async (store, userId, code, time = Date.now()) => {
+  await verifySecondFactor(store, userId, { code }, time);
+
+  const recoveryCodes = generateRecoveryCodes();
+  await store.replaceRecoveryCodes(userId, recoveryCodes.map(hashRecoveryCode));
+  return recoveryCodes;
+};
+
+module.exports = {
+  RECOVERY_CODE_COUNT,
+  TwoFactorError,
+  isTwoFactorEnabled,
+  startEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
+};
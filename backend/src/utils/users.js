@@ -0,0 +1,115 @@
+/**
+ * User accounts shared by the Lambda handlers and the Express server.
+ *
+ * Users are read and written through a `users` repository (see src/repositories)
+ * with these async methods:
+ *   findById(id)          - user or null
+ *   findByEmail(email)    - user or null
+ *   create(fields)        - insert { firstName, lastName, email, passwordHash,
+ *                           preferredLanguage, isVerified } and return the user
+ *   update(id, fields)    - change some fields, return the updated user or null
+ *
+ * Every repository returns the same user shape:
+ *   { id, firstName, lastName, email, passwordHash, preferredLanguage,
+ *     isVerified (boolean), createdAt, updatedAt (ISO 8601 strings) }
+ * `id` is an integer in SQLite and a UUID in DynamoDB.
+ */
+const bcrypt = require('bcryptjs');
+
+const PASSWORD_HASH_ROUNDS = 12;
+
+class UserError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UserError';
+  }
+}
+
+/**
+ * Drop the password hash before a user leaves the server
+ * @param {object} user - Repository user
+ * @returns {object}
+ */
+const toPublicUser = (user) => {
+  const { passwordHash, ...publicUser } = user;
+  return publicUser;
+};
+
+/**
+ * Create an unverified account
+ * @param {object} users - User repository
+ * @param {object} fields - Validated registerSchema value
+ * @returns {Promise<object>} The new user
+ * @throws {UserError} If the email is already registered
+ */
+const registerUser = async (users, { firstName, lastName, email, password, preferredLanguage }) => {
+  if (await users.findByEmail(email)) {
+    throw new UserError('This email is already registered. Please use a different email or try logging in.');
+  }
+
+  return users.create({
+    firstName,
+    lastName,
+    email,
+    passwordHash: await bcrypt.hash(password, PASSWORD_HASH_ROUNDS),
+    preferredLanguage: preferredLanguage || 'en',
+    isVerified: false // Set once the emailed link is opened
+  });
+};
+
+/**
+ * Check an email and password
+ * @param {object} users - User repository
+ * @param {string} email - Account email
+ * @param {string} password - Plain text password
+ * @returns {Promise<object|null>} The user, or null if the credentials are wrong
+ */
+const authenticateUser = async (users, email, password) => {
+  const user = await users.findByEmail(email);
+  if (!user || !(await bcrypt.compare(password, user.passwordHash))) {
+    return null;
+  }
+  return user;
+};
+
+/**
+ * Change name or language
+ * @param {object} users - User repository
+ * @param {string|number} id - User id
+ * @param {object} fields - Validated updateProfileSchema value
+ * @returns {Promise<object|null>} The updated user, or null if there is no such user
+ */
+const updateProfile = (users, id, { firstName, lastName, preferredLanguage }) => {
+  const fields = { firstName, lastName, preferredLanguage };
+  Object.keys(fields).forEach((key) => fields[key] === undefined && delete fields[key]);
+  return users.update(id, fields);
+};
+
+/**
+ * Replace a user's password
+ * @param {object} users - User repository
+ * @param {string|number} id - User id
+ * @param {string} password - New plain text password
+ * @returns {Promise<object|null>} The updated user, or null if there is no such user
+ */
+const setPassword = async (users, id, password) => {
+  return users.update(id, { passwordHash: await bcrypt.hash(password, PASSWORD_HASH_ROUNDS) });
+};
+
+/**
+ * Mark a user's email address as verified
+ * @param {object} users - User repository
+ * @param {string|number} id - User id
+ * @returns {Promise<object|null>} The updated user, or null if there is no such user
+ */
+const markEmailVerified = (users, id) => users.update(id, { isVerified: true });
+
+module.exports = {
+  UserError,
+  toPublicUser,
+  registerUser,
+  authenticateUser,
+  updateProfile,
+  setPassword,
+  markEmailVerified
+};
@@ -0,0 +1,478 @@
+/**
+ * Request validation shared by the Lambda handlers and the Express server.
+ *
+ * validate() reports every problem at once, strips unknown fields and
+ * converts types (e.g. "true" -> true). Failed validations are returned as
+ * { error: 'msg. msg', details: [{ field, message }] } by both backends.
+ */
+const Joi = require('joi');
+const { WEEKDAYS, FREQUENCIES } = require('./recurrence');
+
+const PASSWORD_MIN_LENGTH = 10;
+const LANGUAGES = ['en', 'es', 'fr'];
+const TASK_PRIORITIES = ['low', 'medium', 'high'];
+const TASK_TEXT_MAX_LENGTH = 500;
+const SUBTASK_MAX_COUNT = 100;
+const TAG_MAX_COUNT = 20;
+const BULK_MAX_OPERATIONS = 100;
+const TASK_TRANSFER_FORMATS = ['csv', 'json', 'ics'];
+const SHARE_ROLES = ['viewer', 'editor'];
+const REMINDER_CHANNELS = ['email', 'webhook'];
+const REMINDER_MAX_COUNT = 5;
+const REMINDER_MAX_OFFSET_MINUTES = 30 * 24 * 60;
+const RECIPE_PAGE_SIZE = 20;
+const RECIPE_MAX_PAGE_SIZE = 50;
+const PANTRY_MAX_ITEMS = 500;
+
+const VALIDATION_OPTIONS = {
+  abortEarly: false,
+  stripUnknown: true,
+  errors: { wrap: { label: false } }
+};
+
+const name = Joi.string().trim().min(1).max(50);
+const email = Joi.string().trim().email().max(254);
+const newPassword = Joi.string().min(PASSWORD_MIN_LENGTH).max(128).messages({
+  'string.min': `Password must be at least ${PASSWORD_MIN_LENGTH} characters long`
+});
+const confirmPassword = Joi.any().valid(Joi.ref('password')).messages({
+  'any.only': 'Passwords do not match'
+});
+const language = Joi.string().valid(...LANGUAGES);
+const otpCode = Joi.string().trim().max(16);
+
+// ISO 8601 date or date-time, kept as the string the client sent
+const isoDate = Joi.date().iso().raw().messages({
+  'date.format': '{#label} must be an ISO 8601 date',
+  'date.base': '{#label} must be an ISO 8601 date'
+});
+
+// Integer ids in SQLite, UUIDs in DynamoDB
+const recordId = Joi.alternatives().try(Joi.number().integer(), Joi.string().min(1).max(64));
+
+const taskText = Joi.string().trim().min(1).max(TASK_TEXT_MAX_LENGTH);
+const taskPriority = Joi.string().valid(...TASK_PRIORITIES);
+
+// Users
+const registerSchema = Joi.object({
+  firstName: name.required(),
+  lastName: name.required(),
+  email: email.required(),
+  password: newPassword.required(),
+  confirmPassword,
+  preferredLanguage: language.default('en'),
+  // Older frontends send the language under these names
+  selectedLanguage: language,
+  language
+})
+  .rename('selectedLanguage', 'preferredLanguage', { ignoreUndefined: true, override: true })
+  .rename('language', 'preferredLanguage', { ignoreUndefined: true, override: true });
+
+const loginSchema = Joi.object({
+  email: email.required(),
+  password: Joi.string().required()
+});
+
+const updateProfileSchema = Joi.object({
+  firstName: name,
+  lastName: name,
+  preferredLanguage: language
+}).min(1);
+
+const refreshTokenSchema = Joi.object({
+  refreshToken: Joi.string().required().messages({ 'any.required': 'Refresh token required' })
+});
+
+const emailSchema = Joi.object({
+  email: email.required()
+});
+
+// The query string of the link in the verification email
+const verifyEmailQuerySchema = Joi.object({
+  token: Joi.string().required()
+});
+
+const resetPasswordSchema = Joi.object({
+  token: Joi.string().required(),
+  password: newPassword.required(),
+  confirmPassword
+});
+
+// Two-factor authentication
+const twoFactorCodeSchema = Joi.object({
+  code: otpCode.required()
+});
+
+const twoFactorFactorSchema = Joi.object({
+  code: otpCode,
+  recoveryCode: otpCode
+}).xor('code', 'recoveryCode').messages({
+  'object.missing': 'Provide a code or a recoveryCode',
+  'object.xor': 'Provide a code or a recoveryCode, not both'
+});
+
+const twoFactorVerifySchema = twoFactorFactorSchema.keys({
+  challengeToken: Joi.string().required()
+});
+
+// Tasks
+const recurrenceRule = Joi.object({
+  frequency: Joi.string().valid(...FREQUENCIES).required(),
+  interval: Joi.number().integer().min(1).max(365).default(1),
+  byWeekday: Joi.when('frequency', {
+    is: 'weekly',
+    then: Joi.array().items(Joi.string().uppercase().valid(...WEEKDAYS)).unique().min(1),
+    otherwise: Joi.forbidden()
+  }),
+  dayOfMonth: Joi.when('frequency', {
+    is: Joi.valid('monthly', 'yearly'),
+    then: Joi.number().integer().min(1).max(31),
+    otherwise: Joi.forbidden()
+  }),
+  until: isoDate,
+  count: Joi.number().integer().min(1).max(1000)
+}).oxor('until', 'count').messages({
+  'object.oxor': 'Provide until or count, not both'
+});
+
+const taskTagIds = Joi.array().items(recordId).unique().max(TAG_MAX_COUNT);
+
+// Minutes before the dueDate to send a reminder at
+const taskReminders = Joi.array()
+  .items(Joi.number().integer().min(0).max(REMINDER_MAX_OFFSET_MINUTES))
+  .unique()
+  .max(REMINDER_MAX_COUNT);
+
+const createTaskSchema = Joi.object({
+  text: taskText.required(),
+  priority: taskPriority.default('medium'),
+  dueDate: isoDate.allow(null),
+  // Complete the task when its last subtask is completed, and reopen it when one is not
+  autoComplete: Joi.boolean().default(false),
+  subtasks: Joi.array().items(taskText).max(SUBTASK_MAX_COUNT).default([]),
+  // Needs a dueDate; completing the task creates the next occurrence
+  recurrence: recurrenceRule.allow(null).default(null),
+  reminders: taskReminders.default([]),
+  listId: recordId.allow(null).default(null),
+  tagIds: taskTagIds.default([])
+});
+
+const updateTaskSchema = Joi.object({
+  text: taskText,
+  completed: Joi.boolean(),
+  priority: taskPriority,
+  dueDate: isoDate.allow(null),
+  autoComplete: Joi.boolean(),
+  recurrence: recurrenceRule.allow(null),
+  // Replaces the task's reminders
+  reminders: taskReminders,
+  // Moves the task to another list, or out of any list with null
+  listId: recordId.allow(null),
+  // Replaces the task's tags
+  tagIds: taskTagIds
+}).min(1).messages({
+  'object.min': 'Provide at least one field to update'
+});
+
+// Several task changes in one request, applied in order and all or nothing.
+// complete-all and delete-completed act on every matching task, or only those
+// of one list (a list id, or `none` for tasks outside every list).
+const BULK_SHORTCUTS = ['complete-all', 'delete-completed'];
+
+const bulkOperation = Joi.object({
+  op: Joi.string().valid('create', 'update', 'delete', ...BULK_SHORTCUTS).required(),
+  id: Joi.when('op', {
+    is: Joi.valid('update', 'delete'),
+    then: recordId.required(),
+    otherwise: Joi.forbidden()
+  }),
+  fields: Joi.when('op', {
+    switch: [
+      { is: 'create', then: createTaskSchema.required() },
+      { is: 'update', then: updateTaskSchema.required() }
+    ],
+    otherwise: Joi.forbidden()
+  }),
+  listId: Joi.when('op', {
+    is: Joi.valid(...BULK_SHORTCUTS),
+    then: Joi.alternatives().try(Joi.string().valid('none'), recordId),
+    otherwise: Joi.forbidden()
+  })
+});
+
+const bulkTasksSchema = Joi.object({
+  operations: Joi.array().items(bulkOperation).min(1).max(BULK_MAX_OPERATIONS).required()
+});
+
+// Subtasks
+const createSubtaskSchema = Joi.object({
+  text: taskText.required()
+});
+
+const updateSubtaskSchema = Joi.object({
+  text: taskText,
+  completed: Joi.boolean()
+}).min(1).messages({
+  'object.min': 'Provide at least one field to update'
+});
+
+// Every subtask id of the task, in the new order
+const reorderSubtasksSchema = Joi.object({
+  order: Joi.array().items(recordId).unique().max(SUBTASK_MAX_COUNT).required()
+});
+
+// Lists and tags
+const labelName = Joi.string().trim().min(1).max(50);
+const labelColor = Joi.string().trim().pattern(/^#[0-9a-fA-F]{6}$/).messages({
+  'string.pattern.base': '{#label} must be a hex color like #ff8800'
+});
+
+const createListSchema = Joi.object({
+  name: labelName.required(),
+  color: labelColor.allow(null).default(null)
+});
+
+const updateListSchema = Joi.object({
+  name: labelName,
+  color: labelColor.allow(null)
+}).min(1).messages({
+  'object.min': 'Provide at least one field to update'
+});
+
+// Every list id of the user, in the new order
+const reorderListsSchema = Joi.object({
+  order: Joi.array().items(recordId).unique().required()
+});
+
+const createTagSchema = createListSchema;
+const updateTagSchema = updateListSchema;
+
+// Sharing a list with another registered user
+const shareListSchema = Joi.object({
+  email: email.required(),
+  role: Joi.string().valid(...SHARE_ROLES).default('viewer')
+});
+
+const updateShareSchema = Joi.object({
+  role: Joi.string().valid(...SHARE_ROLES).required()
+});
+
+// Exporting and importing tasks (see taskTransfer.js)
+const exportTasksQuerySchema = Joi.object({
+  format: Joi.string().valid(...TASK_TRANSFER_FORMATS).default('json')
+});
+
+const importTasksSchema = Joi.object({
+  format: Joi.string().valid(...TASK_TRANSFER_FORMATS).required(),
+  // The contents of the exported file
+  content: Joi.string().required(),
+  // Only report what would be imported
+  dryRun: Joi.boolean().default(false)
+});
+
+// One task read from an import file; its list and tags are given by name
+const importedTaskSchema = Joi.object({
+  text: taskText.required(),
+  completed: Joi.boolean().default(false),
+  priority: taskPriority.default('medium'),
+  dueDate: isoDate.allow(null).default(null),
+  autoComplete: Joi.boolean().default(false),
+  subtasks: Joi.array().items(Joi.object({
+    text: taskText.required(),
+    completed: Joi.boolean().default(false)
+  })).max(SUBTASK_MAX_COUNT).default([]),
+  recurrence: recurrenceRule.allow(null).default(null),
+  reminders: taskReminders.default([]),
+  list: labelName.allow(null).default(null),
+  tags: Joi.array()
+    .items(labelName)
+    .unique((a, b) => a.toLowerCase() === b.toLowerCase())
+    .max(TAG_MAX_COUNT)
+    .default([])
+});
+
+// Where and when reminders of due and overdue tasks are sent
+const reminderSettingsSchema = Joi.object({
+  // None turns reminders off
+  channels: Joi.array().items(Joi.string().valid(...REMINDER_CHANNELS)).unique(),
+  webhookUrl: Joi.string().uri({ scheme: ['https'] }).max(2048).allow(null),
+  // Also send one when a task becomes overdue
+  overdue: Joi.boolean(),
+  // Hour (UTC) of a daily digest of the tasks due today and overdue, null for none
+  digestHour: Joi.number().integer().min(0).max(23).allow(null)
+}).min(1).messages({
+  'object.min': 'Provide at least one setting to update'
+});
+
+// Recipes
+// Spices and tags are compared case-insensitively, so they are stored in lower case
+const label = Joi.string().trim().lowercase().min(1).max(50);
+const labelList = Joi.array().items(label).unique().max(50);
+
+const ingredient = Joi.object({
+  name: Joi.string().trim().min(1).max(100).required(),
+  quantity: Joi.number().positive().allow(null).default(null),
+  unit: Joi.string().trim().max(20).empty('').allow(null).default(null),
+  note: Joi.string().trim().max(200).empty('')
+});
+
+const recipeFields = {
+  title: Joi.string().trim().min(1).max(120),
+  description: Joi.string().trim().max(2000).allow(''),
+  servings: Joi.number().integer().min(1).max(100).allow(null),
+  prepMinutes: Joi.number().integer().min(0).max(10080).allow(null),
+  cookMinutes: Joi.number().integer().min(0).max(10080).allow(null),
+  ingredients: Joi.array().items(ingredient).min(1).max(100),
+  // In cooking order
+  steps: Joi.array().items(Joi.string().trim().min(1).max(2000)).min(1).max(100),
+  spices: labelList,
+  tags: labelList,
+  isPublic: Joi.boolean()
+};
+
+const createRecipeSchema = Joi.object({
+  ...recipeFields,
+  title: recipeFields.title.required(),
+  description: recipeFields.description.default(''),
+  servings: recipeFields.servings.default(null),
+  prepMinutes: recipeFields.prepMinutes.default(null),
+  cookMinutes: recipeFields.cookMinutes.default(null),
+  ingredients: recipeFields.ingredients.required(),
+  steps: recipeFields.steps.required(),
+  spices: recipeFields.spices.default([]),
+  tags: recipeFields.tags.default([]),
+  isPublic: recipeFields.isPublic.default(false)
+});
+
+const updateRecipeSchema = Joi.object(recipeFields).min(1).messages({
+  'object.min': 'Provide at least one field to update'
+});
+
+const recipeListSchema = Joi.object({
+  scope: Joi.string().valid('public', 'mine').default('public'),
+  limit: Joi.number().integer().min(1).max(RECIPE_MAX_PAGE_SIZE).default(RECIPE_PAGE_SIZE),
+  cursor: Joi.string()
+});
+
+// tag and ingredient take comma-separated lists; every entry has to match
+const recipeSearchSchema = Joi.object({
+  q: Joi.string().trim().max(120).empty(''),
+  tag: Joi.string().trim().max(500).empty(''),
+  ingredient: Joi.string().trim().max(500).empty(''),
+  mode: Joi.string().valid('search', 'match').default('search'),
+  limit: Joi.number().integer().min(1).max(RECIPE_MAX_PAGE_SIZE).default(RECIPE_PAGE_SIZE),
+  cursor: Joi.string()
+});
+
+const rateRecipeSchema = Joi.object({
+  rating: Joi.number().integer().min(1).max(5).required(),
+  review: Joi.string().trim().max(2000).allow('').default('')
+});
+
+// Pantry
+const pantryList = Joi.array().items(label).unique().max(PANTRY_MAX_ITEMS);
+
+const pantrySchema = Joi.object({
+  spices: pantryList.default([]),
+  ingredients: pantryList.default([])
+});
+
+const pantryChanges = Joi.object({
+  spices: pantryList,
+  ingredients: pantryList
+});
+
+const updatePantrySchema = Joi.object({
+  add: pantryChanges,
+  remove: pantryChanges
+}).or('add', 'remove').messages({
+  'object.missing': 'Provide items to add or remove'
+});
+
+/**
+ * Turn Joi error details into { field, message } pairs
+ * @param {Array} details - Joi ValidationError details
+ * @returns {Array<{field: string, message: string}>}
+ */
+const toFieldErrors = (details) => {
+  return details.map((detail) => ({
+    field: detail.path.join('.'),
+    message: detail.message
+  }));
+};
+
+/**
+ * Validate data against a schema
+ * @param {object} data - Data to validate
+ * @param {object} schema - Joi schema
+ * @returns {{value: object, errors: (Array|null)}} Cleaned value, or every error found
+ */
+const validate = (data, schema) => {
+  const { error, value } = schema.validate(data || {}, VALIDATION_OPTIONS);
+  return { value, errors: error ? toFieldErrors(error.details) : null };
+};
+
+/**
+ * Build the response body for failed validation
+ * @param {Array<{field: string, message: string}>} errors - From validate()
+ * @returns {{error: string, details: Array}}
+ */
+const validationErrorBody = (errors) => {
+  return {
+    error: errors.map((fieldError) => fieldError.message).join('. '),
+    details: errors
+  };
+};
+
+module.exports = {
+  PASSWORD_MIN_LENGTH,
+  LANGUAGES,
+  TASK_PRIORITIES,
+  TASK_TEXT_MAX_LENGTH,
+  SUBTASK_MAX_COUNT,
+  TAG_MAX_COUNT,
+  BULK_MAX_OPERATIONS,
+  TASK_TRANSFER_FORMATS,
+  SHARE_ROLES,
+  REMINDER_CHANNELS,
+  REMINDER_MAX_COUNT,
+  REMINDER_MAX_OFFSET_MINUTES,
+  VALIDATION_OPTIONS,
+  registerSchema,
+  loginSchema,
+  updateProfileSchema,
+  refreshTokenSchema,
+  emailSchema,
+  verifyEmailQuerySchema,
+  resetPasswordSchema,
+  twoFactorCodeSchema,
+  twoFactorFactorSchema,
+  twoFactorVerifySchema,
+  createTaskSchema,
+  updateTaskSchema,
+  bulkTasksSchema,
+  createSubtaskSchema,
+  updateSubtaskSchema,
+  reorderSubtasksSchema,
+  createListSchema,
+  updateListSchema,
+  reorderListsSchema,
+  createTagSchema,
+  updateTagSchema,
+  shareListSchema,
+  updateShareSchema,
+  exportTasksQuerySchema,
+  importTasksSchema,
+  importedTaskSchema,
+  reminderSettingsSchema,
+  createRecipeSchema,
+  updateRecipeSchema,
+  recipeListSchema,
+  recipeSearchSchema,
+  rateRecipeSchema,
+  pantrySchema,
+  updatePantrySchema,
+  toFieldErrors,
+  validate,
+  validationErrorBody
+};
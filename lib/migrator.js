@@ -0,0 +1,177 @@
+/**
+ * Versioned schema migrations for the SQLite database
+ *
+ * Migrations live in /migrations as NNN_description.js and export
+ *   up(db)   - apply the change
+ *   down(db) - undo it
+ * where `db` has promise versions of run(sql, params), get(sql, params) and
+ * all(sql, params). Each migration runs in its own transaction together with
+ * its row in schema_migrations, so a failing migration leaves no trace.
+ */
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+class MigrationError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'MigrationError';
+    }
+}
+
+// Promise wrappers around a sqlite3 Database
+const wrap = (db) => ({
+    run: (sql, params = []) => new Promise((resolve, reject) => {
+        db.run(sql, params, function (err) {
+            if (err) reject(err);
+            else resolve({ lastID: this.lastID, changes: this.changes });
+        });
+    }),
+    get: (sql, params = []) => new Promise((resolve, reject) => {
+        db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row || null)));
+    }),
+    all: (sql, params = []) => new Promise((resolve, reject) => {
+        db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+    })
+});
+
+/**
+ * Read the migration files, oldest first
+ * @param {string} [dir] - Directory to read
+ * @returns {Array<{version: number, name: string, up: Function, down: Function}>}
+ */
+const loadMigrations = (dir = MIGRATIONS_DIR) => {
+    return fs.readdirSync(dir)
+        .filter((file) => FILE_PATTERN.test(file))
+        .map((file) => {
+            const [, version, name] = file.match(FILE_PATTERN);
+            return { version: Number(version), name, ...require(path.join(dir, file)) };
+        })
+        .sort((a, b) => a.version - b.version);
+};
+
+const ensureMigrationsTable = (sql) => sql.run(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        appliedAt DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+`);
+
+/**
+ * List every migration with whether it has been applied
+ * @param {object} db - sqlite3 Database
+ * @param {Array} [migrations] - From loadMigrations()
+ * @returns {Promise<{migrations: Array, pending: Array, unknown: Array}>} `unknown` holds
+ *   versions recorded in the database that have no migration file (a newer schema)
+ */
+const getStatus = async (db, migrations = loadMigrations()) => {
+    const sql = wrap(db);
+    await ensureMigrationsTable(sql);
+    const applied = await sql.all('SELECT version, name, appliedAt FROM schema_migrations ORDER BY version');
+    const appliedAt = new Map(applied.map((row) => [row.version, row.appliedAt]));
+
+    const list = migrations.map(({ version, name }) => ({
+        version,
+        name,
+        appliedAt: appliedAt.get(version) || null
+    }));
+
+    return {
+        migrations: list,
+        pending: list.filter((migration) => !migration.appliedAt),
+        unknown: applied.filter((row) => !migrations.some((migration) => migration.version === row.version))
+    };
+};
+
+// Run one migration step and its bookkeeping in a transaction
+const runInTransaction = async (sql, migration, direction) => {
+    await sql.run('BEGIN TRANSACTION');
+    try {
+        await migration[direction](sql);
+        if (direction === 'up') {
+            await sql.run('INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+        } else {
+            await sql.run('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+        }
+        await sql.run('COMMIT');
+    } catch (error) {
+        await sql.run('ROLLBACK');
+        throw new MigrationError(`Migration ${migration.version}_${migration.name} (${direction}) failed: ${error.message}`);
+    }
+};
+
+/**
+ * Apply every pending migration, oldest first
+ * @param {object} db - sqlite3 Database
+ * @param {Array} [migrations] - From loadMigrations()
+ * @returns {Promise<Array>} The migrations that were applied
+ * @throws {MigrationError} If one fails; earlier ones stay applied
+ */
+const migrateUp = async (db, migrations = loadMigrations()) => {
+    const sql = wrap(db);
+    const { pending } = await getStatus(db, migrations);
+    const applied = [];
+
+    for (const { version } of pending) {
+        const migration = migrations.find((candidate) => candidate.version === version);
+        await runInTransaction(sql, migration, 'up');
+        applied.push(migration);
+    }
+    return applied;
+};
+
+/**
+ * Revert the most recently applied migrations
+ * @param {object} db - sqlite3 Database
+ * @param {number} [steps] - How many to revert
+ * @param {Array} [migrations] - From loadMigrations()
+ * @returns {Promise<Array>} The migrations that were reverted, newest first
+ * @throws {MigrationError} If one fails or has no file
+ */
+const migrateDown = async (db, steps = 1, migrations = loadMigrations()) => {
+    const sql = wrap(db);
+    await ensureMigrationsTable(sql);
+    const applied = await sql.all('SELECT version FROM schema_migrations ORDER BY version DESC LIMIT ?', [steps]);
+    const reverted = [];
+
+    for (const { version } of applied) {
+        const migration = migrations.find((candidate) => candidate.version === version);
+        if (!migration) {
+            throw new MigrationError(`No migration file for applied version ${version}`);
+        }
+        await runInTransaction(sql, migration, 'down');
+        reverted.push(migration);
+    }
+    return reverted;
+};
+
+/**
+ * Make sure the database matches the migration files
+ * @param {object} db - sqlite3 Database
+ * @param {Array} [migrations] - From loadMigrations()
+ * @returns {Promise<void>}
+ * @throws {MigrationError} If migrations are pending or the database is newer than the code
+ */
+const assertSchemaCurrent = async (db, migrations = loadMigrations()) => {
+    const { pending, unknown } = await getStatus(db, migrations);
+    if (pending.length > 0) {
+        const names = pending.map(({ version, name }) => `${version}_${name}`).join(', ');
+        throw new MigrationError(`Database schema is out of date. Pending migrations: ${names}`);
+    }
+    if (unknown.length > 0) {
+        const versions = unknown.map(({ version }) => version).join(', ');
+        throw new MigrationError(`Database has migrations this code does not know about: ${versions}`);
+    }
+};
+
+module.exports = {
+    MigrationError,
+    loadMigrations,
+    getStatus,
+    migrateUp,
+    migrateDown,
+    assertSchemaCurrent
+};
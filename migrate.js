@@ -0,0 +1,67 @@
+/**
+ * Schema migrations for the SQLite database (DB_PATH, default ./users.db)
+ *
+ *   npm run migrate              apply every pending migration
+ *   npm run migrate up           same
+ *   npm run migrate down [n]     revert the last n migrations (default 1)
+ *   npm run migrate status       list applied and pending migrations
+ */
+require('dotenv').config();
+
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const { getStatus, migrateUp, migrateDown } = require('./lib/migrator');
+
+const dbPath = process.env.DB_PATH || path.join(__dirname, 'users.db');
+
+const commands = {
+    up: async (db) => {
+        const applied = await migrateUp(db);
+        if (applied.length === 0) {
+            console.log('✅ Database is up to date');
+        }
+        applied.forEach(({ version, name }) => console.log(`⬆️  Applied ${version}_${name}`));
+    },
+    down: async (db, steps = '1') => {
+        const count = Number(steps);
+        if (!Number.isInteger(count) || count < 1) {
+            throw new Error('down takes a positive number of migrations to revert');
+        }
+        const reverted = await migrateDown(db, count);
+        if (reverted.length === 0) {
+            console.log('Nothing to revert');
+        }
+        reverted.forEach(({ version, name }) => console.log(`⬇️  Reverted ${version}_${name}`));
+    },
+    status: async (db) => {
+        const { migrations, unknown } = await getStatus(db);
+        migrations.forEach(({ version, name, appliedAt }) => {
+            console.log(`${(appliedAt ? `applied ${appliedAt}` : 'pending').padEnd(27)}  ${version}_${name}`);
+        });
+        unknown.forEach(({ version, name, appliedAt }) => {
+            console.log(`${`applied ${appliedAt}`.padEnd(27)}  ${version}_${name} (no migration file)`);
+        });
+    }
+};
+
+const main = async () => {
+    const [command = 'up', ...args] = process.argv.slice(2);
+    if (!commands[command]) {
+        console.error(`Unknown command "${command}". Use up, down [n] or status.`);
+        process.exitCode = 1;
+        return;
+    }
+
+    const db = new sqlite3.Database(dbPath);
+    try {
+        console.log(`🗄️  ${dbPath}`);
+        await commands[command](db, ...args);
+    } catch (error) {
+        console.error('❌', error.message);
+        process.exitCode = 1;
+    } finally {
+        db.close();
+    }
+};
+
+main();
@@ -0,0 +1,39 @@
+/**
+ * Users and tasks as they were before migrations existed.
+ * IF NOT EXISTS lets older databases (like the committed users.db) adopt this version.
+ */
+module.exports = {
+    up: async (db) => {
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS users (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                firstName TEXT NOT NULL,
+                lastName TEXT NOT NULL,
+                email TEXT UNIQUE NOT NULL,
+                passwordHash TEXT NOT NULL,
+                preferredLanguage TEXT DEFAULT 'en',
+                createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS tasks (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                userId INTEGER NOT NULL,
+                text TEXT NOT NULL,
+                completed BOOLEAN DEFAULT 0,
+                priority TEXT DEFAULT 'medium',
+                dueDate DATETIME,
+                createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (userId) REFERENCES users (id) ON DELETE CASCADE
+            )
+        `);
+    },
+
+    down: async (db) => {
+        await db.run('DROP TABLE tasks');
+        await db.run('DROP TABLE users');
+    }
+};
@@ -0,0 +1,18 @@
+/**
+ * Email verification flag. Accounts that existed before verification was
+ * introduced are grandfathered in as verified.
+ */
+module.exports = {
+    up: async (db) => {
+        // Databases started by a server version that created the column at boot already have it
+        const columns = await db.all('PRAGMA table_info(users)');
+        if (columns.some((column) => column.name === 'isVerified')) return;
+
+        await db.run('ALTER TABLE users ADD COLUMN isVerified BOOLEAN DEFAULT 0');
+        await db.run('UPDATE users SET isVerified = 1');
+    },
+
+    down: async (db) => {
+        await db.run('ALTER TABLE users DROP COLUMN isVerified');
+    }
+};
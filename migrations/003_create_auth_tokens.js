@@ -0,0 +1,45 @@
+/**
+ * Refresh tokens, password reset tokens and email verification tokens.
+ * Only token hashes are stored.
+ */
+const ONE_TIME_TOKEN_TABLES = ['password_resets', 'email_verifications'];
+
+module.exports = {
+    up: async (db) => {
+        // Grouped by login session family for reuse detection
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS refresh_tokens (
+                tokenHash TEXT PRIMARY KEY,
+                userId INTEGER NOT NULL,
+                familyId TEXT NOT NULL,
+                createdAt INTEGER NOT NULL,
+                expiresAt INTEGER NOT NULL,
+                revokedAt INTEGER,
+                replacedBy TEXT,
+                FOREIGN KEY (userId) REFERENCES users (id) ON DELETE CASCADE
+            )
+        `);
+        await db.run('CREATE INDEX IF NOT EXISTS idx_refresh_tokens_family ON refresh_tokens (familyId)');
+        await db.run('CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user ON refresh_tokens (userId)');
+
+        for (const table of ONE_TIME_TOKEN_TABLES) {
+            await db.run(`
+                CREATE TABLE IF NOT EXISTS ${table} (
+                    tokenHash TEXT PRIMARY KEY,
+                    userId INTEGER NOT NULL,
+                    createdAt INTEGER NOT NULL,
+                    expiresAt INTEGER NOT NULL,
+                    usedAt INTEGER,
+                    FOREIGN KEY (userId) REFERENCES users (id) ON DELETE CASCADE
+                )
+            `);
+        }
+    },
+
+    down: async (db) => {
+        for (const table of ONE_TIME_TOKEN_TABLES) {
+            await db.run(`DROP TABLE ${table}`);
+        }
+        await db.run('DROP TABLE refresh_tokens');
+    }
+};
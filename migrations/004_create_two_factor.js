@@ -0,0 +1,33 @@
+/**
+ * TOTP two-factor settings and recovery codes, kept apart from users so the
+ * secret never leaks into user responses. Only recovery code hashes are stored.
+ */
+module.exports = {
+    up: async (db) => {
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS user_two_factor (
+                userId INTEGER PRIMARY KEY,
+                enabled BOOLEAN DEFAULT 0,
+                secret TEXT,
+                pendingSecret TEXT,
+                lastUsedStep INTEGER,
+                FOREIGN KEY (userId) REFERENCES users (id) ON DELETE CASCADE
+            )
+        `);
+
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS two_factor_recovery_codes (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                userId INTEGER NOT NULL,
+                codeHash TEXT NOT NULL,
+                usedAt INTEGER,
+                FOREIGN KEY (userId) REFERENCES users (id) ON DELETE CASCADE
+            )
+        `);
+    },
+
+    down: async (db) => {
+        await db.run('DROP TABLE two_factor_recovery_codes');
+        await db.run('DROP TABLE user_two_factor');
+    }
+};
@@ -0,0 +1,28 @@
+/**
+ * Ordered checklist items under a task, and the per-task option to complete
+ * the task automatically when all of them are done.
+ */
+module.exports = {
+    up: async (db) => {
+        await db.run(`
+            CREATE TABLE subtasks (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                taskId INTEGER NOT NULL,
+                text TEXT NOT NULL,
+                completed BOOLEAN DEFAULT 0,
+                position INTEGER NOT NULL,
+                createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (taskId) REFERENCES tasks (id) ON DELETE CASCADE
+            )
+        `);
+        await db.run('CREATE INDEX idx_subtasks_task ON subtasks (taskId, position)');
+
+        await db.run('ALTER TABLE tasks ADD COLUMN autoComplete BOOLEAN DEFAULT 0');
+    },
+
+    down: async (db) => {
+        await db.run('ALTER TABLE tasks DROP COLUMN autoComplete');
+        await db.run('DROP TABLE subtasks');
+    }
+};
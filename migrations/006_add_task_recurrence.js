@@ -0,0 +1,20 @@
+/**
+ * Recurring tasks: the rule (JSON, see backend/src/utils/recurrence.js), the
+ * series every occurrence belongs to (the id of the first one) and the
+ * occurrence's number within it.
+ */
+module.exports = {
+    up: async (db) => {
+        await db.run('ALTER TABLE tasks ADD COLUMN recurrence TEXT');
+        await db.run('ALTER TABLE tasks ADD COLUMN seriesId INTEGER');
+        await db.run('ALTER TABLE tasks ADD COLUMN occurrence INTEGER');
+        await db.run('CREATE INDEX idx_tasks_series ON tasks (seriesId)');
+    },
+
+    down: async (db) => {
+        await db.run('DROP INDEX idx_tasks_series');
+        await db.run('ALTER TABLE tasks DROP COLUMN occurrence');
+        await db.run('ALTER TABLE tasks DROP COLUMN seriesId');
+        await db.run('ALTER TABLE tasks DROP COLUMN recurrence');
+    }
+};
@@ -0,0 +1,56 @@
+/**
+ * Lists (projects) that group a user's tasks, and tags attached to tasks
+ * through task_tags. A task is in at most one list; listId NULL means none.
+ */
+module.exports = {
+    up: async (db) => {
+        await db.run(`
+            CREATE TABLE lists (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                userId INTEGER NOT NULL,
+                name TEXT NOT NULL COLLATE NOCASE,
+                color TEXT,
+                position INTEGER NOT NULL,
+                createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE (userId, name),
+                FOREIGN KEY (userId) REFERENCES users (id) ON DELETE CASCADE
+            )
+        `);
+
+        await db.run(`
+            CREATE TABLE tags (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                userId INTEGER NOT NULL,
+                name TEXT NOT NULL COLLATE NOCASE,
+                color TEXT,
+                createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE (userId, name),
+                FOREIGN KEY (userId) REFERENCES users (id) ON DELETE CASCADE
+            )
+        `);
+
+        await db.run(`
+            CREATE TABLE task_tags (
+                taskId INTEGER NOT NULL,
+                tagId INTEGER NOT NULL,
+                PRIMARY KEY (taskId, tagId),
+                FOREIGN KEY (taskId) REFERENCES tasks (id) ON DELETE CASCADE,
+                FOREIGN KEY (tagId) REFERENCES tags (id) ON DELETE CASCADE
+            )
+        `);
+        await db.run('CREATE INDEX idx_task_tags_tag ON task_tags (tagId)');
+
+        await db.run('ALTER TABLE tasks ADD COLUMN listId INTEGER REFERENCES lists (id)');
+        await db.run('CREATE INDEX idx_tasks_list ON tasks (listId)');
+    },
+
+    down: async (db) => {
+        await db.run('DROP INDEX idx_tasks_list');
+        await db.run('ALTER TABLE tasks DROP COLUMN listId');
+        await db.run('DROP TABLE task_tags');
+        await db.run('DROP TABLE tags');
+        await db.run('DROP TABLE lists');
+    }
+};
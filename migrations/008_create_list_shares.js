@@ -0,0 +1,32 @@
+/**
+ * Lists shared with other users. A share starts as a pending invitation and is
+ * accepted or declined by the invited user; the role (viewer or editor) sets
+ * what they may do with the list's tasks. completedBy records who completed a task.
+ */
+module.exports = {
+    up: async (db) => {
+        await db.run(`
+            CREATE TABLE list_shares (
+                listId INTEGER NOT NULL,
+                userId INTEGER NOT NULL,
+                ownerId INTEGER NOT NULL,
+                role TEXT NOT NULL CHECK (role IN ('viewer', 'editor')),
+                status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'accepted', 'declined')),
+                createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (listId, userId),
+                FOREIGN KEY (listId) REFERENCES lists (id) ON DELETE CASCADE,
+                FOREIGN KEY (userId) REFERENCES users (id) ON DELETE CASCADE
+            )
+        `);
+        await db.run('CREATE INDEX idx_list_shares_user ON list_shares (userId)');
+
+        await db.run('ALTER TABLE tasks ADD COLUMN completedBy INTEGER REFERENCES users (id)');
+    },
+
+    down: async (db) => {
+        await db.run('ALTER TABLE tasks DROP COLUMN completedBy');
+        await db.run('DROP INDEX idx_list_shares_user');
+        await db.run('DROP TABLE list_shares');
+    }
+};
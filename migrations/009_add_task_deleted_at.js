@@ -0,0 +1,15 @@
+/**
+ * Soft delete for tasks: deleting sets deletedAt and moves the task to the
+ * trash, where it can be restored until it is purged.
+ */
+module.exports = {
+    up: async (db) => {
+        await db.run('ALTER TABLE tasks ADD COLUMN deletedAt DATETIME');
+        await db.run('CREATE INDEX idx_tasks_deleted ON tasks (deletedAt)');
+    },
+
+    down: async (db) => {
+        await db.run('DROP INDEX idx_tasks_deleted');
+        await db.run('ALTER TABLE tasks DROP COLUMN deletedAt');
+    }
+};
@@ -0,0 +1,25 @@
+/**
+ * Versions and a change sequence for offline sync. version counts the changes
+ * to a task (its ETag); changeSeq orders every change to any task, so GET /sync
+ * can return those after the last one a client saw. task_change_floor keeps the
+ * highest number given out, so it is not reused once that task is purged.
+ */
+module.exports = {
+    up: async (db) => {
+        await db.run('ALTER TABLE tasks ADD COLUMN version INTEGER NOT NULL DEFAULT 1');
+        await db.run('ALTER TABLE tasks ADD COLUMN changeSeq INTEGER NOT NULL DEFAULT 0');
+        // Existing tasks count as changed once, in the order they were created
+        await db.run('UPDATE tasks SET changeSeq = id');
+        await db.run('CREATE INDEX idx_tasks_change_seq ON tasks (changeSeq)');
+
+        await db.run('CREATE TABLE task_change_floor (seq INTEGER NOT NULL)');
+        await db.run('INSERT INTO task_change_floor (seq) VALUES (0)');
+    },
+
+    down: async (db) => {
+        await db.run('DROP TABLE task_change_floor');
+        await db.run('DROP INDEX idx_tasks_change_seq');
+        await db.run('ALTER TABLE tasks DROP COLUMN changeSeq');
+        await db.run('ALTER TABLE tasks DROP COLUMN version');
+    }
+};
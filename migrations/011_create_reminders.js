@@ -0,0 +1,41 @@
+/**
+ * Reminders of due and overdue tasks. tasks.reminders holds the minutes before
+ * the dueDate to send one at (a JSON array); reminder_settings how each user
+ * gets them, for those who changed the defaults. sent_reminders records every
+ * reminder sent, by channel, so none is sent twice, even after a restart.
+ */
+module.exports = {
+    up: async (db) => {
+        await db.run('ALTER TABLE tasks ADD COLUMN reminders TEXT');
+
+        await db.run(`
+            CREATE TABLE reminder_settings (
+                userId INTEGER PRIMARY KEY,
+                channels TEXT NOT NULL DEFAULT '["email"]',
+                webhookUrl TEXT,
+                overdue BOOLEAN NOT NULL DEFAULT 1,
+                digestHour INTEGER,
+                updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (userId) REFERENCES users (id) ON DELETE CASCADE
+            )
+        `);
+
+        await db.run(`
+            CREATE TABLE sent_reminders (
+                key TEXT PRIMARY KEY,
+                userId INTEGER NOT NULL,
+                taskId INTEGER,
+                sentAt DATETIME NOT NULL,
+                FOREIGN KEY (userId) REFERENCES users (id) ON DELETE CASCADE
+            )
+        `);
+        await db.run('CREATE INDEX idx_sent_reminders_sent_at ON sent_reminders (sentAt)');
+    },
+
+    down: async (db) => {
+        await db.run('DROP INDEX idx_sent_reminders_sent_at');
+        await db.run('DROP TABLE sent_reminders');
+        await db.run('DROP TABLE reminder_settings');
+        await db.run('ALTER TABLE tasks DROP COLUMN reminders');
+    }
+};
@@ -0,0 +1,16 @@
+/**
+ * When a task was completed, for the analytics route (time to complete, completions
+ * per day). Tasks completed before this have their last change as the best guess.
+ */
+module.exports = {
+    up: async (db) => {
+        await db.run('ALTER TABLE tasks ADD COLUMN completedAt DATETIME');
+        await db.run('UPDATE tasks SET completedAt = updatedAt WHERE completed = 1');
+        await db.run('CREATE INDEX idx_tasks_user_completed_at ON tasks (userId, completedAt)');
+    },
+
+    down: async (db) => {
+        await db.run('DROP INDEX idx_tasks_user_completed_at');
+        await db.run('ALTER TABLE tasks DROP COLUMN completedAt');
+    }
+};
@@ -0,0 +1,30 @@
+/**
+ * Overdue notices become opt-in: reminder_settings.overdue defaults to off.
+ * SQLite cannot change a column's default, so the table is rebuilt. Settings
+ * already saved keep the overdue value they have.
+ */
+const rebuildReminderSettings = async (db, overdueDefault) => {
+    await db.run(`
+        CREATE TABLE reminder_settings_new (
+            userId INTEGER PRIMARY KEY,
+            channels TEXT NOT NULL DEFAULT '["email"]',
+            webhookUrl TEXT,
+            overdue BOOLEAN NOT NULL DEFAULT ${overdueDefault},
+            digestHour INTEGER,
+            updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (userId) REFERENCES users (id) ON DELETE CASCADE
+        )
+    `);
+    await db.run(`
+        INSERT INTO reminder_settings_new (userId, channels, webhookUrl, overdue, digestHour, updatedAt)
+        SELECT userId, channels, webhookUrl, overdue, digestHour, updatedAt FROM reminder_settings
+    `);
+    await db.run('DROP TABLE reminder_settings');
+    await db.run('ALTER TABLE reminder_settings_new RENAME TO reminder_settings');
+};
+
+module.exports = {
+    up: (db) => rebuildReminderSettings(db, 0),
+
+    down: (db) => rebuildReminderSettings(db, 1)
+};
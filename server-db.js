@@ -2,149 +2,554 @@ require('dotenv').config();
 const OPENWEATHER_API_KEY = process.env.OPENWEATHER_API_KEY;
 const express = require('express');
 const cors = require('cors');
-const bcrypt = require('bcryptjs');
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const axios = require('axios'); // Make sure axios is installed
+const {
+    signAccessToken,
+    verifyAccessToken,
+    signChallengeToken,
+    verifyChallengeToken,
+    signStreamTicket,
+    verifyStreamTicket,
+    extractBearerToken
+} = require('./backend/src/utils/tokens');
+const {
+    issueRefreshToken,
+    rotateRefreshToken,
+    revokeRefreshToken,
+    revokeAllRefreshTokens
+} = require('./backend/src/utils/refreshTokens');
+const { getTransportName } = require('./backend/src/utils/mailer');
+const { sendPasswordResetEmail, consumePasswordResetToken } = require('./backend/src/utils/passwordReset');
+const {
+    getVerificationPolicy,
+    mustVerifyEmail,
+    sendVerificationEmail,
+    consumeVerificationToken
+} = require('./backend/src/utils/emailVerification');
+const {
+    createMemoryStore,
+    checkRateLimit,
+    getLockout,
+    recordLoginFailure,
+    clearLoginFailures,
+    isAdmin
+} = require('./backend/src/utils/rateLimiter');
+const {
+    isTwoFactorEnabled,
+    startEnrollment,
+    confirmEnrollment,
+    verifySecondFactor,
+    disableTwoFactor,
+    regenerateRecoveryCodes
+} = require('./backend/src/utils/twoFactor');
+const {
+    registerSchema,
+    loginSchema,
+    refreshTokenSchema,
+    emailSchema,
+    verifyEmailQuerySchema,
+    resetPasswordSchema,
+    twoFactorCodeSchema,
+    twoFactorFactorSchema,
+    twoFactorVerifySchema,
+    createTaskSchema,
+    updateTaskSchema,
+    bulkTasksSchema,
+    createSubtaskSchema,
+    updateSubtaskSchema,
+    reorderSubtasksSchema,
+    createListSchema,
+    updateListSchema,
+    reorderListsSchema,
+    createTagSchema,
+    updateTagSchema,
+    shareListSchema,
+    updateShareSchema,
+    exportTasksQuerySchema,
+    importTasksSchema,
+    reminderSettingsSchema,
+    validate,
+    validationErrorBody
+} = require('./backend/src/utils/validation');
+const { parseTaskListQuery, parseTaskStatsQuery, parseTaskAnalyticsQuery } = require('./backend/src/utils/taskQuery');
+const { getTaskAnalytics } = require('./backend/src/utils/taskAnalytics');
+const {
+    toPublicUser,
+    registerUser,
+    authenticateUser,
+    setPassword,
+    markEmailVerified
+} = require('./backend/src/utils/users');
+const {
+    getTrashRetentionDays,
+    listTasks,
+    createTask,
+    updateTask,
+    deleteTask,
+    listTrash,
+    restoreTask,
+    purgeTrash,
+    applyBulkOperations,
+    getTaskStats,
+    addSubtask,
+    updateSubtask,
+    deleteSubtask,
+    reorderSubtasks
+} = require('./backend/src/utils/tasks');
+const { listLists, createList, updateList, reorderLists, deleteList } = require('./backend/src/utils/lists');
+const { listTags, createTag, updateTag, deleteTag } = require('./backend/src/utils/tags');
+const { exportTasks, importTasks } = require('./backend/src/utils/taskTransfer');
+const { createTaskEventHub, formatTaskEvent } = require('./backend/src/utils/taskEvents');
+const { syncTasks, taskEtag, ifMatchVersions } = require('./backend/src/utils/sync');
+const { getReminderSettings, updateReminderSettings, sendReminders } = require('./backend/src/utils/reminders');
+const {
+    canEdit,
+    getListAccess,
+    getTaskAccess,
+    getTrashedTaskAccess,
+    listSharedLists,
+    shareList,
+    listMembers,
+    updateMember,
+    removeMember,
+    listInvitations,
+    respondToInvitation
+} = require('./backend/src/utils/sharing');
+const { createSqliteRepositories } = require('./backend/src/repositories/sqlite');
+const { sharedConnection } = require('./backend/src/repositories/sqliteConnection');
+const { migrateUp, assertSchemaCurrent } = require('./lib/migrator');
+
+if (!process.env.JWT_SECRET) {
+    console.error('❌ JWT_SECRET is not set. Add it to your .env file (see .env.example).');
+    process.exit(1);
+}
+
+getVerificationPolicy(); // Fail fast on an invalid EMAIL_VERIFICATION_POLICY
+getTrashRetentionDays(); // ...and TASK_TRASH_RETENTION_DAYS
+getTransportName(); // ...and MAIL_TRANSPORT, which has to be a real one in production
 
 const app = express();
 const PORT = process.env.PORT || 3003;
 
+// Behind a reverse proxy (e.g. Render) set TRUST_PROXY=1 so req.ip is the client IP
+if (process.env.TRUST_PROXY) {
+    app.set('trust proxy', Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+}
+
 // Enable CORS for all routes
 app.use(cors());
-app.use(express.json());
+// Task imports carry a whole exported file, so allow more than the 100kb default
+app.use(express.json({ limit: '1mb' }));
+
+// Failed login and rate limit counters (swap for a shared store when running several instances)
+const rateLimitStore = createMemoryStore();
 
-// Initialize SQLite database
-const dbPath = path.join(__dirname, 'users.db');
+// Initialize SQLite database (DB_PATH=:memory: gives tests a throwaway database)
+const dbPath = process.env.DB_PATH || path.join(__dirname, 'users.db');
 const db = new sqlite3.Database(dbPath);
+// Every statement goes through this, so transactions have the connection to themselves
+const sql = sharedConnection(db);
 
-// Create users table if it doesn't exist
-db.serialize(() => {
-    db.run(`
-        CREATE TABLE IF NOT EXISTS users (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            firstName TEXT NOT NULL,
-            lastName TEXT NOT NULL,
-            email TEXT UNIQUE NOT NULL,
-            passwordHash TEXT NOT NULL,
-            preferredLanguage TEXT DEFAULT 'en',
-            createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
-            updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP
-        )
-    `);
-    
-    // Create tasks table for ToDoApp
-    db.run(`
-        CREATE TABLE IF NOT EXISTS tasks (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            userId INTEGER NOT NULL,
-            text TEXT NOT NULL,
-            completed BOOLEAN DEFAULT 0,
-            priority TEXT DEFAULT 'medium',
-            dueDate DATETIME,
-            createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
-            updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
-            FOREIGN KEY (userId) REFERENCES users (id) ON DELETE CASCADE
-        )
-    `);
-});
+// The schema is managed by migrations (npm run migrate). A throwaway in-memory
+// database is migrated on the spot; a real one must already be up to date.
+const ready = dbPath === ':memory:' ? migrateUp(db) : assertSchemaCurrent(db);
 
-// Registration endpoint with real database storage
-app.post('/register', async (req, res) => {
-    console.log('📝 Registration request received:', req.body);
-    
-    // Handle both field name variations from frontend
-    const { 
-        firstName, 
-        lastName, 
-        email, 
-        password, 
-        confirmPassword, 
-        selectedLanguage,
-        language  // fallback for old frontend code
-    } = req.body;
-    
-    const userLanguage = selectedLanguage || language || 'en';
-    
-    // Validation with specific error messages
-    if (!firstName || !lastName || !email || !password) {
-        console.log('❌ Validation failed: Missing required fields');
-        return res.status(400).json({
+// User, task, list, tag, share and reminder repositories
+// (see backend/src/utils/users.js, tasks.js, lists.js, tags.js, sharing.js and reminders.js)
+const {
+    users: userRepository,
+    tasks: taskRepository,
+    lists: listRepository,
+    tags: tagRepository,
+    shares: shareRepository,
+    reminders: reminderRepository,
+    transaction
+} = createSqliteRepositories(db);
+
+// Task lists and tags are checked against them when a task is given a listId or tagIds
+const labelRepositories = { lists: listRepository, tags: tagRepository };
+const sharingRepositories = { lists: listRepository, shares: shareRepository, users: userRepository };
+
+// Task changes pushed to GET /tasks/stream (see backend/src/utils/taskEvents.js)
+const taskEvents = createTaskEventHub();
+const TASK_STREAM_HEARTBEAT_MS = 25 * 1000;
+
+// Tell the owner of a task and the members of its list about a change. Pass the
+// task as it was too when it may have left a shared list, so its members hear of it.
+const publishTaskEvent = async (type, data, ...tasks) => {
+    try {
+        const userIds = [];
+        for (const task of tasks) {
+            userIds.push(task.userId);
+            if (task.listId !== null && task.listId !== undefined) {
+                const shares = await shareRepository.listByList(task.listId);
+                shares.filter((share) => share.status === 'accepted').forEach((share) => userIds.push(share.userId));
+            }
+        }
+        taskEvents.publish(userIds, type, data);
+    } catch (error) {
+        console.error('❌ Error publishing task event:', error);
+    }
+};
+
+// Publish the events of applied bulk operations (see applyBulkOperations). `before`
+// has the tasks that update operations changed, as they were.
+const publishBulkTaskEvents = async (userId, results, before) => {
+    const deletes = results.some(({ op }) => op === 'delete' || op === 'delete-completed');
+    const trash = deletes ? await listTrash(taskRepository, userId) : [];
+    const inTrash = (id) => trash.find((task) => String(task.id) === String(id));
+
+    for (const result of results) {
+        if (result.op === 'create') {
+            await publishTaskEvent('task.created', { task: result.task }, result.task);
+        } else if (result.op === 'update') {
+            const previous = before.filter((task) => String(task.id) === String(result.id));
+            await publishTaskEvent('task.updated', { task: result.task }, ...previous, result.task);
+            if (result.nextOccurrence) {
+                await publishTaskEvent('task.created', { task: result.nextOccurrence }, result.nextOccurrence);
+            }
+        } else if (result.op === 'complete-all') {
+            for (const id of result.ids) {
+                const task = await taskRepository.findById(userId, id);
+                if (task) await publishTaskEvent('task.updated', { task }, task);
+            }
+        } else {
+            for (const id of result.ids || [result.id]) {
+                const task = inTrash(id);
+                if (task) await publishTaskEvent('task.deleted', { id: task.id, listId: task.listId }, task);
+            }
+        }
+    }
+};
+
+// Public user fields plus the `user-<id>` uid the frontend expects
+const toResponseUser = (user) => ({ ...toPublicUser(user), uid: `user-${user.id}` });
+
+// SQLite store for refresh tokens (see backend/src/utils/refreshTokens.js)
+const refreshTokenStore = {
+    save: async (record) => {
+        await sql.run(
+            `INSERT INTO refresh_tokens (tokenHash, userId, familyId, createdAt, expiresAt)
+             VALUES (?, ?, ?, ?, ?)`,
+            [record.tokenHash, record.userId, record.familyId, record.createdAt, record.expiresAt]
+        );
+    },
+    findByHash: (tokenHash) => sql.get('SELECT * FROM refresh_tokens WHERE tokenHash = ?', [tokenHash]),
+    revoke: async (tokenHash, replacedBy) => {
+        const { changes } = await sql.run(
+            'UPDATE refresh_tokens SET revokedAt = ?, replacedBy = ? WHERE tokenHash = ? AND revokedAt IS NULL',
+            [Date.now(), replacedBy, tokenHash]
+        );
+        return changes > 0;
+    },
+    revokeFamily: async (familyId) => {
+        await sql.run(
+            'UPDATE refresh_tokens SET revokedAt = ? WHERE familyId = ? AND revokedAt IS NULL',
+            [Date.now(), familyId]
+        );
+    },
+    revokeAllForUser: async (userId) => {
+        await sql.run(
+            'UPDATE refresh_tokens SET revokedAt = ? WHERE userId = ? AND revokedAt IS NULL',
+            [Date.now(), userId]
+        );
+    }
+};
+
+// ====================================================================
+// AUTHENTICATION MIDDLEWARE
+// ====================================================================
+
+// Verify the Bearer token and attach the caller to req.user
+const authenticateToken = (req, res, next) => {
+    const token = extractBearerToken(req.headers);
+    if (!token) {
+        return res.status(401).json({
             success: false,
-            error: 'All fields are required'
+            error: 'Access token required'
         });
     }
-    
-    // Only check password match if confirmPassword is provided
-    if (confirmPassword && password !== confirmPassword) {
-        console.log('❌ Validation failed: Passwords do not match');
-        return res.status(400).json({
+
+    try {
+        const decoded = verifyAccessToken(token);
+        req.user = {
+            id: decoded.userId,
+            email: decoded.email,
+            firstName: decoded.firstName,
+            lastName: decoded.lastName,
+            isVerified: decoded.isVerified
+        };
+        next();
+    } catch (error) {
+        console.log('❌ Authentication failed:', error.message);
+        return res.status(401).json({
+            success: false,
+            error: 'Invalid or expired token'
+        });
+    }
+};
+
+// Browsers' EventSource cannot send headers, so the task event stream takes a
+// ticket from POST /tasks/stream/ticket as ?ticket= instead of the access token
+const authenticateStreamTicket = (req, res, next) => {
+    if (!req.query.ticket) {
+        return authenticateToken(req, res, next);
+    }
+
+    try {
+        const { userId } = verifyStreamTicket(String(req.query.ticket));
+        req.user = { id: userId };
+        next();
+    } catch (error) {
+        console.log('❌ Stream ticket rejected:', error.message);
+        return res.status(401).json({
             success: false,
-            error: 'Passwords do not match'
+            error: 'Invalid or expired stream ticket'
         });
     }
+};
 
-    if (password.length < 6) {
-        console.log('❌ Validation failed: Password too short');
-        return res.status(400).json({
+// Only verified admins (ADMIN_EMAILS) may continue
+const requireAdmin = (req, res, next) => {
+    if (!isAdmin(req.user)) {
+        return res.status(403).json({
             success: false,
-            error: 'Password must be at least 10 characters long'
+            error: 'Admin access required'
         });
     }
+    next();
+};
+
+// Send a 429 with Retry-After
+const sendTooManyRequests = (res, retryAfter) => {
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({
+        success: false,
+        error: 'Too many attempts. Please try again later.',
+        retryAfter
+    });
+};
+
+// Validate req.body with a shared Joi schema, replacing it with the cleaned value
+const validateBody = (schema) => (req, res, next) => {
+    const { value, errors } = validate(req.body, schema);
+    if (errors) {
+        return res.status(400).json({ success: false, ...validationErrorBody(errors) });
+    }
+    req.body = value;
+    next();
+};
 
+// Per-IP fixed-window limit for an action in RATE_LIMITS (login, register)
+const limitByIp = (action) => async (req, res, next) => {
     try {
-        // Check if user already exists
-        const existingUser = await new Promise((resolve, reject) => {
-            db.get('SELECT email FROM users WHERE email = ?', [email], (err, row) => {
-                if (err) reject(err);
-                else resolve(row);
-            });
+        const { allowed, retryAfter } = await checkRateLimit(rateLimitStore, action, req.ip);
+        if (!allowed) {
+            console.log(`❌ Rate limit hit for ${action} from`, req.ip);
+            return sendTooManyRequests(res, retryAfter);
+        }
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Under the 'limited' or 'block' verification policy, unverified
+// accounts can read but not create or change data
+const requireVerified = (req, res, next) => {
+    if (mustVerifyEmail(req.user)) {
+        return res.status(403).json({
+            success: false,
+            error: 'Please verify your email address to make changes'
         });
+    }
+    next();
+};
 
-        if (existingUser) {
-            console.log('❌ Registration failed: Email already registered');
-            return res.status(400).json({
-                success: false,
-                error: 'This email is already registered. Please use a different email or try logging in.'
-            });
+// Reject requests whose :userId param is not the authenticated user.
+// Accepts both the numeric id and the frontend's `user-<id>` uid.
+const requireSameUser = (req, res, next) => {
+    const requestedId = String(req.params.userId).replace(/^user-/, '');
+    if (requestedId !== String(req.user.id)) {
+        console.log('❌ Access denied: user', req.user.id, 'requested data for', req.params.userId);
+        return res.status(403).json({
+            success: false,
+            error: 'You can only access your own data'
+        });
+    }
+    next();
+};
+
+// Let the owner of the :taskId task through, or an editor of the shared list it
+// is in; viewers may only read. Sets req.taskOwnerId for the task repository,
+// and req.task to the task as it is.
+const requireTaskEditor = async (req, res, next) => {
+    try {
+        const access = await getTaskAccess(taskRepository, shareRepository, req.user.id, req.params.taskId);
+        if (!access) {
+            return res.status(404).json({ success: false, error: 'Task not found' });
+        }
+        if (!canEdit(access.role)) {
+            return res.status(403).json({ success: false, error: 'You can only view the tasks of this list' });
+        }
+        req.taskOwnerId = access.ownerId;
+        req.task = access.task;
+        next();
+    } catch (error) {
+        console.error('❌ Error checking task access:', error);
+        res.status(500).json({ success: false, error: 'Failed to check task access' });
+    }
+};
+
+// Whether changes to a task would move it to another list or retag it. Tasks in
+// a shared list belong to its owner, so listId and tagIds are looked up among
+// the owner's lists and tags, which editors cannot see: only the owner may do that.
+const changesTaskLabels = (changes, task) => {
+    const moved = changes.listId !== undefined && String(changes.listId) !== String(task.listId);
+    const tagIds = (ids) => [...new Set(ids.map(String))].sort().join();
+    const retagged = changes.tagIds !== undefined
+        && tagIds(changes.tagIds) !== tagIds(task.tags.map((tag) => tag.id));
+    return moved || retagged;
+};
+
+// The :taskId task was not changed: 409 with the task as it is if it is there in
+// a version the If-Match header did not name (see backend/src/utils/sync.js), else 404
+const sendTaskConflictOrNotFound = async (req, res) => {
+    const task = await taskRepository.findById(req.taskOwnerId, req.params.taskId);
+    if (!task || ifMatchVersions(req.get('If-Match')) === null) {
+        return res.status(404).json({
+            success: false,
+            error: 'Task not found'
+        });
+    }
+    res.set('ETag', taskEtag(task));
+    res.status(409).json({
+        success: false,
+        error: 'The task has changed since you fetched it',
+        task
+    });
+};
+
+// SQLite store for single-use tokens (see backend/src/utils/passwordReset.js)
+const createOneTimeTokenStore = (table) => ({
+    save: async (record) => {
+        await sql.run(
+            `INSERT INTO ${table} (tokenHash, userId, createdAt, expiresAt) VALUES (?, ?, ?, ?)`,
+            [record.tokenHash, record.userId, record.createdAt, record.expiresAt]
+        );
+    },
+    findByHash: (tokenHash) => sql.get(`SELECT * FROM ${table} WHERE tokenHash = ?`, [tokenHash]),
+    markUsed: async (tokenHash) => {
+        const { changes } = await sql.run(
+            `UPDATE ${table} SET usedAt = ? WHERE tokenHash = ? AND usedAt IS NULL`,
+            [Date.now(), tokenHash]
+        );
+        return changes > 0;
+    },
+    invalidateForUser: async (userId) => {
+        await sql.run(
+            `UPDATE ${table} SET usedAt = ? WHERE userId = ? AND usedAt IS NULL`,
+            [Date.now(), userId]
+        );
+    }
+});
+
+const passwordResetStore = createOneTimeTokenStore('password_resets');
+const emailVerificationStore = createOneTimeTokenStore('email_verifications');
+
+// Run several [sql, params] statements in one transaction, rolling back if any fails
+const runInTransaction = (statements) => transaction(async () => {
+    for (const [statement, params] of statements) {
+        await sql.run(statement, params);
+    }
+});
+
+const insertRecoveryCodes = (userId, codeHashes) => codeHashes.map((codeHash) => [
+    'INSERT INTO two_factor_recovery_codes (userId, codeHash) VALUES (?, ?)',
+    [userId, codeHash]
+]);
+
+// SQLite store for two-factor settings (see backend/src/utils/twoFactor.js)
+const twoFactorStore = {
+    get: async (userId) => {
+        const row = await sql.get('SELECT * FROM user_two_factor WHERE userId = ?', [userId]);
+        return row ? { ...row, enabled: Boolean(row.enabled) } : null;
+    },
+    savePending: async (userId, secret) => {
+        await sql.run(
+            `INSERT INTO user_two_factor (userId, pendingSecret) VALUES (?, ?)
+             ON CONFLICT (userId) DO UPDATE SET pendingSecret = excluded.pendingSecret`,
+            [userId, secret]
+        );
+    },
+    enable: (userId, secret, lastUsedStep, codeHashes) => runInTransaction([
+        ['UPDATE user_two_factor SET enabled = 1, secret = ?, lastUsedStep = ?, pendingSecret = NULL WHERE userId = ?',
+            [secret, lastUsedStep, userId]],
+        ['DELETE FROM two_factor_recovery_codes WHERE userId = ?', [userId]],
+        ...insertRecoveryCodes(userId, codeHashes)
+    ]),
+    setLastUsedStep: async (userId, step) => {
+        const { changes } = await sql.run(
+            'UPDATE user_two_factor SET lastUsedStep = ? WHERE userId = ? AND (lastUsedStep IS NULL OR lastUsedStep < ?)',
+            [step, userId, step]
+        );
+        return changes > 0;
+    },
+    useRecoveryCode: async (userId, codeHash) => {
+        const { changes } = await sql.run(
+            'UPDATE two_factor_recovery_codes SET usedAt = ? WHERE userId = ? AND codeHash = ? AND usedAt IS NULL',
+            [Date.now(), userId, codeHash]
+        );
+        return changes > 0;
+    },
+    replaceRecoveryCodes: (userId, codeHashes) => runInTransaction([
+        ['DELETE FROM two_factor_recovery_codes WHERE userId = ?', [userId]],
+        ...insertRecoveryCodes(userId, codeHashes)
+    ]),
+    disable: (userId) => runInTransaction([
+        ['DELETE FROM two_factor_recovery_codes WHERE userId = ?', [userId]],
+        ['DELETE FROM user_two_factor WHERE userId = ?', [userId]]
+    ])
+};
+
+// Registration endpoint with real database storage
+app.post('/register', limitByIp('register'), validateBody(registerSchema), async (req, res) => {
+    console.log('📝 Registration request received:', req.body);
+    
+    try {
+        const user = await registerUser(userRepository, req.body);
+        console.log('✅ User successfully registered with ID:', user.id);
+
+        try {
+            await sendVerificationEmail(emailVerificationStore, user);
+        } catch (mailError) {
+            // The account exists either way; the user can ask for a new link
+            console.error('❌ Verification email error:', mailError);
         }
 
-        // Hash password
-        const saltRounds = 12;
-        const passwordHash = await bcrypt.hash(password, saltRounds);
-
-        // Insert user into database
-        const userId = await new Promise((resolve, reject) => {
-            db.run(
-                `INSERT INTO users (firstName, lastName, email, passwordHash, preferredLanguage) 
-                 VALUES (?, ?, ?, ?, ?)`,
-                [firstName, lastName, email, passwordHash, userLanguage],
-                function(err) {
-                    if (err) reject(err);
-                    else resolve(this.lastID);
-                }
-            );
-        });
-
-        console.log('✅ User successfully registered with ID:', userId);
-
-        // Return success response
-        const userData = {
-            id: userId,
-            firstName: firstName,
-            lastName: lastName,
-            email: email,
-            preferredLanguage: userLanguage,
-            uid: `user-${userId}` // For compatibility with your frontend
+        // Under the 'block' policy no session is issued until the email is verified
+        const session = getVerificationPolicy() === 'block' ? {} : {
+            token: signAccessToken(user),
+            refreshToken: await issueRefreshToken(refreshTokenStore, user.id)
         };
 
         res.json({
             success: true,
-            message: 'Registration successful! User account created.',
-            user: userData
+            message: 'Registration successful! Please check your email to verify your account.',
+            user: toResponseUser(user),
+            ...session
         });
 
     } catch (error) {
+        if (error.name === 'UserError') {
+            console.log('❌ Registration failed:', error.message);
+            return res.status(400).json({
+                success: false,
+                error: error.message
+            });
+        }
         console.error('❌ Registration error:', error);
         res.status(500).json({
             success: false,
@@ -153,70 +558,72 @@ app.post('/register', async (req, res) => {
     }
 });
 
-// Get all users endpoint (for testing)
-app.get('/users', (req, res) => {
-    db.all('SELECT id, firstName, lastName, email, preferredLanguage, createdAt FROM users', [], (err, rows) => {
-        if (err) {
-            return res.status(500).json({ error: err.message });
-        }
-        res.json({ users: rows });
-    });
+// Get the authenticated user's account
+app.get('/users', authenticateToken, async (req, res) => {
+    try {
+        const user = await userRepository.findById(req.user.id);
+        res.json({ users: user ? [toPublicUser(user)] : [] });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
 });
 
 // Login endpoint
-app.post('/login', async (req, res) => {
+app.post('/login', limitByIp('login'), validateBody(loginSchema), async (req, res) => {
     console.log('🔐 Login request received:', { email: req.body.email });
     
     const { email, password } = req.body;
-    
-    // Validation
-    if (!email || !password) {
-        console.log('❌ Login failed: Missing credentials');
-        return res.status(400).json({
-            success: false,
-            error: 'Email and password are required'
-        });
-    }
 
     try {
-        // Find user by email
-        const user = await new Promise((resolve, reject) => {
-            db.get('SELECT * FROM users WHERE email = ?', [email], (err, row) => {
-                if (err) reject(err);
-                else resolve(row);
-            });
-        });
+        const lockedFor = await getLockout(rateLimitStore, email);
+        if (lockedFor > 0) {
+            console.log('❌ Login failed: Account locked');
+            return sendTooManyRequests(res, lockedFor);
+        }
 
+        const user = await authenticateUser(userRepository, email, password);
         if (!user) {
-            console.log('❌ Login failed: User not found');
+            console.log('❌ Login failed: Invalid email or password');
+            // Failures count for unknown emails too, so lockouts don't reveal which accounts exist
+            const lockedNow = await recordLoginFailure(rateLimitStore, email);
+            if (lockedNow > 0) {
+                return sendTooManyRequests(res, lockedNow);
+            }
             return res.status(401).json({
                 success: false,
                 error: 'Invalid email or password'
             });
         }
 
-        // Verify password
-        const isValidPassword = await bcrypt.compare(password, user.passwordHash);
-        if (!isValidPassword) {
-            console.log('❌ Login failed: Invalid password');
-            return res.status(401).json({
+        await clearLoginFailures(rateLimitStore, email);
+
+        if (!user.isVerified && getVerificationPolicy() === 'block') {
+            console.log('❌ Login blocked: Email not verified');
+            return res.status(403).json({
                 success: false,
-                error: 'Invalid email or password'
+                error: 'Please verify your email address before logging in'
+            });
+        }
+
+        // With 2FA on, the session is only issued by /auth/2fa/verify
+        if (await isTwoFactorEnabled(twoFactorStore, user.id)) {
+            console.log('🔐 Password accepted, waiting for 2FA code for user:', user.id);
+            return res.json({
+                success: true,
+                message: 'Enter the code from your authenticator app',
+                twoFactorRequired: true,
+                challengeToken: signChallengeToken(user.id)
             });
         }
 
         console.log('✅ Login successful for user:', user.email);
 
-        // Return success response (without password hash)
-        const { passwordHash, ...userResponse } = user;
-        
         res.json({
             success: true,
             message: 'Login successful!',
-            user: {
-                ...userResponse,
-                uid: `user-${user.id}` // For compatibility with your frontend
-            }
+            user: toResponseUser(user),
+            token: signAccessToken(user),
+            refreshToken: await issueRefreshToken(refreshTokenStore, user.id)
         });
 
     } catch (error) {
@@ -229,257 +636,1209 @@ app.post('/login', async (req, res) => {
 });
 
 // ====================================================================
-// TASK MANAGEMENT ENDPOINTS FOR TODOAPP
+// SESSION ENDPOINTS
 // ====================================================================
 
-// Get all tasks for a specific user
-app.get('/tasks/:userId', (req, res) => {
-    const { userId } = req.params;
-    
-    console.log('📋 Getting tasks for user:', userId);
-    
-    db.all(
-        'SELECT * FROM tasks WHERE userId = ? ORDER BY createdAt DESC',
-        [userId],
-        (err, rows) => {
-            if (err) {
-                console.error('❌ Error fetching tasks:', err);
-                return res.status(500).json({ error: 'Failed to fetch tasks' });
-            }
-            
-            console.log(`✅ Found ${rows.length} tasks for user ${userId}`);
-            res.json({ 
-                success: true, 
-                tasks: rows.map(task => ({
-                    ...task,
-                    completed: Boolean(task.completed) // Convert 0/1 to boolean
-                }))
+// Exchange a refresh token for a new access token + refresh token (rotation)
+app.post('/auth/refresh', validateBody(refreshTokenSchema), async (req, res) => {
+    try {
+        const { userId, refreshToken } = await rotateRefreshToken(refreshTokenStore, req.body.refreshToken);
+
+        const user = await userRepository.findById(userId);
+        if (!user) {
+            await revokeAllRefreshTokens(refreshTokenStore, userId);
+            return res.status(401).json({
+                success: false,
+                error: 'Invalid refresh token'
             });
         }
-    );
-});
 
-// Create a new task
-app.post('/tasks', (req, res) => {
-    const { userId, text, priority = 'medium', dueDate } = req.body;
-    
-    console.log('➕ Creating new task:', { userId, text, priority });
-    
-    if (!userId || !text) {
-        return res.status(400).json({ 
-            success: false, 
-            error: 'userId and text are required' 
+        console.log('🔄 Token refreshed for user:', user.id);
+        res.json({
+            success: true,
+            token: signAccessToken(user),
+            refreshToken
         });
-    }
-    
-    db.run(
-        `INSERT INTO tasks (userId, text, priority, dueDate) VALUES (?, ?, ?, ?)`,
-        [userId, text, priority, dueDate],
-        function(err) {
-            if (err) {
-                console.error('❌ Error creating task:', err);
-                return res.status(500).json({ 
-                    success: false, 
-                    error: 'Failed to create task' 
-                });
-            }
-            
-            console.log('✅ Task created with ID:', this.lastID);
-            
-            // Return the created task
-            db.get(
-                'SELECT * FROM tasks WHERE id = ?',
-                [this.lastID],
-                (err, row) => {
-                    if (err) {
-                        return res.status(500).json({ 
-                            success: false, 
-                            error: 'Task created but failed to retrieve' 
-                        });
-                    }
-                    
-                    res.json({
-                        success: true,
-                        message: 'Task created successfully',
-                        task: {
-                            ...row,
-                            completed: Boolean(row.completed)
-                        }
-                    });
-                }
-            );
+
+    } catch (error) {
+        if (error.name === 'RefreshTokenError') {
+            console.log('❌ Refresh failed:', error.message);
+            return res.status(401).json({
+                success: false,
+                error: error.message
+            });
         }
-    );
+        console.error('❌ Refresh error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error. Please try again.'
+        });
+    }
 });
 
-// Update task (toggle completion or edit text)
-app.put('/tasks/:taskId', (req, res) => {
-    const { taskId } = req.params;
-    const { completed, text, priority, dueDate } = req.body;
-    
-    console.log('✏️ Updating task:', taskId, req.body);
-    
-    // Build dynamic update query
-    const updates = [];
-    const values = [];
-    
-    if (completed !== undefined) {
-        updates.push('completed = ?');
-        values.push(completed ? 1 : 0);
-    }
-    
-    if (text !== undefined) {
-        updates.push('text = ?');
-        values.push(text);
-    }
-    
-    if (priority !== undefined) {
-        updates.push('priority = ?');
-        values.push(priority);
-    }
-    
-    if (dueDate !== undefined) {
-        updates.push('dueDate = ?');
-        values.push(dueDate);
+// Logout - revoke the session the refresh token belongs to
+app.post('/auth/logout', validateBody(refreshTokenSchema), async (req, res) => {
+    try {
+        await revokeRefreshToken(refreshTokenStore, req.body.refreshToken);
+        res.json({ success: true, message: 'Logged out successfully' });
+    } catch (error) {
+        console.error('❌ Logout error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error. Please try again.'
+        });
     }
-    
-    updates.push('updatedAt = CURRENT_TIMESTAMP');
-    values.push(taskId);
-    
-    const query = `UPDATE tasks SET ${updates.join(', ')} WHERE id = ?`;
-    
-    db.run(query, values, function(err) {
-        if (err) {
-            console.error('❌ Error updating task:', err);
-            return res.status(500).json({ 
-                success: false, 
-                error: 'Failed to update task' 
-            });
-        }
-        
-        if (this.changes === 0) {
-            return res.status(404).json({ 
-                success: false, 
-                error: 'Task not found' 
-            });
-        }
-        
-        console.log('✅ Task updated successfully');
-        
-        // Return updated task
-        db.get(
-            'SELECT * FROM tasks WHERE id = ?',
-            [taskId],
-            (err, row) => {
-                if (err) {
-                    return res.status(500).json({ 
-                        success: false, 
-                        error: 'Task updated but failed to retrieve' 
-                    });
-                }
-                
-                res.json({
-                    success: true,
-                    message: 'Task updated successfully',
-                    task: {
-                        ...row,
-                        completed: Boolean(row.completed)
-                    }
-                });
-            }
-        );
-    });
 });
 
-// Delete a task
-app.delete('/tasks/:taskId', (req, res) => {
-    const { taskId } = req.params;
-    
-    console.log('🗑️ Deleting task:', taskId);
-    
-    db.run(
-        'DELETE FROM tasks WHERE id = ?',
-        [taskId],
-        function(err) {
-            if (err) {
-                console.error('❌ Error deleting task:', err);
-                return res.status(500).json({ 
-                    success: false, 
-                    error: 'Failed to delete task' 
-                });
-            }
-            
-            if (this.changes === 0) {
-                return res.status(404).json({ 
-                    success: false, 
-                    error: 'Task not found' 
-                });
-            }
-            
-            console.log('✅ Task deleted successfully');
-            res.json({
-                success: true,
-                message: 'Task deleted successfully'
+// Verify an email address with the token from the verification email
+app.get('/auth/verify', async (req, res) => {
+    const { value, errors } = validate(req.query, verifyEmailQuerySchema);
+    if (errors) {
+        return res.status(400).json({ success: false, ...validationErrorBody(errors) });
+    }
+
+    try {
+        const userId = await consumeVerificationToken(emailVerificationStore, value.token);
+
+        await markEmailVerified(userRepository, userId);
+
+        console.log('✅ Email verified for user:', userId);
+        res.json({ success: true, message: 'Email verified successfully' });
+
+    } catch (error) {
+        if (error.name === 'EmailVerificationError') {
+            return res.status(400).json({
+                success: false,
+                error: error.message
             });
         }
-    );
+        console.error('❌ Verify email error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error. Please try again.'
+        });
+    }
 });
 
-// Get task statistics for a user
-app.get('/tasks/:userId/stats', (req, res) => {
-    const { userId } = req.params;
-    
-    db.all(
-        `SELECT 
-            COUNT(*) as total,
-            SUM(CASE WHEN completed = 1 THEN 1 ELSE 0 END) as completed,
-            SUM(CASE WHEN completed = 0 THEN 1 ELSE 0 END) as remaining
-         FROM tasks WHERE userId = ?`,
-        [userId],
-        (err, rows) => {
-            if (err) {
-                console.error('❌ Error fetching task stats:', err);
-                return res.status(500).json({ error: 'Failed to fetch stats' });
-            }
-            
-            const stats = rows[0] || { total: 0, completed: 0, remaining: 0 };
-            res.json({ success: true, stats });
+// Send a new verification email.
+// Responds the same whether or not the email is registered.
+app.post('/auth/resend-verification', validateBody(emailSchema), async (req, res) => {
+    const { email } = req.body;
+
+    try {
+        const user = await userRepository.findByEmail(email);
+
+        if (user && !user.isVerified) {
+            await sendVerificationEmail(emailVerificationStore, user);
+            console.log('📧 Verification email re-sent to user:', user.id);
         }
-    );
-});
 
-// Health check endpoint
-app.get('/health', (req, res) => {
-    res.json({ status: 'OK', message: 'Database server running' });
-});
+        res.json({
+            success: true,
+            message: 'If an unverified account exists for that email, a verification link has been sent.'
+        });
 
-// Weather endpoint
-app.get('/weather', async (req, res) => {
-    const { city } = req.query;
-    if (!city) {
-        return res.status(400).json({ error: 'City is required' });
+    } catch (error) {
+        console.error('❌ Resend verification error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error. Please try again.'
+        });
     }
+});
+
+// Request a password reset email.
+// Responds the same whether or not the email is registered.
+app.post('/auth/forgot-password', validateBody(emailSchema), async (req, res) => {
+    const { email } = req.body;
+
     try {
-        const response = await axios.get(
-            `https://api.openweathermap.org/data/2.5/weather?q=${encodeURIComponent(city)}&appid=${OPENWEATHER_API_KEY}&units=imperial`
-        );
-        res.json(response.data);
+        const user = await userRepository.findByEmail(email);
+
+        if (user) {
+            await sendPasswordResetEmail(passwordResetStore, user);
+            console.log('📧 Password reset email sent to user:', user.id);
+        }
+
+        res.json({
+            success: true,
+            message: 'If an account exists for that email, a password reset link has been sent.'
+        });
+
     } catch (error) {
-        // Add this for better debugging:
-        console.error('OpenWeather error:', error.response?.data || error.message);
-        res.status(500).json({ error: 'Failed to fetch weather data' });
+        console.error('❌ Forgot password error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error. Please try again.'
+        });
     }
 });
 
-app.get('/', (req, res) => {
-  res.send('Backend is running! Available endpoints: /register, /login, /tasks, /users');
-});
+// Reset the password with a token from the reset email and end every session
+app.post('/auth/reset-password', validateBody(resetPasswordSchema), async (req, res) => {
+    const { token, password } = req.body;
+
+    try {
+        const userId = await consumePasswordResetToken(passwordResetStore, token);
+        await setPassword(userRepository, userId, password);
+
+        await revokeAllRefreshTokens(refreshTokenStore, userId);
+
+        console.log('🔑 Password reset for user:', userId);
+        res.json({
+            success: true,
+            message: 'Password has been reset. Please log in with your new password.'
+        });
+
+    } catch (error) {
+        if (error.name === 'PasswordResetError') {
+            return res.status(400).json({
+                success: false,
+                error: error.message
+            });
+        }
+        console.error('❌ Reset password error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error. Please try again.'
+        });
+    }
+});
+
+// ====================================================================
+// TWO-FACTOR AUTHENTICATION ENDPOINTS
+// ====================================================================
+
+// Map two-factor errors to 400s, everything else to a 500
+const sendTwoFactorError = (res, label, error) => {
+    if (error.name === 'TwoFactorError') {
+        return res.status(400).json({ success: false, error: error.message });
+    }
+    if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
+        return res.status(401).json({ success: false, error: 'Invalid or expired challenge token' });
+    }
+    console.error(`❌ ${label} error:`, error);
+    res.status(500).json({
+        success: false,
+        error: 'Internal server error. Please try again.'
+    });
+};
+
+// Start enrollment - returns the secret and otpauth:// URI for the authenticator app
+app.post('/auth/2fa/setup', authenticateToken, async (req, res) => {
+    try {
+        const enrollment = await startEnrollment(twoFactorStore, req.user);
+        res.json({
+            success: true,
+            message: 'Scan the QR code with your authenticator app, then confirm with a code',
+            ...enrollment
+        });
+    } catch (error) {
+        sendTwoFactorError(res, '2FA setup', error);
+    }
+});
+
+// Confirm enrollment with a first code - returns the recovery codes once
+app.post('/auth/2fa/confirm', authenticateToken, validateBody(twoFactorCodeSchema), async (req, res) => {
+    const { code } = req.body;
+
+    try {
+        const recoveryCodes = await confirmEnrollment(twoFactorStore, req.user.id, code);
+        console.log('🔐 2FA enabled for user:', req.user.id);
+        res.json({
+            success: true,
+            message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe.',
+            recoveryCodes
+        });
+    } catch (error) {
+        sendTwoFactorError(res, '2FA confirm', error);
+    }
+});
+
+// Second login step - exchange the challenge token and a code for a session
+app.post('/auth/2fa/verify', validateBody(twoFactorVerifySchema), async (req, res) => {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    try {
+        const { userId } = verifyChallengeToken(challengeToken);
+
+        const { allowed, retryAfter } = await checkRateLimit(rateLimitStore, 'twoFactor', userId);
+        if (!allowed) {
+            return sendTooManyRequests(res, retryAfter);
+        }
+
+        const method = await verifySecondFactor(twoFactorStore, userId, { code, recoveryCode });
+
+        const user = await userRepository.findById(userId);
+
+        if (!user) {
+            return res.status(401).json({ success: false, error: 'Invalid or expired challenge token' });
+        }
+
+        console.log(`✅ 2FA login (${method}) successful for user:`, user.email);
+
+        res.json({
+            success: true,
+            message: 'Login successful!',
+            user: toResponseUser(user),
+            token: signAccessToken(user),
+            refreshToken: await issueRefreshToken(refreshTokenStore, user.id)
+        });
+    } catch (error) {
+        sendTwoFactorError(res, '2FA verify', error);
+    }
+});
+
+// Turn 2FA off - needs a current code or a recovery code
+app.post('/auth/2fa/disable', authenticateToken, validateBody(twoFactorFactorSchema), async (req, res) => {
+    const { code, recoveryCode } = req.body;
+
+    try {
+        await disableTwoFactor(twoFactorStore, req.user.id, { code, recoveryCode });
+        console.log('🔓 2FA disabled for user:', req.user.id);
+        res.json({ success: true, message: 'Two-factor authentication disabled' });
+    } catch (error) {
+        sendTwoFactorError(res, '2FA disable', error);
+    }
+});
+
+// Replace the recovery codes - needs a current code
+app.post('/auth/2fa/recovery-codes', authenticateToken, validateBody(twoFactorCodeSchema), async (req, res) => {
+    const { code } = req.body;
+
+    try {
+        const recoveryCodes = await regenerateRecoveryCodes(twoFactorStore, req.user.id, code);
+        res.json({
+            success: true,
+            message: 'New recovery codes generated. Your old codes no longer work.',
+            recoveryCodes
+        });
+    } catch (error) {
+        sendTwoFactorError(res, '2FA recovery codes', error);
+    }
+});
+
+// Logout everywhere - revoke every refresh token of the authenticated user
+app.post('/auth/logout-all', authenticateToken, async (req, res) => {
+    try {
+        await revokeAllRefreshTokens(refreshTokenStore, req.user.id);
+        console.log('🚪 Logged out all sessions for user:', req.user.id);
+        res.json({ success: true, message: 'Logged out of all sessions' });
+    } catch (error) {
+        console.error('❌ Logout all error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error. Please try again.'
+        });
+    }
+});
+
+// ====================================================================
+// ADMIN ENDPOINTS
+// ====================================================================
+
+// Unlock an account locked by repeated failed logins
+app.post('/admin/unlock', authenticateToken, requireAdmin, validateBody(emailSchema), async (req, res) => {
+    const { email } = req.body;
+
+    try {
+        await clearLoginFailures(rateLimitStore, email);
+        console.log(`🔓 Account unlocked by ${req.user.email}:`, email);
+        res.json({ success: true, message: 'Account unlocked' });
+    } catch (error) {
+        console.error('❌ Unlock error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error. Please try again.'
+        });
+    }
+});
+
+// ====================================================================
+// TASK MANAGEMENT ENDPOINTS FOR TODOAPP
+// ====================================================================
+
+// Server-Sent Events with the changes to the tasks the authenticated user can see:
+// task.created, task.updated and task.deleted. Opened with ?ticket= from
+// POST /tasks/stream/ticket (or an Authorization header). A client that
+// reconnects, with a new ticket once its own has expired, sends Last-Event-ID and
+// gets the events it missed, or `resync` when it should refetch. A comment line
+// every 25 seconds keeps the connection open through proxies.
+app.get('/tasks/stream', authenticateStreamTicket, (req, res) => {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write('retry: 5000\n\n');
+
+    const unsubscribe = taskEvents.subscribe(
+        req.user.id,
+        (event) => res.write(formatTaskEvent(event)),
+        req.get('Last-Event-ID')
+    );
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), TASK_STREAM_HEARTBEAT_MS);
+
+    // The response closes when the client goes away; the request closes as soon
+    // as its (empty) body has been read
+    res.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    });
+});
+
+// Every other task endpoint requires a valid access token
+app.use('/tasks', authenticateToken);
+
+// A ticket that opens the authenticated user's event stream for the next minute
+app.post('/tasks/stream/ticket', (req, res) => {
+    res.json({ success: true, ticket: signStreamTicket(req.user.id) });
+});
+
+// Get the authenticated user's tasks, with optional filters, sorting and
+// cursor pagination (see backend/src/utils/taskQuery.js for the query parameters)
+app.get('/tasks/:userId', requireSameUser, async (req, res) => {
+    const userId = req.user.id;
+    
+    console.log('📋 Getting tasks for user:', userId, req.query);
+
+    let options;
+    try {
+        options = parseTaskListQuery(req.query);
+    } catch (error) {
+        return res.status(400).json({ success: false, ...validationErrorBody(error.details) });
+    }
+
+    try {
+        const page = await listTasks(taskRepository, userId, options);
+        
+        console.log(`✅ Found ${page.tasks.length} tasks for user ${userId}`);
+        res.json({ 
+            success: true, 
+            tasks: page.tasks,
+            nextCursor: page.nextCursor
+        });
+    } catch (error) {
+        console.error('❌ Error fetching tasks:', error);
+        res.status(500).json({ error: 'Failed to fetch tasks' });
+    }
+});
+
+// Create a new task for the authenticated user. A task created by an editor
+// in a list shared with them belongs to the list's owner.
+app.post('/tasks', requireVerified, validateBody(createTaskSchema), async (req, res) => {
+    const userId = req.user.id;
+    
+    console.log('➕ Creating new task:', { userId, text: req.body.text, priority: req.body.priority });
+
+    try {
+        let ownerId = userId;
+        if (req.body.listId !== null) {
+            const access = await getListAccess(listRepository, shareRepository, userId, req.body.listId);
+            if (access && !canEdit(access.role)) {
+                return res.status(403).json({ success: false, error: 'You can only view the tasks of this list' });
+            }
+            ownerId = access ? access.ownerId : userId;
+        }
+        if (String(ownerId) !== String(userId) && req.body.tagIds.length > 0) {
+            return res.status(403).json({ success: false, error: 'Only the owner of the list can tag its tasks' });
+        }
+
+        const task = await createTask(taskRepository, ownerId, req.body, labelRepositories);
+        await publishTaskEvent('task.created', { task }, task);
+        
+        console.log('✅ Task created with ID:', task.id);
+        res.set('ETag', taskEtag(task));
+        res.json({
+            success: true,
+            message: 'Task created successfully',
+            task
+        });
+    } catch (error) {
+        if (error.name === 'TaskError') {
+            return res.status(400).json({ success: false, error: error.message });
+        }
+        console.error('❌ Error creating task:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: 'Failed to create task' 
+        });
+    }
+});
+
+// Update task (toggle completion, edit text, move it to another list or retag it).
+// Only the owner's tasks and those of lists shared with the user as an editor
+// match, so other users' tasks are reported as not found.
+// Editors may not move a task to another list or retag it (see changesTaskLabels).
+// Completing a recurring task also returns the next occurrence it created.
+// With If-Match, a task changed since the client's version is left alone (409).
+app.put('/tasks/:taskId', requireVerified, requireTaskEditor, validateBody(updateTaskSchema), async (req, res) => {
+    const { taskId } = req.params;
+    
+    console.log('✏️ Updating task:', taskId, req.body);
+
+    if (String(req.taskOwnerId) !== String(req.user.id) && changesTaskLabels(req.body, req.task)) {
+        return res.status(403).json({
+            success: false,
+            error: 'Only the owner of the list can move its tasks to another list or retag them'
+        });
+    }
+
+    try {
+        const updated = await updateTask(
+            taskRepository,
+            req.taskOwnerId,
+            taskId,
+            req.body,
+            labelRepositories,
+            req.user.id,
+            ifMatchVersions(req.get('If-Match'))
+        );
+
+        if (!updated) {
+            return sendTaskConflictOrNotFound(req, res);
+        }
+        
+        const { nextOccurrence, ...task } = updated;
+        await publishTaskEvent('task.updated', { task }, req.task, task);
+        if (nextOccurrence) {
+            await publishTaskEvent('task.created', { task: nextOccurrence }, nextOccurrence);
+        }
+        console.log('✅ Task updated successfully');
+        res.set('ETag', taskEtag(task));
+        res.json({
+            success: true,
+            message: 'Task updated successfully',
+            task,
+            ...(nextOccurrence && { nextOccurrence })
+        });
+    } catch (error) {
+        if (error.name === 'TaskError') {
+            return res.status(400).json({ success: false, error: error.message });
+        }
+        console.error('❌ Error updating task:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: 'Failed to update task' 
+        });
+    }
+});
+
+// Move a task owned by the authenticated user, or in a list they edit, to the
+// owner's trash; it is purged after TASK_TRASH_RETENTION_DAYS unless restored.
+// Takes If-Match like updates.
+app.delete('/tasks/:taskId', requireVerified, requireTaskEditor, async (req, res) => {
+    const { taskId } = req.params;
+    
+    console.log('🗑️ Deleting task:', taskId);
+
+    try {
+        const deleted = await deleteTask(taskRepository, req.taskOwnerId, taskId, ifMatchVersions(req.get('If-Match')));
+
+        if (!deleted) {
+            return sendTaskConflictOrNotFound(req, res);
+        }
+        
+        await publishTaskEvent('task.deleted', { id: req.task.id, listId: req.task.listId }, req.task);
+        console.log('✅ Task moved to trash');
+        res.json({
+            success: true,
+            message: 'Task moved to trash'
+        });
+    } catch (error) {
+        console.error('❌ Error deleting task:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: 'Failed to delete task' 
+        });
+    }
+});
+
+// Apply several changes to the authenticated user's own tasks at once: create,
+// update and delete operations plus the complete-all and delete-completed
+// shortcuts. They run in order in one transaction, so if any fails none is kept
+// and every operation is reported as failed, rolled back or skipped.
+app.post('/tasks/bulk', requireVerified, validateBody(bulkTasksSchema), async (req, res) => {
+    const { operations } = req.body;
+
+    console.log('📦 Applying bulk task operations:', { userId: req.user.id, count: operations.length });
+
+    try {
+        const updated = operations.filter(({ op }) => op === 'update');
+        // The updated tasks are read in the same transaction, so the events compare
+        // them with what they were right before the changes
+        const { before, results } = await transaction(async () => {
+            const before = (await Promise.all(
+                updated.map(({ id }) => taskRepository.findById(req.user.id, id))
+            )).filter(Boolean);
+            const results = await applyBulkOperations(taskRepository, req.user.id, operations, labelRepositories);
+            return { before, results };
+        });
+
+        await publishBulkTaskEvents(req.user.id, results, before);
+        console.log('✅ Bulk task operations applied');
+        res.json({
+            success: true,
+            message: `${results.length} operations applied`,
+            results
+        });
+    } catch (error) {
+        if (error.name === 'BulkOperationError') {
+            return res.status(400).json({
+                success: false,
+                error: error.message,
+                results: operations.map(({ op }, index) => {
+                    if (index < error.index) return { op, status: 'rolledBack' };
+                    if (index > error.index) return { op, status: 'skipped' };
+                    return { op, status: 'failed', error: error.reason };
+                })
+            });
+        }
+        console.error('❌ Error applying bulk task operations:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to apply bulk task operations'
+        });
+    }
+});
+
+// Download all of the authenticated user's tasks as JSON, CSV or iCalendar
+// (?format=json|csv|ics, see backend/src/utils/taskTransfer.js)
+app.get('/tasks/:userId/export', requireSameUser, async (req, res) => {
+    const { value, errors } = validate(req.query, exportTasksQuerySchema);
+    if (errors) {
+        return res.status(400).json({ success: false, ...validationErrorBody(errors) });
+    }
+
+    try {
+        const { contentType, body } = await exportTasks(
+            { tasks: taskRepository, lists: listRepository },
+            req.user.id,
+            value.format
+        );
+        res.set('Content-Type', contentType);
+        res.attachment(`tasks.${value.format}`);
+        res.send(body);
+    } catch (error) {
+        console.error('❌ Error exporting tasks:', error);
+        res.status(500).json({ success: false, error: 'Failed to export tasks' });
+    }
+});
+
+// Import tasks from an exported file into the authenticated user's tasks.
+// Invalid rows and duplicates are skipped and reported row by row; with
+// dryRun the report is all that happens. The tasks are written in one
+// transaction, which other requests' statements wait for rather than join
+// (see backend/src/repositories/sqliteConnection.js).
+app.post('/tasks/import', requireVerified, validateBody(importTasksSchema), async (req, res) => {
+    const repositories = { tasks: taskRepository, ...labelRepositories };
+
+    console.log('📥 Importing tasks:', { userId: req.user.id, format: req.body.format, dryRun: req.body.dryRun });
+
+    try {
+        const report = req.body.dryRun
+            ? await importTasks(repositories, req.user.id, req.body)
+            : await transaction(() => importTasks(repositories, req.user.id, req.body));
+        for (const { status, task } of report.rows) {
+            if (status === 'created') await publishTaskEvent('task.created', { task }, task);
+        }
+
+        console.log('✅ Tasks imported:', report.summary);
+        res.json({ success: true, ...report });
+    } catch (error) {
+        if (error.name === 'TaskImportError') {
+            return res.status(400).json({ success: false, error: error.message });
+        }
+        console.error('❌ Error importing tasks:', error);
+        res.status(500).json({ success: false, error: 'Failed to import tasks' });
+    }
+});
+
+// Get the tasks in the authenticated user's trash, most recently deleted first
+app.get('/tasks/:userId/trash', requireSameUser, async (req, res) => {
+    try {
+        const tasks = await listTrash(taskRepository, req.user.id);
+        res.json({ success: true, tasks, retentionDays: getTrashRetentionDays() });
+    } catch (error) {
+        console.error('❌ Error fetching trash:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch trash' });
+    }
+});
+
+// Take a task out of the trash: one of the authenticated user's own, or one
+// deleted from a list they edit, which went to the list owner's trash
+app.post('/tasks/:taskId/restore', requireVerified, async (req, res) => {
+    try {
+        const access = await getTrashedTaskAccess(taskRepository, shareRepository, req.user.id, req.params.taskId);
+        if (!access) {
+            return res.status(404).json({ success: false, error: 'Task not found in trash' });
+        }
+        if (!canEdit(access.role)) {
+            return res.status(403).json({ success: false, error: 'You can only view the tasks of this list' });
+        }
+
+        const task = await restoreTask(taskRepository, access.ownerId, req.params.taskId);
+        if (!task) {
+            return res.status(404).json({ success: false, error: 'Task not found in trash' });
+        }
+
+        // Clients dropped the task when it was deleted, so it is new to them again
+        await publishTaskEvent('task.created', { task }, task);
+        res.json({ success: true, message: 'Task restored successfully', task });
+    } catch (error) {
+        console.error('❌ Error restoring task:', error);
+        res.status(500).json({ success: false, error: 'Failed to restore task' });
+    }
+});
+
+// Add a checklist item to the end of a task's subtasks
+app.post('/tasks/:taskId/subtasks', requireVerified, requireTaskEditor, validateBody(createSubtaskSchema), async (req, res) => {
+    const { taskId } = req.params;
+
+    try {
+        const result = await addSubtask(taskRepository, req.taskOwnerId, taskId, req.body, req.user.id);
+
+        if (!result) {
+            return res.status(404).json({ success: false, error: 'Task not found' });
+        }
+
+        await publishTaskEvent('task.updated', { task: result.task }, result.task);
+        res.status(201).json({
+            success: true,
+            message: 'Subtask added successfully',
+            ...result
+        });
+    } catch (error) {
+        console.error('❌ Error adding subtask:', error);
+        res.status(500).json({ success: false, error: 'Failed to add subtask' });
+    }
+});
+
+// Reorder a task's subtasks: { order: [every subtask id, in the new order] }
+app.put('/tasks/:taskId/subtasks', requireVerified, requireTaskEditor, validateBody(reorderSubtasksSchema), async (req, res) => {
+    const { taskId } = req.params;
+
+    try {
+        const task = await reorderSubtasks(taskRepository, req.taskOwnerId, taskId, req.body);
+
+        if (!task) {
+            return res.status(404).json({ success: false, error: 'Task not found' });
+        }
+
+        await publishTaskEvent('task.updated', { task }, task);
+        res.json({
+            success: true,
+            message: 'Subtasks reordered successfully',
+            task
+        });
+    } catch (error) {
+        if (error.name === 'TaskError') {
+            return res.status(400).json({ success: false, error: error.message });
+        }
+        console.error('❌ Error reordering subtasks:', error);
+        res.status(500).json({ success: false, error: 'Failed to reorder subtasks' });
+    }
+});
+
+// Edit or complete a subtask; the parent task is returned as well, since
+// autoComplete may have changed it (and, if it recurs, created the next occurrence)
+app.put('/tasks/:taskId/subtasks/:subtaskId', requireVerified, requireTaskEditor, validateBody(updateSubtaskSchema), async (req, res) => {
+    const { taskId, subtaskId } = req.params;
+
+    try {
+        const result = await updateSubtask(taskRepository, req.taskOwnerId, taskId, subtaskId, req.body, req.user.id);
+
+        if (!result) {
+            return res.status(404).json({ success: false, error: 'Subtask not found' });
+        }
+
+        const { nextOccurrence, ...task } = result.task;
+        await publishTaskEvent('task.updated', { task }, task);
+        if (nextOccurrence) {
+            await publishTaskEvent('task.created', { task: nextOccurrence }, nextOccurrence);
+        }
+        res.json({
+            success: true,
+            message: 'Subtask updated successfully',
+            task,
+            subtask: result.subtask,
+            ...(nextOccurrence && { nextOccurrence })
+        });
+    } catch (error) {
+        console.error('❌ Error updating subtask:', error);
+        res.status(500).json({ success: false, error: 'Failed to update subtask' });
+    }
+});
+
+// Delete a subtask
+app.delete('/tasks/:taskId/subtasks/:subtaskId', requireVerified, requireTaskEditor, async (req, res) => {
+    const { taskId, subtaskId } = req.params;
+
+    try {
+        const task = await deleteSubtask(taskRepository, req.taskOwnerId, taskId, subtaskId, req.user.id);
+
+        if (!task) {
+            return res.status(404).json({ success: false, error: 'Subtask not found' });
+        }
+
+        const { nextOccurrence, ...changed } = task;
+        await publishTaskEvent('task.updated', { task: changed }, changed);
+        if (nextOccurrence) {
+            await publishTaskEvent('task.created', { task: nextOccurrence }, nextOccurrence);
+        }
+        res.json({
+            success: true,
+            message: 'Subtask deleted successfully',
+            task
+        });
+    } catch (error) {
+        console.error('❌ Error deleting subtask:', error);
+        res.status(500).json({ success: false, error: 'Failed to delete subtask' });
+    }
+});
+
+// Get task statistics for the authenticated user; subtasks are counted
+// separately so a checklist does not inflate the task totals. Takes the
+// task list's filters, e.g. ?listId=3 or ?tagId=1,2
+app.get('/tasks/:userId/stats', requireSameUser, async (req, res) => {
+    let options;
+    try {
+        options = parseTaskStatsQuery(req.query);
+    } catch (error) {
+        return res.status(400).json({ success: false, ...validationErrorBody(error.details) });
+    }
+
+    try {
+        const stats = await getTaskStats(taskRepository, req.user.id, options);
+        res.json({ success: true, stats });
+    } catch (error) {
+        console.error('❌ Error fetching task stats:', error);
+        res.status(500).json({ error: 'Failed to fetch stats' });
+    }
+});
+
+// Productivity analytics for the authenticated user: completions per day or week
+// from ?from to ?to, counted in ?timezone, plus overdue tasks, the average time
+// to complete, a breakdown by priority and the current streak
+app.get('/tasks/:userId/analytics', requireSameUser, async (req, res) => {
+    let options;
+    try {
+        options = parseTaskAnalyticsQuery(req.query);
+    } catch (error) {
+        return res.status(400).json({ success: false, ...validationErrorBody(error.details) });
+    }
+
+    try {
+        const analytics = await getTaskAnalytics(taskRepository, req.user.id, options);
+        res.json({ success: true, analytics });
+    } catch (error) {
+        console.error('❌ Error fetching task analytics:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch analytics' });
+    }
+});
+
+// The authenticated user's tasks changed and deleted since the sync token in
+// ?since, or all of them without one; see backend/src/utils/sync.js
+app.use('/sync', authenticateToken);
+
+app.get('/sync', async (req, res) => {
+    try {
+        const changes = await syncTasks(taskRepository, req.user.id, req.query.since);
+        res.json({ success: true, ...changes });
+    } catch (error) {
+        if (error.name === 'SyncError') {
+            return res.status(400).json({ success: false, error: error.message });
+        }
+        console.error('❌ Error syncing tasks:', error);
+        res.status(500).json({ success: false, error: 'Failed to sync tasks' });
+    }
+});
+
+// How the authenticated user gets reminders of due and overdue tasks
+// (see backend/src/utils/reminders.js)
+app.use('/reminders', authenticateToken);
+
+app.get('/reminders/settings', async (req, res) => {
+    try {
+        const settings = await getReminderSettings(reminderRepository, req.user.id);
+        res.json({ success: true, settings });
+    } catch (error) {
+        console.error('❌ Error fetching reminder settings:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch reminder settings' });
+    }
+});
+
+app.put('/reminders/settings', requireVerified, validateBody(reminderSettingsSchema), async (req, res) => {
+    try {
+        const settings = await updateReminderSettings(reminderRepository, req.user.id, req.body);
+        res.json({ success: true, message: 'Reminder settings updated successfully', settings });
+    } catch (error) {
+        if (error.name === 'ReminderError') {
+            return res.status(400).json({ success: false, error: error.message });
+        }
+        console.error('❌ Error updating reminder settings:', error);
+        res.status(500).json({ success: false, error: 'Failed to update reminder settings' });
+    }
+});
+
+// ====================================================================
+// TASK LISTS AND TAGS
+// ====================================================================
+
+app.use('/lists', authenticateToken);
+app.use('/tags', authenticateToken);
+
+// Get the authenticated user's lists, in order, and the lists shared with them
+app.get('/lists', async (req, res) => {
+    try {
+        const lists = await listLists(listRepository, req.user.id);
+        const sharedLists = await listSharedLists(listRepository, shareRepository, req.user.id);
+        res.json({ success: true, lists, sharedLists });
+    } catch (error) {
+        console.error('❌ Error fetching lists:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch lists' });
+    }
+});
+
+// Create a list at the end of the user's lists
+app.post('/lists', requireVerified, validateBody(createListSchema), async (req, res) => {
+    try {
+        const list = await createList(listRepository, req.user.id, req.body);
+        res.status(201).json({ success: true, message: 'List created successfully', list });
+    } catch (error) {
+        if (error.name === 'ListError') {
+            return res.status(409).json({ success: false, error: error.message });
+        }
+        console.error('❌ Error creating list:', error);
+        res.status(500).json({ success: false, error: 'Failed to create list' });
+    }
+});
+
+// Reorder the user's lists: { order: [every list id, in the new order] }
+app.put('/lists', requireVerified, validateBody(reorderListsSchema), async (req, res) => {
+    try {
+        const lists = await reorderLists(listRepository, req.user.id, req.body);
+        res.json({ success: true, message: 'Lists reordered successfully', lists });
+    } catch (error) {
+        if (error.name === 'TaskError') {
+            return res.status(400).json({ success: false, error: error.message });
+        }
+        console.error('❌ Error reordering lists:', error);
+        res.status(500).json({ success: false, error: 'Failed to reorder lists' });
+    }
+});
+
+// Rename or recolor a list
+app.put('/lists/:listId', requireVerified, validateBody(updateListSchema), async (req, res) => {
+    try {
+        const list = await updateList(listRepository, req.user.id, req.params.listId, req.body);
+
+        if (!list) {
+            return res.status(404).json({ success: false, error: 'List not found' });
+        }
+
+        res.json({ success: true, message: 'List updated successfully', list });
+    } catch (error) {
+        if (error.name === 'ListError') {
+            return res.status(409).json({ success: false, error: error.message });
+        }
+        console.error('❌ Error updating list:', error);
+        res.status(500).json({ success: false, error: 'Failed to update list' });
+    }
+});
+
+// Delete a list; its tasks are kept, outside any list
+app.delete('/lists/:listId', requireVerified, async (req, res) => {
+    try {
+        const deleted = await deleteList(listRepository, req.user.id, req.params.listId);
+
+        if (!deleted) {
+            return res.status(404).json({ success: false, error: 'List not found' });
+        }
+
+        res.json({ success: true, message: 'List deleted successfully' });
+    } catch (error) {
+        console.error('❌ Error deleting list:', error);
+        res.status(500).json({ success: false, error: 'Failed to delete list' });
+    }
+});
+
+// Get the tasks of a list the user owns or is a member of; takes the task
+// list's query parameters
+app.get('/lists/:listId/tasks', async (req, res) => {
+    let options;
+    try {
+        options = parseTaskListQuery(req.query);
+    } catch (error) {
+        return res.status(400).json({ success: false, ...validationErrorBody(error.details) });
+    }
+
+    try {
+        const access = await getListAccess(listRepository, shareRepository, req.user.id, req.params.listId);
+
+        if (!access) {
+            return res.status(404).json({ success: false, error: 'List not found' });
+        }
+
+        const page = await listTasks(taskRepository, access.ownerId, { ...options, listId: access.list.id });
+        res.json({ success: true, role: access.role, tasks: page.tasks, nextCursor: page.nextCursor });
+    } catch (error) {
+        console.error('❌ Error fetching list tasks:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch tasks' });
+    }
+});
+
+// Get the owner and accepted members of a list
+app.get('/lists/:listId/members', async (req, res) => {
+    try {
+        const result = await listMembers(sharingRepositories, req.user.id, req.params.listId);
+
+        if (!result) {
+            return res.status(404).json({ success: false, error: 'List not found' });
+        }
+
+        res.json({ success: true, ...result });
+    } catch (error) {
+        console.error('❌ Error fetching list members:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch members' });
+    }
+});
+
+// Invite a registered user to one of your lists: { email, role: viewer | editor }.
+// Inviting a member again changes their role. The answer is the same whether or
+// not anyone is registered with the email, and invitations only show up in the
+// member list once accepted, so neither can be used to find out.
+app.post('/lists/:listId/members', requireVerified, validateBody(shareListSchema), async (req, res) => {
+    try {
+        const shared = await shareList(sharingRepositories, req.user.id, req.params.listId, req.body);
+
+        if (!shared) {
+            return res.status(404).json({ success: false, error: 'List not found' });
+        }
+
+        res.status(202).json({ success: true, message: 'Invitation sent if the email is registered' });
+    } catch (error) {
+        if (error.name === 'ShareError') {
+            return res.status(400).json({ success: false, error: error.message });
+        }
+        console.error('❌ Error sharing list:', error);
+        res.status(500).json({ success: false, error: 'Failed to share list' });
+    }
+});
+
+// Change a member's role
+app.put('/lists/:listId/members/:memberId', requireVerified, validateBody(updateShareSchema), async (req, res) => {
+    const { listId, memberId } = req.params;
+
+    try {
+        const member = await updateMember(sharingRepositories, req.user.id, listId, memberId, req.body);
+
+        if (!member) {
+            return res.status(404).json({ success: false, error: 'Member not found' });
+        }
+
+        res.json({ success: true, message: 'Member updated successfully', member });
+    } catch (error) {
+        console.error('❌ Error updating member:', error);
+        res.status(500).json({ success: false, error: 'Failed to update member' });
+    }
+});
+
+// Remove a member (the owner), or leave a shared list (the member themselves)
+app.delete('/lists/:listId/members/:memberId', requireVerified, async (req, res) => {
+    const { listId, memberId } = req.params;
+
+    try {
+        const removed = await removeMember(sharingRepositories, req.user.id, listId, memberId);
+
+        if (!removed) {
+            return res.status(404).json({ success: false, error: 'Member not found' });
+        }
+
+        res.json({ success: true, message: 'Member removed successfully' });
+    } catch (error) {
+        console.error('❌ Error removing member:', error);
+        res.status(500).json({ success: false, error: 'Failed to remove member' });
+    }
+});
+
+// Invitations to other users' lists
+app.use('/invitations', authenticateToken);
+
+// Get the authenticated user's pending invitations
+app.get('/invitations', async (req, res) => {
+    try {
+        const invitations = await listInvitations(sharingRepositories, req.user.id);
+        res.json({ success: true, invitations });
+    } catch (error) {
+        console.error('❌ Error fetching invitations:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch invitations' });
+    }
+});
+
+// Accept or decline the invitation to a list
+const answerInvitation = (accept) => async (req, res) => {
+    try {
+        const share = await respondToInvitation(shareRepository, req.user.id, req.params.listId, accept);
+
+        if (!share) {
+            return res.status(404).json({ success: false, error: 'Invitation not found' });
+        }
+
+        res.json({ success: true, message: accept ? 'Invitation accepted' : 'Invitation declined', share });
+    } catch (error) {
+        console.error('❌ Error answering invitation:', error);
+        res.status(500).json({ success: false, error: 'Failed to answer invitation' });
+    }
+};
+
+app.post('/invitations/:listId/accept', requireVerified, answerInvitation(true));
+app.post('/invitations/:listId/decline', requireVerified, answerInvitation(false));
+
+// Get the authenticated user's tags, by name
+app.get('/tags', async (req, res) => {
+    try {
+        const tags = await listTags(tagRepository, req.user.id);
+        res.json({ success: true, tags });
+    } catch (error) {
+        console.error('❌ Error fetching tags:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch tags' });
+    }
+});
+
+// Create a tag
+app.post('/tags', requireVerified, validateBody(createTagSchema), async (req, res) => {
+    try {
+        const tag = await createTag(tagRepository, req.user.id, req.body);
+        res.status(201).json({ success: true, message: 'Tag created successfully', tag });
+    } catch (error) {
+        if (error.name === 'TagError') {
+            return res.status(409).json({ success: false, error: error.message });
+        }
+        console.error('❌ Error creating tag:', error);
+        res.status(500).json({ success: false, error: 'Failed to create tag' });
+    }
+});
+
+// Rename or recolor a tag
+app.put('/tags/:tagId', requireVerified, validateBody(updateTagSchema), async (req, res) => {
+    try {
+        const tag = await updateTag(tagRepository, req.user.id, req.params.tagId, req.body);
+
+        if (!tag) {
+            return res.status(404).json({ success: false, error: 'Tag not found' });
+        }
+
+        res.json({ success: true, message: 'Tag updated successfully', tag });
+    } catch (error) {
+        if (error.name === 'TagError') {
+            return res.status(409).json({ success: false, error: error.message });
+        }
+        console.error('❌ Error updating tag:', error);
+        res.status(500).json({ success: false, error: 'Failed to update tag' });
+    }
+});
+
+// Delete a tag, removing it from every task that has it
+app.delete('/tags/:tagId', requireVerified, async (req, res) => {
+    try {
+        const deleted = await deleteTag(tagRepository, req.user.id, req.params.tagId);
+
+        if (!deleted) {
+            return res.status(404).json({ success: false, error: 'Tag not found' });
+        }
+
+        res.json({ success: true, message: 'Tag deleted successfully' });
+    } catch (error) {
+        console.error('❌ Error deleting tag:', error);
+        res.status(500).json({ success: false, error: 'Failed to delete tag' });
+    }
+});
+
+// Health check endpoint
+app.get('/health', (req, res) => {
+    res.json({ status: 'OK', message: 'Database server running' });
+});
+
+// Weather endpoint
+app.get('/weather', async (req, res) => {
+    const { city } = req.query;
+    if (!city) {
+        return res.status(400).json({ error: 'City is required' });
+    }
+    try {
+        const response = await axios.get(
+            `https://api.openweathermap.org/data/2.5/weather?q=${encodeURIComponent(city)}&appid=${OPENWEATHER_API_KEY}&units=imperial`
+        );
+        res.json(response.data);
+    } catch (error) {
+        // Add this for better debugging:
+        console.error('OpenWeather error:', error.response?.data || error.message);
+        res.status(500).json({ error: 'Failed to fetch weather data' });
+    }
+});
+
+app.get('/', (req, res) => {
+  res.send('Backend is running! Available endpoints: /register, /login, /tasks, /lists, /tags, /invitations, /sync, /reminders, /users');
+});
+
+// Permanently remove tasks that have been in the trash longer than the retention period
+const TRASH_PURGE_INTERVAL_MS = 60 * 60 * 1000; // hourly
+const purgeExpiredTasks = async () => {
+    try {
+        const purged = await purgeTrash(taskRepository);
+        for (const task of purged) {
+            await publishTaskEvent('task.deleted', { id: task.id, listId: task.listId }, task);
+        }
+        if (purged.length > 0) {
+            console.log(`🧹 Purged ${purged.length} tasks from the trash`);
+        }
+    } catch (error) {
+        console.error('❌ Error purging the trash:', error);
+    }
+};
+
+// Send the reminders, overdue notices and digests that are due
+const REMINDER_INTERVAL_MS = 60 * 1000; // every minute
+const sendDueReminders = async () => {
+    try {
+        const { sent, failed } = await sendReminders({
+            users: userRepository,
+            tasks: taskRepository,
+            reminders: reminderRepository
+        });
+        if (sent > 0 || failed > 0) {
+            console.log(`⏰ Sent ${sent} reminders, ${failed} failed`);
+        }
+    } catch (error) {
+        console.error('❌ Error sending reminders:', error);
+    }
+};
+
+// Start listening only when run directly, so tests can import the app
+if (require.main === module) {
+    ready.then(() => {
+        purgeExpiredTasks();
+        setInterval(purgeExpiredTasks, TRASH_PURGE_INTERVAL_MS).unref();
+        sendDueReminders();
+        setInterval(sendDueReminders, REMINDER_INTERVAL_MS).unref();
+
+        app.listen(PORT, () => {
+            console.log(`🚀 Database-powered server running on http://localhost:${PORT}`);
+            console.log(`📝 Registration endpoint: http://localhost:${PORT}/register`);
+            console.log(`🔐 Login endpoint: http://localhost:${PORT}/login`);
+            console.log(`📋 Task endpoints: http://localhost:${PORT}/tasks`);
+            console.log(`👥 View users: http://localhost:${PORT}/users`);
+            console.log(`💾 Database: ${dbPath}`);
+        });
+    }).catch((error) => {
+        console.error(`❌ ${error.message}`);
+        console.error('   Run `npm run migrate` to update the database, then start the server again.');
+        process.exit(1);
+    });
+}
 
-app.listen(PORT, () => {
-    console.log(`🚀 Database-powered server running on http://localhost:${PORT}`);
-    console.log(`📝 Registration endpoint: http://localhost:${PORT}/register`);
-    console.log(`🔐 Login endpoint: http://localhost:${PORT}/login`);
-    console.log(`📋 Task endpoints: http://localhost:${PORT}/tasks`);
-    console.log(`👥 View users: http://localhost:${PORT}/users`);
-    console.log(`💾 Database: ${dbPath}`);
-});
\ No newline at end of file
+// `ready` resolves once the database schema is usable
+module.exports = { app, db, ready };
@@ -0,0 +1,201 @@
+/**
+ * Email verification tokens, and what EMAIL_VERIFICATION_POLICY lets an
+ * unverified account do.
+ */
+process.env.JWT_SECRET = 'test-secret';
+process.env.DB_PATH = ':memory:';
+process.env.EMAIL_VERIFICATION_POLICY = 'limited';
+
+const { createMemoryRepositories } = require('../backend/src/repositories/memory');
+const { setTransport } = require('../backend/src/utils/mailer');
+const {
+  EMAIL_VERIFICATION_TTL_MS,
+  EmailVerificationError,
+  sendVerificationEmail,
+  consumeVerificationToken
+} = require('../backend/src/utils/emailVerification');
+const { signAccessToken } = require('../backend/src/utils/tokens');
+const { app, db, ready } = require('../server-db');
+const recipeHandlers = require('../backend/src/handlers/recipes');
+const pantryHandlers = require('../backend/src/handlers/pantry');
+
+// The Lambdas keep their data in memory instead of DynamoDB
+jest.mock('../backend/src/repositories/dynamodb', () => {
+  const repositories = jest.requireActual('../backend/src/repositories/memory').createMemoryRepositories();
+  return { createDynamoRepositories: () => repositories };
+});
+
+const USER = { id: 7, email: 'ada@example.com', firstName: 'Ada' };
+
+let sent;
+
+// The token of the last verification link sent
+const lastToken = () => new URL(sent[sent.length - 1].text.match(/https?:\/\/\S+/)[0]).searchParams.get('token');
+
+beforeEach(() => {
+  sent = [];
+  setTransport(async (message) => { sent.push(message); });
+});
+
+afterAll(() => {
+  setTransport(null);
+});
+
+describe('email verification tokens', () => {
+  let store;
+
+  beforeEach(() => {
+    ({ emailVerifications: store } = createMemoryRepositories());
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('work once, and only the latest one sent', async () => {
+    await sendVerificationEmail(store, USER);
+    const older = lastToken();
+    await sendVerificationEmail(store, USER);
+    expect(sent.map((message) => message.subject)).toEqual(['Verify your email address', 'Verify your email address']);
+
+    await expect(consumeVerificationToken(store, older)).rejects.toThrow(EmailVerificationError);
+    expect(await consumeVerificationToken(store, lastToken())).toBe(USER.id);
+    await expect(consumeVerificationToken(store, lastToken())).rejects.toThrow('Invalid or expired verification token');
+  });
+
+  it('expire after 24 hours', async () => {
+    jest.useFakeTimers({ now: Date.parse('2025-11-20T12:00:00.000Z') });
+    await sendVerificationEmail(store, USER);
+
+    jest.setSystemTime(Date.parse('2025-11-20T12:00:00.000Z') + EMAIL_VERIFICATION_TTL_MS);
+    await expect(consumeVerificationToken(store, lastToken())).rejects.toThrow(EmailVerificationError);
+  });
+});
+
+describe('unverified accounts', () => {
+  let server;
+  let baseUrl;
+
+  const request = async (method, path, { token, body } = {}) => {
+    const res = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token && { Authorization: `Bearer ${token}` })
+      },
+      body: body && JSON.stringify(body)
+    });
+    return { status: res.status, body: await res.json() };
+  };
+
+  const register = (email) => request('POST', '/register', {
+    body: { firstName: 'Test', lastName: 'User', email, password: 'password123' }
+  });
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    await ready;
+    server = app.listen(0);
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    delete process.env.EMAIL_VERIFICATION_POLICY;
+    await new Promise((resolve) => server.close(resolve));
+    await new Promise((resolve) => db.close(resolve));
+    jest.restoreAllMocks();
+  });
+
+  it('may read but not change tasks until the email is verified', async () => {
+    const { body: { user, token } } = await register('unverified@example.com');
+    const verificationToken = lastToken();
+
+    const created = await request('POST', '/tasks', { token, body: { text: 'Not yet' } });
+    expect(created).toEqual({ status: 403, body: { success: false, error: 'Please verify your email address to make changes' } });
+    expect((await request('GET', `/tasks/${user.id}`, { token })).status).toBe(200);
+
+    expect((await request('GET', `/auth/verify?token=${verificationToken}`)).status).toBe(200);
+    expect((await request('GET', `/auth/verify?token=${verificationToken}`)).status).toBe(400);
+
+    // The access token says whether the user was verified when it was issued
+    const { body: login } = await request('POST', '/login', {
+      body: { email: 'unverified@example.com', password: 'password123' }
+    });
+    expect(login.user.isVerified).toBe(true);
+    expect((await request('POST', '/tasks', { token: login.token, body: { text: 'Now' } })).status).toBe(200);
+  });
+
+  it('answers 400 to a verification link without exactly one token', async () => {
+    for (const query of ['', '?token=', '?token=a&token=b', '?token[x]=a']) {
+      const { status, body } = await request('GET', `/auth/verify${query}`);
+      expect(status).toBe(400);
+      expect(body).toMatchObject({ success: false, details: [{ field: 'token', message: expect.any(String) }] });
+    }
+  });
+
+  it('may do everything with the allow policy, and cannot log in with block', async () => {
+    const { body: { token } } = await register('blocked@example.com');
+
+    process.env.EMAIL_VERIFICATION_POLICY = 'allow';
+    expect((await request('POST', '/tasks', { token, body: { text: 'Allowed' } })).status).toBe(200);
+
+    process.env.EMAIL_VERIFICATION_POLICY = 'block';
+    const login = await request('POST', '/login', { body: { email: 'blocked@example.com', password: 'password123' } });
+    expect(login.status).toBe(403);
+    expect(login.body.token).toBeUndefined();
+  });
+});
+
+describe('unverified accounts in the recipe and pantry Lambdas', () => {
+  const unverified = signAccessToken({ id: 'unverified-id', email: 'new@example.com', isVerified: false });
+  const verified = signAccessToken({ id: 'verified-id', email: 'cook@example.com', isVerified: true });
+  const recipe = { title: 'Dal', ingredients: [{ name: 'Lentils' }], steps: ['Simmer'], isPublic: true };
+  let recipeId;
+
+  const event = (token, { id, body } = {}) => ({
+    headers: { Authorization: `Bearer ${token}` },
+    pathParameters: id ? { id } : null,
+    body: body ? JSON.stringify(body) : null
+  });
+
+  beforeAll(async () => {
+    process.env.EMAIL_VERIFICATION_POLICY = 'limited';
+    const created = await recipeHandlers.createRecipe(event(verified, { body: recipe }));
+    expect(created.statusCode).toBe(201);
+    recipeId = JSON.parse(created.body).recipe.id;
+  });
+
+  afterAll(() => {
+    delete process.env.EMAIL_VERIFICATION_POLICY;
+  });
+
+  it.each([
+    ['createRecipe', recipeHandlers, () => ({ body: recipe })],
+    ['updateRecipe', recipeHandlers, () => ({ id: recipeId, body: { title: 'Tadka dal' } })],
+    ['deleteRecipe', recipeHandlers, () => ({ id: recipeId })],
+    ['favoriteRecipe', recipeHandlers, () => ({ id: recipeId })],
+    ['unfavoriteRecipe', recipeHandlers, () => ({ id: recipeId })],
+    ['rateRecipe', recipeHandlers, () => ({ id: recipeId, body: { rating: 5 } })],
+    ['deleteRating', recipeHandlers, () => ({ id: recipeId })],
+    ['replacePantry', pantryHandlers, () => ({ body: { spices: ['cumin'] } })],
+    ['updatePantry', pantryHandlers, () => ({ body: { add: { spices: ['cumin'] } } })]
+  ])('refuses %s under the limited policy', async (name, handlers, input) => {
+    const res = await handlers[name](event(unverified, input()));
+    expect(res.statusCode).toBe(403);
+    expect(JSON.parse(res.body)).toEqual({ error: 'Please verify your email address to make changes' });
+  });
+
+  it('still lets them read', async () => {
+    expect((await recipeHandlers.getFavorites(event(unverified))).statusCode).toBe(200);
+    expect((await recipeHandlers.getRecipe(event(unverified, { id: recipeId }))).statusCode).toBe(200);
+    expect((await pantryHandlers.getPantry(event(unverified))).statusCode).toBe(200);
+  });
+
+  it('lets them make changes with the allow policy', async () => {
+    process.env.EMAIL_VERIFICATION_POLICY = 'allow';
+    expect((await recipeHandlers.favoriteRecipe(event(unverified, { id: recipeId }))).statusCode).toBe(200);
+    expect((await pantryHandlers.updatePantry(event(unverified, { body: { add: { spices: ['cumin'] } } }))).statusCode)
+      .toBe(200);
+    process.env.EMAIL_VERIFICATION_POLICY = 'limited';
+  });
+});
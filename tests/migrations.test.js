@@ -0,0 +1,113 @@
+/**
+ * Schema migrations: applying, reverting, adopting a pre-migration database
+ * and rolling back a failed step.
+ */
+const sqlite3 = require('sqlite3');
+const {
+  loadMigrations,
+  getStatus,
+  migrateUp,
+  migrateDown,
+  assertSchemaCurrent
+} = require('../lib/migrator');
+
+const query = (db, sql, params = []) => new Promise((resolve, reject) => {
+  db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+});
+
+const tableNames = async (db) => {
+  const rows = await query(db, "SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%'");
+  return rows.map((row) => row.name).sort();
+};
+
+describe('migrations', () => {
+  let db;
+
+  beforeEach(() => {
+    db = new sqlite3.Database(':memory:');
+  });
+
+  afterEach(async () => {
+    await new Promise((resolve) => db.close(resolve));
+  });
+
+  test('applies every migration once and reports the schema as current', async () => {
+    await expect(assertSchemaCurrent(db)).rejects.toThrow('Database schema is out of date');
+
+    const applied = await migrateUp(db);
+    expect(applied.map(({ version }) => version)).toEqual(loadMigrations().map(({ version }) => version));
+    expect(await migrateUp(db)).toEqual([]);
+    await expect(assertSchemaCurrent(db)).resolves.toBeUndefined();
+
+    const { pending } = await getStatus(db);
+    expect(pending).toEqual([]);
+  });
+
+  test('reverts migrations newest first', async () => {
+    await migrateUp(db);
+    const all = loadMigrations();
+
+    const [reverted] = await migrateDown(db);
+    expect(reverted.version).toBe(all[all.length - 1].version);
+    expect((await getStatus(db)).pending.map(({ version }) => version)).toEqual([reverted.version]);
+
+    await migrateDown(db, all.length);
+    expect(await tableNames(db)).toEqual(['schema_migrations']);
+  });
+
+  test('adopts a database created before migrations and grandfathers its users', async () => {
+    await query(db, `CREATE TABLE users (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      firstName TEXT NOT NULL,
+      lastName TEXT NOT NULL,
+      email TEXT UNIQUE NOT NULL,
+      passwordHash TEXT NOT NULL,
+      preferredLanguage TEXT DEFAULT 'en',
+      createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+    await query(db, "INSERT INTO users (firstName, lastName, email, passwordHash) VALUES ('Old', 'User', 'old@example.com', 'x')");
+
+    await migrateUp(db);
+
+    const [user] = await query(db, 'SELECT email, isVerified FROM users');
+    expect(user).toEqual({ email: 'old@example.com', isVerified: 1 });
+  });
+
+  test('turns overdue notices off by default but keeps saved settings', async () => {
+    const all = loadMigrations();
+    const reminders = all.findIndex(({ name }) => name === 'create_reminders');
+    await migrateUp(db, all.slice(0, reminders + 1));
+    await query(db, 'INSERT INTO reminder_settings (userId, digestHour) VALUES (1, 8)');
+
+    await migrateUp(db);
+    await query(db, 'INSERT INTO reminder_settings (userId) VALUES (2)');
+
+    expect(await query(db, 'SELECT userId, overdue, digestHour FROM reminder_settings ORDER BY userId')).toEqual([
+      { userId: 1, overdue: 1, digestHour: 8 },
+      { userId: 2, overdue: 0, digestHour: null }
+    ]);
+  });
+
+  test('rolls back a failing migration and stops there', async () => {
+    const migrations = [
+      { version: 1, name: 'create_notes', up: (sql) => sql.run('CREATE TABLE notes (id INTEGER)'), down: () => {} },
+      {
+        version: 2,
+        name: 'broken',
+        up: async (sql) => {
+          await sql.run('CREATE TABLE half_done (id INTEGER)');
+          await sql.run('SELECT * FROM missing_table');
+        },
+        down: () => {}
+      },
+      { version: 3, name: 'never_reached', up: (sql) => sql.run('CREATE TABLE later (id INTEGER)'), down: () => {} }
+    ];
+
+    await expect(migrateUp(db, migrations)).rejects.toThrow('Migration 2_broken (up) failed');
+
+    expect(await tableNames(db)).toEqual(['notes', 'schema_migrations']);
+    const { pending } = await getStatus(db, migrations);
+    expect(pending.map(({ version }) => version)).toEqual([2, 3]);
+  });
+});
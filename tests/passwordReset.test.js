@@ -0,0 +1,163 @@
+/**
+ * Password reset tokens work once and for an hour, the request does not tell
+ * whether an email is registered, and a reset ends every session.
+ */
+process.env.JWT_SECRET = 'test-secret';
+process.env.DB_PATH = ':memory:';
+
+const { createMemoryRepositories } = require('../backend/src/repositories/memory');
+const { getTransportName, setTransport, sendMail } = require('../backend/src/utils/mailer');
+const {
+  PASSWORD_RESET_TTL_MS,
+  PasswordResetError,
+  sendPasswordResetEmail,
+  consumePasswordResetToken
+} = require('../backend/src/utils/passwordReset');
+const { app, db, ready } = require('../server-db');
+
+const USER = { id: 7, email: 'ada@example.com', firstName: 'Ada' };
+
+let sent;
+
+// The token of the last reset link sent
+const lastToken = () => new URL(sent[sent.length - 1].text.match(/https?:\/\/\S+/)[0]).searchParams.get('token');
+
+beforeEach(() => {
+  sent = [];
+  setTransport(async (message) => { sent.push(message); });
+});
+
+afterAll(() => {
+  setTransport(null);
+});
+
+describe('password reset tokens', () => {
+  let store;
+
+  beforeEach(() => {
+    ({ passwordResets: store } = createMemoryRepositories());
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('work once', async () => {
+    await sendPasswordResetEmail(store, USER);
+    expect(sent).toEqual([expect.objectContaining({ to: 'ada@example.com', subject: 'Reset your password' })]);
+
+    const token = lastToken();
+    expect(await consumePasswordResetToken(store, token)).toBe(USER.id);
+    await expect(consumePasswordResetToken(store, token)).rejects.toThrow(PasswordResetError);
+    await expect(consumePasswordResetToken(store, undefined)).rejects.toThrow('Invalid or expired reset token');
+  });
+
+  it('expire after an hour', async () => {
+    jest.useFakeTimers({ now: Date.parse('2025-11-20T12:00:00.000Z') });
+    await sendPasswordResetEmail(store, USER);
+    const token = lastToken();
+
+    jest.setSystemTime(Date.parse('2025-11-20T12:00:00.000Z') + PASSWORD_RESET_TTL_MS);
+    await expect(consumePasswordResetToken(store, token)).rejects.toThrow('Invalid or expired reset token');
+  });
+
+  it('stop working when a newer one is sent', async () => {
+    await sendPasswordResetEmail(store, USER);
+    const older = lastToken();
+    await sendPasswordResetEmail(store, USER);
+
+    await expect(consumePasswordResetToken(store, older)).rejects.toThrow(PasswordResetError);
+    expect(await consumePasswordResetToken(store, lastToken())).toBe(USER.id);
+  });
+});
+
+describe('mail transport', () => {
+  afterEach(() => {
+    process.env.NODE_ENV = 'test';
+    delete process.env.MAIL_TRANSPORT;
+  });
+
+  it('logs emails by default outside production', () => {
+    expect(getTransportName()).toBe('console');
+  });
+
+  it('refuses to log reset links in production', async () => {
+    process.env.NODE_ENV = 'production';
+    expect(getTransportName).toThrow('Set MAIL_TRANSPORT in production');
+    process.env.MAIL_TRANSPORT = 'console';
+    expect(getTransportName).toThrow('Set MAIL_TRANSPORT in production');
+
+    setTransport(null);
+    await expect(sendMail({ to: 'ada@example.com', subject: 'Reset', text: 'link' })).rejects.toThrow('MAIL_TRANSPORT');
+
+    process.env.MAIL_TRANSPORT = 'ses';
+    expect(getTransportName()).toBe('ses');
+  });
+
+  it('rejects an unknown transport', () => {
+    process.env.MAIL_TRANSPORT = 'pigeon';
+    expect(getTransportName).toThrow('Unknown mail transport: pigeon');
+  });
+});
+
+describe('password reset routes', () => {
+  let server;
+  let baseUrl;
+
+  const post = async (path, body) => {
+    const res = await fetch(`${baseUrl}${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    return { status: res.status, body: await res.json() };
+  };
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    await ready;
+    server = app.listen(0);
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    await new Promise((resolve) => db.close(resolve));
+    jest.restoreAllMocks();
+  });
+
+  it('answers the same for unknown emails, and only mails registered ones', async () => {
+    await post('/register', { firstName: 'Grace', lastName: 'H', email: 'grace@example.com', password: 'password123' });
+    sent = [];
+
+    const known = await post('/auth/forgot-password', { email: 'grace@example.com' });
+    const unknown = await post('/auth/forgot-password', { email: 'nobody@example.com' });
+
+    expect(unknown).toEqual(known);
+    expect(known.status).toBe(200);
+    expect(sent.map((message) => message.to)).toEqual(['grace@example.com']);
+  });
+
+  it('sets the new password, ends every session and refuses the token again', async () => {
+    const registered = await post('/register', {
+      firstName: 'Alan',
+      lastName: 'T',
+      email: 'alan@example.com',
+      password: 'password123'
+    });
+    const { body: login } = await post('/login', { email: 'alan@example.com', password: 'password123' });
+
+    await post('/auth/forgot-password', { email: 'alan@example.com' });
+    const token = lastToken();
+    const reset = await post('/auth/reset-password', { token, password: 'new-password456' });
+    expect(reset.status).toBe(200);
+
+    expect((await post('/auth/refresh', { refreshToken: registered.body.refreshToken })).status).toBe(401);
+    expect((await post('/auth/refresh', { refreshToken: login.refreshToken })).status).toBe(401);
+    expect((await post('/auth/reset-password', { token, password: 'other-password789' })).status).toBe(400);
+
+    expect((await post('/login', { email: 'alan@example.com', password: 'password123' })).status).toBe(401);
+    expect((await post('/login', { email: 'alan@example.com', password: 'new-password456' })).status).toBe(200);
+  });
+});
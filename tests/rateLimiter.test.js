@@ -0,0 +1,173 @@
+/**
+ * Request limits per IP, account lockouts after failed logins, and the memory
+ * store forgetting what has expired.
+ */
+process.env.JWT_SECRET = 'test-secret';
+process.env.DB_PATH = ':memory:';
+
+const {
+  RATE_LIMITS,
+  MAX_FAILED_LOGINS,
+  createMemoryStore,
+  checkRateLimit,
+  getLockout,
+  recordLoginFailure,
+  clearLoginFailures,
+  isAdmin
+} = require('../backend/src/utils/rateLimiter');
+const { signAccessToken } = require('../backend/src/utils/tokens');
+const { setTransport } = require('../backend/src/utils/mailer');
+const { app, db, ready } = require('../server-db');
+
+const MINUTE_MS = 60 * 1000;
+
+let clock;
+
+beforeEach(() => {
+  clock = Date.parse('2025-11-20T12:00:00.000Z');
+  jest.spyOn(Date, 'now').mockImplementation(() => clock);
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('rate limiter', () => {
+  let store;
+
+  beforeEach(() => {
+    store = createMemoryStore();
+  });
+
+  it('allows the limit of requests per window, then says when to retry', async () => {
+    const { limit } = RATE_LIMITS.register;
+    for (let i = 0; i < limit; i += 1) {
+      expect(await checkRateLimit(store, 'register', '10.0.0.1')).toEqual({ allowed: true, retryAfter: 0 });
+    }
+
+    clock += 10 * MINUTE_MS;
+    expect(await checkRateLimit(store, 'register', '10.0.0.1')).toEqual({ allowed: false, retryAfter: 50 * 60 });
+    expect((await checkRateLimit(store, 'register', '10.0.0.2')).allowed).toBe(true);
+
+    clock += 50 * MINUTE_MS;
+    expect((await checkRateLimit(store, 'register', '10.0.0.1')).allowed).toBe(true);
+  });
+
+  it('locks an account after repeated failures, for twice as long each time', async () => {
+    for (let i = 1; i < MAX_FAILED_LOGINS; i += 1) {
+      expect(await recordLoginFailure(store, 'ada@example.com')).toBe(0);
+    }
+    expect(await recordLoginFailure(store, 'ADA@example.com')).toBe(60);
+    expect(await getLockout(store, 'ada@example.com')).toBe(60);
+
+    clock += MINUTE_MS;
+    expect(await getLockout(store, 'ada@example.com')).toBe(0);
+    for (let i = 1; i < MAX_FAILED_LOGINS; i += 1) {
+      await recordLoginFailure(store, 'ada@example.com');
+    }
+    expect(await recordLoginFailure(store, 'ada@example.com')).toBe(120);
+
+    await clearLoginFailures(store, 'ada@example.com');
+    expect(await getLockout(store, 'ada@example.com')).toBe(0);
+  });
+
+  it('sweeps out expired entries that are never read again', async () => {
+    for (let i = 0; i < 50; i += 1) {
+      await checkRateLimit(store, 'login', `10.0.1.${i}`);
+    }
+    await recordLoginFailure(store, 'once@example.com');
+    expect(store.size()).toBe(51);
+
+    clock += RATE_LIMITS.login.windowMs;
+    await checkRateLimit(store, 'login', '10.0.2.1');
+    // The failed login is remembered for a day
+    expect(store.size()).toBe(2);
+  });
+});
+
+describe('isAdmin', () => {
+  beforeEach(() => {
+    process.env.ADMIN_EMAILS = 'root@example.com, Admin@Example.com';
+  });
+
+  afterEach(() => {
+    delete process.env.ADMIN_EMAILS;
+  });
+
+  it('needs a verified account with an email in ADMIN_EMAILS', () => {
+    expect(isAdmin({ email: 'admin@example.com', isVerified: true })).toBe(true);
+    expect(isAdmin({ email: 'admin@example.com', isVerified: false })).toBe(false);
+    expect(isAdmin({ email: 'admin@example.com' })).toBe(false);
+    expect(isAdmin({ email: 'ada@example.com', isVerified: true })).toBe(false);
+  });
+});
+
+describe('login and sign-up limits', () => {
+  let server;
+  let baseUrl;
+
+  const post = async (path, body, token) => {
+    const res = await fetch(`${baseUrl}${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...(token && { Authorization: `Bearer ${token}` }) },
+      body: JSON.stringify(body)
+    });
+    return { status: res.status, retryAfter: res.headers.get('retry-after'), body: await res.json() };
+  };
+
+  const login = (password) => post('/login', { email: 'grace@example.com', password });
+
+  beforeAll(async () => {
+    setTransport(async () => {});
+    await ready;
+    server = app.listen(0);
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    setTransport(null);
+    await new Promise((resolve) => server.close(resolve));
+    await new Promise((resolve) => db.close(resolve));
+  });
+
+  it('locks the account after failed logins and lets it in once the lock ends', async () => {
+    await post('/register', { firstName: 'Grace', lastName: 'H', email: 'grace@example.com', password: 'password123' });
+
+    for (let i = 1; i < MAX_FAILED_LOGINS; i += 1) {
+      expect((await login('wrong-password')).status).toBe(401);
+    }
+    const locked = await login('wrong-password');
+    expect(locked).toMatchObject({ status: 429, retryAfter: '60', body: { success: false, retryAfter: 60 } });
+    // Even the right password waits for the lock to end
+    expect((await login('password123')).status).toBe(429);
+
+    clock += MINUTE_MS;
+    const unlocked = await login('password123');
+    expect(unlocked.status).toBe(200);
+    expect(unlocked.body.token).toEqual(expect.any(String));
+  });
+
+  it('lets only a verified admin unlock an account', async () => {
+    process.env.ADMIN_EMAILS = 'admin@example.com';
+    const admin = { id: 99, email: 'admin@example.com', firstName: 'Admin', lastName: 'A' };
+    const unlock = (isVerified) => post('/admin/unlock', { email: 'grace@example.com' }, signAccessToken({ ...admin, isVerified }));
+
+    expect(await unlock(false)).toMatchObject({ status: 403, body: { error: 'Admin access required' } });
+    expect((await unlock(true)).status).toBe(200);
+    delete process.env.ADMIN_EMAILS;
+  });
+
+  it('answers 429 with Retry-After to too many sign-ups from one IP', async () => {
+    // The registration above counts too; invalid ones count as well
+    for (let i = 1; i < RATE_LIMITS.register.limit; i += 1) {
+      expect((await post('/register', { email: 'not-an-email' })).status).toBe(400);
+    }
+
+    const limited = await post('/register', { email: 'not-an-email' });
+    expect(limited.status).toBe(429);
+    expect(Number(limited.retryAfter)).toBe(limited.body.retryAfter);
+    expect(limited.body.retryAfter).toBeGreaterThan(59 * 60);
+  });
+});
@@ -0,0 +1,105 @@
+/**
+ * Pantry inventory, recipe search and ranking recipes by the spices a user has.
+ */
+const { createMemoryRepositories } = require('../backend/src/repositories/memory');
+const { createRecipeSchema, recipeSearchSchema, validate } = require('../backend/src/utils/validation');
+const { createRecipe } = require('../backend/src/utils/recipes');
+const { getPantry, replacePantry, updatePantry } = require('../backend/src/utils/pantry');
+const { searchRecipes } = require('../backend/src/utils/recipeSearch');
+
+const COOK = 'cook-id';
+const OTHER = 'other-id';
+
+const recipeFields = (fields) => validate({
+  ingredients: [{ name: 'Water' }],
+  steps: ['Cook it'],
+  isPublic: true,
+  ...fields
+}, createRecipeSchema).value;
+
+const searchOptions = (query = {}) => validate(query, recipeSearchSchema).value;
+
+const titles = (page) => page.recipes.map((recipe) => recipe.title);
+
+describe('recipe search', () => {
+  let recipes;
+  let pantries;
+
+  beforeEach(async () => {
+    let clock = Date.parse('2024-01-01T00:00:00.000Z');
+    ({ recipes, pantries } = createMemoryRepositories({ now: () => new Date(clock += 1000) }));
+
+    await createRecipe(recipes, OTHER, recipeFields({
+      title: 'Chana Masala',
+      ingredients: [{ name: 'Chickpeas' }, { name: 'Red onion' }],
+      spices: ['cumin', 'garam masala', 'turmeric'],
+      tags: ['vegan', 'curry']
+    }));
+    await createRecipe(recipes, OTHER, recipeFields({
+      title: 'Smoky Chickpea Stew',
+      ingredients: [{ name: 'Chickpeas' }],
+      spices: ['smoked paprika', 'cumin'],
+      tags: ['vegan']
+    }));
+    await createRecipe(recipes, OTHER, recipeFields({
+      title: 'Secret Masala',
+      spices: ['cumin'],
+      isPublic: false
+    }));
+    await createRecipe(recipes, COOK, recipeFields({
+      title: 'My Masala Chai',
+      spices: ['cardamom'],
+      isPublic: false
+    }));
+  });
+
+  test('pantry items can be replaced, added and removed', async () => {
+    expect(await getPantry(pantries, COOK)).toMatchObject({ spices: [], ingredients: [], updatedAt: null });
+
+    await replacePantry(pantries, COOK, { spices: ['turmeric', 'cumin'], ingredients: ['rice'] });
+    const pantry = await updatePantry(pantries, COOK, {
+      add: { spices: ['garam masala', 'cumin'] },
+      remove: { ingredients: ['rice'] }
+    });
+
+    expect(pantry).toMatchObject({ spices: ['cumin', 'garam masala', 'turmeric'], ingredients: [] });
+    expect(await getPantry(pantries, COOK)).toEqual(pantry);
+    expect(await getPantry(pantries, OTHER)).toMatchObject({ spices: [] });
+  });
+
+  test('filters by title words, tags and ingredients', async () => {
+    expect(titles(await searchRecipes(recipes, pantries, null, searchOptions({ q: 'masala' }))))
+      .toEqual(['Chana Masala']);
+    expect(titles(await searchRecipes(recipes, pantries, COOK, searchOptions({ q: 'MASALA' }))))
+      .toEqual(['My Masala Chai', 'Chana Masala']);
+    expect(titles(await searchRecipes(recipes, pantries, null, searchOptions({ tag: 'vegan, curry' }))))
+      .toEqual(['Chana Masala']);
+    expect(titles(await searchRecipes(recipes, pantries, null, searchOptions({ ingredient: 'chickpea', q: 'stew' }))))
+      .toEqual(['Smoky Chickpea Stew']);
+    expect(titles(await searchRecipes(recipes, pantries, null, searchOptions({ ingredient: 'onion,chickpeas' }))))
+      .toEqual(['Chana Masala']);
+  });
+
+  test('match mode ranks public recipes by spices on hand and lists the missing ones', async () => {
+    await replacePantry(pantries, COOK, { spices: ['cumin', 'turmeric', 'cardamom'], ingredients: [] });
+
+    const { recipes: ranked } = await searchRecipes(recipes, pantries, COOK, searchOptions({ mode: 'match' }));
+
+    expect(ranked.map((recipe) => [recipe.title, recipe.match])).toEqual([
+      ['Chana Masala', { have: ['cumin', 'turmeric'], missing: ['garam masala'] }],
+      ['Smoky Chickpea Stew', { have: ['cumin'], missing: ['smoked paprika'] }]
+    ]);
+    await expect(searchRecipes(recipes, pantries, null, searchOptions({ mode: 'match' })))
+      .rejects.toMatchObject({ name: 'RecipeError' });
+  });
+
+  test('pages through results with a cursor', async () => {
+    const first = await searchRecipes(recipes, pantries, null, searchOptions({ limit: '1' }));
+    const second = await searchRecipes(recipes, pantries, null, searchOptions({ limit: '1', cursor: first.nextCursor }));
+
+    expect([...titles(first), ...titles(second)]).toEqual(['Smoky Chickpea Stew', 'Chana Masala']);
+    expect(second.nextCursor).toBeNull();
+    await expect(searchRecipes(recipes, pantries, null, searchOptions({ cursor: 'bad' })))
+      .rejects.toMatchObject({ name: 'RecipeCursorError' });
+  });
+});
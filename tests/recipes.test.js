@@ -0,0 +1,155 @@
+/**
+ * Recipe visibility, owner-only edits, paginated listings, favorites and ratings.
+ */
+const { createMemoryRepositories } = require('../backend/src/repositories/memory');
+const { createRecipeSchema, recipeListSchema, validate } = require('../backend/src/utils/validation');
+const {
+  listRecipes,
+  getRecipe,
+  createRecipe,
+  updateRecipe,
+  deleteRecipe
+} = require('../backend/src/utils/recipes');
+const { addFavorite, removeFavorite, listFavorites } = require('../backend/src/utils/favorites');
+const { rateRecipe, deleteRating, listRatings } = require('../backend/src/utils/ratings');
+
+const OWNER = 'owner-id';
+const OTHER = 'other-id';
+
+const recipeFields = (overrides = {}) => validate({
+  title: 'Chana Masala',
+  ingredients: [{ name: 'Chickpeas', quantity: 400, unit: 'g' }, { name: 'Onion' }],
+  steps: ['Fry the onion', 'Add the spices', 'Simmer with the chickpeas'],
+  spices: ['Garam Masala', 'cumin'],
+  ...overrides
+}, createRecipeSchema).value;
+
+const listOptions = (query = {}) => validate(query, recipeListSchema).value;
+
+describe('recipes', () => {
+  let recipes;
+  let favorites;
+  let ratings;
+  let clock;
+
+  beforeEach(() => {
+    clock = Date.parse('2024-01-01T00:00:00.000Z');
+    ({ recipes, favorites, ratings } = createMemoryRepositories({ now: () => new Date(clock += 1000) }));
+  });
+
+  test('applies defaults and keeps ingredients and steps in order', async () => {
+    const recipe = await createRecipe(recipes, OWNER, recipeFields());
+
+    expect(recipe).toMatchObject({
+      userId: OWNER,
+      isPublic: false,
+      tags: [],
+      spices: ['garam masala', 'cumin'],
+      steps: ['Fry the onion', 'Add the spices', 'Simmer with the chickpeas'],
+      ingredients: [
+        { name: 'Chickpeas', quantity: 400, unit: 'g' },
+        { name: 'Onion', quantity: null, unit: null }
+      ]
+    });
+  });
+
+  test('private recipes are only visible to their owner', async () => {
+    const hidden = await createRecipe(recipes, OWNER, recipeFields());
+    const shared = await createRecipe(recipes, OWNER, recipeFields({ isPublic: true }));
+
+    expect(await getRecipe(recipes, OWNER, hidden.id)).toMatchObject({ id: hidden.id });
+    expect(await getRecipe(recipes, OTHER, hidden.id)).toBeNull();
+    expect(await getRecipe(recipes, null, hidden.id)).toBeNull();
+    expect(await getRecipe(recipes, null, shared.id)).toMatchObject({ id: shared.id });
+
+    const { recipes: listed } = await listRecipes(recipes, null, listOptions());
+    expect(listed.map((recipe) => recipe.id)).toEqual([shared.id]);
+  });
+
+  test('only the owner can edit or delete', async () => {
+    const shared = await createRecipe(recipes, OWNER, recipeFields({ isPublic: true }));
+    const hidden = await createRecipe(recipes, OWNER, recipeFields());
+
+    await expect(updateRecipe(recipes, OTHER, shared.id, { title: 'Mine now' }))
+      .rejects.toMatchObject({ name: 'RecipeError' });
+    await expect(deleteRecipe(recipes, OTHER, shared.id)).rejects.toMatchObject({ name: 'RecipeError' });
+    expect(await updateRecipe(recipes, OTHER, hidden.id, { title: 'Mine now' })).toBeNull();
+    expect(await deleteRecipe(recipes, OTHER, hidden.id)).toBe(false);
+
+    const updated = await updateRecipe(recipes, OWNER, shared.id, { title: 'Chole' });
+    expect(updated).toMatchObject({ title: 'Chole', steps: shared.steps });
+    expect(await deleteRecipe(recipes, OWNER, shared.id)).toBe(true);
+    expect(await getRecipe(recipes, OWNER, shared.id)).toBeNull();
+  });
+
+  test('pages through own recipes newest first', async () => {
+    for (let i = 0; i < 5; i++) {
+      await createRecipe(recipes, OWNER, recipeFields({ title: `Recipe ${i}` }));
+    }
+    await createRecipe(recipes, OTHER, recipeFields());
+
+    const first = await listRecipes(recipes, OWNER, listOptions({ scope: 'mine', limit: '2' }));
+    const second = await listRecipes(recipes, OWNER, listOptions({ scope: 'mine', limit: '2', cursor: first.nextCursor }));
+    const third = await listRecipes(recipes, OWNER, listOptions({ scope: 'mine', limit: '2', cursor: second.nextCursor }));
+
+    const titles = [first, second, third].flatMap((page) => page.recipes.map((recipe) => recipe.title));
+    expect(titles).toEqual(['Recipe 4', 'Recipe 3', 'Recipe 2', 'Recipe 1', 'Recipe 0']);
+    expect(third.nextCursor).toBeNull();
+
+    expect(() => listRecipes(recipes, null, listOptions({ scope: 'mine' }))).toThrow('Log in');
+    await expect(listRecipes(recipes, OWNER, listOptions({ cursor: 'not-a-cursor' })))
+      .rejects.toMatchObject({ name: 'RecipeCursorError' });
+  });
+
+  test('favorites list visible recipes, most recent first', async () => {
+    const first = await createRecipe(recipes, OWNER, recipeFields({ isPublic: true, title: 'First' }));
+    const second = await createRecipe(recipes, OWNER, recipeFields({ isPublic: true, title: 'Second' }));
+    const hidden = await createRecipe(recipes, OWNER, recipeFields());
+
+    expect(await addFavorite(recipes, favorites, OTHER, hidden.id)).toBeNull();
+    await addFavorite(recipes, favorites, OTHER, first.id);
+    await addFavorite(recipes, favorites, OTHER, second.id);
+    await addFavorite(recipes, favorites, OTHER, first.id);
+
+    let listed = await listFavorites(recipes, favorites, OTHER);
+    expect(listed.map((recipe) => recipe.title)).toEqual(['Second', 'First']);
+    expect(listed[0].favoritedAt).toEqual(expect.any(String));
+
+    await updateRecipe(recipes, OWNER, second.id, { isPublic: false });
+    listed = await listFavorites(recipes, favorites, OTHER);
+    expect(listed.map((recipe) => recipe.title)).toEqual(['First']);
+
+    expect(await removeFavorite(favorites, OTHER, first.id)).toBe(true);
+    expect(await removeFavorite(favorites, OTHER, first.id)).toBe(false);
+    expect(await listFavorites(recipes, favorites, OTHER)).toEqual([]);
+  });
+
+  test('one rating per user keeps the average and count in step', async () => {
+    const recipe = await createRecipe(recipes, OWNER, recipeFields({ isPublic: true }));
+    expect(recipe).toMatchObject({ ratingCount: 0, averageRating: null });
+
+    await rateRecipe(recipes, ratings, OWNER, recipe.id, { rating: 5, review: '' });
+    let result = await rateRecipe(recipes, ratings, OTHER, recipe.id, { rating: 2, review: 'Too salty' });
+    expect(result.rating).toMatchObject({ userId: OTHER, rating: 2, review: 'Too salty' });
+    expect(result.recipe).toMatchObject({ ratingCount: 2, averageRating: 3.5 });
+
+    result = await rateRecipe(recipes, ratings, OTHER, recipe.id, { rating: 4, review: 'Better with less salt' });
+    expect(result.recipe).toMatchObject({ ratingCount: 2, averageRating: 4.5 });
+    expect(await listRatings(recipes, ratings, null, recipe.id)).toHaveLength(2);
+
+    const { recipes: listed } = await listRecipes(recipes, null, listOptions());
+    expect(listed[0]).toMatchObject({ ratingCount: 2, averageRating: 4.5 });
+    expect(listed[0]).not.toHaveProperty('ratingTotal');
+
+    expect(await deleteRating(recipes, ratings, OWNER, recipe.id)).toMatchObject({ ratingCount: 1, averageRating: 4 });
+    expect(await deleteRating(recipes, ratings, OWNER, recipe.id)).toBeNull();
+  });
+
+  test('private recipes cannot be rated by other users', async () => {
+    const hidden = await createRecipe(recipes, OWNER, recipeFields());
+
+    expect(await rateRecipe(recipes, ratings, OTHER, hidden.id, { rating: 1, review: '' })).toBeNull();
+    expect(await listRatings(recipes, ratings, OTHER, hidden.id)).toBeNull();
+    expect(await getRecipe(recipes, OWNER, hidden.id)).toMatchObject({ ratingCount: 0 });
+  });
+});
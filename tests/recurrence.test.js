@@ -0,0 +1,31 @@
+/**
+ * Next due dates of recurrence rules.
+ */
+const { normalizeRule, nextDueDate } = require('../backend/src/utils/recurrence');
+
+const next = (dueDate, rule, occurrence) => nextDueDate(dueDate, normalizeRule({ interval: 1, ...rule }, dueDate), occurrence);
+
+describe('recurrence', () => {
+  test('daily and weekly rules step by their interval', () => {
+    expect(next('2025-11-20', { frequency: 'daily', interval: 3 })).toBe('2025-11-23');
+    expect(next('2025-11-20T08:30:00Z', { frequency: 'weekly' })).toBe('2025-11-27T08:30:00.000Z');
+    // Monday and Thursday, every other week
+    expect(next('2025-11-17', { frequency: 'weekly', interval: 2, byWeekday: ['MO', 'TH'] })).toBe('2025-11-20');
+    expect(next('2025-11-20', { frequency: 'weekly', interval: 2, byWeekday: ['MO', 'TH'] })).toBe('2025-12-01');
+  });
+
+  test('monthly and yearly rules keep their day, using the last day of shorter months', () => {
+    const endOfMonth = normalizeRule({ frequency: 'monthly', interval: 1 }, '2025-01-31');
+    expect(nextDueDate('2025-01-31', endOfMonth)).toBe('2025-02-28');
+    expect(nextDueDate('2025-02-28', endOfMonth)).toBe('2025-03-31');
+    expect(next('2025-11-15', { frequency: 'monthly', interval: 3 })).toBe('2026-02-15');
+    expect(next('2024-02-29', { frequency: 'yearly' })).toBe('2025-02-28');
+  });
+
+  test('stops after until or count', () => {
+    expect(next('2025-01-01', { frequency: 'daily', until: '2025-01-02' })).toBe('2025-01-02');
+    expect(next('2025-01-02', { frequency: 'daily', until: '2025-01-02' })).toBeNull();
+    expect(next('2025-01-01', { frequency: 'daily', count: 2 }, 1)).toBe('2025-01-02');
+    expect(next('2025-01-02', { frequency: 'daily', count: 2 }, 2)).toBeNull();
+  });
+});
@@ -0,0 +1,157 @@
+/**
+ * Short-lived access tokens, and refresh tokens that rotate on every use and
+ * take their whole session down when one is used twice.
+ */
+process.env.JWT_SECRET = 'test-secret';
+process.env.DB_PATH = ':memory:';
+
+const jwt = require('jsonwebtoken');
+const { createMemoryRepositories } = require('../backend/src/repositories/memory');
+const {
+  ACCESS_TOKEN_EXPIRES_IN,
+  signAccessToken,
+  verifyAccessToken,
+  hashToken
+} = require('../backend/src/utils/tokens');
+const {
+  RefreshTokenError,
+  issueRefreshToken,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllRefreshTokens
+} = require('../backend/src/utils/refreshTokens');
+const { setTransport } = require('../backend/src/utils/mailer');
+const { app, db, ready } = require('../server-db');
+
+const USER = { id: 7, email: 'ada@example.com', firstName: 'Ada', lastName: 'L', isVerified: true };
+
+describe('access tokens', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('expire after 15 minutes', () => {
+    jest.useFakeTimers({ now: Date.parse('2025-11-20T12:00:00.000Z') });
+    const token = signAccessToken(USER);
+    const { exp, iat } = jwt.decode(token);
+    expect(ACCESS_TOKEN_EXPIRES_IN).toBe('15m');
+    expect(exp - iat).toBe(15 * 60);
+
+    jest.setSystemTime(Date.parse('2025-11-20T12:14:59.000Z'));
+    expect(verifyAccessToken(token)).toMatchObject({ userId: 7, email: 'ada@example.com', isVerified: true });
+    jest.setSystemTime(Date.parse('2025-11-20T12:15:00.000Z'));
+    expect(() => verifyAccessToken(token)).toThrow(jwt.TokenExpiredError);
+  });
+});
+
+describe('refresh tokens', () => {
+  let store;
+
+  const rejects = (token, message) => expect(rotateRefreshToken(store, token)).rejects.toThrow(
+    new RefreshTokenError(message)
+  );
+
+  beforeEach(() => {
+    ({ refreshTokens: store } = createMemoryRepositories());
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('exchanges each token once for the next one of its session', async () => {
+    const first = await issueRefreshToken(store, USER.id);
+    const { userId, refreshToken: second } = await rotateRefreshToken(store, first);
+    expect(userId).toBe(USER.id);
+    expect(second).not.toBe(first);
+
+    const { refreshToken: third } = await rotateRefreshToken(store, second);
+    const [firstRecord, secondRecord, thirdRecord] = await Promise.all(
+      [first, second, third].map((token) => store.findByHash(hashToken(token)))
+    );
+    expect(new Set([firstRecord, secondRecord, thirdRecord].map((record) => record.familyId)).size).toBe(1);
+    expect(firstRecord.replacedBy).toBe(secondRecord.tokenHash);
+    expect(thirdRecord.revokedAt).toBeNull();
+
+    await rejects('not-a-token', 'Invalid refresh token');
+    await rejects(undefined, 'Refresh token required');
+  });
+
+  it('revokes the whole session when a rotated token is used again', async () => {
+    const stolen = await issueRefreshToken(store, USER.id);
+    const otherSession = await issueRefreshToken(store, USER.id);
+    const { refreshToken: current } = await rotateRefreshToken(store, stolen);
+
+    await rejects(stolen, 'Refresh token has been revoked');
+    // The token the rightful client holds now is gone too, but not the other session
+    await rejects(current, 'Refresh token has been revoked');
+    expect(console.warn).toHaveBeenCalledWith('Refresh token reuse detected, revoking family:', expect.any(String));
+    await expect(rotateRefreshToken(store, otherSession)).resolves.toMatchObject({ userId: USER.id });
+  });
+
+  it('ends one session on logout, or all of them', async () => {
+    const phone = await issueRefreshToken(store, USER.id);
+    const laptop = await issueRefreshToken(store, USER.id);
+    const someoneElse = await issueRefreshToken(store, 8);
+
+    expect(await revokeRefreshToken(store, phone)).toBe(true);
+    expect(await revokeRefreshToken(store, 'unknown')).toBe(false);
+    await rejects(phone, 'Refresh token has been revoked');
+    const { refreshToken: laptopNow } = await rotateRefreshToken(store, laptop);
+
+    await revokeAllRefreshTokens(store, USER.id);
+    await rejects(laptopNow, 'Refresh token has been revoked');
+    await expect(rotateRefreshToken(store, someoneElse)).resolves.toMatchObject({ userId: 8 });
+  });
+});
+
+describe('refresh and logout routes', () => {
+  let server;
+  let baseUrl;
+
+  const post = async (path, body) => {
+    const res = await fetch(`${baseUrl}${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    return { status: res.status, body: await res.json() };
+  };
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    setTransport(async () => {});
+    await ready;
+    server = app.listen(0);
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    setTransport(null);
+    await new Promise((resolve) => server.close(resolve));
+    await new Promise((resolve) => db.close(resolve));
+    jest.restoreAllMocks();
+  });
+
+  it.each(['/auth/refresh', '/auth/logout'])('%s answers 400 unless the refresh token is a string', async (path) => {
+    for (const body of [{}, { refreshToken: '' }, { refreshToken: 42 }, { refreshToken: ['a', 'b'] }, { refreshToken: { a: 1 } }]) {
+      const res = await post(path, body);
+      expect(res.status).toBe(400);
+      expect(res.body).toMatchObject({ success: false, details: [{ field: 'refreshToken', message: expect.any(String) }] });
+    }
+    expect((await post(path, {})).body.error).toBe('Refresh token required');
+  });
+
+  it('rotates the refresh token, then ends the session on logout', async () => {
+    const { body: registered } = await post('/register', {
+      firstName: 'Ada', lastName: 'L', email: 'ada@example.com', password: 'password123'
+    });
+
+    const refreshed = await post('/auth/refresh', { refreshToken: registered.refreshToken });
+    expect(refreshed.status).toBe(200);
+    expect((await post('/auth/logout', { refreshToken: refreshed.body.refreshToken })).status).toBe(200);
+    expect((await post('/auth/refresh', { refreshToken: refreshed.body.refreshToken })).status).toBe(401);
+  });
+});
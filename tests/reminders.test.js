@@ -0,0 +1,211 @@
+/**
+ * Reminders, overdue notices and daily digests, sent once per channel.
+ */
+const dns = require('dns');
+const { EventEmitter } = require('events');
+const https = require('https');
+const net = require('net');
+const { createMemoryRepositories } = require('../backend/src/repositories/memory');
+const { createTask, updateTask } = require('../backend/src/utils/tasks');
+const {
+  ReminderError,
+  setChannel,
+  getReminderSettings,
+  updateReminderSettings,
+  sendReminders
+} = require('../backend/src/utils/reminders');
+
+const at = (iso) => new Date(iso);
+
+// What webhook hosts resolve to, without asking a DNS server
+const HOSTS = {
+  'example.com': [{ address: '93.184.215.14', family: 4 }],
+  'metadata.example.com': [{ address: '169.254.169.254', family: 4 }],
+  'mixed.example.com': [{ address: '93.184.215.14', family: 4 }, { address: 'fd00::1', family: 6 }]
+};
+
+describe('task reminders', () => {
+  let repositories;
+  let user;
+  let sent;
+
+  const sentTypes = () => sent.map(({ channel, notice }) => `${channel} ${notice.type} ${notice.tasks.map((task) => task.text)}`);
+
+  beforeEach(async () => {
+    repositories = createMemoryRepositories({ now: () => at('2025-11-20T08:00:00.000Z') });
+    user = await repositories.users.create({ firstName: 'Ada', lastName: 'L', email: 'ada@example.com', passwordHash: 'x' });
+
+    jest.spyOn(dns.promises, 'lookup').mockImplementation(async (host) => {
+      if (net.isIP(host)) return [{ address: host, family: net.isIP(host) }];
+      if (!HOSTS[host]) throw Object.assign(new Error(`getaddrinfo ENOTFOUND ${host}`), { code: 'ENOTFOUND' });
+      return HOSTS[host];
+    });
+
+    sent = [];
+    ['email', 'webhook'].forEach((channel) => setChannel(channel, async (notice, { user: recipient }) => {
+      sent.push({ channel, notice, to: recipient.email });
+    }));
+  });
+
+  afterEach(() => {
+    setChannel('email', null);
+    setChannel('webhook', null);
+    jest.restoreAllMocks();
+  });
+
+  it('sends the latest reminder due, then an overdue notice, each once', async () => {
+    const { tasks, reminders } = repositories;
+    await updateReminderSettings(reminders, user.id, { overdue: true });
+    await createTask(tasks, user.id, { text: 'Call', dueDate: '2025-11-20T12:00:00Z', reminders: [1440, 120, 30] });
+    await createTask(tasks, user.id, { text: 'No reminders', dueDate: '2025-11-20T12:00:00Z' });
+
+    expect(await sendReminders(repositories, at('2025-11-20T09:00:00Z'))).toEqual({ sent: 1, failed: 0 });
+    expect(sentTypes()).toEqual(['email task.reminder Call']);
+    expect(sent[0].to).toBe('ada@example.com');
+
+    // A restart changes nothing: what was sent is recorded
+    await sendReminders(repositories, at('2025-11-20T09:01:00Z'));
+    await sendReminders(repositories, at('2025-11-20T11:30:00Z'));
+    await sendReminders(repositories, at('2025-11-20T11:31:00Z'));
+    await sendReminders(repositories, at('2025-11-20T12:00:01Z'));
+    await sendReminders(repositories, at('2025-11-20T12:05:00Z'));
+    expect(sentTypes()).toEqual([
+      'email task.reminder Call',
+      'email task.reminder Call',
+      'email task.overdue Call',
+      'email task.overdue No reminders'
+    ]);
+  });
+
+  it('skips completed tasks and sets the reminders again for a new dueDate', async () => {
+    const { tasks } = repositories;
+    const done = await createTask(tasks, user.id, { text: 'Done', dueDate: '2025-11-20T12:00:00Z', reminders: [60] });
+    const moved = await createTask(tasks, user.id, { text: 'Moved', dueDate: '2025-11-20T12:00:00Z', reminders: [60] });
+    await updateTask(tasks, user.id, done.id, { completed: true });
+
+    await sendReminders(repositories, at('2025-11-20T11:00:00Z'));
+    await updateTask(tasks, user.id, moved.id, { dueDate: '2025-11-21T12:00:00Z' });
+    await sendReminders(repositories, at('2025-11-21T11:00:00Z'));
+
+    expect(sentTypes()).toEqual(['email task.reminder Moved', 'email task.reminder Moved']);
+  });
+
+  it('retries a channel that failed without repeating the others', async () => {
+    const { tasks, reminders } = repositories;
+    await updateReminderSettings(reminders, user.id, { channels: ['email', 'webhook'], webhookUrl: 'https://example.com/hook' });
+    await createTask(tasks, user.id, { text: 'Pay rent', dueDate: '2025-11-20T12:00:00Z', reminders: [60] });
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    setChannel('webhook', async () => { throw new Error('Webhook responded with 503'); });
+
+    expect(await sendReminders(repositories, at('2025-11-20T11:00:00Z'))).toEqual({ sent: 1, failed: 1 });
+    setChannel('webhook', async (notice) => { sent.push({ channel: 'webhook', notice }); });
+    expect(await sendReminders(repositories, at('2025-11-20T11:01:00Z'))).toEqual({ sent: 1, failed: 0 });
+
+    expect(sentTypes()).toEqual(['email task.reminder Pay rent', 'webhook task.reminder Pay rent']);
+    expect(warn).toHaveBeenCalledTimes(1);
+    warn.mockRestore();
+  });
+
+  it('sends a daily digest of overdue tasks and those due today', async () => {
+    const { tasks, reminders } = repositories;
+    await updateReminderSettings(reminders, user.id, { digestHour: 7, overdue: false });
+    await createTask(tasks, user.id, { text: 'Late', dueDate: '2025-11-19' });
+    await createTask(tasks, user.id, { text: 'Today', dueDate: '2025-11-20' });
+    await createTask(tasks, user.id, { text: 'Tomorrow', dueDate: '2025-11-21' });
+
+    await sendReminders(repositories, at('2025-11-20T06:59:00Z'));
+    expect(sent).toEqual([]);
+    await sendReminders(repositories, at('2025-11-20T08:00:00Z'));
+    await sendReminders(repositories, at('2025-11-20T09:00:00Z'));
+
+    expect(sentTypes()).toEqual(['email digest Late,Today']);
+    expect(sent[0].notice.text).toBe('Overdue:\n- Late (due 2025-11-19)\n\nDue today:\n- Today (due 2025-11-20)');
+  });
+
+  it('sends overdue notices only to those who asked for them', async () => {
+    const { tasks } = repositories;
+    await createTask(tasks, user.id, { text: 'Late', dueDate: '2025-11-20T12:00:00Z' });
+
+    expect(await sendReminders(repositories, at('2025-11-20T12:05:00Z'))).toEqual({ sent: 0, failed: 0 });
+  });
+
+  it('keeps settings, with email reminders by default', async () => {
+    const { reminders } = repositories;
+    expect(await getReminderSettings(reminders, user.id)).toEqual({
+      channels: ['email'],
+      webhookUrl: null,
+      overdue: false,
+      digestHour: null
+    });
+    await expect(updateReminderSettings(reminders, user.id, { channels: ['webhook'] })).rejects.toThrow(ReminderError);
+    expect(await updateReminderSettings(reminders, user.id, { channels: [], digestHour: 6 })).toMatchObject({
+      channels: [],
+      digestHour: 6
+    });
+  });
+
+  it('only sends webhooks over https to public addresses', async () => {
+    const { reminders } = repositories;
+    const webhook = (webhookUrl) => updateReminderSettings(reminders, user.id, { channels: ['webhook'], webhookUrl });
+
+    await expect(webhook('http://example.com/hook')).rejects.toThrow('The webhookUrl must use https');
+    for (const url of [
+      'https://169.254.169.254/latest/meta-data/',
+      'https://metadata.example.com/',
+      'https://mixed.example.com/',
+      'https://127.0.0.1/hook',
+      'https://10.1.2.3/hook',
+      'https://[::1]/hook',
+      'https://[::ffff:192.168.0.1]/hook'
+    ]) {
+      await expect(webhook(url)).rejects.toThrow(new ReminderError('The webhookUrl must point to a public address'));
+    }
+    await expect(webhook('https://nowhere.invalid/')).rejects.toThrow('The webhookUrl host could not be resolved');
+    expect(await getReminderSettings(reminders, user.id)).toMatchObject({ channels: ['email'], webhookUrl: null });
+
+    // Checked again when sending, in case the host now resolves elsewhere
+    await webhook('https://example.com/hook');
+    setChannel('webhook', null);
+    const request = jest.spyOn(https, 'request');
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    HOSTS['example.com'] = [{ address: '127.0.0.1', family: 4 }];
+    await createTask(repositories.tasks, user.id, { text: 'Call', dueDate: '2025-11-20T12:00:00Z', reminders: [60] });
+
+    try {
+      expect(await sendReminders(repositories, at('2025-11-20T11:00:00Z'))).toEqual({ sent: 0, failed: 1 });
+      expect(request).not.toHaveBeenCalled();
+      expect(warn).toHaveBeenCalledWith(expect.any(String), 'The webhookUrl must point to a public address');
+    } finally {
+      HOSTS['example.com'] = [{ address: '93.184.215.14', family: 4 }];
+    }
+  });
+
+  it('connects a webhook to the address it checked, not one the host resolves to later', async () => {
+    await updateReminderSettings(repositories.reminders, user.id, { channels: ['webhook'], webhookUrl: 'https://example.com/hook' });
+    setChannel('webhook', null);
+    await createTask(repositories.tasks, user.id, { text: 'Call', dueDate: '2025-11-20T12:00:00Z', reminders: [60] });
+
+    const connected = [];
+    let posted;
+    jest.spyOn(https, 'request').mockImplementation((url, options, onResponse) => {
+      const req = new EventEmitter();
+      req.end = (body) => {
+        posted = { url: url.href, method: options.method, body: JSON.parse(body) };
+        // The host now answers with a private address
+        HOSTS['example.com'] = [{ address: '127.0.0.1', family: 4 }];
+        options.lookup('example.com', { all: true }, (err, addresses) => connected.push(...addresses));
+        options.lookup('example.com', {}, (err, address) => connected.push(address));
+        onResponse({ statusCode: 204, resume: () => {} });
+      };
+      return req;
+    });
+
+    try {
+      expect(await sendReminders(repositories, at('2025-11-20T11:00:00Z'))).toEqual({ sent: 1, failed: 0 });
+    } finally {
+      HOSTS['example.com'] = [{ address: '93.184.215.14', family: 4 }];
+    }
+    expect(posted).toMatchObject({ url: 'https://example.com/hook', method: 'POST', body: { type: 'task.reminder', userId: user.id } });
+    expect(connected).toEqual([{ address: '93.184.215.14', family: 4 }, '93.184.215.14']);
+  });
+});
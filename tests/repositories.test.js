@@ -0,0 +1,363 @@
+/**
+ * The SQLite and in-memory repositories must behave the same behind the
+ * user and task services.
+ */
+process.env.JWT_SECRET = 'test-secret';
+process.env.DB_PATH = ':memory:';
+
+const { db, ready } = require('../server-db');
+const { createSqliteRepositories } = require('../backend/src/repositories/sqlite');
+const { createMemoryRepositories } = require('../backend/src/repositories/memory');
+const { parseTaskListQuery, parseTaskStatsQuery } = require('../backend/src/utils/taskQuery');
+const {
+  registerUser,
+  authenticateUser,
+  updateProfile,
+  markEmailVerified
+} = require('../backend/src/utils/users');
+const {
+  listTasks,
+  createTask,
+  updateTask,
+  deleteTask,
+  listTrash,
+  restoreTask,
+  purgeTrash,
+  getTaskStats,
+  addSubtask,
+  updateSubtask,
+  deleteSubtask,
+  reorderSubtasks
+} = require('../backend/src/utils/tasks');
+const { listLists, createList, reorderLists, deleteList } = require('../backend/src/utils/lists');
+const { createTag, deleteTag } = require('../backend/src/utils/tags');
+const { syncTasks } = require('../backend/src/utils/sync');
+
+beforeAll(() => ready);
+
+afterAll(async () => {
+  await new Promise((resolve) => db.close(resolve));
+});
+
+describe.each([
+  ['sqlite', () => createSqliteRepositories(db)],
+  ['memory', () => createMemoryRepositories()]
+])('%s repositories', (name, createRepositories) => {
+  const { users, tasks, lists, tags, reminders } = createRepositories();
+  let user;
+  let other;
+
+  beforeAll(async () => {
+    user = await registerUser(users, {
+      firstName: 'Ada',
+      lastName: 'Lovelace',
+      email: `ada-${name}@example.com`,
+      password: 'password123'
+    });
+    other = await users.create({
+      firstName: 'Other',
+      lastName: 'User',
+      email: `other-${name}@example.com`,
+      passwordHash: 'x'
+    });
+
+    const created = [];
+    for (const fields of [
+      { text: 'Buy cumin', priority: 'low', dueDate: '2000-01-01' },
+      { text: 'Grind pepper', priority: 'high', dueDate: '2999-06-01T12:00:00Z' },
+      { text: 'Label jars', priority: 'medium' },
+      { text: 'Order saffron', priority: 'high', dueDate: '2999-01-01' }
+    ]) {
+      created.push(await createTask(tasks, user.id, fields));
+    }
+    await updateTask(tasks, user.id, created[2].id, { completed: true });
+    await createTask(tasks, other.id, { text: 'Not yours' });
+  });
+
+  const texts = async (query) => {
+    const page = await listTasks(tasks, user.id, parseTaskListQuery(query));
+    return page.tasks.map((task) => task.text);
+  };
+
+  test('stores users in the shared shape', async () => {
+    expect(user).toMatchObject({ firstName: 'Ada', preferredLanguage: 'en', isVerified: false });
+    expect(new Date(user.createdAt).toISOString()).toBe(user.createdAt);
+
+    expect(await authenticateUser(users, user.email, 'password123')).toMatchObject({ id: user.id });
+    expect(await authenticateUser(users, user.email, 'wrong-password')).toBeNull();
+
+    await markEmailVerified(users, user.id);
+    const updated = await updateProfile(users, user.id, { preferredLanguage: 'fr' });
+    expect(updated).toMatchObject({ isVerified: true, preferredLanguage: 'fr', lastName: 'Lovelace' });
+    expect(await users.update(999999, { firstName: 'Nobody' })).toBeNull();
+  });
+
+  test('sorts and filters tasks', async () => {
+    expect(await texts({ sort: 'dueDate' })).toEqual(['Buy cumin', 'Order saffron', 'Grind pepper', 'Label jars']);
+    expect(await texts({ sort: 'priority', priority: 'high,low', order: 'asc' }))
+      .toEqual(['Buy cumin', 'Grind pepper', 'Order saffron']);
+    expect(await texts({ completed: 'true' })).toEqual(['Label jars']);
+    expect(await texts({ due: 'overdue' })).toEqual(['Buy cumin']);
+    expect(await texts({ dueAfter: '2999-01-01', sort: 'dueDate' })).toEqual(['Order saffron', 'Grind pepper']);
+    expect(await texts({ q: 'PEPPER' })).toEqual(['Grind pepper']);
+  });
+
+  test('pages through tasks with a cursor', async () => {
+    const first = await listTasks(tasks, user.id, parseTaskListQuery({ sort: 'dueDate', limit: '3' }));
+    expect(first.tasks).toHaveLength(3);
+
+    const second = await listTasks(tasks, user.id, parseTaskListQuery({ sort: 'dueDate', limit: '3', cursor: first.nextCursor }));
+    expect(second.tasks.map((task) => task.text)).toEqual(['Label jars']);
+    expect(second.nextCursor).toBeNull();
+  });
+
+  test("never touches another user's tasks", async () => {
+    const [theirs] = (await listTasks(tasks, other.id, parseTaskListQuery({}))).tasks;
+
+    expect(await updateTask(tasks, user.id, theirs.id, { text: 'Hijacked' })).toBeNull();
+    expect(await deleteTask(tasks, user.id, theirs.id)).toBe(false);
+    expect(await tasks.findById(other.id, theirs.id)).toMatchObject({ text: 'Not yours', completed: false });
+
+    expect(await getTaskStats(tasks, user.id)).toEqual({
+      total: 4,
+      completed: 1,
+      remaining: 3,
+      subtasks: { total: 0, completed: 0, remaining: 0 }
+    });
+  });
+
+  test('completing a recurring task creates the next occurrence and keeps the history', async () => {
+    const first = await createTask(tasks, other.id, {
+      text: 'Water the herbs',
+      dueDate: '2030-01-07',
+      subtasks: ['Basil'],
+      recurrence: { frequency: 'weekly', interval: 1, byWeekday: ['MO', 'TH'], count: 3 }
+    });
+    expect(first).toMatchObject({ seriesId: first.id, occurrence: 1 });
+
+    const done = await updateTask(tasks, other.id, first.id, { completed: true });
+    expect(done).toMatchObject({ completed: true, recurrence: null });
+    const second = done.nextOccurrence;
+    expect(second).toMatchObject({ dueDate: '2030-01-10', completed: false, seriesId: first.id, occurrence: 2 });
+    expect(second.subtasks).toEqual([expect.objectContaining({ text: 'Basil', completed: false })]);
+
+    const third = (await updateTask(tasks, other.id, second.id, { completed: true })).nextOccurrence;
+    expect(third).toMatchObject({ dueDate: '2030-01-14', occurrence: 3 });
+    expect((await updateTask(tasks, other.id, third.id, { completed: true })).nextOccurrence).toBeUndefined();
+
+    const history = await listTasks(tasks, other.id, parseTaskListQuery({ seriesId: String(first.id), sort: 'dueDate' }));
+    expect(history.tasks.map((task) => [task.dueDate, task.completed])).toEqual([
+      ['2030-01-07', true],
+      ['2030-01-10', true],
+      ['2030-01-14', true]
+    ]);
+
+    await expect(createTask(tasks, other.id, { text: 'No date', recurrence: { frequency: 'daily', interval: 1 } }))
+      .rejects.toThrow('needs a dueDate');
+    await Promise.all(history.tasks.map((task) => deleteTask(tasks, other.id, task.id)));
+  });
+
+  test('keeps subtasks in order and completes the parent when they are all done', async () => {
+    const task = await createTask(tasks, other.id, {
+      text: 'Restock the rack',
+      autoComplete: true,
+      subtasks: ['Cumin', 'Paprika']
+    });
+    expect(task.subtasks.map((subtask) => subtask.text)).toEqual(['Cumin', 'Paprika']);
+
+    const { subtask: saffron } = await addSubtask(tasks, other.id, task.id, { text: 'Saffron' });
+    const [cumin, paprika] = task.subtasks;
+
+    const reordered = await reorderSubtasks(tasks, other.id, task.id, { order: [saffron.id, cumin.id, paprika.id] });
+    expect(reordered.subtasks.map((subtask) => subtask.text)).toEqual(['Saffron', 'Cumin', 'Paprika']);
+    await expect(reorderSubtasks(tasks, other.id, task.id, { order: [saffron.id] })).rejects.toThrow('every subtask');
+
+    await updateSubtask(tasks, other.id, task.id, cumin.id, { completed: true });
+    await updateSubtask(tasks, other.id, task.id, paprika.id, { completed: true });
+    let result = await updateSubtask(tasks, other.id, task.id, saffron.id, { completed: true });
+    expect(result.task.completed).toBe(true);
+
+    result = await addSubtask(tasks, other.id, task.id, { text: 'Sumac' });
+    expect(result.task.completed).toBe(false);
+    expect((await deleteSubtask(tasks, other.id, task.id, result.subtask.id)).completed).toBe(true);
+
+    expect(await addSubtask(tasks, user.id, task.id, { text: 'Not mine' })).toBeNull();
+    expect(await updateSubtask(tasks, user.id, task.id, cumin.id, { completed: false })).toBeNull();
+    expect((await getTaskStats(tasks, other.id)).subtasks).toEqual({ total: 3, completed: 3, remaining: 0 });
+  });
+
+  test('organizes tasks into lists and tags and filters by them', async () => {
+    const owner = await users.create({
+      firstName: 'List',
+      lastName: 'Keeper',
+      email: `lists-${name}@example.com`,
+      passwordHash: 'x'
+    });
+    const labels = { lists, tags };
+
+    const pantry = await createList(lists, owner.id, { name: 'Pantry', color: '#aa5500' });
+    const garden = await createList(lists, owner.id, { name: 'Garden' });
+    await expect(createList(lists, owner.id, { name: 'pantry' })).rejects.toMatchObject({ name: 'ListError' });
+    const urgent = await createTag(tags, owner.id, { name: 'urgent', color: null });
+    const errand = await createTag(tags, owner.id, { name: 'Errand', color: '#00aa00' });
+
+    const restock = await createTask(tasks, owner.id, {
+      text: 'Restock cumin',
+      listId: pantry.id,
+      tagIds: [urgent.id, errand.id]
+    }, labels);
+    expect(restock.listId).toBe(pantry.id);
+    expect(restock.tags).toEqual([
+      { id: errand.id, name: 'Errand', color: '#00aa00' },
+      { id: urgent.id, name: 'urgent', color: null }
+    ]);
+    const weed = await createTask(tasks, owner.id, { text: 'Pull weeds', listId: garden.id, tagIds: [errand.id] }, labels);
+    await createTask(tasks, owner.id, { text: 'Call the vet' }, labels);
+
+    const ownerTexts = async (query) => (await listTasks(tasks, owner.id, parseTaskListQuery(query))).tasks
+      .map((task) => task.text);
+    expect(await ownerTexts({ listId: String(pantry.id) })).toEqual(['Restock cumin']);
+    expect(await ownerTexts({ listId: 'none' })).toEqual(['Call the vet']);
+    expect(await ownerTexts({ tagId: String(errand.id), sort: 'createdAt', order: 'asc' }))
+      .toEqual(['Restock cumin', 'Pull weeds']);
+
+    const moved = await updateTask(tasks, owner.id, weed.id, { listId: pantry.id, completed: true, tagIds: [] }, labels);
+    expect(moved).toMatchObject({ listId: pantry.id, tags: [] });
+    expect(await getTaskStats(tasks, owner.id, parseTaskStatsQuery({ listId: String(pantry.id) }))).toEqual({
+      total: 2,
+      completed: 1,
+      remaining: 1,
+      subtasks: { total: 0, completed: 0, remaining: 0 }
+    });
+    expect((await getTaskStats(tasks, owner.id, parseTaskStatsQuery({ tagId: String(urgent.id) }))).total).toBe(1);
+
+    const foreign = await createList(lists, other.id, { name: 'Not yours' });
+    await expect(updateTask(tasks, owner.id, weed.id, { listId: foreign.id }, labels)).rejects.toThrow('List not found');
+    await expect(createTask(tasks, owner.id, { text: 'x', tagIds: [999999] }, labels)).rejects.toThrow('Tag not found');
+
+    const reordered = await reorderLists(lists, owner.id, { order: [garden.id, pantry.id] });
+    expect(reordered.map((list) => list.name)).toEqual(['Garden', 'Pantry']);
+    await expect(reorderLists(lists, owner.id, { order: [garden.id] })).rejects.toThrow('every list');
+
+    expect(await deleteList(lists, owner.id, pantry.id)).toBe(true);
+    expect(await deleteTag(tags, owner.id, urgent.id)).toBe(true);
+    expect(await tasks.findById(owner.id, restock.id)).toMatchObject({
+      listId: null,
+      tags: [{ id: errand.id, name: 'Errand', color: '#00aa00' }]
+    });
+    expect((await listLists(lists, owner.id)).map((list) => list.name)).toEqual(['Garden']);
+  });
+
+  test('moves deleted tasks to the trash until they are restored or purged', async () => {
+    const owner = await users.create({
+      firstName: 'Trash',
+      lastName: 'Keeper',
+      email: `trash-${name}@example.com`,
+      passwordHash: 'x'
+    });
+    const kept = await createTask(tasks, owner.id, { text: 'Keep me', subtasks: ['Step'] });
+    const dropped = await createTask(tasks, owner.id, { text: 'Drop me' });
+
+    expect(await deleteTask(tasks, owner.id, kept.id)).toBe(true);
+    expect(await deleteTask(tasks, owner.id, kept.id)).toBe(false);
+    await deleteTask(tasks, owner.id, dropped.id);
+
+    expect((await listTasks(tasks, owner.id, parseTaskListQuery({}))).tasks).toEqual([]);
+    expect((await getTaskStats(tasks, owner.id)).total).toBe(0);
+    expect(await tasks.findById(owner.id, kept.id)).toBeNull();
+    expect(await updateTask(tasks, owner.id, kept.id, { completed: true })).toBeNull();
+    const trash = await listTrash(tasks, owner.id);
+    expect(trash.map((task) => task.text).sort()).toEqual(['Drop me', 'Keep me']);
+    expect(trash.every((task) => typeof task.deletedAt === 'string')).toBe(true);
+
+    expect(await restoreTask(tasks, other.id, kept.id)).toBeNull();
+    const restored = await restoreTask(tasks, owner.id, kept.id);
+    expect(restored).toMatchObject({ text: 'Keep me', deletedAt: null, subtasks: [expect.objectContaining({ text: 'Step' })] });
+    expect(await restoreTask(tasks, owner.id, kept.id)).toBeNull();
+
+    expect(await purgeTrash(tasks, new Date())).toEqual([]);
+    expect(await purgeTrash(tasks, new Date(Date.now() + 31 * 24 * 60 * 60 * 1000))).toContainEqual(
+      { id: dropped.id, userId: owner.id, listId: null }
+    );
+    expect(await listTrash(tasks, owner.id)).toEqual([]);
+    expect(await restoreTask(tasks, owner.id, dropped.id)).toBeNull();
+    expect((await getTaskStats(tasks, owner.id)).total).toBe(1);
+  });
+
+  test('counts task versions and syncs the changes since a token', async () => {
+    const owner = await users.create({
+      firstName: 'Sync',
+      lastName: 'Client',
+      email: `sync-${name}@example.com`,
+      passwordHash: 'x'
+    });
+    const edited = await createTask(tasks, owner.id, { text: 'Edit me' });
+    const dropped = await createTask(tasks, owner.id, { text: 'Drop me' });
+    await createTask(tasks, owner.id, { text: 'Leave me' });
+    expect(edited.version).toBe(1);
+
+    const first = await syncTasks(tasks, owner.id);
+    expect(first).toMatchObject({ full: true, deleted: [] });
+    expect(first.tasks.map((task) => task.text).sort()).toEqual(['Drop me', 'Edit me', 'Leave me']);
+    expect(await syncTasks(tasks, owner.id, first.token)).toMatchObject({ full: false, tasks: [], deleted: [] });
+
+    expect((await updateTask(tasks, owner.id, edited.id, { text: 'Edited' }, undefined, owner.id, [1])).version).toBe(2);
+    // Limited to a version the task no longer has, changes leave it alone
+    expect(await updateTask(tasks, owner.id, edited.id, { text: 'Stale' }, undefined, owner.id, [1])).toBeNull();
+    expect(await deleteTask(tasks, owner.id, edited.id, [1, 3])).toBe(false);
+    expect(await deleteTask(tasks, owner.id, dropped.id, [1])).toBe(true);
+    await createTask(tasks, other.id, { text: 'Not synced' });
+
+    const second = await syncTasks(tasks, owner.id, first.token);
+    expect(second.tasks).toEqual([expect.objectContaining({ id: edited.id, text: 'Edited', version: 2 })]);
+    expect(second.deleted).toEqual([dropped.id]);
+    expect(await syncTasks(tasks, owner.id, second.token)).toMatchObject({ tasks: [], deleted: [] });
+  });
+
+  test('finds due tasks for reminders and records each reminder once', async () => {
+    const owner = await users.create({
+      firstName: 'Remind',
+      lastName: 'Me',
+      email: `remind-${name}@example.com`,
+      passwordHash: 'x'
+    });
+    const soon = await createTask(tasks, owner.id, { text: 'Soon', dueDate: '2031-03-01T10:00:00Z', reminders: [60, 15] });
+    await createTask(tasks, owner.id, { text: 'Same day', dueDate: '2031-03-01' });
+    const done = await createTask(tasks, owner.id, { text: 'Done', dueDate: '2031-03-01T09:00:00Z' });
+    await updateTask(tasks, owner.id, done.id, { completed: true });
+    expect((await updateTask(tasks, owner.id, soon.id, { reminders: [30] })).reminders).toEqual([30]);
+
+    const due = await tasks.dueBetween(new Date('2031-03-01T00:00:00Z'), new Date('2031-03-02T00:00:00Z'));
+    expect(due.map((task) => [task.text, task.reminders])).toEqual([['Soon', [30]], ['Same day', []]]);
+
+    expect(await reminders.findSettings(owner.id)).toBeNull();
+    expect(await reminders.saveSettings(owner.id, { digestHour: 7 })).toMatchObject({
+      channels: ['email'],
+      overdue: false,
+      digestHour: 7
+    });
+    expect((await reminders.listDigests(6)).map((settings) => settings.userId)).not.toContain(owner.id);
+    expect((await reminders.listDigests(7)).map((settings) => settings.userId)).toContain(owner.id);
+
+    const key = `overdue:${soon.id}:${name}`;
+    const sentAt = new Date('2031-03-01T10:00:00Z');
+    expect(await reminders.claim(key, { userId: owner.id, taskId: soon.id }, sentAt)).toBe(true);
+    expect(await reminders.claim(key, { userId: owner.id, taskId: soon.id }, sentAt)).toBe(false);
+    await reminders.release(key);
+    expect(await reminders.claim(key, { userId: owner.id }, sentAt)).toBe(true);
+    expect(await reminders.forgetSent(new Date('2031-03-02T00:00:00Z'))).toBeGreaterThanOrEqual(1);
+    expect(await reminders.claim(key, { userId: owner.id }, sentAt)).toBe(true);
+  });
+
+  test('records when a task was completed', async () => {
+    const task = await createTask(tasks, user.id, { text: 'Finish me' });
+    expect(task.completedAt).toBeNull();
+
+    const completed = await updateTask(tasks, user.id, task.id, { completed: true });
+    expect(Date.parse(completed.completedAt)).not.toBeNaN();
+    expect((await updateTask(tasks, user.id, task.id, { text: 'Finished' })).completedAt).toBe(completed.completedAt);
+    expect((await updateTask(tasks, user.id, task.id, { completed: true })).completedAt).toBe(completed.completedAt);
+    expect((await updateTask(tasks, user.id, task.id, { completed: false })).completedAt).toBeNull();
+    await deleteTask(tasks, user.id, task.id);
+  });
+});
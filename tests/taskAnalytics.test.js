@@ -0,0 +1,80 @@
+/**
+ * Completions per day and week, time to complete, overdue tasks and streaks.
+ */
+const { createMemoryRepositories } = require('../backend/src/repositories/memory');
+const { createTask, updateTask, deleteTask } = require('../backend/src/utils/tasks');
+const { parseTaskAnalyticsQuery, TaskQueryError } = require('../backend/src/utils/taskQuery');
+const { getTaskAnalytics } = require('../backend/src/utils/taskAnalytics');
+
+const USER = 'user-id';
+const NOW = new Date('2025-11-20T12:00:00.000Z');
+
+describe('task analytics', () => {
+  let tasks;
+  let clock;
+
+  const at = async (iso, change) => {
+    clock = new Date(iso);
+    return change();
+  };
+
+  const analytics = (query) => getTaskAnalytics(tasks, USER, parseTaskAnalyticsQuery(query, NOW), NOW);
+
+  beforeEach(async () => {
+    ({ tasks } = createMemoryRepositories({ now: () => clock }));
+
+    const write = await at('2025-11-17T09:00:00Z', () => createTask(tasks, USER, { text: 'Write', priority: 'high' }));
+    const read = await at('2025-11-17T09:00:00Z', () => createTask(tasks, USER, { text: 'Read' }));
+    const late = await at('2025-11-17T09:00:00Z', () => createTask(tasks, USER, { text: 'Late night', priority: 'low' }));
+    await at('2025-11-10T08:00:00Z', () => createTask(tasks, USER, { text: 'Overdue', priority: 'high', dueDate: '2025-11-19' }));
+    const trashed = await at('2025-11-17T09:00:00Z', () => createTask(tasks, USER, { text: 'Trashed' }));
+
+    await at('2025-11-18T11:00:00Z', () => updateTask(tasks, USER, write.id, { completed: true }));
+    await at('2025-11-19T14:00:00Z', () => updateTask(tasks, USER, read.id, { completed: true }));
+    // 23:30 in UTC is already the next day in Tokyo
+    await at('2025-11-19T23:30:00Z', () => updateTask(tasks, USER, late.id, { completed: true }));
+    await at('2025-11-19T10:00:00Z', () => updateTask(tasks, USER, trashed.id, { completed: true }));
+    await at('2025-11-19T10:00:00Z', () => deleteTask(tasks, USER, trashed.id));
+  });
+
+  it('counts completions per day in the time zone and describes the tasks now', async () => {
+    const utc = await analytics({ from: '2025-11-17', to: '2025-11-20' });
+
+    expect(utc.completions).toEqual([
+      { period: '2025-11-17', count: 0 },
+      { period: '2025-11-18', count: 1 },
+      { period: '2025-11-19', count: 2 },
+      { period: '2025-11-20', count: 0 }
+    ]);
+    expect(utc).toMatchObject({ completedInRange: 3, overdue: 1, currentStreak: 2, averageHoursToComplete: 47.17 });
+    expect(utc.byPriority).toEqual({
+      low: { total: 1, completed: 1, remaining: 0, overdue: 0 },
+      medium: { total: 1, completed: 1, remaining: 0, overdue: 0 },
+      high: { total: 2, completed: 1, remaining: 1, overdue: 1 }
+    });
+
+    const tokyo = await analytics({ from: '2025-11-17', to: '2025-11-20', timezone: 'Asia/Tokyo' });
+    expect(tokyo.completions.map((period) => period.count)).toEqual([0, 1, 1, 1]);
+    expect(tokyo.currentStreak).toBe(3);
+  });
+
+  it('groups by week and drops the completion of a reopened task', async () => {
+    const { tasks: [read] } = await tasks.list(USER, { q: 'Read', sort: 'createdAt', order: 'asc' });
+    await at('2025-11-20T08:00:00Z', () => updateTask(tasks, USER, read.id, { completed: false }));
+
+    const weekly = await analytics({ from: '2025-11-05', to: '2025-11-20', groupBy: 'week' });
+    expect(weekly.completions).toEqual([
+      { period: '2025-11-03', count: 0 },
+      { period: '2025-11-10', count: 0 },
+      { period: '2025-11-17', count: 2 }
+    ]);
+    expect(read.completedAt).toBe('2025-11-19T14:00:00.000Z');
+    expect((await tasks.findById(USER, read.id)).completedAt).toBeNull();
+  });
+
+  it('defaults to the last 30 days in UTC and checks the range', () => {
+    expect(parseTaskAnalyticsQuery({}, NOW)).toEqual({ from: '2025-10-22', to: '2025-11-20', groupBy: 'day', timezone: 'UTC' });
+    expect(() => parseTaskAnalyticsQuery({ timezone: 'Mars/Olympus' }, NOW)).toThrow(TaskQueryError);
+    expect(() => parseTaskAnalyticsQuery({ from: '2025-11-21', to: '2025-11-20' }, NOW)).toThrow(TaskQueryError);
+  });
+});
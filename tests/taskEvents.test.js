@@ -0,0 +1,52 @@
+/**
+ * The task event hub behind GET /tasks/stream.
+ */
+const { createTaskEventHub, formatTaskEvent } = require('../backend/src/utils/taskEvents');
+
+describe('task events', () => {
+  const collect = (hub, userId, lastEventId) => {
+    const events = [];
+    hub.subscribe(userId, (event) => events.push(`${event.id} ${event.type}`), lastEventId);
+    return events;
+  };
+
+  it('delivers events to the users they are for', () => {
+    const hub = createTaskEventHub();
+    const owner = collect(hub, 1);
+    const member = collect(hub, '2');
+    const stranger = collect(hub, 3);
+
+    hub.publish([1, 2], 'task.created', { task: { id: 7 } });
+    hub.publish([1], 'task.updated', { task: { id: 8 } });
+
+    expect(owner).toEqual(['1 task.created', '2 task.updated']);
+    expect(member).toEqual(['1 task.created']);
+    expect(stranger).toEqual([]);
+  });
+
+  it('replays missed events after Last-Event-ID, or asks for a resync when they are gone', () => {
+    const hub = createTaskEventHub({ historySize: 2 });
+    ['task.created', 'task.updated', 'task.deleted'].forEach((type) => hub.publish([1], type, {}));
+
+    expect(collect(hub, 1, '2')).toEqual(['3 task.deleted']);
+    expect(collect(hub, 1, '1')).toEqual(['2 task.updated', '3 task.deleted']);
+    expect(collect(hub, 1, '0')).toEqual(['3 resync']);
+    expect(collect(hub, 1, '40')).toEqual(['3 resync']);
+    expect(collect(hub, 1, 'abc')).toEqual(['3 resync']);
+  });
+
+  it('stops delivering after unsubscribing', () => {
+    const hub = createTaskEventHub();
+    const events = [];
+    const unsubscribe = hub.subscribe(1, (event) => events.push(event), undefined);
+
+    unsubscribe();
+    hub.publish([1], 'task.created', {});
+    expect(events).toEqual([]);
+  });
+
+  it('formats events for text/event-stream', () => {
+    expect(formatTaskEvent({ id: 4, type: 'task.deleted', data: { id: 9, listId: null } }))
+      .toBe('id: 4\nevent: task.deleted\ndata: {"id":9,"listId":null}\n\n');
+  });
+});
@@ -0,0 +1,398 @@
+/**
+ * Task routes must only ever act on the authenticated user's own tasks.
+ */
+process.env.JWT_SECRET = 'test-secret';
+process.env.DB_PATH = ':memory:';
+
+const { setTransport } = require('../backend/src/utils/mailer');
+const { app, db, ready } = require('../server-db');
+
+let server;
+let baseUrl;
+
+const request = async (method, path, { token, body, headers } = {}) => {
+  const res = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token && { Authorization: `Bearer ${token}` }),
+      ...headers
+    },
+    body: body && JSON.stringify(body)
+  });
+  return { status: res.status, etag: res.headers.get('etag'), body: await res.json() };
+};
+
+// GET /tasks/stream with a ticket, as EventSource would open it; next() resolves
+// with the next event as { id, event, data }
+const openStream = async (token, lastEventId) => {
+  const { body: { ticket } } = await request('POST', '/tasks/stream/ticket', { token });
+  const controller = new AbortController();
+  const res = await fetch(`${baseUrl}/tasks/stream?ticket=${ticket}`, {
+    signal: controller.signal,
+    headers: lastEventId ? { 'Last-Event-ID': lastEventId } : {}
+  });
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const next = async () => {
+    for (;;) {
+      const end = buffer.indexOf('\n\n');
+      if (end === -1) {
+        buffer += decoder.decode((await reader.read()).value, { stream: true });
+        continue;
+      }
+      const fields = Object.fromEntries(buffer.slice(0, end).split('\n').map((line) => line.split(/: (.*)/s)));
+      buffer = buffer.slice(end + 2);
+      if (fields.event) {
+        return { id: fields.id, event: fields.event, data: JSON.parse(fields.data) };
+      }
+    }
+  };
+  return { status: res.status, type: res.headers.get('content-type'), next, close: () => controller.abort() };
+};
+
+const registerUser = async (email) => {
+  const { body } = await request('POST', '/register', {
+    body: { firstName: 'Test', lastName: 'User', email, password: 'password123' }
+  });
+  return { id: body.user.id, token: body.token };
+};
+
+describe('task ownership', () => {
+  let alice;
+  let bob;
+  let aliceTask;
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    setTransport(async () => {});
+    await ready;
+
+    server = app.listen(0);
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    alice = await registerUser('alice@example.com');
+    bob = await registerUser('bob@example.com');
+  });
+
+  beforeEach(async () => {
+    const { body } = await request('POST', '/tasks', {
+      token: alice.token,
+      body: { text: 'Alice private task', priority: 'high' }
+    });
+    aliceTask = body.task;
+  });
+
+  afterAll(async () => {
+    setTransport(null);
+    await new Promise((resolve) => server.close(resolve));
+    await new Promise((resolve) => db.close(resolve));
+    jest.restoreAllMocks();
+  });
+
+  it('rejects requests without a token', async () => {
+    const res = await request('GET', `/tasks/${alice.id}`);
+    expect(res.status).toBe(401);
+  });
+
+  it('lets the owner update and delete their task', async () => {
+    const updated = await request('PUT', `/tasks/${aliceTask.id}`, {
+      token: alice.token,
+      body: { completed: true }
+    });
+    expect(updated.status).toBe(200);
+    expect(updated.body.task.completed).toBe(true);
+
+    const deleted = await request('DELETE', `/tasks/${aliceTask.id}`, { token: alice.token });
+    expect(deleted.status).toBe(200);
+  });
+
+  it("returns 404 when updating another user's task and leaves it unchanged", async () => {
+    const res = await request('PUT', `/tasks/${aliceTask.id}`, {
+      token: bob.token,
+      body: { text: 'hijacked', completed: true }
+    });
+    expect(res.status).toBe(404);
+
+    const { body } = await request('GET', `/tasks/${alice.id}`, { token: alice.token });
+    const task = body.tasks.find((t) => t.id === aliceTask.id);
+    expect(task.text).toBe('Alice private task');
+    expect(task.completed).toBe(false);
+  });
+
+  it("returns 404 when deleting another user's task and keeps it", async () => {
+    const res = await request('DELETE', `/tasks/${aliceTask.id}`, { token: bob.token });
+    expect(res.status).toBe(404);
+
+    const { body } = await request('GET', `/tasks/${alice.id}`, { token: alice.token });
+    expect(body.tasks.map((t) => t.id)).toContain(aliceTask.id);
+  });
+
+  it("does not list another user's tasks or stats", async () => {
+    const list = await request('GET', `/tasks/${alice.id}`, { token: bob.token });
+    expect(list.status).toBe(403);
+    expect(list.body.tasks).toBeUndefined();
+
+    const stats = await request('GET', `/tasks/user-${alice.id}/stats`, { token: bob.token });
+    expect(stats.status).toBe(403);
+    expect(stats.body.stats).toBeUndefined();
+  });
+
+  it("cannot add to or change another user's subtasks", async () => {
+    const added = await request('POST', `/tasks/${aliceTask.id}/subtasks`, {
+      token: alice.token,
+      body: { text: 'Alice step' }
+    });
+    expect(added.status).toBe(201);
+    const { subtask } = added.body;
+
+    const res = await request('POST', `/tasks/${aliceTask.id}/subtasks`, { token: bob.token, body: { text: 'planted' } });
+    expect(res.status).toBe(404);
+    const edit = await request('PUT', `/tasks/${aliceTask.id}/subtasks/${subtask.id}`, {
+      token: bob.token,
+      body: { completed: true }
+    });
+    expect(edit.status).toBe(404);
+    const removal = await request('DELETE', `/tasks/${aliceTask.id}/subtasks/${subtask.id}`, { token: bob.token });
+    expect(removal.status).toBe(404);
+
+    const { body } = await request('GET', `/tasks/${alice.id}`, { token: alice.token });
+    expect(body.tasks.find((t) => t.id === aliceTask.id).subtasks).toEqual([
+      { id: subtask.id, text: 'Alice step', completed: false, position: 0 }
+    ]);
+  });
+
+  it('creates tasks for the caller, ignoring a userId in the body', async () => {
+    const res = await request('POST', '/tasks', {
+      token: bob.token,
+      body: { userId: alice.id, text: 'planted task' }
+    });
+    expect(res.status).toBe(200);
+    expect(res.body.task.userId).toBe(bob.id);
+
+    const { body } = await request('GET', `/tasks/${alice.id}`, { token: alice.token });
+    expect(body.tasks.map((t) => t.text)).not.toContain('planted task');
+  });
+
+  it('lets members of a shared list view its tasks and only editors change them', async () => {
+    const { body: { list } } = await request('POST', '/lists', { token: alice.token, body: { name: 'Family' } });
+    const { body: { task } } = await request('POST', '/tasks', {
+      token: alice.token,
+      body: { text: 'Buy saffron', listId: list.id }
+    });
+
+    const invite = (email) => request('POST', `/lists/${list.id}/members`, {
+      token: alice.token,
+      body: { email, role: 'viewer' }
+    });
+    const invited = await invite('bob@example.com');
+    expect(invited.status).toBe(202);
+    // Nobody finds out from the answer or the member list whether an email is registered
+    expect(await invite('nobody@example.com')).toEqual(invited);
+    const members = async () => (await request('GET', `/lists/${list.id}/members`, { token: alice.token })).body.members;
+    expect(await members()).toEqual([]);
+
+    // Nothing is shared until the invitation is accepted
+    expect((await request('GET', `/lists/${list.id}/tasks`, { token: bob.token })).status).toBe(404);
+    const { body: { invitations } } = await request('GET', '/invitations', { token: bob.token });
+    expect(invitations).toEqual([expect.objectContaining({ listId: list.id, list: expect.objectContaining({ name: 'Family' }) })]);
+    expect((await request('POST', `/invitations/${list.id}/accept`, { token: bob.token })).status).toBe(200);
+    expect(await members()).toEqual([expect.objectContaining({ userId: bob.id, role: 'viewer', status: 'accepted' })]);
+
+    const shared = await request('GET', `/lists/${list.id}/tasks`, { token: bob.token });
+    expect(shared.body).toMatchObject({ role: 'viewer', tasks: [expect.objectContaining({ id: task.id })] });
+    const viewerEdit = await request('PUT', `/tasks/${task.id}`, { token: bob.token, body: { completed: true } });
+    expect(viewerEdit.status).toBe(403);
+    expect((await request('DELETE', `/tasks/${task.id}`, { token: bob.token })).status).toBe(403);
+
+    await request('PUT', `/lists/${list.id}/members/${bob.id}`, { token: alice.token, body: { role: 'editor' } });
+    const completed = await request('PUT', `/tasks/${task.id}`, { token: bob.token, body: { completed: true } });
+    expect(completed.status).toBe(200);
+    expect(completed.body.task).toMatchObject({ completed: true, completedBy: bob.id, userId: alice.id });
+
+    // The lists and tags are Alice's, so only she moves or tags her tasks
+    const { body: { list: other } } = await request('POST', '/lists', { token: alice.token, body: { name: 'Work' } });
+    const { body: { tag } } = await request('POST', '/tags', { token: alice.token, body: { name: 'urgent' } });
+    const moved = await request('PUT', `/tasks/${task.id}`, { token: bob.token, body: { listId: other.id } });
+    expect(moved.status).toBe(403);
+    expect((await request('PUT', `/tasks/${task.id}`, { token: bob.token, body: { tagIds: [tag.id] } })).status).toBe(403);
+    expect((await request('POST', '/tasks', {
+      token: bob.token,
+      body: { text: 'Tagged', listId: list.id, tagIds: [tag.id] }
+    })).status).toBe(403);
+    // Sending the list and tags the task already has is fine
+    expect((await request('PUT', `/tasks/${task.id}`, {
+      token: bob.token,
+      body: { text: 'Buy more saffron', listId: list.id, tagIds: [] }
+    })).status).toBe(200);
+
+    const added = await request('POST', '/tasks', { token: bob.token, body: { text: 'Bob adds', listId: list.id } });
+    expect(added.body.task.userId).toBe(alice.id);
+
+    // A task an editor deletes goes to Alice's trash, and the editor can take it out again
+    const restore = (member) => request('POST', `/tasks/${added.body.task.id}/restore`, { token: member.token });
+    expect((await request('DELETE', `/tasks/${added.body.task.id}`, { token: bob.token })).status).toBe(200);
+    const restored = await restore(bob);
+    expect(restored.status).toBe(200);
+    expect(restored.body.task).toMatchObject({ id: added.body.task.id, userId: alice.id, deletedAt: null });
+    await request('DELETE', `/tasks/${added.body.task.id}`, { token: bob.token });
+    await request('PUT', `/lists/${list.id}/members/${bob.id}`, { token: alice.token, body: { role: 'viewer' } });
+    expect((await restore(bob)).status).toBe(403);
+    expect((await restore(alice)).status).toBe(200);
+    await request('PUT', `/lists/${list.id}/members/${bob.id}`, { token: alice.token, body: { role: 'editor' } });
+
+    // Leaving the list takes the access away again
+    expect((await request('DELETE', `/lists/${list.id}/members/${bob.id}`, { token: bob.token })).status).toBe(200);
+    expect((await request('DELETE', `/tasks/${task.id}`, { token: bob.token })).status).toBe(404);
+  });
+
+  it("applies bulk operations all or nothing and never reaches another user's tasks", async () => {
+    const carol = await registerUser('carol@example.com');
+    const applied = await request('POST', '/tasks/bulk', {
+      token: carol.token,
+      body: {
+        operations: [
+          { op: 'create', fields: { text: 'Pack' } },
+          { op: 'create', fields: { text: 'Travel', priority: 'high' } },
+          { op: 'complete-all' }
+        ]
+      }
+    });
+    expect(applied.status).toBe(200);
+    const [pack, travel, completeAll] = applied.body.results;
+    expect(travel.task).toMatchObject({ text: 'Travel', priority: 'high', userId: carol.id });
+    expect(completeAll).toEqual({ op: 'complete-all', ids: [pack.id, travel.id] });
+
+    // Deleting Alice's task fails, so the cleared tasks come back too, but not
+    // what other requests wrote in the meantime
+    const [failed, bobs] = await Promise.all([
+      request('POST', '/tasks/bulk', {
+        token: carol.token,
+        body: { operations: [{ op: 'delete-completed' }, { op: 'delete', id: aliceTask.id }, { op: 'complete-all' }] }
+      }),
+      request('POST', '/tasks', { token: bob.token, body: { text: 'Bob meanwhile' } })
+    ]);
+    expect(failed.status).toBe(400);
+    expect(bobs.status).toBe(200);
+    const bobsTasks = await request('GET', `/tasks/${bob.id}`, { token: bob.token });
+    expect(bobsTasks.body.tasks.map((t) => t.id)).toContain(bobs.body.task.id);
+    expect(failed.body.results).toEqual([
+      { op: 'delete-completed', status: 'rolledBack' },
+      { op: 'delete', status: 'failed', error: 'Task not found' },
+      { op: 'complete-all', status: 'skipped' }
+    ]);
+
+    const { body } = await request('GET', `/tasks/${carol.id}`, { token: carol.token });
+    expect(body.tasks.map((t) => [t.text, t.completed])).toEqual([['Travel', true], ['Pack', true]]);
+    const alices = await request('GET', `/tasks/${alice.id}`, { token: alice.token });
+    expect(alices.body.tasks.map((t) => t.id)).toContain(aliceTask.id);
+  });
+
+  it('streams changes only to users who can see the task, resuming from Last-Event-ID', async () => {
+    const stream = await openStream(alice.token);
+    let updated;
+    try {
+      expect(stream.status).toBe(200);
+      expect(stream.type).toMatch(/^text\/event-stream/);
+
+      await request('POST', '/tasks', { token: bob.token, body: { text: 'Bob private task' } });
+      await request('PUT', `/tasks/${aliceTask.id}`, { token: alice.token, body: { text: 'Renamed' } });
+      await request('DELETE', `/tasks/${aliceTask.id}`, { token: alice.token });
+
+      updated = await stream.next();
+      expect(updated).toMatchObject({ event: 'task.updated', data: { task: { id: aliceTask.id, text: 'Renamed' } } });
+      expect(await stream.next()).toMatchObject({ event: 'task.deleted', data: { id: aliceTask.id, listId: null } });
+    } finally {
+      stream.close();
+    }
+
+    const resumed = await openStream(alice.token, updated.id);
+    try {
+      expect(await resumed.next()).toMatchObject({ event: 'task.deleted', data: { id: aliceTask.id } });
+    } finally {
+      resumed.close();
+    }
+  });
+
+  it('streams the changes of bulk operations, imports, restores and subtasks', async () => {
+    const stream = await openStream(alice.token);
+    try {
+      const { body: bulk } = await request('POST', '/tasks/bulk', {
+        token: alice.token,
+        body: { operations: [{ op: 'create', fields: { text: 'Bulk' } }, { op: 'delete', id: aliceTask.id }] }
+      });
+      expect(await stream.next()).toMatchObject({ event: 'task.created', data: { task: { id: bulk.results[0].id } } });
+      expect(await stream.next()).toMatchObject({ event: 'task.deleted', data: { id: aliceTask.id, listId: null } });
+
+      await request('POST', `/tasks/${aliceTask.id}/restore`, { token: alice.token });
+      expect(await stream.next()).toMatchObject({ event: 'task.created', data: { task: { id: aliceTask.id } } });
+
+      await request('POST', `/tasks/${aliceTask.id}/subtasks`, { token: alice.token, body: { text: 'Step' } });
+      expect(await stream.next()).toMatchObject({
+        event: 'task.updated',
+        data: { task: { id: aliceTask.id, subtasks: [expect.objectContaining({ text: 'Step' })] } }
+      });
+
+      await request('POST', '/tasks/import', {
+        token: alice.token,
+        body: { format: 'json', content: JSON.stringify([{ text: 'Imported' }]) }
+      });
+      expect(await stream.next()).toMatchObject({ event: 'task.created', data: { task: { text: 'Imported' } } });
+    } finally {
+      stream.close();
+    }
+  });
+
+  it('opens the event stream with a ticket, not an access token in the URL', async () => {
+    const { body: { ticket } } = await request('POST', '/tasks/stream/ticket', { token: alice.token });
+
+    expect((await fetch(`${baseUrl}/tasks/stream?access_token=${alice.token}`)).status).toBe(401);
+    expect((await fetch(`${baseUrl}/tasks/stream?ticket=${alice.token}`)).status).toBe(401);
+    // A ticket is no access token
+    expect((await request('GET', `/tasks/${alice.id}`, { token: ticket })).status).toBe(401);
+  });
+
+  it('syncs changes since a token and refuses updates to an outdated version', async () => {
+    const first = await request('GET', '/sync', { token: alice.token });
+    expect(first.status).toBe(200);
+    expect(first.body.full).toBe(true);
+
+    const fetched = await request('PUT', `/tasks/${aliceTask.id}`, { token: alice.token, body: { text: 'Online edit' } });
+    expect(fetched.etag).toBe('"2"');
+    const stale = await request('PUT', `/tasks/${aliceTask.id}`, {
+      token: alice.token,
+      headers: { 'If-Match': '"1"' },
+      body: { text: 'Offline edit' }
+    });
+    expect(stale.status).toBe(409);
+    expect(stale.etag).toBe('"2"');
+    expect(stale.body.task).toMatchObject({ id: aliceTask.id, text: 'Online edit', version: 2 });
+    const staleDelete = await request('DELETE', `/tasks/${aliceTask.id}`, { token: alice.token, headers: { 'If-Match': '"1"' } });
+    expect(staleDelete.status).toBe(409);
+
+    const merged = await request('PUT', `/tasks/${aliceTask.id}`, {
+      token: alice.token,
+      headers: { 'If-Match': fetched.etag },
+      body: { text: 'Merged edit' }
+    });
+    expect(merged.status).toBe(200);
+    expect(merged.body.task.version).toBe(3);
+    // A weak ETag, as a proxy that compressed the response hands back, works as well
+    const weakUpdate = await request('PUT', `/tasks/${aliceTask.id}`, {
+      token: alice.token,
+      headers: { 'If-Match': 'W/"2", W/"3"' },
+      body: { completed: true }
+    });
+    expect(weakUpdate.status).toBe(200);
+    expect((await request('DELETE', `/tasks/${aliceTask.id}`, { token: alice.token, headers: { 'If-Match': 'W/"3"' } })).status)
+      .toBe(409);
+    const deleted = await request('DELETE', `/tasks/${aliceTask.id}`, { token: alice.token, headers: { 'If-Match': 'W/"4"' } });
+    expect(deleted.status).toBe(200);
+
+    const delta = await request('GET', `/sync?since=${first.body.token}`, { token: alice.token });
+    expect(delta.body).toMatchObject({ full: false, tasks: [], deleted: [aliceTask.id] });
+    expect((await request('GET', '/sync?since=nonsense', { token: alice.token })).status).toBe(400);
+  });
+});
@@ -0,0 +1,216 @@
+/**
+ * Task list query parameters: filtering, sorting, cursor pagination, and the
+ * 400 answered for each invalid parameter.
+ */
+process.env.JWT_SECRET = 'test-secret';
+process.env.DB_PATH = ':memory:';
+
+const { setTransport } = require('../backend/src/utils/mailer');
+const { TaskQueryError, parseTaskListQuery } = require('../backend/src/utils/taskQuery');
+const { app, db, ready } = require('../server-db');
+
+// The { field, message } details of the TaskQueryError thrown for a query
+const queryErrors = (query) => {
+  try {
+    parseTaskListQuery(query);
+  } catch (error) {
+    expect(error).toBeInstanceOf(TaskQueryError);
+    return error.details;
+  }
+  throw new Error('Expected a TaskQueryError');
+};
+
+describe('parseTaskListQuery', () => {
+  test('sorts newest first by default', () => {
+    expect(parseTaskListQuery({})).toEqual({ sort: 'createdAt', order: 'desc' });
+  });
+
+  test('sorts by due date soonest first by default', () => {
+    expect(parseTaskListQuery({ sort: 'dueDate' })).toEqual({ sort: 'dueDate', order: 'asc' });
+  });
+
+  test('converts the filters', () => {
+    expect(parseTaskListQuery({
+      completed: 'false',
+      priority: 'high,medium',
+      dueAfter: '2025-06-01',
+      dueBefore: '2025-07-01T00:00:00Z',
+      tagId: ['1', '2,3'],
+      listId: 'none',
+      limit: '10'
+    })).toEqual({
+      completed: false,
+      priority: ['high', 'medium'],
+      dueAfter: new Date('2025-06-01'),
+      dueBefore: new Date('2025-07-01T00:00:00Z'),
+      tagId: [1, 2, 3],
+      listId: 'none',
+      limit: 10,
+      sort: 'createdAt',
+      order: 'desc'
+    });
+  });
+
+  test('takes priority repeated as well as comma-separated', () => {
+    expect(parseTaskListQuery({ priority: ['low', 'high'] }).priority).toEqual(['low', 'high']);
+  });
+
+  test.each([
+    ['completed', { completed: 'maybe' }],
+    ['priority', { priority: 'high,urgent' }],
+    ['dueBefore', { dueBefore: 'tomorrow' }],
+    ['dueAfter', { dueAfter: '2025-13-45' }],
+    ['sort', { sort: 'text' }],
+    ['order', { order: 'up' }],
+    ['limit', { limit: '101' }]
+  ])('rejects an invalid %s', (field, query) => {
+    expect(queryErrors(query).map((error) => error.field)).toEqual([expect.stringMatching(new RegExp(`^${field}`))]);
+  });
+
+  test('reports every invalid parameter at once', () => {
+    expect(queryErrors({ completed: 'maybe', sort: 'text', order: 'up' }).map((error) => error.field))
+      .toEqual(['completed', 'sort', 'order']);
+  });
+
+  test.each(['not-base64!', Buffer.from('{"id":').toString('base64url'), Buffer.from('{"value":1}').toString('base64url')])(
+    'rejects the tampered cursor %s',
+    (cursor) => {
+      expect(queryErrors({ cursor })).toEqual([{ field: 'cursor', message: 'cursor is invalid' }]);
+    }
+  );
+
+  test('rejects a cursor issued for another sort or order', () => {
+    const cursor = Buffer.from(JSON.stringify({ sort: 'createdAt', order: 'desc', value: 'x', id: 1 })).toString('base64url');
+    expect(parseTaskListQuery({ cursor }).cursor).toEqual({ sort: 'createdAt', order: 'desc', value: 'x', id: 1 });
+    expect(queryErrors({ cursor, order: 'asc' })).toEqual([
+      { field: 'cursor', message: 'cursor does not match the requested sort and order' }
+    ]);
+    expect(queryErrors({ cursor, sort: 'priority' })).toEqual([
+      { field: 'cursor', message: 'cursor does not match the requested sort and order' }
+    ]);
+  });
+});
+
+describe('GET /tasks/:userId', () => {
+  let server;
+  let baseUrl;
+  let user;
+
+  const request = async (method, path, { token, body } = {}) => {
+    const res = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token && { Authorization: `Bearer ${token}` })
+      },
+      body: body && JSON.stringify(body)
+    });
+    return { status: res.status, body: await res.json() };
+  };
+
+  const listTasks = (query) => request('GET', `/tasks/${user.id}?${new URLSearchParams(query)}`, { token: user.token });
+  const texts = (tasks) => tasks.map((task) => task.text);
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    setTransport(async () => {});
+    await ready;
+
+    server = app.listen(0);
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    const { body } = await request('POST', '/register', {
+      body: { firstName: 'Test', lastName: 'User', email: 'query@example.com', password: 'password123' }
+    });
+    user = { id: body.user.id, token: body.token };
+
+    const tasks = [
+      { text: 'File taxes', priority: 'high', dueDate: '2025-04-15' },
+      { text: 'Book dentist', priority: 'low', dueDate: '2025-03-01' },
+      { text: 'Buy milk', priority: 'medium' },
+      { text: 'Renew passport', priority: 'high', dueDate: '2025-09-30' },
+      { text: 'Call plumber', priority: 'medium', dueDate: '2025-05-20' }
+    ];
+    for (const task of tasks) {
+      await request('POST', '/tasks', { token: user.token, body: task });
+    }
+    const { body: { tasks: created } } = await listTasks({ q: 'milk' });
+    await request('PUT', `/tasks/${created[0].id}`, { token: user.token, body: { completed: true } });
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    await new Promise((resolve) => db.close(resolve));
+    jest.restoreAllMocks();
+  });
+
+  test('filters by completion, priority, due range and text', async () => {
+    expect(texts((await listTasks({ completed: 'true' })).body.tasks)).toEqual(['Buy milk']);
+    expect(texts((await listTasks({ priority: 'high' })).body.tasks)).toEqual(['Renew passport', 'File taxes']);
+    expect(texts((await listTasks({ dueAfter: '2025-04-01', dueBefore: '2025-06-01', sort: 'dueDate' })).body.tasks))
+      .toEqual(['File taxes', 'Call plumber']);
+    expect(texts((await listTasks({ q: 'PASS' })).body.tasks)).toEqual(['Renew passport']);
+  });
+
+  test('sorts by due date with undated tasks last, and by priority', async () => {
+    expect(texts((await listTasks({ sort: 'dueDate' })).body.tasks))
+      .toEqual(['Book dentist', 'File taxes', 'Call plumber', 'Renew passport', 'Buy milk']);
+    expect(texts((await listTasks({ sort: 'priority', order: 'asc' })).body.tasks))
+      .toEqual(['Book dentist', 'Buy milk', 'Call plumber', 'File taxes', 'Renew passport']);
+  });
+
+  test('pages through every task with the cursor', async () => {
+    const seen = [];
+    let cursor;
+    let pages = 0;
+    do {
+      const { status, body } = await listTasks({ sort: 'dueDate', limit: '2', ...(cursor && { cursor }) });
+      expect(status).toBe(200);
+      expect(body.tasks.length).toBeLessThanOrEqual(2);
+      seen.push(...texts(body.tasks));
+      cursor = body.nextCursor;
+      pages += 1;
+    } while (cursor);
+
+    expect(pages).toBe(3);
+    expect(seen).toEqual(['Book dentist', 'File taxes', 'Call plumber', 'Renew passport', 'Buy milk']);
+  });
+
+  test('answers the last page without a cursor', async () => {
+    expect((await listTasks({ limit: '5' })).body.nextCursor).toBeNull();
+  });
+
+  test.each([
+    ['completed', { completed: 'maybe' }],
+    ['priority', { priority: 'urgent' }],
+    ['dueBefore', { dueBefore: 'soon' }],
+    ['dueAfter', { dueAfter: 'yesterday' }],
+    ['sort', { sort: 'text' }],
+    ['order', { order: 'sideways' }]
+  ])('answers 400 for an invalid %s', async (field, query) => {
+    const { status, body } = await listTasks(query);
+    expect(status).toBe(400);
+    expect(body.success).toBe(false);
+    expect(body.details).toEqual([{ field: expect.stringMatching(new RegExp(`^${field}`)), message: expect.any(String) }]);
+  });
+
+  test('answers 400 for a tampered cursor', async () => {
+    const { body: { nextCursor } } = await listTasks({ limit: '2' });
+    const cursor = JSON.parse(Buffer.from(nextCursor, 'base64url').toString('utf8'));
+    const tampered = Buffer.from(JSON.stringify({ ...cursor, id: { $gt: 0 } })).toString('base64url');
+
+    for (const value of [tampered, Buffer.from('not json').toString('base64url')]) {
+      const { status, body } = await listTasks({ limit: '2', cursor: value });
+      expect(status).toBe(400);
+      expect(body).toEqual({
+        success: false,
+        error: 'cursor is invalid',
+        details: [{ field: 'cursor', message: 'cursor is invalid' }]
+      });
+    }
+
+    const { status, body } = await listTasks({ limit: '2', cursor: nextCursor, order: 'asc' });
+    expect(status).toBe(400);
+    expect(body.details).toEqual([{ field: 'cursor', message: 'cursor does not match the requested sort and order' }]);
+  });
+});
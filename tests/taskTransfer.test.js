@@ -0,0 +1,121 @@
+/**
+ * Exporting tasks as JSON, CSV and iCalendar and importing them back.
+ */
+const { createMemoryRepositories } = require('../backend/src/repositories/memory');
+const { createTask, updateTask } = require('../backend/src/utils/tasks');
+const { createList } = require('../backend/src/utils/lists');
+const { createTag } = require('../backend/src/utils/tags');
+const { exportTasks, importTasks, TaskImportError } = require('../backend/src/utils/taskTransfer');
+
+const OWNER = 'owner-id';
+const OTHER = 'other-id';
+const NOW = new Date('2025-11-20T12:00:00.000Z');
+
+describe('task import and export', () => {
+  let repositories;
+
+  const taskSummaries = async (userId) => {
+    const { tasks } = await repositories.tasks.list(userId, { sort: 'createdAt', order: 'asc' });
+    return tasks.map((task) => ({
+      text: task.text,
+      completed: task.completed,
+      priority: task.priority,
+      dueDate: task.dueDate,
+      tags: task.tags.map((tag) => tag.name)
+    }));
+  };
+
+  const roundTrip = async (format) => {
+    const { body } = await exportTasks(repositories, OWNER, format, NOW);
+    return importTasks(repositories, OTHER, { format, content: body, dryRun: false });
+  };
+
+  beforeEach(async () => {
+    let clock = Date.parse('2025-11-01T00:00:00.000Z');
+    repositories = createMemoryRepositories({ now: () => new Date(clock += 1000) });
+    const { tasks, lists, tags } = repositories;
+
+    const list = await createList(lists, OWNER, { name: 'Errands' });
+    const tag = await createTag(tags, OWNER, { name: 'Home, garden' });
+    await createTask(tasks, OWNER, {
+      text: 'Buy "good" soil, 20L',
+      priority: 'high',
+      dueDate: '2025-11-22',
+      listId: list.id,
+      tagIds: [tag.id],
+      subtasks: ['Measure beds']
+    }, repositories);
+    const call = await createTask(tasks, OWNER, { text: 'Call the plumber', dueDate: '2025-11-21T09:30:00Z' }, repositories);
+    await updateTask(tasks, OWNER, call.id, { completed: true }, repositories);
+    await createTask(tasks, OWNER, { text: 'Someday', priority: 'low' }, repositories);
+  });
+
+  it.each(['json', 'csv', 'ics'])('imports a %s export as the same tasks', async (format) => {
+    const report = await roundTrip(format);
+
+    expect(report.summary).toEqual({ total: 3, imported: 3, duplicates: 0, invalid: 0 });
+    expect(report.newTags).toEqual(['Home, garden']);
+    expect(await taskSummaries(OTHER)).toEqual(await taskSummaries(OWNER));
+  });
+
+  it('keeps lists and subtasks in JSON, and quotes CSV cells', async () => {
+    const json = await roundTrip('json');
+    expect(json.newLists).toEqual(['Errands']);
+    expect(json.rows[0].task.subtasks).toEqual([expect.objectContaining({ text: 'Measure beds' })]);
+
+    const csv = await exportTasks(repositories, OWNER, 'csv', NOW);
+    expect(csv.body.split('\r\n')[1]).toMatch(/^"Buy ""good"" soil, 20L",false,high,2025-11-22,Errands,"Home, garden",2025-11-01T/);
+  });
+
+  it('keeps spreadsheets from running CSV cells as formulas', async () => {
+    const { tasks } = repositories;
+    await createTask(tasks, OWNER, { text: '=HYPERLINK("https://example.com","Open")' });
+    await createTask(tasks, OWNER, { text: "'+1 for the plan" });
+    await createTask(tasks, OWNER, { text: '@mention, then -5' });
+
+    const { body } = await exportTasks(repositories, OWNER, 'csv', NOW);
+    const cells = body.split('\r\n').slice(4, 7).map((row) => row.split(',')[0]);
+    expect(cells).toEqual([`"'=HYPERLINK(""https://example.com""`, "''+1 for the plan", `"'@mention`]);
+
+    await importTasks(repositories, OTHER, { format: 'csv', content: body, dryRun: false });
+    expect(await taskSummaries(OTHER)).toEqual(await taskSummaries(OWNER));
+  });
+
+  it('writes VTODO entries with DUE, PRIORITY and STATUS', async () => {
+    const { contentType, body } = await exportTasks(repositories, OWNER, 'ics', NOW);
+
+    expect(contentType).toBe('text/calendar; charset=utf-8');
+    expect(body).toContain('SUMMARY:Buy "good" soil\\, 20L\r\nDUE;VALUE=DATE:20251122\r\nPRIORITY:1\r\nSTATUS:NEEDS-ACTION\r\nCATEGORIES:Home\\, garden');
+    expect(body).toContain('DUE:20251121T093000Z\r\nPRIORITY:5\r\nSTATUS:COMPLETED');
+    expect(body.split('\r\n').every((line) => Buffer.byteLength(line) <= 75)).toBe(true);
+  });
+
+  it('reports duplicates and invalid rows, and changes nothing on a dry run', async () => {
+    const content = [
+      'Text,Priority,dueDate,Tags',
+      'call the PLUMBER,medium,2025-11-21T09:30:00Z,',
+      'Paint the fence,urgent,,',
+      ',low,,',
+      'Paint the shed,low,2025-12-01,outside;weekend',
+      'Paint the shed,high,2025-12-01,'
+    ].join('\n');
+
+    const report = await importTasks(repositories, OWNER, { format: 'csv', content, dryRun: true });
+
+    expect(report.summary).toEqual({ total: 5, imported: 1, duplicates: 2, invalid: 2 });
+    expect(report.rows.map((row) => row.status)).toEqual(['duplicate', 'invalid', 'invalid', 'valid', 'duplicate']);
+    expect(report.rows[1].errors).toEqual([{ field: 'priority', message: 'priority must be one of [low, medium, high]' }]);
+    expect(report.rows[2].errors).toEqual([{ field: 'text', message: 'text is required' }]);
+    expect(report.newTags).toEqual(['outside', 'weekend']);
+    expect(await taskSummaries(OWNER)).toHaveLength(3);
+    expect(await repositories.tags.list(OWNER)).toHaveLength(1);
+  });
+
+  it('rejects files it cannot read', async () => {
+    const attempt = (format, content) => importTasks(repositories, OWNER, { format, content, dryRun: true });
+
+    await expect(attempt('json', '{"tasks": ')).rejects.toThrow(TaskImportError);
+    await expect(attempt('csv', 'title,done\nWash car,no')).rejects.toThrow('The CSV file needs a header row with a text column');
+    await expect(attempt('ics', 'BEGIN:VCALENDAR\r\nEND:VCALENDAR')).rejects.toThrow('The file has no tasks');
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * TOTP codes and two-factor enrollment, login and recovery codes, on a fixed clock.
+ */
+process.env.JWT_SECRET = 'test-secret';
+
+const { createMemoryRepositories } = require('../backend/src/repositories/memory');
+const { base32Encode, generateTotp, verifyTotp } = require('../backend/src/utils/totp');
+const {
+  RECOVERY_CODE_COUNT,
+  TwoFactorError,
+  isTwoFactorEnabled,
+  startEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  regenerateRecoveryCodes
+} = require('../backend/src/utils/twoFactor');
+const {
+  signAccessToken,
+  verifyAccessToken,
+  signChallengeToken,
+  verifyChallengeToken
+} = require('../backend/src/utils/tokens');
+
+const STEP_MS = 30 * 1000;
+const NOW = Date.parse('2025-11-20T12:00:00.000Z');
+
+describe('TOTP', () => {
+  // RFC 6238 appendix B (SHA1), of which the last 6 of the 8 digits are our code
+  it.each([
+    [59, '94287082'],
+    [1111111109, '07081804'],
+    [1111111111, '14050471'],
+    [1234567890, '89005924'],
+    [2000000000, '69279037'],
+    [20000000000, '65353130']
+  ])('matches the RFC 6238 test vector at %i seconds', (seconds, code) => {
+    const secret = base32Encode(Buffer.from('12345678901234567890'));
+    expect(generateTotp(secret, seconds * 1000)).toBe(code.slice(-6));
+    expect(verifyTotp(secret, code.slice(-6), { time: seconds * 1000 })).toBe(Math.floor(seconds / 30));
+  });
+
+  it('accepts one step of clock drift either way and nothing more', () => {
+    const secret = base32Encode(Buffer.from('12345678901234567890'));
+    const code = generateTotp(secret, NOW);
+
+    expect(verifyTotp(secret, code, { time: NOW - STEP_MS })).not.toBeNull();
+    expect(verifyTotp(secret, code, { time: NOW + STEP_MS })).not.toBeNull();
+    expect(verifyTotp(secret, code, { time: NOW + 2 * STEP_MS })).toBeNull();
+    expect(verifyTotp(secret, 'abcdef', { time: NOW })).toBeNull();
+  });
+});
+
+describe('two-factor authentication', () => {
+  let store;
+  let user;
+  let secret;
+  let recoveryCodes;
+
+  beforeEach(async () => {
+    const repositories = createMemoryRepositories({ now: () => new Date(NOW) });
+    store = repositories.twoFactor;
+    user = await repositories.users.create({ firstName: 'Ada', lastName: 'L', email: 'ada@example.com', passwordHash: 'x' });
+
+    ({ secret } = await startEnrollment(store, user));
+    recoveryCodes = await confirmEnrollment(store, user.id, generateTotp(secret, NOW), NOW);
+  });
+
+  it('enables 2FA once the first code is confirmed, and checks codes after that', async () => {
+    expect(await isTwoFactorEnabled(store, user.id)).toBe(true);
+    expect(recoveryCodes).toHaveLength(RECOVERY_CODE_COUNT);
+    await expect(startEnrollment(store, user)).rejects.toThrow('Two-factor authentication is already enabled');
+
+    const later = NOW + 2 * STEP_MS;
+    expect(await verifySecondFactor(store, user.id, { code: generateTotp(secret, later) }, later)).toBe('totp');
+    await expect(verifySecondFactor(store, user.id, { code: '000000' }, later + STEP_MS)).rejects.toThrow(TwoFactorError);
+  });
+
+  it('does not take a wrong first code', async () => {
+    const other = { id: 99, email: 'other@example.com' };
+    const { secret: pending } = await startEnrollment(store, other);
+
+    await expect(confirmEnrollment(store, other.id, generateTotp(pending, NOW + 5 * STEP_MS), NOW)).rejects.toThrow(
+      'Invalid verification code'
+    );
+    expect(await isTwoFactorEnabled(store, other.id)).toBe(false);
+  });
+
+  it('refuses a code that was already used, or an older one', async () => {
+    // The code that confirmed the enrollment counts as used
+    await expect(verifySecondFactor(store, user.id, { code: generateTotp(secret, NOW) }, NOW)).rejects.toThrow(
+      'Invalid verification code'
+    );
+
+    const later = NOW + 3 * STEP_MS;
+    const code = generateTotp(secret, later);
+    await verifySecondFactor(store, user.id, { code }, later);
+    await expect(verifySecondFactor(store, user.id, { code }, later)).rejects.toThrow('Invalid verification code');
+    // Still within the drift window, but before the last code used
+    await expect(verifySecondFactor(store, user.id, { code: generateTotp(secret, later - STEP_MS) }, later)).rejects.toThrow(
+      'Invalid verification code'
+    );
+  });
+
+  it('takes each recovery code once, in any case and with or without the dash', async () => {
+    const [first, second] = recoveryCodes;
+
+    expect(await verifySecondFactor(store, user.id, { recoveryCode: first.toUpperCase() })).toBe('recovery');
+    await expect(verifySecondFactor(store, user.id, { recoveryCode: first })).rejects.toThrow('Invalid recovery code');
+    expect(await verifySecondFactor(store, user.id, { recoveryCode: second.replace('-', '') })).toBe('recovery');
+
+    // New codes replace the ones left
+    const later = NOW + 2 * STEP_MS;
+    const [fresh] = await regenerateRecoveryCodes(store, user.id, generateTotp(secret, later), later);
+    await expect(verifySecondFactor(store, user.id, { recoveryCode: recoveryCodes[2] })).rejects.toThrow(TwoFactorError);
+    expect(await verifySecondFactor(store, user.id, { recoveryCode: fresh })).toBe('recovery');
+  });
+
+  it('does not take the challenge token of a login as an access token', () => {
+    const challengeToken = signChallengeToken(user.id);
+
+    expect(verifyChallengeToken(challengeToken).userId).toBe(user.id);
+    expect(() => verifyAccessToken(challengeToken)).toThrow('Invalid token type');
+    expect(() => verifyChallengeToken(signAccessToken(user))).toThrow('Invalid token type');
+  });
+});
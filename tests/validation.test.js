@@ -0,0 +1,154 @@
+/**
+ * The shared Joi schemas: what they accept, what they reject, and the error
+ * shape both backends answer a failed validation with.
+ */
+process.env.JWT_SECRET = 'test-secret';
+process.env.DB_PATH = ':memory:';
+
+const {
+  TASK_TEXT_MAX_LENGTH,
+  registerSchema,
+  loginSchema,
+  updateProfileSchema,
+  createTaskSchema,
+  updateTaskSchema,
+  validate,
+  validationErrorBody
+} = require('../backend/src/utils/validation');
+const { app, db, ready } = require('../server-db');
+
+const fieldsOf = (errors) => errors.map((error) => error.field);
+
+describe('validate', () => {
+  describe('task priority', () => {
+    test.each(['low', 'medium', 'high'])('accepts %s', (priority) => {
+      const { value, errors } = validate({ text: 'Water plants', priority }, createTaskSchema);
+      expect(errors).toBeNull();
+      expect(value.priority).toBe(priority);
+    });
+
+    test('defaults to medium on create', () => {
+      expect(validate({ text: 'Water plants' }, createTaskSchema).value.priority).toBe('medium');
+    });
+
+    test.each(['urgent', 'HIGH', '', 3])('rejects %p', (priority) => {
+      const { errors } = validate({ text: 'Water plants', priority }, createTaskSchema);
+      expect(errors).toContainEqual({ field: 'priority', message: 'priority must be one of [low, medium, high]' });
+      expect(new Set(fieldsOf(errors))).toEqual(new Set(['priority']));
+    });
+  });
+
+  describe('ISO dates', () => {
+    test.each(['2025-06-01', '2025-06-01T09:30:00Z', '2025-06-01T09:30:00.000+02:00'])('accepts %s as sent', (dueDate) => {
+      const { value, errors } = validate({ text: 'Water plants', dueDate }, createTaskSchema);
+      expect(errors).toBeNull();
+      expect(value.dueDate).toBe(dueDate);
+    });
+
+    test('accepts null to clear the due date', () => {
+      expect(validate({ dueDate: null }, updateTaskSchema)).toEqual({ value: { dueDate: null }, errors: null });
+    });
+
+    test.each(['next tuesday', '06/01/2025', '2025-13-01'])('rejects %s', (dueDate) => {
+      const { errors } = validate({ text: 'Water plants', dueDate }, createTaskSchema);
+      expect(errors).toEqual([{ field: 'dueDate', message: 'dueDate must be an ISO 8601 date' }]);
+    });
+  });
+
+  describe('text length', () => {
+    test('trims task text and accepts it up to the limit', () => {
+      const text = 'x'.repeat(TASK_TEXT_MAX_LENGTH);
+      expect(validate({ text: `  ${text}  ` }, createTaskSchema).value.text).toBe(text);
+    });
+
+    test('rejects task text over the limit', () => {
+      const { errors } = validate({ text: 'x'.repeat(TASK_TEXT_MAX_LENGTH + 1) }, createTaskSchema);
+      expect(fieldsOf(errors)).toEqual(['text']);
+    });
+
+    test('rejects empty and blank task text', () => {
+      expect(fieldsOf(validate({ text: '' }, createTaskSchema).errors)).toEqual(['text']);
+      expect(fieldsOf(validate({ text: '   ' }, createTaskSchema).errors)).toEqual(['text']);
+    });
+
+    test('limits names to 50 characters', () => {
+      expect(validate({ firstName: 'A'.repeat(50) }, updateProfileSchema).errors).toBeNull();
+      expect(fieldsOf(validate({ firstName: 'A'.repeat(51) }, updateProfileSchema).errors)).toEqual(['firstName']);
+    });
+
+    test('requires passwords of at least 10 characters', () => {
+      const { errors } = validate({
+        firstName: 'Ada', lastName: 'L', email: 'ada@example.com', password: 'short'
+      }, registerSchema);
+      expect(errors).toEqual([{ field: 'password', message: 'Password must be at least 10 characters long' }]);
+    });
+  });
+
+  test('strips unknown keys', () => {
+    const { value, errors } = validate({ text: 'Water plants', userId: 2, isAdmin: true }, createTaskSchema);
+    expect(errors).toBeNull();
+    expect(value).not.toHaveProperty('userId');
+    expect(value).not.toHaveProperty('isAdmin');
+  });
+
+  test('converts types sent as strings', () => {
+    expect(validate({ completed: 'true' }, updateTaskSchema).value).toEqual({ completed: true });
+  });
+
+  test('reports every error at once as { field, message }', () => {
+    const { errors } = validate({ text: '', priority: 'urgent', dueDate: 'soon' }, createTaskSchema);
+    expect(errors).toEqual([
+      { field: 'text', message: 'text is not allowed to be empty' },
+      { field: 'priority', message: 'priority must be one of [low, medium, high]' },
+      { field: 'dueDate', message: 'dueDate must be an ISO 8601 date' }
+    ]);
+  });
+
+  test('treats a missing body as empty', () => {
+    expect(fieldsOf(validate(undefined, loginSchema).errors)).toEqual(['email', 'password']);
+  });
+
+  test('rejects an update with no fields', () => {
+    expect(validate({}, updateTaskSchema).errors).toEqual([
+      { field: '', message: 'Provide at least one field to update' }
+    ]);
+  });
+
+  test('validationErrorBody joins the messages', () => {
+    const errors = [{ field: 'a', message: 'a is required' }, { field: 'b', message: 'b is too long' }];
+    expect(validationErrorBody(errors)).toEqual({ error: 'a is required. b is too long', details: errors });
+  });
+});
+
+describe('validation errors from a route', () => {
+  let server;
+
+  beforeAll(async () => {
+    await ready;
+    server = app.listen(0);
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    await new Promise((resolve) => db.close(resolve));
+  });
+
+  test('answer 400 with every error and its field', async () => {
+    const res = await fetch(`http://127.0.0.1:${server.address().port}/register`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ firstName: 'Ada', email: 'not-an-email', password: 'short' })
+    });
+
+    expect(res.status).toBe(400);
+    expect(await res.json()).toEqual({
+      success: false,
+      error: 'lastName is required. email must be a valid email. Password must be at least 10 characters long',
+      details: [
+        { field: 'lastName', message: 'lastName is required' },
+        { field: 'email', message: 'email must be a valid email' },
+        { field: 'password', message: 'Password must be at least 10 characters long' }
+      ]
+    });
+  });
+});